@@ -5,10 +5,14 @@
  * back‑end.  It manages user authentication, registration, booking
  * creation, message exchange, rating submissions and viewing of data.
  * Communication with the server is performed using the Fetch API.
+ * Once logged in, each screen has its own route in the page's hash
+ * (see `route` below), so screens can be bookmarked and navigated
+ * with the browser's back and forward buttons.
  */
 
 (() => {
- const baseUrl = 'https://brightidy-backend-b08dcff878ba.herokuapp.com';
+  // Set by loadConfig() before anything talks to the server
+  let baseUrl = null;
   const statusEl = document.getElementById('status');
   const registerSection = document.getElementById('register-section');
   const loginSection = document.getElementById('login-section');
@@ -20,9 +24,64 @@
   const adminActions = document.getElementById('admin-actions');
   const outputEl = document.getElementById('output');
 
+  // Session state survives page reloads via localStorage
+  const SESSION_KEY = 'brightidy.session';
   let authToken = null;
+  let refreshToken = null;
   let currentUser = null;
 
+  /**
+   * Remember the current session, or forget it when logged out.
+   */
+  function saveSession() {
+    if (authToken && currentUser) {
+      localStorage.setItem(SESSION_KEY, JSON.stringify({ authToken, refreshToken, currentUser }));
+    } else {
+      localStorage.removeItem(SESSION_KEY);
+    }
+  }
+
+  /**
+   * Restore a session saved by an earlier page load, if any.
+   */
+  function restoreSession() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(SESSION_KEY) || 'null');
+      if (saved) {
+        ({ authToken, refreshToken, currentUser } = saved);
+      }
+    } catch (err) {
+      localStorage.removeItem(SESSION_KEY);
+    }
+  }
+
+  /**
+   * Drop all session state, e.g. after logout or when the refresh
+   * token has been revoked.
+   */
+  function clearSession() {
+    authToken = null;
+    refreshToken = null;
+    currentUser = null;
+    saveSession();
+  }
+
+  /**
+   * Work out where the API is.  The server hosting this page says in
+   * config.json when the API lives elsewhere; otherwise, or when the
+   * page is opened some other way, it is on the same origin.
+   */
+  async function loadConfig() {
+    let apiUrl = null;
+    try {
+      const response = await fetch('config.json', { cache: 'no-cache' });
+      if (response.ok) ({ apiUrl } = await response.json());
+    } catch (err) {
+      apiUrl = null;
+    }
+    baseUrl = (apiUrl || location.origin).replace(/\/+$/, '') + '/v1';
+  }
+
   /**
    * Utility to display a status message in the header.
    * @param {string} msg
@@ -45,21 +104,168 @@
       clientActions.classList.toggle('hidden', currentUser.role !== 'client');
       cleanerActions.classList.toggle('hidden', currentUser.role !== 'cleaner');
       adminActions.classList.toggle('hidden', currentUser.role !== 'admin');
+      if (!eventSource) connectEvents();
+      render();
     } else {
+      disconnectEvents();
       registerSection.classList.remove('hidden');
       loginSection.classList.remove('hidden');
       dashboardSection.classList.add('hidden');
       userNameSpan.textContent = '';
       userRoleSpan.textContent = '';
+      outputEl.innerHTML = '';
     }
-    outputEl.innerHTML = '';
+  }
+
+  // Live updates: GET /events streams new messages and booking changes.
+  // The view on screen registers itself in `liveView` to be kept
+  // current; it is forgotten as soon as its element leaves the page.
+  let eventSource = null;
+  let lastEventId = null;
+  let liveView = null;
+
+  /**
+   * Open the event stream for the logged-in user, resuming after the
+   * last event received.
+   */
+  function connectEvents() {
+    disconnectEvents();
+    const params = new URLSearchParams({ accessToken: authToken });
+    if (lastEventId) params.set('lastEventId', lastEventId);
+    eventSource = new EventSource(baseUrl + '/events?' + params.toString());
+    const track = (handler) => (e) => {
+      lastEventId = e.lastEventId;
+      handler(JSON.parse(e.data));
+    };
+    eventSource.addEventListener('ready', track(() => {}));
+    eventSource.addEventListener('resync', track(() => liveUpdate('resync', null)));
+    eventSource.addEventListener('booking', track((data) => liveUpdate('booking', data)));
+    eventSource.addEventListener('message', track((data) => liveUpdate('message', data)));
+    eventSource.addEventListener('read', track((data) => liveUpdate('read', data)));
+    eventSource.addEventListener('dispute', track((data) => liveUpdate('dispute', data)));
+    eventSource.onerror = () => {
+      // The server ends the stream when the access token expires, and
+      // the browser gives up once reconnecting with it is refused
+      if (eventSource.readyState !== EventSource.CLOSED) return;
+      eventSource = null;
+      setTimeout(async () => {
+        if (!authToken) return;
+        if (tokenExpired(authToken) && !(await refreshSession())) return;
+        connectEvents();
+      }, 2000);
+    };
+  }
+
+  function disconnectEvents() {
+    if (eventSource) eventSource.close();
+    eventSource = null;
+  }
+
+  /**
+   * True when an access token's expiry time has passed.
+   */
+  function tokenExpired(token) {
+    try {
+      const payload = JSON.parse(atob(token.split('.')[0].replace(/-/g, '+').replace(/_/g, '/')));
+      return payload.exp * 1000 <= Date.now();
+    } catch (err) {
+      return true;
+    }
+  }
+
+  /**
+   * Pass a live event to the view on screen, and mention changes made
+   * by someone else to the user's bookings in the status bar.
+   */
+  function liveUpdate(type, data) {
+    if (type === 'booking' && data.previousStatus && data.previousStatus !== data.booking.status) {
+      setStatus(`Booking ${data.booking.id} is now ${data.booking.status.replace('_', ' ')}`);
+    } else if (type === 'message' && data.message.sender !== currentUser.username) {
+      setStatus(`New message on booking ${data.message.bookingId}`);
+    } else if (type === 'dispute') {
+      setStatus(`Dispute on booking ${data.dispute.bookingId} is ${data.dispute.status}`);
+    }
+    if (liveView && !liveView.element.isConnected) {
+      liveView = null;
+    }
+    if (liveView) {
+      liveView.update(type, data);
+    }
+  }
+
+  /**
+   * Keep `element` current by calling `reload` when anything it may show
+   * changes.  Bursts of events cause a single reload.
+   */
+  function reloadOnChange(element, types, reload) {
+    let timer = null;
+    liveView = {
+      element,
+      update(type) {
+        if (type !== 'resync' && !types.includes(type)) return;
+        clearTimeout(timer);
+        timer = setTimeout(reload, 300);
+      },
+    };
+  }
+
+  // The refresh under way, which every request that finds its access
+  // token expired waits for: refresh tokens work only once, so a second
+  // refresh with the same token would fail and log the user out
+  let pendingRefresh = null;
+
+  /**
+   * Exchange the refresh token for a new access token.  `staleToken`,
+   * if given, is the access token a request was refused with; when the
+   * session has moved on since, there is nothing to refresh.  Resolves
+   * to true on success; on failure the session is cleared, unless it
+   * was replaced (by logging in again, say) while the refresh ran.
+   */
+  function refreshSession(staleToken) {
+    if (staleToken && authToken && authToken !== staleToken) {
+      return Promise.resolve(true);
+    }
+    if (!pendingRefresh) {
+      const used = refreshToken;
+      pendingRefresh = (async () => {
+        try {
+          const response = await fetch(baseUrl + '/token/refresh', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refreshToken: used }),
+          });
+          if (!response.ok) {
+            throw new Error('Refresh failed');
+          }
+          const json = await response.json();
+          if (refreshToken === used) {
+            authToken = json.token;
+            refreshToken = json.refreshToken;
+            saveSession();
+          }
+          return true;
+        } catch (err) {
+          if (refreshToken !== used) {
+            return Boolean(authToken);
+          }
+          clearSession();
+          updateDashboard();
+          setStatus('Session expired – please log in again');
+          return false;
+        } finally {
+          pendingRefresh = null;
+        }
+      })();
+    }
+    return pendingRefresh;
   }
 
   /**
    * Wrapper around fetch that includes the Authorization header when
-   * necessary and handles JSON parsing.
+   * necessary and handles JSON parsing.  An expired access token is
+   * refreshed once and the request retried.
    */
-  async function api(method, endpoint, data) {
+  async function api(method, endpoint, data, retried) {
     const opts = {
       method,
       headers: { 'Content-Type': 'application/json' },
@@ -70,30 +276,176 @@
     if (data) {
       opts.body = JSON.stringify(data);
     }
+    const sentWith = authToken;
+    const response = await fetch(baseUrl + endpoint, opts);
+    if (response.status === 401 && refreshToken && !retried) {
+      if (await refreshSession(sentWith)) {
+        return api(method, endpoint, data, true);
+      }
+    }
+    const json = await response.json();
+    if (!response.ok) {
+      // Field-level problems are listed in the message for prompt-driven
+      // flows and kept on the error for forms to show next to inputs
+      const fields = json.fields || null;
+      const detail = fields ? ': ' + Object.keys(fields).map((f) => `${f} ${fields[f]}`).join('; ') : '';
+      // Rate limited and locked-out requests say when to try again
+      const retryAfter = response.status === 429 && response.headers.get('Retry-After');
+      const wait = retryAfter ? ` (try again in ${retryAfter} seconds)` : '';
+      const error = new Error((json.error || 'Request failed') + detail + wait);
+      error.summary = json.error || 'Request failed';
+      error.fields = fields;
+      throw error;
+    }
+    return json;
+  }
+
+  /**
+   * Fetch every page of the list at `endpoint` and resolve to all its
+   * items, which each page carries in its `key` property.
+   */
+  async function apiList(endpoint, key) {
+    const items = [];
+    let cursor = null;
+    do {
+      const params = new URLSearchParams({ limit: 100 });
+      if (cursor) params.set('cursor', cursor);
+      const res = await api('GET', endpoint + (endpoint.includes('?') ? '&' : '?') + params.toString());
+      items.push(...res[key]);
+      cursor = res.nextCursor;
+    } while (cursor);
+    return items;
+  }
+
+  /**
+   * Fetch `endpoint` with the Authorization header for requests that do
+   * not carry JSON, such as file downloads and uploads.  An expired
+   * access token is refreshed once and the request retried.  Resolves
+   * to the Response.
+   */
+  async function authorisedFetch(endpoint, options, retried) {
+    const opts = { ...options, headers: { ...(options && options.headers) } };
+    if (authToken) {
+      opts.headers['Authorization'] = 'Bearer ' + authToken;
+    }
+    const sentWith = authToken;
     const response = await fetch(baseUrl + endpoint, opts);
+    if (response.status === 401 && refreshToken && !retried) {
+      if (await refreshSession(sentWith)) {
+        return authorisedFetch(endpoint, options, true);
+      }
+    }
+    return response;
+  }
+
+  /**
+   * An image showing a stored photo, such as a message attachment.
+   * Photos need the Authorization header, so they are fetched and shown
+   * from memory rather than linked to.
+   */
+  function attachedImage(endpoint, filename) {
+    const img = document.createElement('img');
+    img.className = 'attachment';
+    img.alt = filename;
+    authorisedFetch(endpoint)
+      .then((response) => (response.ok ? response.blob() : Promise.reject(new Error('Not found'))))
+      .then((blob) => {
+        img.src = URL.createObjectURL(blob);
+      })
+      .catch(() => {
+        img.replaceWith(document.createTextNode(` [${filename} unavailable]`));
+      });
+    return img;
+  }
+
+  /**
+   * Upload the image `file` as the raw body of a POST to `endpoint`.
+   * Resolves to the parsed response.
+   */
+  async function uploadImage(endpoint, file) {
+    const response = await authorisedFetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': file.type },
+      body: file,
+    });
     const json = await response.json();
     if (!response.ok) {
-      throw new Error(json.error || 'Request failed');
+      throw new Error(json.error || 'Upload failed');
     }
     return json;
   }
 
+  /**
+   * Fetch a file from an authenticated endpoint and hand it to the
+   * browser as a download, using the file name the server suggests.
+   */
+  async function download(endpoint) {
+    const response = await authorisedFetch(endpoint);
+    if (!response.ok) {
+      const json = await response.json();
+      throw new Error(json.error || 'Download failed');
+    }
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const match = disposition.match(/filename="([^"]+)"/);
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(await response.blob());
+    link.download = match ? match[1] : 'download';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(link.href);
+  }
+
+  /**
+   * Show server-side validation messages next to the offending inputs
+   * of a form, matched by the inputs' ``name`` attribute.  Any messages
+   * from a previous attempt are removed first.  Returns the message to
+   * show for the form as a whole.
+   * @param {HTMLFormElement} form
+   * @param {Error} err error thrown by api()
+   */
+  function showFieldErrors(form, err) {
+    form.querySelectorAll('.field-error').forEach((el) => el.remove());
+    form.querySelectorAll('.invalid').forEach((el) => el.classList.remove('invalid'));
+    if (!err || !err.fields) {
+      return err ? err.message : '';
+    }
+    let unmatched = false;
+    Object.keys(err.fields).forEach((field) => {
+      const input = form.querySelector(`[name="${field}"]`);
+      if (!input) {
+        unmatched = true;
+        return;
+      }
+      const note = document.createElement('small');
+      note.className = 'field-error';
+      note.textContent = err.fields[field];
+      input.classList.add('invalid');
+      input.insertAdjacentElement('afterend', note);
+    });
+    return unmatched ? err.message : err.summary;
+  }
+
   // Registration
   document.getElementById('register-form').addEventListener('submit', async (e) => {
     e.preventDefault();
     const username = document.getElementById('reg-username').value.trim();
     const password = document.getElementById('reg-password').value.trim();
     const role = document.getElementById('reg-role').value;
+    const email = document.getElementById('reg-email').value.trim() || null;
+    const phone = document.getElementById('reg-phone').value.trim() || null;
     const msgEl = document.getElementById('register-message');
+    const form = e.target;
     msgEl.textContent = '';
     try {
-      await api('POST', '/register', { username, password, role });
+      await api('POST', '/register', { username, password, role, email, phone });
+      showFieldErrors(form, null);
       msgEl.style.color = 'green';
       msgEl.textContent = 'Account created – you can now log in.';
       setStatus('');
     } catch (err) {
       msgEl.style.color = '#d00';
-      msgEl.textContent = err.message;
+      msgEl.textContent = showFieldErrors(form, err);
     }
   });
 
@@ -107,176 +459,2036 @@
     try {
       const res = await api('POST', '/login', { username, password });
       authToken = res.token;
+      refreshToken = res.refreshToken;
       currentUser = res.user;
+      saveSession();
+      showFieldErrors(e.target, null);
       updateDashboard();
       setStatus('Logged in');
     } catch (err) {
       msgEl.style.color = '#d00';
-      msgEl.textContent = err.message;
+      msgEl.textContent = showFieldErrors(e.target, err);
     }
   });
 
   // Logout
-  document.getElementById('logout-btn').addEventListener('click', () => {
-    authToken = null;
-    currentUser = null;
-    setStatus('Logged out');
-    updateDashboard();
-  });
-
-  // List cleaners
-  document.getElementById('list-cleaners-btn').addEventListener('click', async () => {
+  async function logout(allDevices) {
     try {
-      const res = await api('GET', '/cleaners');
-      if (res.cleaners.length === 0) {
-        outputEl.innerHTML = '<p>No cleaners found.</p>';
-        return;
-      }
-      const list = document.createElement('ul');
-      res.cleaners.forEach((c) => {
-        const li = document.createElement('li');
-        li.textContent = c.username;
-        list.appendChild(li);
-      });
-      outputEl.innerHTML = '<h3>Available Cleaners:</h3>';
-      outputEl.appendChild(list);
+      await api('POST', '/logout', { allDevices });
     } catch (err) {
-      outputEl.innerHTML = `<p class="error">${err.message}</p>`;
+      // The session is forgotten locally even if the server is unreachable
     }
-  });
+    clearSession();
+    setStatus(allDevices ? 'Logged out on all devices' : 'Logged out');
+    updateDashboard();
+  }
+  document.getElementById('logout-btn').addEventListener('click', () => logout(false));
+  document.getElementById('logout-all-btn').addEventListener('click', () => logout(true));
+
+  // Screens.  Each screen of the dashboard has a route in the page's
+  // hash, such as #/bookings/12, so it can be bookmarked and the
+  // browser's back button returns to the screen before.  A view is an
+  // async function resolving to the element to show; while it loads the
+  // screen says so, and if it fails its error is shown in its place.
+  const routes = [];
+  // The screen each role starts on
+  const HOME = { client: '/bookings', cleaner: '/jobs', admin: '/bookings' };
+  // Renders started, so that a slow view cannot replace a later one
+  let renders = 0;
+
+  /**
+   * Show `view` for paths matching `pattern` to users whose role is in
+   * `roles`.  Each ``:name`` segment of the pattern is passed to the
+   * view in its first argument, as a number for names ending in
+   * ``Id``; the query string is passed as its second.
+   */
+  function route(pattern, roles, view) {
+    const names = [];
+    const source = pattern.replace(/:(\w+)/g, (segment, name) => {
+      names.push(name);
+      return name.endsWith('Id') ? '(\\d+)' : '([^/]+)';
+    });
+    routes.push({ regex: new RegExp(`^${source}$`), names, roles, view });
+  }
+
+  /**
+   * Go to the screen at `path` with the parameters in `query`.  With
+   * `replace` the current history entry is replaced instead, as when
+   * the filters of a list change.  Going to the screen already shown
+   * reloads it.
+   */
+  function navigate(path, query, replace) {
+    const search = new URLSearchParams(query || {}).toString();
+    const hash = '#' + path + (search ? '?' + search : '');
+    if (location.hash === hash) {
+      render(true);
+    } else if (replace) {
+      location.replace(hash);
+    } else {
+      location.hash = hash;
+    }
+  }
 
-  // Create booking
-  document.getElementById('create-booking-btn').addEventListener('click', async () => {
-    const propertyAddress = prompt('Enter property address:');
-    if (!propertyAddress) return;
-    const propertyType = prompt('Enter property type (home, office, airbnb):');
-    if (!propertyType) return;
-    const date = prompt('Enter date (YYYY-MM-DD):');
-    if (!date) return;
-    const time = prompt('Enter start time (HH:MM):');
-    if (!time) return;
-    const duration = prompt('Enter duration in hours (e.g., 2):');
-    if (!duration) return;
+  /**
+   * Show the screen for the current hash.  A `quiet` render, such as a
+   * refresh after a change, leaves the screen as it is until the new
+   * one is ready rather than saying it is loading.
+   */
+  async function render(quiet) {
+    if (!authToken || !currentUser) return;
+    const [path, search] = location.hash.slice(1).split('?');
+    if (!path || path === '/') {
+      location.replace('#' + HOME[currentUser.role]);
+      return;
+    }
+    const ticket = ++renders;
+    document.querySelectorAll('.actions a').forEach((a) => {
+      if (a.getAttribute('href') === '#' + path) a.setAttribute('aria-current', 'page');
+      else a.removeAttribute('aria-current');
+    });
+    if (!quiet) {
+      outputEl.innerHTML = '<p class="loading">Loading…</p>';
+      window.scrollTo(0, 0);
+    }
+    let content;
     try {
-      const res = await api('POST', '/bookings', {
-        propertyAddress,
-        propertyType,
-        date,
-        time,
-        duration: Number(duration),
-      });
-      outputEl.innerHTML = `<p>Booking created with ID ${res.booking.id}.</p>`;
+      content = await showRoute(path, new URLSearchParams(search));
     } catch (err) {
-      outputEl.innerHTML = `<p class="error">${err.message}</p>`;
+      content = document.createElement('p');
+      content.className = 'error';
+      content.textContent = err.message;
     }
-  });
+    if (ticket === renders) {
+      outputEl.replaceChildren(content);
+    }
+  }
 
-  // My bookings
-  async function loadBookings(listAll) {
-    try {
-      const res = await api('GET', '/bookings');
-      const bookings = res.bookings;
-      if (bookings.length === 0) {
-        outputEl.innerHTML = '<p>No bookings found.</p>';
-        return;
+  /**
+   * Run the view for `path`, resolving to the element it built.
+   */
+  async function showRoute(path, query) {
+    for (const r of routes) {
+      const found = r.regex.exec(path);
+      if (!found) continue;
+      if (!r.roles.includes(currentUser.role)) {
+        throw new Error('This page is not available to your account.');
       }
-      const list = document.createElement('ul');
-      bookings.forEach((b) => {
-        const li = document.createElement('li');
-        li.innerHTML = `<strong>ID ${b.id}</strong> – ${b.propertyAddress} (${b.date} ${b.time}, ${b.duration}h) – Status: ${b.status}`;
-        if (currentUser.role === 'cleaner' && (!b.cleaner || b.cleaner === currentUser.username)) {
-          const btn = document.createElement('button');
-          btn.textContent = b.cleaner ? 'Update Status' : 'Accept Booking';
-          btn.addEventListener('click', async () => {
-            const status = b.cleaner ? prompt('Enter new status (accepted, in_progress, completed):', b.status) : null;
+      const params = {};
+      r.names.forEach((name, i) => {
+        const value = decodeURIComponent(found[i + 1]);
+        params[name] = name.endsWith('Id') ? Number(value) : value;
+      });
+      return r.view(params, query);
+    }
+    throw new Error('Page not found.');
+  }
+
+  window.addEventListener('hashchange', () => render());
+
+  /**
+   * A link to the screen at `path`.
+   */
+  function link(path, text, className) {
+    const a = document.createElement('a');
+    a.href = '#' + path;
+    a.textContent = text;
+    if (className) a.className = className;
+    return a;
+  }
+
+  /**
+   * A heading for a screen, with a link back to `back` (``[path,
+   * label]``) when given.
+   */
+  function screenHeading(title, back) {
+    const header = document.createElement('div');
+    header.className = 'screen-heading';
+    if (back) header.appendChild(link(back[0], '‹ ' + back[1], 'back'));
+    header.appendChild(document.createElement('h3')).textContent = title;
+    return header;
+  }
+
+  /**
+   * A paragraph of plain text.
+   */
+  function paragraph(text, className) {
+    const p = document.createElement('p');
+    p.textContent = text;
+    if (className) p.className = className;
+    return p;
+  }
+
+  /**
+   * A row of buttons for the actions open on a screen.  `button` adds
+   * one that acts straight away; `form` adds one that first opens a
+   * small form below the row for details such as a reason, `fields`
+   * being the HTML of its inputs and `submit` receiving the form.
+   * While an action runs its button is disabled, and if it fails the
+   * error is shown below the row, or next to the form's inputs.
+   */
+  function actionBar() {
+    const element = document.createElement('div');
+    element.className = 'action-bar';
+    const buttons = element.appendChild(document.createElement('div'));
+    const message = element.appendChild(document.createElement('p'));
+    message.className = 'message';
+    let openForm = null;
+    const close = () => {
+      if (openForm) openForm.remove();
+      openForm = null;
+    };
+    const add = (label, onClick) => {
+      const btn = buttons.appendChild(document.createElement('button'));
+      btn.type = 'button';
+      btn.textContent = label;
+      btn.addEventListener('click', () => onClick(btn));
+      return btn;
+    };
+    return {
+      element,
+      button(label, action) {
+        return add(label, async (btn) => {
+          close();
+          message.textContent = '';
+          btn.disabled = true;
+          try {
+            await action();
+          } catch (err) {
+            message.textContent = err.message;
+          } finally {
+            btn.disabled = false;
+          }
+        });
+      },
+      form(label, fields, submit) {
+        return add(label, () => {
+          const wasOpen = openForm && openForm.dataset.label === label;
+          close();
+          message.textContent = '';
+          if (wasOpen) return;
+          const form = document.createElement('form');
+          form.className = 'inline-form';
+          form.dataset.label = label;
+          form.innerHTML =
+            fields +
+            `<button type="submit">${label}</button>` +
+            '<button type="button" class="secondary">Close</button> <span class="message"></span>';
+          form.querySelector('.secondary').addEventListener('click', close);
+          form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const submitBtn = form.querySelector('button[type="submit"]');
+            submitBtn.disabled = true;
             try {
-              const res2 = await api('PUT', '/bookings', { bookingId: b.id, status });
-              alert('Booking updated: status=' + res2.booking.status + ', cleaner=' + res2.booking.cleaner);
-              loadBookings();
+              await submit(form);
+              showFieldErrors(form, null);
             } catch (err) {
-              alert('Error: ' + err.message);
+              form.querySelector('.message').textContent = showFieldErrors(form, err);
+            } finally {
+              submitBtn.disabled = false;
             }
           });
-          li.appendChild(btn);
-        }
-        // Show messages button
-        if ((b.cleaner && b.cleaner === currentUser.username) || b.client === currentUser.username) {
-          const msgBtn = document.createElement('button');
-          msgBtn.textContent = 'Messages';
-          msgBtn.addEventListener('click', () => {
-            showMessages(b.id);
-          });
-          li.appendChild(msgBtn);
+          openForm = element.insertBefore(form, message);
+          const first = form.querySelector('input, select, textarea');
+          if (first) first.focus();
+        });
+      },
+    };
+  }
+
+  /**
+   * The local date and time as ``YYYY-MM-DDTHH:MM``, comparable with
+   * the values of date and time inputs.
+   */
+  function localNow() {
+    const now = new Date();
+    return new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+  }
+
+  /**
+   * Today's date as ``YYYY-MM-DD``, for the ``min`` of date pickers.
+   */
+  function today() {
+    return localNow().slice(0, 10);
+  }
+
+  /**
+   * Escape `text` for use in HTML built as a string.
+   */
+  function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+  }
+
+  /**
+   * The HTML of the options of a select, one per key of `labels`.
+   */
+  function optionsHtml(labels) {
+    return Object.keys(labels)
+      .map((value) => `<option value="${value}">${escapeHtml(labels[value])}</option>`)
+      .join('');
+  }
+
+  // Labels for the events a user can be notified of
+  const NOTIFICATION_EVENTS = {
+    booking_accepted: 'A cleaner accepts my booking',
+    booking_completed: 'A booking is completed',
+    booking_cancelled: 'A booking is cancelled',
+    booking_reassigned: 'A booking of mine is given to another cleaner',
+    booking_reminder: 'Reminder the day before a booking',
+    reschedule_response: 'My request to move a booking is answered',
+    new_message: 'New message',
+    new_rating: 'I receive a rating',
+    dispute_update: 'A dispute about my booking changes',
+  };
+
+  /**
+   * The user's notification settings as a form, with the notifications
+   * sent to them recently below it.
+   */
+  async function notificationsView() {
+    const [res, sent] = await Promise.all([
+      api('GET', '/notifications/settings'),
+      api('GET', '/notifications?limit=20'),
+    ]);
+    const settings = res.settings;
+    const form = document.createElement('form');
+    form.className = 'profile-form';
+    form.innerHTML =
+      '<h3>Notifications</h3>' +
+      '<label>Email <input type="email" name="email" maxlength="254" /></label>' +
+      '<label>Mobile number <input type="tel" name="phone" placeholder="+15551234567" /></label>' +
+      '<table class="notification-events"><tr><th></th><th>Email</th><th>Text</th></tr>' +
+      res.events
+        .map(
+          (event) =>
+            `<tr><td>${escapeHtml(NOTIFICATION_EVENTS[event] || event)}</td>` +
+            res.channels
+              .map(
+                (channel) =>
+                  `<td><input type="checkbox" data-channel="${escapeHtml(channel)}" value="${escapeHtml(event)}" /></td>`
+              )
+              .join('') +
+            '</tr>'
+        )
+        .join('') +
+      '</table>' +
+      '<button type="submit">Save Settings</button> <span class="message"></span>';
+    form.elements.email.value = settings.email || '';
+    form.elements.phone.value = settings.phone || '';
+    form.querySelectorAll('table input').forEach((box) => {
+      box.checked = settings.channels[box.dataset.channel].includes(box.value);
+    });
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const msgEl = form.querySelector('.message');
+      const channels = {};
+      res.channels.forEach((channel) => {
+        channels[channel] = Array.from(form.querySelectorAll(`input[data-channel="${channel}"]:checked`)).map(
+          (box) => box.value
+        );
+      });
+      try {
+        await api('PUT', '/notifications/settings', {
+          email: form.elements.email.value.trim() || null,
+          phone: form.elements.phone.value.trim() || null,
+          channels,
+        });
+        showFieldErrors(form, null);
+        msgEl.textContent = '';
+        setStatus('Notification settings saved');
+      } catch (err) {
+        msgEl.textContent = showFieldErrors(form, err);
+      }
+    });
+    const container = document.createElement('div');
+    container.appendChild(form);
+    container.appendChild(document.createElement('h3')).textContent = 'Recent Notifications';
+    const list = container.appendChild(document.createElement('ul'));
+    sent.notifications.forEach((n) => {
+      const li = document.createElement('li');
+      const what = n.subject || n.text;
+      li.textContent = `${new Date(n.createdAt).toLocaleString()} – ${n.channel} to ${n.to}: ${what} (${n.status})`;
+      list.appendChild(li);
+    });
+    if (!sent.notifications.length) list.replaceWith(paragraph('Nothing sent yet.'));
+    return container;
+  }
+
+  // Cleaner directory: search, filter, sort and page through profiles
+  const SERVICES = [
+    'regular',
+    'deep_clean',
+    'end_of_tenancy',
+    'office',
+    'airbnb_turnover',
+    'inside_oven',
+    'inside_fridge',
+    'windows',
+    'laundry',
+  ];
+
+  /**
+   * Turn a service code such as ``deep_clean`` into a label.
+   */
+  function serviceLabel(code) {
+    const text = code.replace(/_/g, ' ');
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+
+  /**
+   * Show a rating as stars with the review count.
+   */
+  function ratingText(rating) {
+    if (!rating.count) return 'No reviews yet';
+    const stars = Math.round(rating.average);
+    return `${'★'.repeat(stars)}${'☆'.repeat(5 - stars)} ${rating.average} (${rating.count} review${rating.count === 1 ? '' : 's'})`;
+  }
+
+  /**
+   * Build the card for one cleaner in the directory.  Reviews are
+   * fetched when the card's Reviews button is pressed.  `favourites`,
+   * the logged-in client's favourite usernames, adds a favourite toggle
+   * and a link to book the cleaner.
+   */
+  function renderCleanerCard(c, favourites) {
+    const card = document.createElement('li');
+    card.className = 'cleaner-card';
+    if (c.photoUrl) {
+      const img = document.createElement('img');
+      img.src = c.photoUrl;
+      img.alt = c.username;
+      card.appendChild(img);
+    }
+    const name = document.createElement('strong');
+    name.textContent = c.username;
+    card.appendChild(name);
+    const details = [
+      ratingText(c.rating),
+      c.hourlyRate ? `${formatMoney(c.hourlyRate)}/h` : 'Standard rates',
+      c.yearsExperience !== null ? `${c.yearsExperience} years' experience` : null,
+      c.serviceArea,
+      c.distanceKm !== undefined && c.distanceKm !== null ? `${c.distanceKm} km away` : null,
+    ].filter(Boolean);
+    card.appendChild(document.createElement('div')).textContent = details.join(' · ');
+    if (c.services.length) {
+      card.appendChild(document.createElement('div')).textContent = 'Services: ' + c.services.map(serviceLabel).join(', ');
+    }
+    if (c.bio) {
+      card.appendChild(document.createElement('p')).textContent = c.bio;
+    }
+    const bar = actionBar();
+    card.appendChild(bar.element);
+    if (c.rating.count) {
+      bar.button('Reviews', async () => {
+        const existing = card.querySelector('.reviews');
+        if (existing) {
+          existing.remove();
+          return;
         }
-        list.appendChild(li);
+        const res = await api('GET', `/cleaners/${encodeURIComponent(c.username)}/reviews`);
+        const list = document.createElement('ul');
+        list.className = 'reviews';
+        res.reviews.forEach((r) => {
+          const item = document.createElement('li');
+          item.textContent = `${'★'.repeat(r.rating)} ${r.client}, ${r.date}${r.comment ? ': ' + r.comment : ''}`;
+          list.appendChild(item);
+        });
+        card.appendChild(list);
       });
-      outputEl.innerHTML = '<h3>Bookings:</h3>';
-      outputEl.appendChild(list);
-    } catch (err) {
-      outputEl.innerHTML = `<p class="error">${err.message}</p>`;
     }
+    if (favourites) {
+      const label = () => (favourites.has(c.username) ? '★ Favourite' : '☆ Add to Favourites');
+      const favBtn = bar.button(label(), async () => {
+        const res = favourites.has(c.username)
+          ? await api('DELETE', '/favourites/' + encodeURIComponent(c.username))
+          : await api('POST', '/favourites', { cleaner: c.username });
+        favourites.clear();
+        res.favourites.forEach((fav) => favourites.add(fav));
+        favBtn.textContent = label();
+      });
+      bar.element.firstChild.appendChild(
+        link('/bookings/new?' + new URLSearchParams({ cleaner: c.username }).toString(), 'Book', 'button')
+      );
+    }
+    return card;
   }
-  document.getElementById('my-bookings-btn').addEventListener('click', () => loadBookings());
-  document.getElementById('my-assignments-btn').addEventListener('click', () => loadBookings());
-  document.getElementById('all-bookings-btn').addEventListener('click', () => loadBookings());
 
-  // Rate booking
-  document.getElementById('rate-booking-btn').addEventListener('click', async () => {
-    const bookingId = prompt('Enter booking ID to rate:');
-    if (!bookingId) return;
-    const rating = prompt('Enter rating (1-5):');
-    if (!rating) return;
-    const tip = prompt('Enter tip amount (optional):');
-    try {
-      const data = { bookingId: Number(bookingId), rating: Number(rating) };
-      if (tip) data.tip = Number(tip);
-      const res = await api('POST', '/rate', data);
-      outputEl.innerHTML = `<p>Thank you for rating! Rating: ${res.booking.rating}${res.booking.tip ? ', Tip: $' + res.booking.tip : ''}</p>`;
-    } catch (err) {
-      outputEl.innerHTML = `<p class="error">${err.message}</p>`;
+  /**
+   * The cleaner directory matching the GET /cleaners query parameters
+   * in `query`, a page at a time.
+   */
+  async function cleanersView(params, query) {
+    const res = await api('GET', '/cleaners?' + query.toString());
+    let favourites = null;
+    if (currentUser.role === 'client') {
+      favourites = new Set((await apiList('/favourites', 'cleaners')).map((c) => c.username));
     }
-  });
+    const container = document.createElement('div');
+    container.innerHTML =
+      '<h3>Cleaners</h3>' +
+      '<form class="filters"><input type="search" name="q" placeholder="Search" /> ' +
+      '<select name="service"><option value="">Any service</option>' +
+      SERVICES.map((s) => `<option value="${s}">${serviceLabel(s)}</option>`).join('') +
+      '</select> <input type="text" name="area" placeholder="Area" /> ' +
+      '<input type="text" name="postcode" placeholder="Your postcode" size="10" /> ' +
+      '<select name="sort"><option value="name">Name</option><option value="rating">Top rated</option>' +
+      '<option value="price_low">Price: low to high</option><option value="price_high">Price: high to low</option>' +
+      '<option value="experience">Most experienced</option><option value="distance">Nearest</option></select> ' +
+      '<button type="submit">Search</button></form>';
+    const form = container.querySelector('form');
+    const keys = ['q', 'service', 'area', 'postcode', 'sort'];
+    keys.forEach((key) => {
+      if (query.get(key)) form.elements[key].value = query.get(key);
+    });
+    const currentFilters = () => {
+      const values = {};
+      keys.forEach((key) => {
+        if (form.elements[key].value) values[key] = form.elements[key].value;
+      });
+      return values;
+    };
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      navigate('/cleaners', currentFilters());
+    });
+    if (res.cleaners.length === 0) {
+      container.appendChild(paragraph('No cleaners found.'));
+    }
+    const list = document.createElement('ul');
+    list.className = 'cleaners';
+    container.appendChild(list);
+    const more = actionBar();
+    let cursor = null;
+    const show = (page) => {
+      page.cleaners.forEach((c) => list.appendChild(renderCleanerCard(c, favourites)));
+      cursor = page.nextCursor;
+      more.element.classList.toggle('hidden', !cursor);
+    };
+    more.button('More cleaners', async () => {
+      const next = new URLSearchParams(query);
+      next.set('cursor', cursor);
+      show(await api('GET', '/cleaners?' + next.toString()));
+    });
+    container.appendChild(more.element);
+    show(res);
+    return container;
+  }
 
-  // Show messages for a booking
-  async function showMessages(bookingId) {
-    outputEl.innerHTML = '<p>Loading messages…</p>';
-    try {
-      const res = await api('GET', `/messages?bookingId=${bookingId}`);
-      const container = document.createElement('div');
-      container.innerHTML = `<h3>Messages for Booking ${bookingId}</h3>`;
-      const list = document.createElement('ul');
-      res.messages.forEach((m) => {
-        const li = document.createElement('li');
-        li.innerHTML = `<strong>${m.sender}</strong>: ${m.content} <em>(${new Date(m.timestamp).toLocaleString()})</em>`;
-        list.appendChild(li);
+  /**
+   * Format an amount of money in the quote's currency.
+   */
+  function formatMoney(amount, currency) {
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency: currency || 'USD' }).format(amount);
+  }
+
+  // Booking form: fill in the details, get a quote, then confirm it
+  let pricing = null;
+  const REPEATS = {
+    '': 'Does not repeat',
+    'weekly:1': 'Every week',
+    'weekly:2': 'Every 2 weeks',
+    'weekly:4': 'Every 4 weeks',
+    'monthly:1': 'Every month (same weekday)',
+  };
+
+  /**
+   * The price list, fetched once.
+   */
+  async function loadPricing() {
+    if (!pricing) pricing = await api('GET', '/pricing');
+    return pricing;
+  }
+
+  /**
+   * Read the booking form into the body expected by POST /quotes and
+   * POST /bookings.
+   */
+  function bookingDetails(form) {
+    const field = (name) => form.querySelector(`[name="${name}"]`);
+    const extras = Array.from(form.querySelectorAll('.extras input:checked')).map((el) => el.value);
+    const propertyId = Number(field('propertyId').value) || null;
+    const where = propertyId
+      ? { propertyId }
+      : {
+          address: {
+            line1: field('address.line1').value.trim(),
+            line2: field('address.line2').value.trim() || null,
+            city: field('address.city').value.trim(),
+            postcode: field('address.postcode').value.trim(),
+          },
+        };
+    return {
+      ...where,
+      propertyType: field('propertyType').value,
+      date: field('date').value,
+      time: field('time').value,
+      duration: Number(field('duration').value),
+      extras,
+      promoCode: field('promoCode').value.trim() || null,
+      cleaner: field('cleaner').value || null,
+    };
+  }
+
+  /**
+   * Read the repeat settings of the booking form into the schedule
+   * expected by POST /series, or null for a one-off booking.
+   */
+  function seriesSchedule(form, details) {
+    const repeat = form.elements.frequency.value;
+    if (!repeat) return null;
+    const [frequency, interval] = repeat.split(':');
+    const endDate = form.elements.endDate.value || null;
+    return {
+      frequency,
+      interval: Number(interval),
+      startDate: details.date,
+      endDate,
+      count: endDate ? null : Number(form.elements.count.value),
+    };
+  }
+
+  /**
+   * Check what the date and time pickers cannot: that the clean starts
+   * in the future and a repeat ends after it starts.  Returns the
+   * problems by field name, as the server reports them.
+   */
+  function bookingProblems(details, schedule) {
+    const problems = {};
+    if (details.date && details.time && `${details.date}T${details.time}` <= localNow()) {
+      problems.time = 'must be in the future';
+    }
+    if (schedule && schedule.endDate && schedule.endDate < details.date) {
+      problems.endDate = 'must be after the first visit';
+    }
+    return problems;
+  }
+
+  /**
+   * Show an itemised quote in `quoteEl` with a button that books at
+   * that price.  With a repeat schedule the button sets up a regular
+   * clean instead, priced per visit.
+   */
+  function renderQuote(form, quoteEl, quote, details, schedule) {
+    const rows = quote.lines
+      .map((l) => `<tr><td>${escapeHtml(l.description)}</td><td>${formatMoney(l.amount, quote.currency)}</td></tr>`)
+      .join('');
+    quoteEl.innerHTML =
+      `<table>${rows}<tr class="total"><td>Total</td><td>${formatMoney(quote.total, quote.currency)}</td></tr></table>`;
+    const confirmBtn = document.createElement('button');
+    confirmBtn.type = 'button';
+    confirmBtn.textContent = schedule
+      ? `Confirm Regular Clean at ${formatMoney(quote.total, quote.currency)} per Visit`
+      : `Confirm Booking for ${formatMoney(quote.total, quote.currency)}`;
+    confirmBtn.addEventListener('click', async () => {
+      const msgEl = form.querySelector('.message');
+      msgEl.textContent = '';
+      confirmBtn.disabled = true;
+      try {
+        if (schedule) {
+          const res = await api('POST', '/series', { ...details, ...schedule });
+          const visits = res.series.bookings.length;
+          setStatus(`Regular clean set up: ${res.series.schedule}, ${visits} visit(s) booked so far`);
+          navigate('/series');
+        } else {
+          const res = await api('POST', '/bookings', { ...details, quotedTotal: quote.total });
+          const price = formatMoney(res.booking.price.total, res.booking.price.currency);
+          setStatus(`Booking ${res.booking.id} created for ${price}`);
+          navigate(`/bookings/${res.booking.id}`);
+        }
+      } catch (err) {
+        confirmBtn.disabled = false;
+        quoteEl.classList.add('hidden');
+        msgEl.textContent = showFieldErrors(form, err) + ' – please get a new quote.';
+      }
+    });
+    quoteEl.appendChild(confirmBtn);
+    quoteEl.classList.remove('hidden');
+  }
+
+  /**
+   * Fill the booking form's cleaner list with the client's favourite
+   * cleaners first, then every other cleaner.
+   */
+  function fillCleanerOptions(select, favourites, cleaners) {
+    const names = favourites.map((c) => c.username);
+    const group = (label, list) => {
+      const optgroup = document.createElement('optgroup');
+      optgroup.label = label;
+      list.forEach((c) => {
+        const option = document.createElement('option');
+        option.value = c.username;
+        option.textContent = `${c.username} (${c.hourlyRate ? formatMoney(c.hourlyRate) + '/h' : 'standard rates'})`;
+        optgroup.appendChild(option);
       });
-      container.appendChild(list);
-      // Input for new message
-      const input = document.createElement('input');
-      input.type = 'text';
-      input.placeholder = 'Type your message...';
-      const sendBtn = document.createElement('button');
-      sendBtn.textContent = 'Send';
-      sendBtn.addEventListener('click', async () => {
-        const content = input.value.trim();
-        if (!content) return;
+      return optgroup;
+    };
+    if (names.length) select.appendChild(group('Favourites', favourites));
+    select.appendChild(group('Other cleaners', cleaners.filter((c) => !names.includes(c.username))));
+  }
+
+  /**
+   * The booking form.  The pickers refuse dates already past and the
+   * rest is checked by the server when quoting, with problems shown
+   * next to the fields concerned.  `query` may name a ``cleaner`` or a
+   * saved ``propertyId`` to start with.
+   */
+  async function newBookingView(params, query) {
+    const [prices, favourites, all, properties] = await Promise.all([
+      loadPricing(),
+      apiList('/favourites', 'cleaners'),
+      apiList('/cleaners', 'cleaners'),
+      apiList('/properties', 'properties'),
+    ]);
+    const form = document.createElement('form');
+    form.className = 'booking-form';
+    form.innerHTML =
+      '<h3>Book a Clean</h3>' +
+      '<label>Property <select name="propertyId"><option value="">Enter an address</option></select></label>' +
+      '<fieldset class="address">' +
+      '<label>Address <input type="text" name="address.line1" autocomplete="address-line1" required /></label>' +
+      '<label>Address line 2 (optional) <input type="text" name="address.line2" autocomplete="address-line2" /></label>' +
+      '<label>City <input type="text" name="address.city" autocomplete="address-level2" required /></label>' +
+      '<label>Postcode <input type="text" name="address.postcode" autocomplete="postal-code" required /></label>' +
+      '</fieldset>' +
+      `<label>Property type <select name="propertyType">${optionsHtml(PROPERTY_TYPES)}</select></label>` +
+      '<div class="pickers">' +
+      `<label>Date <input type="date" name="date" min="${today()}" required /></label>` +
+      '<label>Start time <input type="time" name="time" step="900" required /></label>' +
+      '<label>Hours <input type="number" name="duration" min="0.5" max="12" step="0.5" value="2" required /></label>' +
+      '</div>' +
+      '<label>Cleaner <select name="cleaner"><option value="">Any available cleaner</option></select></label>' +
+      '<fieldset class="extras"><legend>Extras</legend></fieldset>' +
+      '<label>Promo code <input type="text" name="promoCode" /></label>' +
+      `<label>Repeat <select name="frequency">${optionsHtml(REPEATS)}</select></label>` +
+      '<div class="repeat-end hidden">' +
+      '<label>Number of visits <input type="number" name="count" min="1" max="104" value="8" /></label>' +
+      `<label>Or repeat until <input type="date" name="endDate" min="${today()}" /></label>` +
+      '</div>' +
+      '<button type="submit">Get Quote</button> <span class="message"></span>' +
+      '<div class="quote hidden"></div>';
+    const quoteEl = form.querySelector('.quote');
+    const propertySelect = form.elements.propertyId;
+    prices.extras.forEach((extra) => {
+      const label = document.createElement('label');
+      const input = label.appendChild(document.createElement('input'));
+      input.type = 'checkbox';
+      input.value = extra.code;
+      label.append(` ${extra.label} (${formatMoney(extra.price, prices.currency)})`);
+      form.querySelector('.extras').appendChild(label);
+    });
+    properties.forEach((p) => {
+      const option = document.createElement('option');
+      option.value = p.id;
+      option.dataset.type = p.propertyType;
+      option.textContent = p.name;
+      propertySelect.appendChild(option);
+    });
+    fillCleanerOptions(form.elements.cleaner, favourites, all);
+    const propertyId = query.get('propertyId');
+    propertySelect.value = properties.some((p) => String(p.id) === propertyId) ? propertyId : '';
+    form.elements.cleaner.value = query.get('cleaner') || '';
+    // Only ask for an address when no saved property is chosen, and
+    // price a saved one as its own type
+    const usePropertyChoice = () => {
+      const option = propertySelect.selectedOptions[0];
+      const saved = Boolean(option && option.value);
+      const addressEl = form.querySelector('.address');
+      addressEl.classList.toggle('hidden', saved);
+      addressEl.disabled = saved;
+      if (saved) form.elements.propertyType.value = option.dataset.type;
+    };
+    usePropertyChoice();
+    propertySelect.addEventListener('change', usePropertyChoice);
+    form.elements.frequency.addEventListener('change', (e) => {
+      form.querySelector('.repeat-end').classList.toggle('hidden', !e.target.value);
+      // Promo codes only apply to one-off bookings
+      form.elements.promoCode.disabled = Boolean(e.target.value);
+    });
+    // Any change to the form invalidates the quote shown
+    form.addEventListener('input', () => quoteEl.classList.add('hidden'));
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const msgEl = form.querySelector('.message');
+      msgEl.textContent = '';
+      const details = bookingDetails(form);
+      const schedule = seriesSchedule(form, details);
+      if (schedule) details.promoCode = null;
+      const problems = bookingProblems(details, schedule);
+      if (Object.keys(problems).length) {
+        quoteEl.classList.add('hidden');
+        msgEl.textContent = showFieldErrors(form, { fields: problems, summary: 'Please check the highlighted fields' });
+        return;
+      }
+      try {
+        const res = await api('POST', '/quotes', details);
+        showFieldErrors(form, null);
+        renderQuote(form, quoteEl, res.quote, details, schedule);
+      } catch (err) {
+        quoteEl.classList.add('hidden');
+        msgEl.textContent = showFieldErrors(form, err);
+      }
+    });
+    return form;
+  }
+
+  /**
+   * Build an ordered list showing each status change of a booking.
+   * @param {Array} history entries from GET /bookings/:id/history
+   */
+  function renderTimeline(history) {
+    const list = document.createElement('ol');
+    list.className = 'timeline';
+    if (history.length === 0) {
+      list.innerHTML = '<li>No recorded changes.</li>';
+    }
+    history.forEach((h) => {
+      const item = document.createElement('li');
+      const change = h.from ? `${h.from} → ${h.to}` : `created (${h.to})`;
+      item.textContent = `${new Date(h.timestamp).toLocaleString()}: ${change} by ${h.by}${h.note ? ' – ' + h.note : ''}`;
+      list.appendChild(item);
+    });
+    return list;
+  }
+
+  /**
+   * A badge showing a booking or dispute status.
+   */
+  function statusBadge(status) {
+    const badge = document.createElement('span');
+    badge.className = `badge status-${status}`;
+    badge.textContent = status.replace('_', ' ');
+    return badge;
+  }
+
+  /**
+   * A definition list of the `[label, value]` pairs in `rows`, leaving
+   * out those without a value.  Values may be text or elements.
+   */
+  function detailList(rows) {
+    const list = document.createElement('dl');
+    list.className = 'details';
+    rows
+      .filter(([, value]) => value)
+      .forEach(([label, value]) => {
+        list.appendChild(document.createElement('dt')).textContent = label;
+        list.appendChild(document.createElement('dd')).append(value);
+      });
+    return list;
+  }
+
+  // The heading of the bookings list for each role
+  const BOOKING_LISTS = { client: 'My Bookings', cleaner: 'My Assignments', admin: 'All Bookings' };
+
+  /**
+   * The user's bookings, or every booking for admins, latest first.
+   * Each links to its own page, where everything about it is done.
+   */
+  async function bookingsView() {
+    const bookings = await apiList('/bookings?sort=-date', 'bookings');
+    const container = document.createElement('div');
+    container.appendChild(screenHeading(BOOKING_LISTS[currentUser.role]));
+    if (currentUser.role === 'client') {
+      container.appendChild(link('/bookings/new', 'Book a Clean', 'button'));
+    }
+    if (bookings.length === 0) {
+      container.appendChild(paragraph('No bookings found.'));
+    }
+    const list = container.appendChild(document.createElement('ul'));
+    list.className = 'booking-list';
+    bookings.forEach((b) => {
+      const li = list.appendChild(document.createElement('li'));
+      li.appendChild(link(`/bookings/${b.id}`, `${b.date} ${b.time} – ${b.propertyAddress}`));
+      li.append(' ', statusBadge(b.status));
+      const notes = [
+        b.price ? formatMoney(b.price.total, b.price.currency) : null,
+        currentUser.role !== 'cleaner' && b.cleaner ? `with ${b.cleaner}` : null,
+        b.unreadMessages ? `${b.unreadMessages} unread message(s)` : null,
+        b.rescheduleRequest ? `move to ${b.rescheduleRequest.date} ${b.rescheduleRequest.time} proposed` : null,
+        b.dispute && b.dispute.status !== 'resolved' ? 'disputed' : null,
+        b.client === currentUser.username && b.status === 'completed' && b.rating === null
+          ? 'waiting for your rating'
+          : null,
+      ].filter(Boolean);
+      if (notes.length) li.appendChild(document.createElement('small')).textContent = notes.join(' · ');
+    });
+    reloadOnChange(list, ['booking', 'dispute'], () => render(true));
+    return container;
+  }
+
+  // Moves the assigned cleaner can make from each status
+  const CLEANER_MOVES = {
+    accepted: { in_progress: 'Started', no_show: 'Client not there', cancelled: 'Cancelled' },
+    in_progress: { completed: 'Completed' },
+  };
+  const FINAL_STATUSES = ['completed', 'cancelled', 'declined', 'no_show'];
+
+  /**
+   * The checklist of booking `b`, which the assigned cleaner ticks off
+   * while the job is in progress.
+   */
+  function renderChecklist(b) {
+    const container = document.createElement('div');
+    const done = b.checklist.filter((item) => item.done).length;
+    container.appendChild(document.createElement('h4')).textContent = `Checklist: ${done}/${b.checklist.length} done`;
+    const checklist = container.appendChild(document.createElement('ul'));
+    checklist.className = 'checklist';
+    const msgEl = container.appendChild(paragraph('', 'message'));
+    const ticking = b.cleaner === currentUser.username && b.status === 'in_progress';
+    b.checklist.forEach((item) => {
+      const entry = document.createElement('li');
+      const label = document.createElement('label');
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.checked = item.done;
+      box.disabled = !ticking;
+      const text = document.createElement('span');
+      text.textContent = (item.room ? `${item.room}: ` : '') + item.task;
+      text.classList.toggle('done', item.done);
+      box.addEventListener('change', async () => {
+        msgEl.textContent = '';
         try {
-          await api('POST', '/messages', { bookingId, content });
-          input.value = '';
-          showMessages(bookingId);
+          await api('PATCH', `/bookings/${b.id}/checklist/${item.id}`, { done: box.checked });
+          text.classList.toggle('done', box.checked);
         } catch (err) {
-          alert('Error: ' + err.message);
+          box.checked = !box.checked;
+          msgEl.textContent = err.message;
         }
       });
-      container.appendChild(input);
-      container.appendChild(sendBtn);
-      outputEl.innerHTML = '';
-      outputEl.appendChild(container);
-    } catch (err) {
-      outputEl.innerHTML = `<p class="error">${err.message}</p>`;
+      label.append(box, ' ', text);
+      if (item.doneAt) {
+        label.append(` (${new Date(item.doneAt).toLocaleTimeString()})`);
+      }
+      entry.appendChild(label);
+      checklist.appendChild(entry);
+    });
+    return container;
+  }
+
+  /**
+   * The form a client rates completed booking `b` with, adding an
+   * optional review and tip.
+   */
+  function ratingForm(b) {
+    const form = document.createElement('form');
+    form.className = 'rating-form';
+    form.innerHTML =
+      '<h4>Rate this clean</h4>' +
+      '<fieldset class="stars" name="rating"><legend>Rating</legend>' +
+      [5, 4, 3, 2, 1]
+        .map((n) => `<label><input type="radio" name="rating" value="${n}" required /> ${'★'.repeat(n)}</label>`)
+        .join('') +
+      '</fieldset>' +
+      '<label>Review (optional) <textarea name="comment" maxlength="1000" rows="3"></textarea></label>' +
+      '<label>Tip (optional) <input type="number" name="tip" min="0" max="1000" step="0.5" /></label>' +
+      '<button type="submit">Submit Rating</button> <span class="message"></span>';
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const tip = form.elements.tip.value;
+      try {
+        await api('POST', `/bookings/${b.id}/rating`, {
+          rating: Number(form.elements.rating.value),
+          comment: form.elements.comment.value.trim() || null,
+          tip: tip ? Number(tip) : null,
+        });
+        setStatus('Thank you for your rating');
+        render(true);
+      } catch (err) {
+        form.querySelector('.message').textContent = showFieldErrors(form, err);
+      }
+    });
+    return form;
+  }
+
+  /**
+   * Add the actions open to the current user on booking `b` to `bar`.
+   */
+  function addBookingActions(bar, b) {
+    const me = currentUser.username;
+    const reasonField = (label) =>
+      `<label>${label} <textarea name="reason" maxlength="500" rows="2"></textarea></label>`;
+    const done = (message) => {
+      setStatus(message);
+      render(true);
+    };
+    if (currentUser.role === 'cleaner' && !b.cleaner && b.status === 'pending') {
+      bar.button('Accept Booking', async () => {
+        await api('POST', `/jobs/${b.id}/claim`);
+        done(`Booking ${b.id} is now yours`);
+      });
+      if (b.cleanerRequest && b.cleanerRequest.status === 'pending' && b.cleanerRequest.cleaner === me) {
+        bar.form('Decline', reasonField('Reason (optional)'), async (form) => {
+          await api('POST', `/jobs/${b.id}/decline`, { reason: form.elements.reason.value.trim() || null });
+          setStatus(`Booking ${b.id} declined`);
+          navigate('/jobs');
+        });
+      }
+    }
+    if (b.cleaner === me && CLEANER_MOVES[b.status]) {
+      bar.form(
+        'Update Status',
+        `<label>New status <select name="status">${optionsHtml(CLEANER_MOVES[b.status])}</select></label>` +
+          '<label>Note (optional) <input type="text" name="note" maxlength="500" /></label>',
+        async (form) => {
+          const res = await api('PATCH', `/bookings/${b.id}`, {
+            status: form.elements.status.value,
+            note: form.elements.note.value.trim() || null,
+          });
+          done(`Booking ${b.id} is now ${res.booking.status.replace('_', ' ')}`);
+        }
+      );
+    }
+    if (b.cleaner === me && b.rescheduleRequest) {
+      [true, false].forEach((accept) => {
+        bar.button(accept ? 'Accept Move' : 'Decline Move', async () => {
+          await api('POST', `/bookings/${b.id}/reschedule/response`, { accept });
+          done(accept ? 'Booking moved' : 'Move declined');
+        });
+      });
+    }
+    // Clients can cancel or move bookings that have not started
+    if (b.client === me && ['pending', 'accepted'].includes(b.status)) {
+      bar.form(
+        'Reschedule',
+        '<div class="pickers">' +
+          `<label>New date <input type="date" name="date" min="${today()}" value="${b.date}" required /></label>` +
+          `<label>Start time <input type="time" name="time" step="900" value="${b.time}" required /></label>` +
+          '</div>',
+        async (form) => {
+          const res = await api('POST', `/bookings/${b.id}/reschedule`, {
+            date: form.elements.date.value,
+            time: form.elements.time.value,
+          });
+          done(res.booking.rescheduleRequest ? 'Proposal sent to your cleaner' : 'Booking moved');
+        }
+      );
+      bar.form('Cancel Booking', reasonField('Reason for cancelling (optional)'), async (form) => {
+        const res = await api('POST', `/bookings/${b.id}/cancel`, {
+          reason: form.elements.reason.value.trim() || null,
+        });
+        const fee = res.booking.cancellation.fee;
+        done('Booking cancelled' + (fee ? `; a late cancellation fee of ${formatMoney(fee)} applies` : ''));
+      });
+    }
+    // Admins can move a booking to another cleaner or cancel it outright
+    if (currentUser.role === 'admin' && !FINAL_STATUSES.includes(b.status)) {
+      if (b.status !== 'in_progress') {
+        bar.form(
+          'Reassign',
+          '<label>Cleaner (username) <input type="text" name="cleaner" maxlength="32" required /></label>',
+          async (form) => {
+            await api('POST', `/admin/bookings/${b.id}/reassign`, { cleaner: form.elements.cleaner.value.trim() });
+            done(`Booking ${b.id} reassigned`);
+          }
+        );
+      }
+      bar.form('Force Cancel', reasonField('Reason for cancelling'), async (form) => {
+        await api('POST', `/admin/bookings/${b.id}/cancel`, { reason: form.elements.reason.value.trim() || null });
+        done(`Booking ${b.id} cancelled`);
+      });
+    }
+    if (currentUser.role === 'admin' && b.payment && b.payment.captured > b.payment.refunded) {
+      bar.form(
+        'Refund',
+        '<label>Amount (leave blank for the full amount) <input type="number" name="amount" min="0.01" step="0.01" /></label>' +
+          reasonField('Reason for the refund'),
+        async (form) => {
+          const amount = form.elements.amount.value;
+          await api('POST', `/admin/bookings/${b.id}/refund`, {
+            amount: amount ? Number(amount) : null,
+            reason: form.elements.reason.value.trim() || null,
+          });
+          done(`Refund of booking ${b.id} requested`);
+        }
+      );
     }
   }
 
-  // Initial UI update
-  updateDashboard();
+  /**
+   * Everything about one booking, with the actions open to the current
+   * user, its checklist, history and payments.
+   */
+  async function bookingView({ bookingId }) {
+    const { booking: b } = await api('GET', `/bookings/${bookingId}`);
+    const party = [b.client, b.cleaner].includes(currentUser.username);
+    const involved = party || currentUser.role === 'admin';
+    const [history, ledger] = await Promise.all([
+      involved ? api('GET', `/bookings/${b.id}/history`) : null,
+      involved && b.payment ? api('GET', `/bookings/${b.id}/payments`) : null,
+    ]);
+    const container = document.createElement('div');
+    container.className = 'booking';
+    const back = involved ? ['/bookings', BOOKING_LISTS[currentUser.role]] : ['/jobs', 'Open Jobs'];
+    const heading = container.appendChild(screenHeading(`Booking ${b.id}`, back));
+    heading.querySelector('h3').append(' ', statusBadge(b.status));
+    const request = b.cleanerRequest;
+    let cleaner = b.cleaner;
+    if (!cleaner && request && request.status === 'pending') {
+      cleaner = `Requested from ${request.cleaner} until ${new Date(request.expiresAt).toLocaleString()}`;
+    } else if (!cleaner && request && request.status !== 'accepted') {
+      const outcome = request.status === 'declined' ? 'declined' : 'did not respond';
+      cleaner = `${request.cleaner} ${outcome}, open to all cleaners`;
+    }
+    const size = b.property ? propertySize(b.property.size) : '';
+    container.appendChild(
+      detailList([
+        ['When', `${b.date} at ${b.time} for ${b.duration}h`],
+        ['Where', b.propertyAddress + (b.property ? ` (${b.property.name})` : '')],
+        ['Property', (PROPERTY_TYPES[b.propertyType] || b.propertyType) + (size ? `, ${size}` : '')],
+        ['Client', b.client],
+        ['Cleaner', cleaner || 'Not yet assigned'],
+        ['Price', b.price && formatMoney(b.price.total, b.price.currency)],
+        ['Payment', b.payment && b.payment.status.replace('_', ' ') + (b.payment.pending ? ', pending' : '')],
+        ['Regular clean', b.seriesId && currentUser.role === 'client' ? link('/series', `Series ${b.seriesId}`) : null],
+        [
+          'Cancelled',
+          b.cancellation &&
+            `By ${b.cancellation.by}` +
+              (b.cancellation.reason ? `: ${b.cancellation.reason}` : '') +
+              (b.cancellation.fee ? ` (fee ${formatMoney(b.cancellation.fee)})` : ''),
+        ],
+        ['Move proposed', b.rescheduleRequest && `${b.rescheduleRequest.date} at ${b.rescheduleRequest.time}`],
+        [
+          'Rating',
+          b.rating !== null &&
+            '★'.repeat(b.rating) +
+              (b.review ? ` – ${b.review}` : '') +
+              (b.tip ? ` (tip ${formatMoney(b.tip)})` : ''),
+        ],
+        ['Access', b.property && b.property.accessNotes],
+      ])
+    );
+    const bar = actionBar();
+    addBookingActions(bar, b);
+    if (party) {
+      bar.element.firstChild.appendChild(
+        link(
+          `/bookings/${b.id}/messages`,
+          b.unreadMessages ? `Messages (${b.unreadMessages} unread)` : 'Messages',
+          'button'
+        )
+      );
+    }
+    if (b.client === currentUser.username && b.status === 'completed' && !b.dispute) {
+      bar.element.firstChild.appendChild(link(`/bookings/${b.id}/dispute`, 'Report a Problem', 'button'));
+    }
+    if (bar.element.firstChild.childElementCount) container.appendChild(bar.element);
+    if (b.client === currentUser.username && b.status === 'completed' && b.rating === null) {
+      container.appendChild(ratingForm(b));
+    }
+    if (b.checklist && b.checklist.length) {
+      container.appendChild(renderChecklist(b));
+    }
+    if (b.dispute) {
+      container.appendChild(renderDispute(b.dispute));
+    }
+    if (history) {
+      container.appendChild(document.createElement('h4')).textContent = 'History';
+      container.appendChild(renderTimeline(history.history));
+    }
+    if (ledger && ledger.entries.length) {
+      container.appendChild(document.createElement('h4')).textContent = 'Payments';
+      const list = container.appendChild(document.createElement('ol'));
+      list.className = 'ledger';
+      ledger.entries.forEach((e) => {
+        list.appendChild(document.createElement('li')).textContent =
+          `${new Date(e.createdAt).toLocaleString()}: ${e.type} ${formatMoney(e.amount, e.currency)} – ${e.status}` +
+          (e.failureReason ? ` (${e.failureReason})` : '');
+      });
+    }
+    // Only changes to this booking redraw it, so that a form being
+    // filled in is not lost to news about other bookings
+    liveView = {
+      element: container,
+      update(type, data) {
+        if (type === 'resync') render(true);
+        if (type === 'booking' && data.booking.id === b.id) render(true);
+        if (type === 'dispute' && data.dispute.bookingId === b.id) render(true);
+      },
+    };
+    return container;
+  }
+
+  /**
+   * The conversation about one booking.  New messages and read receipts
+   * arrive over the event stream, including the user's own messages.
+   */
+  async function messagesView({ bookingId }) {
+    const messages = await apiList(`/bookings/${bookingId}/messages`, 'messages');
+    const container = document.createElement('div');
+    container.className = 'chat';
+    container.appendChild(screenHeading(`Messages for Booking ${bookingId}`, [`/bookings/${bookingId}`, 'Booking']));
+    const list = container.appendChild(document.createElement('ul'));
+    list.className = 'messages';
+    // Read receipts of our own messages, by message id
+    const receipts = new Map();
+    const showReceipt = (m) => {
+      const readers = Object.keys(m.readBy || {});
+      receipts.get(m.id).textContent = readers.length
+        ? ` ✓ Read ${new Date(m.readBy[readers[0]]).toLocaleString()}`
+        : ' Sent';
+    };
+    const addMessage = (m) => {
+      const li = document.createElement('li');
+      const time = ` (${new Date(m.timestamp).toLocaleString()})`;
+      if (m.system) {
+        li.className = 'system';
+        li.appendChild(document.createElement('em')).textContent = m.content + time;
+      } else {
+        li.classList.toggle('own', m.sender === currentUser.username);
+        li.appendChild(document.createElement('strong')).textContent = m.sender;
+        li.appendChild(document.createTextNode(': ' + m.content));
+        li.appendChild(document.createElement('em')).textContent = time;
+      }
+      if (m.sender === currentUser.username) {
+        receipts.set(m.id, li.appendChild(document.createElement('small')));
+        showReceipt(m);
+      }
+      if (m.attachment) {
+        li.appendChild(attachedImage(`/messages/${m.id}/attachment`, m.attachment.filename));
+      }
+      list.appendChild(li);
+    };
+    const markRead = () => api('POST', `/bookings/${bookingId}/messages/read`).catch(() => {});
+    messages.forEach(addMessage);
+    if (!messages.length) list.appendChild(paragraph('No messages yet.', 'empty'));
+    markRead();
+    liveView = {
+      element: list,
+      update(type, data) {
+        if (type === 'resync') render(true);
+        if (type === 'message' && data.message.bookingId === bookingId) {
+          const empty = list.querySelector('.empty');
+          if (empty) empty.remove();
+          addMessage(data.message);
+          if (data.message.sender !== currentUser.username) markRead();
+        }
+        if (type === 'read' && data.bookingId === bookingId && data.reader !== currentUser.username) {
+          data.messageIds
+            .filter((id) => receipts.has(id))
+            .forEach((id) => showReceipt({ id, readBy: { [data.reader]: data.readAt } }));
+        }
+      },
+    };
+    // Photos are sent as the raw file, with the typed text as caption
+    const form = container.appendChild(document.createElement('form'));
+    form.className = 'chat-form';
+    form.innerHTML =
+      '<input type="text" name="content" maxlength="2000" placeholder="Type your message..." autocomplete="off" />' +
+      '<button type="submit">Send</button>' +
+      '<label class="photo">Photo <input type="file" name="photo" accept="image/jpeg,image/png,image/gif,image/webp" /></label>' +
+      '<p class="message"></p>';
+    const msgEl = form.querySelector('.message');
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const content = form.elements.content.value.trim();
+      const file = form.elements.photo.files[0];
+      if (!content && !file) return;
+      msgEl.textContent = '';
+      const sendBtn = form.querySelector('button');
+      sendBtn.disabled = true;
+      try {
+        if (file) {
+          const params = new URLSearchParams({ filename: file.name });
+          if (content) params.set('content', content);
+          await uploadImage(`/bookings/${bookingId}/attachments?` + params.toString(), file);
+        } else {
+          await api('POST', `/bookings/${bookingId}/messages`, { content });
+        }
+        form.reset();
+        if (!eventSource) render(true);
+      } catch (err) {
+        msgEl.textContent = err.message;
+      } finally {
+        sendBtn.disabled = false;
+      }
+    });
+    return container;
+  }
+
+  // Job board: unassigned pending bookings that a cleaner can claim
+  const JOB_FILTERS = ['from', 'to', 'propertyType', 'maxDuration', 'sort'];
+
+  /**
+   * The open jobs matching the filters in `query`, which the form at
+   * the top changes.
+   */
+  async function jobsView(params, query) {
+    const filters = {};
+    JOB_FILTERS.forEach((key) => {
+      if (query.get(key)) filters[key] = query.get(key);
+    });
+    const jobs = await apiList('/jobs?' + new URLSearchParams(filters).toString(), 'jobs');
+    const container = document.createElement('div');
+    container.appendChild(screenHeading('Open Jobs'));
+    const form = container.appendChild(document.createElement('form'));
+    form.className = 'filters';
+    form.innerHTML =
+      '<label>From <input type="date" name="from" /></label>' +
+      '<label>To <input type="date" name="to" /></label>' +
+      `<label>Property type <select name="propertyType"><option value="">Any</option>${optionsHtml(PROPERTY_TYPES)}</select></label>` +
+      '<label>Max duration (hours) <input type="number" name="maxDuration" min="1" /></label>' +
+      '<label>Sort by <select name="sort"><option value="distance">Nearest first</option>' +
+      '<option value="date">Soonest first</option></select></label>';
+    Object.keys(filters).forEach((key) => {
+      form.elements[key].value = filters[key];
+    });
+    form.addEventListener('change', () => {
+      const values = {};
+      JOB_FILTERS.forEach((key) => {
+        if (form.elements[key].value) values[key] = form.elements[key].value;
+      });
+      navigate('/jobs', values, true);
+    });
+    form.addEventListener('submit', (e) => e.preventDefault());
+    if (jobs.length === 0) {
+      container.appendChild(paragraph('No open jobs match your filters.'));
+    }
+    const list = container.appendChild(document.createElement('ul'));
+    list.className = 'booking-list';
+    jobs.forEach((b) => {
+      const li = list.appendChild(document.createElement('li'));
+      li.appendChild(link(`/bookings/${b.id}`, `${b.date} ${b.time} – ${b.propertyAddress}`));
+      const requested = b.cleanerRequest && b.cleanerRequest.status === 'pending';
+      const notes = [
+        `${PROPERTY_TYPES[b.propertyType] || b.propertyType}, ${b.duration}h`,
+        b.price ? formatMoney(b.price.total, b.price.currency) : null,
+        b.distanceKm !== null ? `${b.distanceKm} km away` : null,
+        b.property && propertySize(b.property.size),
+        requested ? `requested for you, expires ${new Date(b.cleanerRequest.expiresAt).toLocaleString()}` : null,
+      ].filter(Boolean);
+      li.appendChild(document.createElement('small')).textContent = notes.join(' · ');
+      const bar = actionBar();
+      bar.button('Accept Booking', async () => {
+        await api('POST', `/jobs/${b.id}/claim`);
+        setStatus(`Booking ${b.id} is now yours`);
+        navigate(`/bookings/${b.id}`);
+      });
+      if (requested) {
+        bar.form(
+          'Decline',
+          '<label>Reason (optional) <textarea name="reason" maxlength="500" rows="2"></textarea></label>',
+          async (declineForm) => {
+            await api('POST', `/jobs/${b.id}/decline`, { reason: declineForm.elements.reason.value.trim() || null });
+            setStatus(`Booking ${b.id} declined`);
+            render(true);
+          }
+        );
+      }
+      li.appendChild(bar.element);
+    });
+    reloadOnChange(list, ['booking'], () => render(true));
+    return container;
+  }
+
+  // Cleaner availability: weekly working hours and blackout dates
+  async function availabilityView() {
+    const res = await api('GET', '/availability');
+    const a = res.availability;
+    const container = document.createElement('div');
+    container.appendChild(screenHeading('My Availability'));
+    const hours = a.weeklyHours.length
+      ? a.weeklyHours.map((w) => `${w.day} ${w.start}–${w.end}`).join(', ')
+      : 'Not published (any time)';
+    container.appendChild(paragraph(`Working hours: ${hours}`));
+    const bar = actionBar();
+    bar.form(
+      'Set Working Hours',
+      '<label>Windows as day start-end, comma separated (e.g. mon 09:00-17:00, tue 09:00-13:00) ' +
+        `<input type="text" name="weeklyHours" value="${escapeHtml(
+          a.weeklyHours.map((w) => `${w.day} ${w.start}-${w.end}`).join(', ')
+        )}" /></label>`,
+      async (form) => {
+        const weeklyHours = form.elements.weeklyHours.value
+          .split(',')
+          .map((part) => part.trim())
+          .filter(Boolean)
+          .map((part) => {
+            const [day, range] = part.split(/\s+/);
+            const [start, end] = (range || '').split('-');
+            return { day: day.toLowerCase(), start, end };
+          });
+        await api('PUT', '/availability/hours', { weeklyHours });
+        setStatus('Working hours saved');
+        render(true);
+      }
+    );
+    container.appendChild(bar.element);
+    container.appendChild(document.createElement('h4')).textContent = 'Days off';
+    const list = container.appendChild(document.createElement('ul'));
+    a.blackoutDates.forEach((date) => {
+      const li = list.appendChild(document.createElement('li'));
+      li.textContent = date;
+      const removeBar = actionBar();
+      removeBar.button('Remove', async () => {
+        await api('DELETE', '/availability/blackouts/' + encodeURIComponent(date));
+        render(true);
+      });
+      li.appendChild(removeBar.element);
+    });
+    const form = container.appendChild(document.createElement('form'));
+    form.className = 'inline-form';
+    form.innerHTML =
+      `<label>Date <input type="date" name="date" min="${today()}" required /></label>` +
+      '<button type="submit">Add Day Off</button> <span class="message"></span>';
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      try {
+        await api('POST', '/availability/blackouts', { date: form.elements.date.value });
+        render(true);
+      } catch (err) {
+        form.querySelector('.message').textContent = showFieldErrors(form, err);
+      }
+    });
+    return container;
+  }
+
+  /**
+   * Build a table with a header row from `columns` (``[key, label]``
+   * pairs) and one row per item in `rows`.  Money columns are those
+   * listed in `money`.
+   */
+  function renderTable(columns, rows, money, currency) {
+    const table = document.createElement('table');
+    table.className = 'report';
+    const head = columns.map(([, label]) => `<th>${escapeHtml(label)}</th>`).join('');
+    const body = rows
+      .map((row) => {
+        const cells = columns.map(([key]) => {
+          const value = money.includes(key) ? formatMoney(row[key], currency) : row[key];
+          return `<td>${escapeHtml(value)}</td>`;
+        });
+        return `<tr>${cells.join('')}</tr>`;
+      })
+      .join('');
+    table.innerHTML = `<thead><tr>${head}</tr></thead><tbody>${body}</tbody>`;
+    return table;
+  }
+
+  // Cleaner earnings: period totals, weekly totals and per-job breakdown
+  async function earningsView(params, query) {
+    const from = query.get('from') || '';
+    const to = query.get('to') || '';
+    const period = new URLSearchParams();
+    if (from) period.set('from', from);
+    if (to) period.set('to', to);
+    const search = period.toString() ? '?' + period.toString() : '';
+    const [res, payouts] = await Promise.all([api('GET', '/earnings' + search), apiList('/payouts', 'payouts')]);
+    const money = ['jobAmount', 'tips', 'commission', 'net', 'paidOut', 'pendingPayout', 'unpaid', 'amount'];
+    const t = res.totals;
+    const container = document.createElement('div');
+    container.innerHTML =
+      '<h3>My Earnings</h3>' +
+      `<form class="filters"><label>From <input type="date" name="from" value="${escapeHtml(from)}" /></label>` +
+      `<label>To <input type="date" name="to" value="${escapeHtml(to)}" /></label>` +
+      '<button type="submit">Show</button></form>' +
+      `<p>${t.jobs} jobs: ${formatMoney(t.jobAmount, res.currency)} for cleaning and ` +
+      `${formatMoney(t.tips, res.currency)} in tips, less ${formatMoney(t.commission, res.currency)} ` +
+      `commission (${res.commissionPercent}%). <strong>You earned ${formatMoney(t.net, res.currency)}</strong>; ` +
+      `${formatMoney(t.paidOut, res.currency)} paid, ${formatMoney(t.pendingPayout, res.currency)} awaiting ` +
+      `approval and ${formatMoney(t.unpaid, res.currency)} not yet in a payout.</p>`;
+    const form = container.querySelector('form');
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const values = {};
+      if (form.elements.from.value) values.from = form.elements.from.value;
+      if (form.elements.to.value) values.to = form.elements.to.value;
+      navigate('/earnings', values);
+    });
+    const bar = actionBar();
+    bar.button('Download CSV', () => download('/earnings/statement.csv' + search));
+    container.appendChild(bar.element);
+    container.appendChild(document.createElement('h4')).textContent = 'By week';
+    container.appendChild(
+      renderTable(
+        [['weekStart', 'Week of'], ['jobs', 'Jobs'], ['tips', 'Tips'], ['commission', 'Commission'], ['net', 'Net']],
+        res.weeks,
+        money,
+        res.currency
+      )
+    );
+    container.appendChild(document.createElement('h4')).textContent = 'Jobs';
+    container.appendChild(
+      renderTable(
+        [
+          ['date', 'Date'],
+          ['bookingId', 'Booking'],
+          ['status', 'Status'],
+          ['jobAmount', 'Cleaning'],
+          ['tips', 'Tips'],
+          ['commission', 'Commission'],
+          ['net', 'Net'],
+          ['unpaid', 'Not yet paid'],
+        ],
+        res.jobs,
+        money,
+        res.currency
+      )
+    );
+    container.appendChild(document.createElement('h4')).textContent = 'Payouts';
+    container.appendChild(
+      renderTable(
+        [['weekStart', 'Week of'], ['status', 'Status'], ['total', 'Amount']],
+        payouts,
+        ['total'],
+        res.currency
+      )
+    );
+    return container;
+  }
+
+  // Cleaner's own profile, as shown in the cleaner directory, including
+  // the hourly rate clients are quoted
+  async function profileView() {
+    const res = await api('GET', `/cleaners/${encodeURIComponent(currentUser.username)}`);
+    const c = res.cleaner;
+    const form = document.createElement('form');
+    form.className = 'profile-form';
+    form.innerHTML =
+      '<h3>My Profile</h3>' +
+      '<label>Bio <textarea name="bio" maxlength="1000" rows="4"></textarea></label>' +
+      '<fieldset name="services"><legend>Services</legend>' +
+      SERVICES.map((s) => `<label><input type="checkbox" value="${s}" /> ${serviceLabel(s)}</label>`).join('') +
+      '</fieldset>' +
+      '<label>Service area <input type="text" name="serviceArea" maxlength="100" /></label>' +
+      '<label>Postcodes I cover (comma separated) <input type="text" name="servicePostcodes" /></label>' +
+      '<label>Base postcode <input type="text" name="basePostcode" maxlength="10" /></label>' +
+      '<label>Or within (km of my base) <input type="number" name="serviceRadiusKm" min="1" max="200" /></label>' +
+      '<label>Hourly rate (blank for standard rates) <input type="number" name="hourlyRate" min="1" max="500" step="0.5" /></label>' +
+      '<label>Years of experience <input type="number" name="yearsExperience" min="0" max="60" /></label>' +
+      '<label>Photo URL <input type="url" name="photoUrl" maxlength="500" /></label>' +
+      '<button type="submit">Save Profile</button> <span class="message"></span>';
+    form.elements.bio.value = c.bio || '';
+    form.elements.serviceArea.value = c.serviceArea || '';
+    form.elements.servicePostcodes.value = c.servicePostcodes.join(', ');
+    form.elements.basePostcode.value = c.basePostcode || '';
+    form.elements.serviceRadiusKm.value = c.serviceRadiusKm || '';
+    form.elements.hourlyRate.value = c.hourlyRate || '';
+    form.elements.yearsExperience.value = c.yearsExperience === null ? '' : c.yearsExperience;
+    form.elements.photoUrl.value = c.photoUrl || '';
+    form.querySelectorAll('fieldset input').forEach((box) => {
+      box.checked = c.services.includes(box.value);
+    });
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const msgEl = form.querySelector('.message');
+      const optional = (value, convert) => (value.trim() ? convert(value.trim()) : null);
+      try {
+        await api('PUT', '/cleaners/profile', {
+          bio: optional(form.elements.bio.value, String),
+          services: Array.from(form.querySelectorAll('fieldset input:checked')).map((box) => box.value),
+          serviceArea: optional(form.elements.serviceArea.value, String),
+          servicePostcodes: form.elements.servicePostcodes.value
+            .split(',')
+            .map((code) => code.trim())
+            .filter(Boolean),
+          basePostcode: optional(form.elements.basePostcode.value, String),
+          serviceRadiusKm: optional(form.elements.serviceRadiusKm.value, Number),
+          hourlyRate: optional(form.elements.hourlyRate.value, Number),
+          yearsExperience: optional(form.elements.yearsExperience.value, Number),
+          photoUrl: optional(form.elements.photoUrl.value, String),
+        });
+        showFieldErrors(form, null);
+        msgEl.textContent = '';
+        setStatus('Profile saved');
+      } catch (err) {
+        msgEl.textContent = showFieldErrors(form, err);
+      }
+    });
+    return form;
+  }
+
+  // Admin: user management, with a form to create accounts
+  async function usersView() {
+    const users = await apiList('/admin/users', 'users');
+    const container = document.createElement('div');
+    container.appendChild(screenHeading('Users'));
+    const form = container.appendChild(document.createElement('form'));
+    form.className = 'inline-form';
+    form.innerHTML =
+      '<h4>Create a User</h4>' +
+      '<label>Username <input type="text" name="username" maxlength="32" autocomplete="off" required /></label>' +
+      '<label>Password <input type="password" name="password" minlength="8" autocomplete="new-password" required /></label>' +
+      '<small>At least 8 characters, including a letter and a digit.</small>' +
+      '<label>Role <select name="role"><option value="admin">Admin</option><option value="cleaner">Cleaner</option>' +
+      '<option value="client">Client</option></select></label>' +
+      '<button type="submit">Create User</button> <span class="message"></span>';
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      try {
+        const res = await api('POST', '/admin/users', {
+          username: form.elements.username.value.trim(),
+          password: form.elements.password.value,
+          role: form.elements.role.value,
+        });
+        setStatus(`Created ${res.user.role} ${res.user.username}`);
+        render(true);
+      } catch (err) {
+        form.querySelector('.message').textContent = showFieldErrors(form, err);
+      }
+    });
+    const list = container.appendChild(document.createElement('ul'));
+    users.forEach((u) => {
+      const li = list.appendChild(document.createElement('li'));
+      li.textContent = `${u.username} (${u.role})`;
+      if (u.suspended) li.append(' ', statusBadge('suspended'));
+      if (u.username === currentUser.username) return;
+      const bar = actionBar();
+      const path = `/admin/users/${encodeURIComponent(u.username)}`;
+      if (u.suspended) {
+        bar.button('Reactivate', async () => {
+          await api('POST', `${path}/reactivate`);
+          setStatus(`${u.username} reactivated`);
+          render(true);
+        });
+      } else {
+        bar.form(
+          'Suspend',
+          '<label>Reason for suspending <textarea name="reason" maxlength="500" rows="2" required></textarea></label>',
+          async (suspendForm) => {
+            await api('POST', `${path}/suspend`, { reason: suspendForm.elements.reason.value.trim() });
+            setStatus(`${u.username} suspended`);
+            render(true);
+          }
+        );
+      }
+      li.appendChild(bar.element);
+    });
+    return container;
+  }
+
+  // Payout batches: create one for a week and approve pending ones
+  async function payoutsView() {
+    const payouts = await apiList('/payouts', 'payouts');
+    const container = document.createElement('div');
+    container.appendChild(screenHeading('Payout Batches'));
+    const bar = actionBar();
+    bar.form(
+      'Create Batch',
+      '<label>Any date in the week to pay out (blank for last week) <input type="date" name="weekStart" /></label>',
+      async (form) => {
+        await api('POST', '/admin/payouts', { weekStart: form.elements.weekStart.value || null });
+        setStatus('Payout batch created');
+        render(true);
+      }
+    );
+    container.appendChild(bar.element);
+    const list = container.appendChild(document.createElement('ul'));
+    payouts.forEach((p) => {
+      const li = list.appendChild(document.createElement('li'));
+      const items = p.items.map((item) => `${item.cleaner} ${formatMoney(item.amount, p.currency)}`).join(', ');
+      li.innerHTML =
+        `<strong>Week of ${escapeHtml(p.weekStart)}</strong> – ${formatMoney(p.total, p.currency)} – ` +
+        escapeHtml(p.status + (p.approvedBy ? ` by ${p.approvedBy}` : '')) +
+        `<br /><small>${escapeHtml(items)}</small> `;
+      if (p.status === 'pending') {
+        const approveBar = actionBar();
+        approveBar.button('Approve', async () => {
+          if (!confirm(`Approve paying ${formatMoney(p.total, p.currency)}?`)) return;
+          await api('POST', `/admin/payouts/${p.id}/approve`);
+          render(true);
+        });
+        li.appendChild(approveBar.element);
+      }
+    });
+    return container;
+  }
+
+  // Disputes: problems a client raises about a completed booking
+  const DISPUTE_REASONS = {
+    not_cleaned: 'Not cleaned properly',
+    missed_tasks: 'Tasks were missed',
+    damage: 'Something was damaged',
+    late: 'The cleaner was late',
+    other: 'Something else',
+  };
+  const RESOLUTIONS = { reclean: 'Re-clean', refund: 'Refund', dismissed: 'Dismiss' };
+  const DISPUTE_OUTCOMES = {
+    reclean: 'a free re-clean was booked',
+    refund: 'a refund was given',
+    dismissed: 'closed without further action',
+  };
+
+  /**
+   * Show a dispute: what the client reported, the cleaner's response,
+   * the photos from both sides and how an admin resolved it, with the
+   * actions open to the current user.
+   */
+  function renderDispute(d) {
+    const box = document.createElement('div');
+    box.className = 'dispute';
+    const heading = box.appendChild(document.createElement('strong'));
+    heading.append(
+      link(`/bookings/${d.bookingId}`, `Dispute on booking ${d.bookingId}`),
+      `: ${DISPUTE_REASONS[d.reason] || d.reason} `,
+      statusBadge(d.status)
+    );
+    box.appendChild(paragraph(`${d.client}: ${d.description}`));
+    if (d.response) {
+      box.appendChild(paragraph(`${d.cleaner}: ${d.response.text}`));
+    }
+    if (d.resolution) {
+      const r = d.resolution;
+      const amount = r.outcome === 'refund' ? ` (${formatMoney(r.amount)})` : '';
+      const reclean = r.recleanBookingId ? ` (booking ${r.recleanBookingId})` : '';
+      box.appendChild(
+        paragraph(`Resolved: ${DISPUTE_OUTCOMES[r.outcome]}${amount}${reclean}` + (r.note ? ` – ${r.note}` : ''))
+      );
+    }
+    d.evidence.forEach((e) => {
+      box.appendChild(attachedImage(`/disputes/${d.id}/evidence/${e.id}`, `${e.filename} from ${e.by}`));
+    });
+    if (d.status === 'resolved') return box;
+    const bar = actionBar();
+    if ([d.client, d.cleaner].includes(currentUser.username)) {
+      bar.form(
+        'Add Photo',
+        '<label>Photo <input type="file" name="photo" accept="image/jpeg,image/png,image/gif,image/webp" required /></label>',
+        async (form) => {
+          const file = form.elements.photo.files[0];
+          await uploadImage(`/disputes/${d.id}/evidence?filename=${encodeURIComponent(file.name)}`, file);
+          render(true);
+        }
+      );
+    }
+    if (d.cleaner === currentUser.username) {
+      bar.form(
+        d.response ? 'Change Response' : 'Respond',
+        '<label>Your side of what happened <textarea name="response" maxlength="2000" rows="3" required>' +
+          escapeHtml(d.response ? d.response.text : '') +
+          '</textarea></label>',
+        async (form) => {
+          await api('POST', `/disputes/${d.id}/response`, { response: form.elements.response.value.trim() });
+          render(true);
+        }
+      );
+    }
+    if (currentUser.role === 'admin') {
+      bar.form(
+        'Resolve',
+        `<label>Outcome <select name="outcome">${optionsHtml(RESOLUTIONS)}</select></label>` +
+          '<fieldset class="refund hidden"><label>Amount to refund (leave blank for the full amount) ' +
+          '<input type="number" name="amount" min="0.01" step="0.01" /></label></fieldset>' +
+          '<fieldset class="reclean"><div class="pickers">' +
+          `<label>Date of the re-clean <input type="date" name="date" min="${today()}" required /></label>` +
+          '<label>Start time <input type="time" name="time" step="900" required /></label></div>' +
+          '<label>Cleaner to ask (leave blank to offer it to everyone) <input type="text" name="cleaner" maxlength="32" /></label>' +
+          '</fieldset>' +
+          '<label>Note for the client and cleaner (optional) <textarea name="note" maxlength="500" rows="2"></textarea></label>',
+        async (form) => {
+          const outcome = form.elements.outcome.value;
+          const body = { outcome, note: form.elements.note.value.trim() || null };
+          if (outcome === 'refund') {
+            body.amount = form.elements.amount.value ? Number(form.elements.amount.value) : null;
+          } else if (outcome === 'reclean') {
+            body.date = form.elements.date.value;
+            body.time = form.elements.time.value;
+            body.cleaner = form.elements.cleaner.value.trim() || null;
+          }
+          await api('POST', `/admin/disputes/${d.id}/resolution`, body);
+          render(true);
+        }
+      );
+      // Only ask for the details of the chosen outcome
+      bar.element.addEventListener('change', (e) => {
+        if (e.target.name !== 'outcome') return;
+        const form = e.target.form;
+        ['refund', 'reclean'].forEach((outcome) => {
+          const fieldset = form.querySelector(`fieldset.${outcome}`);
+          fieldset.classList.toggle('hidden', e.target.value !== outcome);
+          fieldset.disabled = e.target.value !== outcome;
+        });
+      });
+    }
+    box.appendChild(bar.element);
+    return box;
+  }
+
+  /**
+   * The form a client uses to report a problem with completed booking
+   * `bookingId`, with optional photos.
+   */
+  async function disputeView({ bookingId }) {
+    const { booking: b } = await api('GET', `/bookings/${bookingId}`);
+    const container = document.createElement('div');
+    container.appendChild(screenHeading(`Report a Problem with Booking ${b.id}`, [`/bookings/${b.id}`, 'Booking']));
+    const form = container.appendChild(document.createElement('form'));
+    form.className = 'dispute';
+    form.innerHTML =
+      `<label>What went wrong? <select name="reason">${optionsHtml(DISPUTE_REASONS)}</select></label>` +
+      '<label>Describe the problem <textarea name="description" minlength="10" maxlength="2000" rows="4" required></textarea></label>' +
+      '<label>Photos (optional) <input type="file" name="photos" multiple accept="image/jpeg,image/png,image/gif,image/webp" /></label>' +
+      '<button type="submit">Open Dispute</button> <span class="message"></span>';
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const msgEl = form.querySelector('.message');
+      try {
+        const res = await api('POST', '/disputes', {
+          bookingId: b.id,
+          reason: form.elements.reason.value,
+          description: form.elements.description.value.trim(),
+        });
+        for (const file of Array.from(form.elements.photos.files)) {
+          await uploadImage(`/disputes/${res.dispute.id}/evidence?filename=${encodeURIComponent(file.name)}`, file);
+        }
+        setStatus('Dispute opened');
+        navigate(`/bookings/${b.id}`);
+      } catch (err) {
+        msgEl.textContent = showFieldErrors(form, err);
+      }
+    });
+    return container;
+  }
+
+  // Admins work through open disputes, newest first
+  async function disputesView() {
+    const disputes = await apiList('/disputes', 'disputes');
+    const open = disputes.filter((d) => d.status !== 'resolved');
+    const container = document.createElement('div');
+    container.appendChild(screenHeading(`Disputes (${open.length} open)`));
+    if (disputes.length === 0) {
+      container.appendChild(paragraph('No disputes.'));
+    }
+    const list = container.appendChild(document.createElement('div'));
+    disputes.forEach((d) => list.appendChild(renderDispute(d)));
+    reloadOnChange(list, ['dispute'], () => render(true));
+    return container;
+  }
+
+  async function auditView() {
+    const res = await api('GET', '/admin/audit');
+    const container = document.createElement('div');
+    container.appendChild(screenHeading('Admin Audit Log'));
+    if (res.audit.length === 0) {
+      container.appendChild(paragraph('No admin actions recorded.'));
+    }
+    const list = container.appendChild(document.createElement('ul'));
+    res.audit.forEach((a) => {
+      const li = document.createElement('li');
+      li.textContent = `${new Date(a.timestamp).toLocaleString()}: ${a.admin} ${a.action} ${a.target}` +
+        (a.details ? ' ' + JSON.stringify(a.details) : '');
+      list.appendChild(li);
+    });
+    return container;
+  }
+
+  // Regular cleans: recurring series, with their upcoming visits
+  async function seriesView() {
+    const series = await apiList('/series', 'series');
+    const container = document.createElement('div');
+    container.appendChild(screenHeading('Regular Cleans'));
+    if (series.length === 0) {
+      container.appendChild(paragraph('No regular cleans set up yet. Choose a repeat when booking a clean.'));
+      return container;
+    }
+    container.appendChild(paragraph('Move or cancel a single visit from its booking.'));
+    const list = container.appendChild(document.createElement('ul'));
+    series.forEach((s) => {
+      const li = list.appendChild(document.createElement('li'));
+      const upcoming = s.bookings.filter((b) => ['pending', 'accepted'].includes(b.status));
+      const end = s.rule.endDate ? `until ${s.rule.endDate}` : `${s.rule.count} visits`;
+      li.textContent =
+        `Series ${s.id} – ${s.propertyAddress}: ${s.schedule} at ${s.time} for ${s.duration}h, ${end} – ${s.status}` +
+        (s.cleaner ? ` – preferred cleaner ${s.cleaner}` : '') +
+        (s.nextOccurrence ? ` – next ${s.nextOccurrence}` : '') +
+        ` – ${upcoming.length} upcoming visit(s) booked`;
+      if (s.skipped.length) {
+        li.appendChild(document.createElement('div')).textContent =
+          'Skipped: ' + s.skipped.map((k) => `${k.date} (${k.reason})`).join(', ');
+      }
+      if (s.status !== 'active') return;
+      const bar = actionBar();
+      bar.form(
+        'Skip a Visit',
+        `<label>Date of the visit to skip <input type="date" name="date" min="${today()}" ` +
+          `value="${s.nextOccurrence || ''}" required /></label>`,
+        async (form) => {
+          await api('POST', `/series/${s.id}/skip`, { date: form.elements.date.value });
+          render(true);
+        }
+      );
+      bar.form(
+        'Change Time',
+        `<label>New start time for future visits <input type="time" name="time" step="900" value="${s.time}" required /></label>`,
+        async (form) => {
+          await api('PATCH', `/series/${s.id}`, { time: form.elements.time.value });
+          render(true);
+        }
+      );
+      bar.form(
+        'Cancel Series',
+        '<p>This cancels the regular clean and all its upcoming visits.</p>' +
+          '<label>Reason (optional) <textarea name="reason" maxlength="500" rows="2"></textarea></label>',
+        async (form) => {
+          await api('POST', `/series/${s.id}/cancel`, { reason: form.elements.reason.value.trim() || null });
+          setStatus(`Series ${s.id} cancelled`);
+          render(true);
+        }
+      );
+      li.appendChild(bar.element);
+    });
+    return container;
+  }
+
+  // Saved properties, with access notes and a checklist for the cleaner
+  const PROPERTY_TYPES = { home: 'Home', office: 'Office', airbnb: 'Airbnb' };
+
+  /**
+   * Describe the size of a property in a few words.
+   */
+  function propertySize(size) {
+    return [
+      size.bedrooms !== null ? `${size.bedrooms} bed` : null,
+      size.bathrooms !== null ? `${size.bathrooms} bath` : null,
+      size.squareFeet !== null ? `${size.squareFeet} sq ft` : null,
+    ]
+      .filter(Boolean)
+      .join(', ');
+  }
+
+  /**
+   * Build the form that saves a new property, or changes `property`
+   * when given.  The checklist is edited as one task per line, with an
+   * optional room before a colon (``Kitchen: wipe the hob``).
+   */
+  function propertyForm(property) {
+    const form = document.createElement('form');
+    form.className = 'profile-form';
+    form.innerHTML =
+      `<h3>${property ? 'Edit ' + escapeHtml(property.name) : 'Add a Property'}</h3>` +
+      '<label>Name <input type="text" name="name" maxlength="60" placeholder="Home" required /></label>' +
+      '<label>Address <input type="text" name="address.line1" required /></label>' +
+      '<label>Address line 2 (optional) <input type="text" name="address.line2" /></label>' +
+      '<label>City <input type="text" name="address.city" required /></label>' +
+      '<label>Postcode <input type="text" name="address.postcode" required /></label>' +
+      `<label>Property type <select name="propertyType">${optionsHtml(PROPERTY_TYPES)}</select></label>` +
+      '<label>Bedrooms <input type="number" name="size.bedrooms" min="0" max="20" /></label>' +
+      '<label>Bathrooms <input type="number" name="size.bathrooms" min="0" max="20" step="0.5" /></label>' +
+      '<label>Square feet <input type="number" name="size.squareFeet" min="50" max="100000" /></label>' +
+      '<label>Access notes, only shown to your cleaner <textarea name="accessNotes" maxlength="2000" rows="3"></textarea></label>' +
+      '<label>Checklist, one task per line (e.g. "Kitchen: wipe the hob") <textarea name="checklist" rows="6"></textarea></label>' +
+      `<button type="submit">${property ? 'Save Changes' : 'Add Property'}</button> <span class="message"></span>`;
+    const field = (name) => form.querySelector(`[name="${name}"]`);
+    if (property) {
+      ['line1', 'line2', 'city', 'postcode'].forEach((part) => {
+        field(`address.${part}`).value = property.address[part] || '';
+      });
+      field('name').value = property.name;
+      field('propertyType').value = property.propertyType;
+      ['bedrooms', 'bathrooms', 'squareFeet'].forEach((measure) => {
+        field(`size.${measure}`).value = property.size[measure] === null ? '' : property.size[measure];
+      });
+      field('accessNotes').value = property.accessNotes || '';
+      field('checklist').value = property.checklist
+        .map((item) => (item.room ? `${item.room}: ${item.task}` : item.task))
+        .join('\n');
+    }
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const msgEl = form.querySelector('.message');
+      const number = (name) => (field(name).value.trim() ? Number(field(name).value) : null);
+      const checklist = field('checklist')
+        .value.split('\n')
+        .map((line) => line.trim())
+        .filter(Boolean)
+        .map((line) => {
+          const colon = line.indexOf(':');
+          return colon > 0
+            ? { room: line.slice(0, colon).trim(), task: line.slice(colon + 1).trim() }
+            : { room: null, task: line };
+        });
+      const body = {
+        name: field('name').value.trim(),
+        address: {
+          line1: field('address.line1').value.trim(),
+          line2: field('address.line2').value.trim() || null,
+          city: field('address.city').value.trim(),
+          postcode: field('address.postcode').value.trim(),
+        },
+        propertyType: field('propertyType').value,
+        size: {
+          bedrooms: number('size.bedrooms'),
+          bathrooms: number('size.bathrooms'),
+          squareFeet: number('size.squareFeet'),
+        },
+        accessNotes: field('accessNotes').value.trim() || null,
+        checklist,
+      };
+      try {
+        if (property) {
+          await api('PATCH', `/properties/${property.id}`, body);
+        } else {
+          await api('POST', '/properties', body);
+        }
+        setStatus(`${body.name} saved`);
+        render(true);
+      } catch (err) {
+        msgEl.textContent = showFieldErrors(form, err);
+      }
+    });
+    return form;
+  }
+
+  /**
+   * The client's saved properties with a form to add another.
+   */
+  async function propertiesView() {
+    const properties = await apiList('/properties', 'properties');
+    const container = document.createElement('div');
+    container.appendChild(screenHeading('My Properties'));
+    const list = container.appendChild(document.createElement('ul'));
+    let form = propertyForm(null);
+    properties.forEach((p) => {
+      const li = list.appendChild(document.createElement('li'));
+      const size = propertySize(p.size);
+      const address = [p.address.line1, p.address.line2, p.address.city, p.address.postcode].filter(Boolean);
+      li.textContent =
+        `${p.name} – ${address.join(', ')}` +
+        ` [${PROPERTY_TYPES[p.propertyType] || p.propertyType}]` +
+        (size ? ` – ${size}` : '') +
+        ` – ${p.checklist.length} checklist item(s)`;
+      const bar = actionBar();
+      bar.element.firstChild.appendChild(
+        link('/bookings/new?' + new URLSearchParams({ propertyId: p.id }).toString(), 'Book', 'button')
+      );
+      bar.button('Edit', async () => {
+        const replacement = propertyForm(p);
+        form.replaceWith(replacement);
+        form = replacement;
+        form.scrollIntoView();
+      });
+      bar.button('Remove', async () => {
+        if (!confirm(`Remove ${p.name}? Bookings already made for it are kept.`)) return;
+        await api('DELETE', `/properties/${p.id}`);
+        render(true);
+      });
+      li.appendChild(bar.element);
+    });
+    if (!properties.length) list.replaceWith(paragraph('No saved properties yet.'));
+    container.appendChild(form);
+    return container;
+  }
+
+  const EVERYONE = ['client', 'cleaner', 'admin'];
+  route('/notifications', EVERYONE, notificationsView);
+  route('/bookings', EVERYONE, bookingsView);
+  route('/bookings/new', ['client'], newBookingView);
+  route('/bookings/:bookingId', EVERYONE, bookingView);
+  route('/bookings/:bookingId/messages', EVERYONE, messagesView);
+  route('/bookings/:bookingId/dispute', ['client'], disputeView);
+  route('/cleaners', ['client'], cleanersView);
+  route('/series', ['client'], seriesView);
+  route('/properties', ['client'], propertiesView);
+  route('/jobs', ['cleaner'], jobsView);
+  route('/availability', ['cleaner'], availabilityView);
+  route('/earnings', ['cleaner'], earningsView);
+  route('/profile', ['cleaner'], profileView);
+  route('/admin/users', ['admin'], usersView);
+  route('/admin/payouts', ['admin'], payoutsView);
+  route('/disputes', ['admin'], disputesView);
+  route('/admin/audit', ['admin'], auditView);
+
+  // Initial UI update, once the API has been found
+  loadConfig().then(() => {
+    restoreSession();
+    updateDashboard();
+  });
 })();
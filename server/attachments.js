@@ -0,0 +1,69 @@
+/*
+ * Message attachments
+ *
+ * Clients and cleaners can attach small images, such as before and
+ * after photos, to a booking's messages.  Files are kept on local disk
+ * in the directory set in config.js under a random name; the message
+ * records the original file name, type and size.  Only the image types
+ * listed in config.js are accepted, and the type a client claims is
+ * checked against the file's first bytes so that other content cannot
+ * be passed off as an image.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// File signatures of the image types Brightidy knows how to check.
+const SIGNATURES = {
+  'image/jpeg': { extension: 'jpg', matches: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  'image/png': {
+    extension: 'png',
+    matches: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  },
+  'image/gif': { extension: 'gif', matches: (b) => ['GIF87a', 'GIF89a'].includes(b.toString('latin1', 0, 6)) },
+  'image/webp': {
+    extension: 'webp',
+    matches: (b) => b.toString('latin1', 0, 4) === 'RIFF' && b.toString('latin1', 8, 12) === 'WEBP',
+  },
+};
+
+/**
+ * Return true if `data` really is an image of `contentType`.
+ */
+function isImageOfType(data, contentType) {
+  const signature = SIGNATURES[contentType];
+  return Boolean(signature) && data.length >= 12 && signature.matches(data);
+}
+
+/**
+ * Store the file `data` of `contentType` in `dir`, creating the
+ * directory if needed.  Returns the name it was stored under.
+ */
+function saveAttachment(dir, data, contentType) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = `${crypto.randomBytes(16).toString('hex')}.${SIGNATURES[contentType].extension}`;
+  fs.writeFileSync(path.join(dir, file), data, { mode: 0o600 });
+  return file;
+}
+
+/**
+ * Remove a stored attachment, ignoring one that is already gone.
+ */
+function removeAttachment(dir, file) {
+  fs.rmSync(path.join(dir, file), { force: true });
+}
+
+/**
+ * Open a read stream for a stored attachment.
+ */
+function readAttachment(dir, file) {
+  return fs.createReadStream(path.join(dir, path.basename(file)));
+}
+
+module.exports = {
+  isImageOfType,
+  saveAttachment,
+  removeAttachment,
+  readAttachment,
+};
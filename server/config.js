@@ -0,0 +1,255 @@
+/*
+ * Brightidy configuration
+ *
+ * Business settings that operators may want to tune without editing the
+ * route handlers.  Every value has a sensible default and can be
+ * overridden through an environment variable, which keeps deployment on
+ * Heroku‑style platforms simple: set the variable and restart the dyno.
+ * Structured values (lists and objects) are given as JSON strings.
+ */
+
+const path = require('path');
+
+/**
+ * Read a JSON value from the environment.  Falls back to `fallback`
+ * when the variable is unset, and also when it cannot be parsed so that
+ * a typo does not prevent the server from starting.
+ */
+function jsonFromEnv(name, fallback) {
+  const raw = process.env[name];
+  if (!raw) {
+    return fallback;
+  }
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    console.error(`Ignoring invalid JSON in ${name}:`, err.message);
+    return fallback;
+  }
+}
+
+/**
+ * Read a number from the environment, falling back to `fallback` when
+ * the variable is unset or not a number.  Unlike ``Number(...) ||
+ * fallback`` this lets operators set a value of zero.
+ */
+function numberFromEnv(name, fallback) {
+  const raw = process.env[name];
+  if (raw === undefined || raw.trim() === '' || Number.isNaN(Number(raw))) {
+    return fallback;
+  }
+  return Number(raw);
+}
+
+module.exports = {
+  // Where data is stored.  ``driver`` is ``json`` (a single file, the
+  // default) or ``sqlite`` (needs Node 22.5+).  A new SQLite database
+  // imports the JSON file when it is first created.
+  storage: {
+    driver: process.env.BRIGHTIDY_STORAGE || 'json',
+    jsonPath: process.env.BRIGHTIDY_DB_PATH || path.join(__dirname, 'db.json'),
+    sqlitePath: process.env.BRIGHTIDY_SQLITE_PATH || path.join(__dirname, 'brightidy.sqlite'),
+  },
+
+  // Placing addresses on the map, for service areas and distances.
+  // ``provider`` is ``postcodes`` (the default), which works offline
+  // from the CSV table at ``postcodeTable`` (the one shipped only
+  // covers the launch area), or ``nominatim``, which looks up full
+  // addresses at ``nominatim.url``.
+  geocoding: {
+    provider: process.env.BRIGHTIDY_GEOCODER || 'postcodes',
+    postcodeTable: process.env.BRIGHTIDY_POSTCODE_TABLE || path.join(__dirname, 'geocoding', 'postcodes.csv'),
+    nominatim: {
+      url: process.env.BRIGHTIDY_NOMINATIM_URL || 'https://nominatim.openstreetmap.org',
+      userAgent: process.env.BRIGHTIDY_NOMINATIM_USER_AGENT || 'Brightidy',
+      countryCodes: process.env.BRIGHTIDY_NOMINATIM_COUNTRIES || null,
+      timeoutMs: numberFromEnv('BRIGHTIDY_GEOCODER_TIMEOUT_MS', 5000),
+    },
+  },
+
+  // How long, in hours, a cleaner a client asked for by name has the
+  // booking to themselves.  If they neither accept nor decline in that
+  // time (or before the booking starts, if sooner) it is offered to
+  // every cleaner on the job board.
+  cleanerRequestHours: numberFromEnv('BRIGHTIDY_CLEANER_REQUEST_HOURS', 12),
+
+  // How many days ahead the bookings of a recurring series are made.
+  // Occurrences further out are booked as the window moves forward.
+  seriesHorizonDays: numberFromEnv('BRIGHTIDY_SERIES_HORIZON_DAYS', 28),
+
+  // Quality guarantee.  A client can open a dispute about a completed
+  // booking for `windowDays` days after it was completed, and each
+  // side can attach up to `maxEvidence` photos to it.
+  disputes: {
+    windowDays: numberFromEnv('BRIGHTIDY_DISPUTE_WINDOW_DAYS', 7),
+    maxEvidence: numberFromEnv('BRIGHTIDY_DISPUTE_MAX_EVIDENCE', 10),
+  },
+
+  // Late‑cancellation fees charged to a client who cancels a booking
+  // that a cleaner has already accepted.  Each window applies when the
+  // booking starts in fewer than `withinHours` hours; when several
+  // windows apply the one with the highest fee wins.  Cancelling
+  // earlier than every window is free.
+  cancellationPolicy: jsonFromEnv('BRIGHTIDY_CANCELLATION_POLICY', [
+    { withinHours: 48, fee: 15 },
+    { withinHours: 24, fee: 30 },
+  ]),
+
+  // Prices.  Labour is charged per hour at the base rate for the
+  // property type unless the cleaner has set their own hourly rate.
+  // Weekend and public holiday surcharges are a percentage of labour;
+  // extras are flat prices.  Promo codes give either ``percentOff`` or
+  // ``amountOff``, and may set an ``expires`` date (``YYYY-MM-DD``, the
+  // last cleaning date the code covers) and a ``minSubtotal``.
+  pricing: {
+    currency: process.env.BRIGHTIDY_CURRENCY || 'USD',
+    baseRates: jsonFromEnv('BRIGHTIDY_BASE_RATES', { home: 25, office: 30, airbnb: 28 }),
+    weekendSurchargePercent: numberFromEnv('BRIGHTIDY_WEEKEND_SURCHARGE', 15),
+    holidaySurchargePercent: numberFromEnv('BRIGHTIDY_HOLIDAY_SURCHARGE', 25),
+    holidays: jsonFromEnv('BRIGHTIDY_HOLIDAYS', ['2026-12-25', '2026-12-26', '2027-01-01']),
+    extras: jsonFromEnv('BRIGHTIDY_EXTRAS', {
+      inside_oven: { label: 'Inside oven', price: 20 },
+      inside_fridge: { label: 'Inside fridge', price: 15 },
+      windows: { label: 'Interior windows', price: 25 },
+      laundry: { label: 'Laundry', price: 15 },
+    }),
+    promoCodes: jsonFromEnv('BRIGHTIDY_PROMO_CODES', {}),
+  },
+
+  // Payment processing.  ``provider`` picks the adapter in payments/;
+  // only ``mock``, a gateway that moves no real money, ships with
+  // Brightidy.  Webhook deliveries are verified with ``webhookSecret``;
+  // there is no default, and without one webhooks are refused.  The
+  // mock gateway declines any single amount above ``mockLimit``.
+  payments: {
+    provider: process.env.BRIGHTIDY_PAYMENT_PROVIDER || 'mock',
+    webhookSecret: process.env.BRIGHTIDY_PAYMENT_WEBHOOK_SECRET || null,
+    mockLimit: Number(process.env.BRIGHTIDY_MOCK_PAYMENT_LIMIT) || 5000,
+  },
+
+  // Cleaner earnings.  The platform keeps ``commissionPercent`` of each
+  // booking price paid by the client and ``tipCommissionPercent`` of
+  // each tip; the rest is paid out to the cleaner in weekly batches.
+  earnings: {
+    commissionPercent: numberFromEnv('BRIGHTIDY_COMMISSION_PERCENT', 20),
+    tipCommissionPercent: numberFromEnv('BRIGHTIDY_TIP_COMMISSION_PERCENT', 0),
+  },
+
+  // Live updates on GET /events.  ``historySize`` events are kept so
+  // that a client that reconnects can catch up on what it missed, and
+  // idle streams are sent a keep-alive every ``heartbeatSeconds``.
+  events: {
+    historySize: numberFromEnv('BRIGHTIDY_EVENT_HISTORY_SIZE', 500),
+    heartbeatSeconds: numberFromEnv('BRIGHTIDY_EVENT_HEARTBEAT_SECONDS', 25),
+  },
+
+  // Email and text message notifications (see notifications/).  Each
+  // channel picks an adapter: ``outbox`` (the default) only writes each
+  // notification to a file in ``outboxDir``; email can go through
+  // ``smtp`` and text messages through an ``sms`` gateway, and either
+  // can be posted to a ``webhook``.  A failed send is retried after
+  // each of the ``retryMinutes`` delays in turn before it is given up.
+  // Reminders go out ``reminderHours`` before a booking starts.
+  // ``templates`` replaces any of the templates in
+  // notifications/templates.js, e.g. ``{"booking_reminder": {"sms":
+  // {"text": "..."}}}``.
+  notifications: {
+    email: process.env.BRIGHTIDY_EMAIL_ADAPTER || 'outbox',
+    sms: process.env.BRIGHTIDY_SMS_ADAPTER || 'outbox',
+    outboxDir: process.env.BRIGHTIDY_OUTBOX_DIR || path.join(__dirname, 'outbox'),
+    smtp: {
+      host: process.env.BRIGHTIDY_SMTP_HOST,
+      port: numberFromEnv('BRIGHTIDY_SMTP_PORT', 587),
+      secure: process.env.BRIGHTIDY_SMTP_SECURE === 'true',
+      startTls: process.env.BRIGHTIDY_SMTP_STARTTLS !== 'false',
+      username: process.env.BRIGHTIDY_SMTP_USERNAME,
+      password: process.env.BRIGHTIDY_SMTP_PASSWORD,
+      from: process.env.BRIGHTIDY_EMAIL_FROM || 'Brightidy <no-reply@brightidy.example>',
+    },
+    smsGateway: {
+      url: process.env.BRIGHTIDY_SMS_URL,
+      accountId: process.env.BRIGHTIDY_SMS_ACCOUNT_ID,
+      authToken: process.env.BRIGHTIDY_SMS_AUTH_TOKEN,
+      from: process.env.BRIGHTIDY_SMS_FROM,
+    },
+    webhook: {
+      url: process.env.BRIGHTIDY_NOTIFICATION_WEBHOOK_URL,
+      secret: process.env.BRIGHTIDY_NOTIFICATION_WEBHOOK_SECRET,
+    },
+    timeoutMs: numberFromEnv('BRIGHTIDY_NOTIFICATION_TIMEOUT_MS', 15000),
+    retryMinutes: jsonFromEnv('BRIGHTIDY_NOTIFICATION_RETRY_MINUTES', [1, 5, 30, 120]),
+    reminderHours: numberFromEnv('BRIGHTIDY_REMINDER_HOURS', 24),
+    templates: jsonFromEnv('BRIGHTIDY_NOTIFICATION_TEMPLATES', {}),
+  },
+
+  // Images attached to booking messages.  Files are stored in ``dir``
+  // and may be at most ``maxBytes`` each.  ``types`` lists the accepted
+  // image types, out of JPEG, PNG, GIF and WebP.
+  attachments: {
+    dir: process.env.BRIGHTIDY_ATTACHMENTS_DIR || path.join(__dirname, 'attachments'),
+    maxBytes: numberFromEnv('BRIGHTIDY_ATTACHMENT_MAX_BYTES', 2 * 1024 * 1024),
+    types: jsonFromEnv('BRIGHTIDY_ATTACHMENT_TYPES', ['image/jpeg', 'image/png', 'image/gif', 'image/webp']),
+  },
+
+  // The browser client, served from ``dir`` at the root of the server.
+  // It calls the API on the same server unless ``apiUrl`` names
+  // another, such as ``https://api.brightidy.example``; the client reads
+  // it from /config.json when it starts.
+  client: {
+    dir: process.env.BRIGHTIDY_CLIENT_DIR || path.join(__dirname, '..', 'client'),
+    apiUrl: process.env.BRIGHTIDY_CLIENT_API_URL || null,
+  },
+
+  // Largest request body the server will read, in bytes.  Larger
+  // requests are rejected with 413 Payload Too Large.
+  maxBodyBytes: Number(process.env.BRIGHTIDY_MAX_BODY_BYTES) || 100 * 1024,
+
+  // Lifetime of a signed access token, in seconds.  Clients renew it
+  // with their refresh token, so this can stay short.
+  accessTokenTtlSeconds: Number(process.env.BRIGHTIDY_ACCESS_TOKEN_TTL) || 15 * 60,
+
+  // Lifetime of a login session (and so of its refresh token), in days.
+  refreshTokenTtlDays: Number(process.env.BRIGHTIDY_REFRESH_TOKEN_TTL_DAYS) || 30,
+
+  // Request budgets (see ratelimit.js), each allowing ``limit``
+  // requests per ``windowSeconds`` from one IP address and from one
+  // signed‑in user.  Logins, sign‑ups and messages have budgets of
+  // their own; every other route shares ``default``.  When the server
+  // sits behind load balancers, set ``trustProxy`` to how many there
+  // are in a row (Heroku's router is one; ``true`` also means one) so
+  // the client's address is taken from the X‑Forwarded‑For entries
+  // they add rather than from ones the client sent.
+  rateLimits: {
+    trustProxy:
+      process.env.BRIGHTIDY_TRUST_PROXY === 'true' ? 1 : Math.max(numberFromEnv('BRIGHTIDY_TRUST_PROXY', 0), 0),
+    budgets: {
+      default: { limit: 300, windowSeconds: 60 },
+      login: { limit: 10, windowSeconds: 60 },
+      register: { limit: 5, windowSeconds: 60 * 60 },
+      messages: { limit: 30, windowSeconds: 60 },
+      ...jsonFromEnv('BRIGHTIDY_RATE_LIMITS', {}),
+    },
+  },
+
+  // An account is locked for ``lockMinutes`` after ``maxFailures``
+  // wrong passwords in a row, the last within ``windowMinutes`` of
+  // the first.  A successful login clears the count.
+  loginLockout: {
+    maxFailures: numberFromEnv('BRIGHTIDY_LOGIN_MAX_FAILURES', 5),
+    windowMinutes: numberFromEnv('BRIGHTIDY_LOGIN_FAILURE_WINDOW_MINUTES', 15),
+    lockMinutes: numberFromEnv('BRIGHTIDY_LOGIN_LOCK_MINUTES', 15),
+  },
+
+  // Web origins allowed to call the API from a browser, such as
+  // ``https://brightidy.example``.  ``*`` allows every origin.
+  corsOrigins: jsonFromEnv('BRIGHTIDY_CORS_ORIGINS', [
+    'http://localhost:8080',
+    'http://127.0.0.1:8080',
+    'http://localhost:5500',
+    'http://127.0.0.1:5500',
+  ]),
+
+  // How long browsers should insist on HTTPS for the API, in seconds
+  // (Strict‑Transport‑Security).  Leave at 0 when serving plain HTTP.
+  hstsSeconds: numberFromEnv('BRIGHTIDY_HSTS_SECONDS', 0),
+};
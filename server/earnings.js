@@ -0,0 +1,245 @@
+/*
+ * Cleaner earnings and payouts
+ *
+ * A cleaner earns from every booking they worked: the booking price
+ * captured from the client (less anything refunded) and any tips.  The
+ * platform keeps a commission on both, at the rates set in config.js.
+ * Amounts come from the payment ledger; bookings made before payments
+ * were recorded fall back to their locked‑in price and ``tip`` field.
+ *
+ * Earnings are paid out in weekly batches.  A batch for a week covers
+ * every job up to the end of that week that has not been paid in full
+ * yet, so a tip or refund that arrives after a job was paid out is
+ * settled as an adjustment in the next batch.  Batches are created as
+ * ``pending`` and paid once an admin approves them.
+ */
+
+const config = require('./config');
+const { roundMoney } = require('./pricing');
+
+const FINAL_WITH_PAYMENT = ['completed', 'cancelled', 'no_show'];
+
+/**
+ * Return the Monday of the week containing `date` (``YYYY-MM-DD``).
+ */
+function weekStartOf(date) {
+  const day = new Date(`${date}T00:00:00Z`);
+  const offset = (day.getUTCDay() + 6) % 7;
+  day.setUTCDate(day.getUTCDate() - offset);
+  return day.toISOString().slice(0, 10);
+}
+
+/**
+ * Return the date `days` days after `date`, both ``YYYY-MM-DD``.
+ */
+function addDays(date, days) {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() + days);
+  return day.toISOString().slice(0, 10);
+}
+
+/**
+ * Sum the latest succeeded entries of `type` in `entries`, keeping one
+ * entry per provider reference so that webhook updates of the same
+ * operation are not counted twice.
+ */
+function settledTotal(entries, type) {
+  const latest = new Map();
+  entries.filter((e) => e.type === type).forEach((e) => latest.set(e.providerRef, e));
+  return Array.from(latest.values())
+    .filter((e) => e.status === 'succeeded')
+    .reduce((sum, e) => sum + e.amount, 0);
+}
+
+/**
+ * Work out what `booking` earned its cleaner.  Returns
+ * ``{ jobAmount, tips, commission, net }``.  Refunds are taken off the
+ * job amount first and only then off tips.
+ */
+function bookingEarnings(db, booking) {
+  const entries = db.ledger.filter((e) => e.bookingId === booking.id);
+  let jobAmount;
+  let tips;
+  if (entries.length > 0) {
+    const refunded = settledTotal(entries, 'refund');
+    const captured = settledTotal(entries, 'capture');
+    jobAmount = Math.max(captured - refunded, 0);
+    tips = Math.max(settledTotal(entries, 'tip') - Math.max(refunded - captured, 0), 0);
+  } else {
+    jobAmount = booking.status === 'completed' && booking.price ? booking.price.total : 0;
+    tips = Number(booking.tip) || 0;
+  }
+  const { commissionPercent, tipCommissionPercent } = config.earnings;
+  const commission = roundMoney((jobAmount * commissionPercent) / 100 + (tips * tipCommissionPercent) / 100);
+  return {
+    jobAmount: roundMoney(jobAmount),
+    tips: roundMoney(tips),
+    commission,
+    net: roundMoney(jobAmount + tips - commission),
+  };
+}
+
+/**
+ * Net amount already included in payout batches for each booking of
+ * `cleaner`.  Returns ``{ approved, pending }``, each a map from
+ * booking id to amount, for approved and not yet approved batches.
+ */
+function batchedAmounts(db, cleaner) {
+  const batched = { approved: new Map(), pending: new Map() };
+  db.payouts.forEach((batch) => {
+    const amounts = batched[batch.status === 'approved' ? 'approved' : 'pending'];
+    batch.items
+      .filter((item) => item.cleaner === cleaner)
+      .forEach((item) => {
+        item.jobs.forEach((job) => {
+          amounts.set(job.bookingId, roundMoney((amounts.get(job.bookingId) || 0) + job.net));
+        });
+      });
+  });
+  return batched;
+}
+
+/**
+ * List the per‑job earnings of `cleaner`, oldest first.  Each line
+ * holds the booking's details and amounts, the net amount paid in
+ * approved payout batches (``paidOut``), the amount waiting in a batch
+ * that is not approved yet (``pendingPayout``) and what is in no batch
+ * so far (``unpaid``).  `from` and `to` optionally limit the lines to
+ * jobs dated within that inclusive range.
+ */
+function earningsLines(db, cleaner, from, to) {
+  const batched = batchedAmounts(db, cleaner);
+  return db.bookings
+    .filter((b) => b.cleaner === cleaner && FINAL_WITH_PAYMENT.includes(b.status))
+    .filter((b) => (!from || b.date >= from) && (!to || b.date <= to))
+    .sort((a, b) => `${a.date} ${a.time}`.localeCompare(`${b.date} ${b.time}`) || a.id - b.id)
+    .map((b) => {
+      const amounts = bookingEarnings(db, b);
+      const paidOut = batched.approved.get(b.id) || 0;
+      const pendingPayout = batched.pending.get(b.id) || 0;
+      return {
+        bookingId: b.id,
+        date: b.date,
+        time: b.time,
+        status: b.status,
+        propertyType: b.propertyType,
+        duration: b.duration,
+        ...amounts,
+        paidOut,
+        pendingPayout,
+        unpaid: roundMoney(amounts.net - paidOut - pendingPayout),
+      };
+    })
+    .filter((line) => line.net !== 0 || line.paidOut !== 0 || line.pendingPayout !== 0);
+}
+
+/**
+ * Add up earnings `lines`: the number of jobs and the total of each
+ * amount.
+ */
+function totalLines(lines) {
+  const sum = (field) => roundMoney(lines.reduce((total, line) => total + line[field], 0));
+  return {
+    jobs: lines.length,
+    jobAmount: sum('jobAmount'),
+    tips: sum('tips'),
+    commission: sum('commission'),
+    net: sum('net'),
+    paidOut: sum('paidOut'),
+    pendingPayout: sum('pendingPayout'),
+    unpaid: sum('unpaid'),
+  };
+}
+
+/**
+ * Group earnings `lines` by the week they fall in, giving the totals
+ * for each week, oldest first.
+ */
+function weeklyTotals(lines) {
+  const weeks = new Map();
+  lines.forEach((line) => {
+    const week = weekStartOf(line.date);
+    weeks.set(week, (weeks.get(week) || []).concat(line));
+  });
+  return Array.from(weeks.keys())
+    .sort()
+    .map((weekStart) => ({ weekStart, weekEnd: addDays(weekStart, 6), ...totalLines(weeks.get(weekStart)) }));
+}
+
+/**
+ * Build the payout batch for the week starting on `weekStart` (a
+ * Monday).  Every cleaner with unpaid earnings from jobs dated up to
+ * the end of that week gets an item listing those jobs.  Returns the
+ * batch without an id, or null when nobody is owed anything.
+ */
+function buildPayoutBatch(db, weekStart) {
+  const weekEnd = addDays(weekStart, 6);
+  const cleaners = Array.from(new Set(db.bookings.filter((b) => b.cleaner).map((b) => b.cleaner))).sort();
+  const items = cleaners
+    .map((cleaner) => {
+      const jobs = earningsLines(db, cleaner, null, weekEnd)
+        .filter((line) => line.unpaid !== 0)
+        .map((line) => ({ bookingId: line.bookingId, date: line.date, net: line.unpaid }));
+      return { cleaner, jobs, amount: roundMoney(jobs.reduce((sum, job) => sum + job.net, 0)) };
+    })
+    .filter((item) => item.jobs.length > 0);
+  if (items.length === 0) {
+    return null;
+  }
+  return {
+    weekStart,
+    weekEnd,
+    status: 'pending',
+    currency: config.pricing.currency,
+    items,
+    total: roundMoney(items.reduce((sum, item) => sum + item.amount, 0)),
+    createdAt: new Date().toISOString(),
+    approvedBy: null,
+    approvedAt: null,
+  };
+}
+
+/**
+ * Quote a value for a CSV cell when it contains a comma, quote or
+ * line break.
+ */
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render earnings `lines` as a CSV statement with a header row and a
+ * totals row.
+ */
+function statementCsv(lines) {
+  const columns = [
+    'bookingId',
+    'date',
+    'time',
+    'status',
+    'propertyType',
+    'duration',
+    'jobAmount',
+    'tips',
+    'commission',
+    'net',
+    'paidOut',
+    'pendingPayout',
+    'unpaid',
+  ];
+  const totals = totalLines(lines);
+  const rows = [columns, ...lines.map((line) => columns.map((c) => line[c]))];
+  // Amount columns are totalled; the others are left blank
+  rows.push(columns.map((c, i) => (i === 0 ? 'Total' : i < columns.indexOf('jobAmount') ? '' : totals[c])));
+  return rows.map((row) => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  weekStartOf,
+  earningsLines,
+  totalLines,
+  weeklyTotals,
+  buildPayoutBatch,
+  statementCsv,
+};
@@ -0,0 +1,118 @@
+/*
+ * Live updates over Server‑Sent Events
+ *
+ * Browsers keep a stream open on GET /events and the server pushes the
+ * changes that concern the user down it, so chat and booking lists
+ * update without polling.  Events are addressed to an audience of
+ * usernames and roles; a connected user receives an event when their
+ * username or role is in its audience.
+ *
+ * Event ids have the form ``<stream>-<n>``: ``stream`` identifies this
+ * run of the server and ``n`` counts up from 1.  The latest events are
+ * kept in memory so that a client reconnecting with the last id it saw
+ * (the standard ``Last-Event-ID`` header) is sent whatever it missed.
+ * When that is not possible, because the server has restarted or too
+ * many events have happened since, the client gets a ``resync`` event
+ * instead and should reload what it shows.  A fresh connection starts
+ * with a ``ready`` event carrying the current id.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Create an event hub.  `options.historySize` is the number of past
+ * events kept for clients that reconnect, and
+ * `options.heartbeatSeconds` how often an idle stream is sent a
+ * comment so that proxies do not close it.
+ */
+function createEventHub(options) {
+  const stream = crypto.randomBytes(4).toString('hex');
+  const history = [];
+  const clients = new Set();
+  let sequence = 0;
+
+  function format(event) {
+    return `id: ${stream}-${event.seq}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`;
+  }
+
+  function isFor(event, user) {
+    return event.users.includes(user.username) || event.roles.includes(user.role);
+  }
+
+  /**
+   * Work out which past events a client that last saw `lastEventId`
+   * has missed.  Returns the list, or null when they are no longer
+   * known.
+   */
+  function missedSince(lastEventId) {
+    const match = /^([0-9a-f]+)-(\d+)$/.exec(lastEventId);
+    if (!match || match[1] !== stream) {
+      return null;
+    }
+    const seen = Number(match[2]);
+    const oldest = history.length > 0 ? history[0].seq : sequence + 1;
+    if (seen > sequence || seen < oldest - 1) {
+      return null;
+    }
+    return history.filter((event) => event.seq > seen);
+  }
+
+  return {
+    /**
+     * Send an event of `type` with JSON `data` to its `audience`,
+     * ``{ users, roles }``, and keep it for clients that reconnect.
+     */
+    publish(type, data, audience) {
+      sequence += 1;
+      const event = { seq: sequence, type, data, users: audience.users || [], roles: audience.roles || [] };
+      history.push(event);
+      if (history.length > options.historySize) {
+        history.shift();
+      }
+      clients.forEach((client) => {
+        if (isFor(event, client.user)) {
+          client.res.write(format(event));
+        }
+      });
+    },
+
+    /**
+     * Start an event stream for `user` on the response `res`, adding
+     * `headers` to the usual ones.  `lastEventId`, when given, is the
+     * id of the last event the client received.  The stream stays open
+     * until the client goes away or the returned ``close`` is called.
+     */
+    subscribe(req, res, user, lastEventId, headers) {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        ...headers,
+      });
+      const missed = lastEventId ? missedSince(lastEventId) : [];
+      if (missed === null) {
+        res.write(format({ seq: sequence, type: 'resync', data: {} }));
+      } else if (!lastEventId) {
+        res.write(format({ seq: sequence, type: 'ready', data: {} }));
+      } else {
+        missed.filter((event) => isFor(event, user)).forEach((event) => res.write(format(event)));
+      }
+      const client = { user, res };
+      clients.add(client);
+      const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), options.heartbeatSeconds * 1000);
+      const stop = () => {
+        clearInterval(heartbeat);
+        clients.delete(client);
+      };
+      req.on('close', stop);
+      return {
+        close() {
+          stop();
+          res.end();
+        },
+      };
+    },
+  };
+}
+
+module.exports = { createEventHub };
@@ -0,0 +1,103 @@
+/*
+ * Addresses, geocoding and service areas
+ *
+ * Bookings carry a structured ``address``: ``{ line1, line2, city,
+ * postcode, location }``, where ``location`` is ``{ lat, lng,
+ * precision }`` as worked out by a geocoder when the booking was made,
+ * or null when the address could not be placed.
+ *
+ * Geocoders are adapters, chosen here, that expose
+ *
+ *   geocode(address)  resolve to ``{ lat, lng, precision }`` or null
+ *                     when the address is unknown; reject only when
+ *                     the lookup itself failed
+ *
+ * The default ``postcodes`` geocoder (postcodes.js) works offline from
+ * a table of postcode centres; ``nominatim`` (nominatim.js) looks up
+ * full addresses over the network.
+ *
+ * A cleaner's service area is a list of postcodes they cover, a
+ * radius around their base location, or both.  A cleaner who has set
+ * neither is taken to cover everywhere.
+ */
+
+const { createPostcodeGeocoder } = require('./postcodes');
+const { createNominatimGeocoder } = require('./nominatim');
+
+/**
+ * Put a postcode in the form used for comparisons: upper case, with
+ * runs of spaces collapsed.
+ */
+function normalisePostcode(postcode) {
+  return String(postcode || '')
+    .trim()
+    .toUpperCase()
+    .replace(/\s+/g, ' ');
+}
+
+/**
+ * Create the geocoder described by `options`: ``provider`` picks the
+ * adapter and the remaining options are passed to it.
+ */
+function createGeocoder(options) {
+  if (!options.provider || options.provider === 'postcodes') {
+    return createPostcodeGeocoder({ table: options.postcodeTable }, normalisePostcode);
+  }
+  if (options.provider === 'nominatim') {
+    return createNominatimGeocoder(options.nominatim);
+  }
+  throw new Error(`Unknown geocoding provider "${options.provider}"`);
+}
+
+/**
+ * Write `address` on one line, as shown wherever bookings are listed.
+ */
+function formatAddress(address) {
+  return [address.line1, address.line2, address.city, address.postcode].filter(Boolean).join(', ');
+}
+
+/**
+ * The great‑circle distance between locations `a` and `b` in
+ * kilometres, rounded to one decimal place, or null if either is
+ * unknown.
+ */
+function distanceKm(a, b) {
+  if (!a || !b) {
+    return null;
+  }
+  const radians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = radians(b.lat - a.lat);
+  const dLng = radians(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(radians(a.lat)) * Math.cos(radians(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return Math.round(2 * 6371 * Math.asin(Math.sqrt(h)) * 10) / 10;
+}
+
+/**
+ * Return true if the service `area` of a cleaner, ``{ postcodes, base,
+ * radiusKm }``, takes in `address`.  Addresses that cannot be judged,
+ * such as bookings made before addresses were structured, count as
+ * covered so they are never hidden.
+ */
+function areaCovers(area, address) {
+  const postcodes = (area && area.postcodes) || [];
+  const radius = area && area.base && area.base.location && area.radiusKm;
+  if (postcodes.length === 0 && !radius) {
+    return true;
+  }
+  if (!address || !address.postcode) {
+    return true;
+  }
+  if (postcodes.includes(normalisePostcode(address.postcode))) {
+    return true;
+  }
+  const distance = radius ? distanceKm(area.base.location, address.location) : null;
+  return distance !== null && distance <= radius;
+}
+
+module.exports = {
+  createGeocoder,
+  normalisePostcode,
+  formatAddress,
+  distanceKm,
+  areaCovers,
+};
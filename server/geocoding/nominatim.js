@@ -0,0 +1,78 @@
+/*
+ * Nominatim geocoder
+ *
+ * Resolves full street addresses through a Nominatim search service,
+ * either OpenStreetMap's public one or a self‑hosted copy at
+ * `options.url`.  The public service asks for an identifying
+ * `options.userAgent` and no more than one request a second, so busy
+ * deployments should run their own.  Addresses it cannot find are
+ * reported as unknown rather than as errors.
+ */
+
+const https = require('https');
+const http = require('http');
+
+/**
+ * GET `target` and parse the JSON response.  Rejects on network
+ * errors, non‑2xx answers and when nothing arrives within
+ * `timeoutMs`.
+ */
+function getJson(target, headers, timeoutMs) {
+  const transport = new URL(target).protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = transport.get(target, { headers, timeout: timeoutMs }, (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => {
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          reject(new Error(`Geocoder answered ${res.statusCode}`));
+          return;
+        }
+        try {
+          resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+        } catch (err) {
+          reject(new Error('Geocoder sent a response that is not JSON'));
+        }
+      });
+    });
+    req.on('timeout', () => req.destroy(new Error(`No response from ${target}`)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Create a geocoder that queries the Nominatim service at
+ * `options.url`.
+ */
+function createNominatimGeocoder(options) {
+  const base = options.url || 'https://nominatim.openstreetmap.org';
+  return {
+    name: 'nominatim',
+
+    async geocode(address) {
+      const params = new URLSearchParams({ format: 'jsonv2', limit: '1' });
+      // Postcode searches leave out the street and city
+      [
+        ['street', address.line1],
+        ['city', address.city],
+        ['postalcode', address.postcode],
+      ]
+        .filter(([, value]) => value)
+        .forEach(([name, value]) => params.set(name, value));
+      if (options.countryCodes) {
+        params.set('countrycodes', options.countryCodes);
+      }
+      const results = await getJson(
+        `${base.replace(/\/$/, '')}/search?${params.toString()}`,
+        { 'User-Agent': options.userAgent || 'Brightidy', Accept: 'application/json' },
+        options.timeoutMs
+      );
+      if (!Array.isArray(results) || results.length === 0) {
+        return null;
+      }
+      return { lat: Number(results[0].lat), lng: Number(results[0].lon), precision: 'address' };
+    },
+  };
+}
+
+module.exports = { createNominatimGeocoder };
@@ -0,0 +1,61 @@
+/*
+ * Offline postcode geocoder
+ *
+ * Places an address at the centre of its postcode, looked up in a CSV
+ * table with a ``postcode,lat,lng`` header.  It needs no network
+ * access, which makes it the default for development and for
+ * operators who only need distances to the nearest postcode.  The
+ * table that ships with Brightidy (postcodes.csv) only covers the
+ * service's launch area with approximate centroids; point
+ * `options.table` at a fuller one to serve elsewhere.
+ *
+ * A postcode that is not in the table is tried again without its last
+ * part, so ``94103-1234`` falls back to ``94103`` and ``SW1A 1AA`` to
+ * ``SW1A`` when the table lists districts.
+ */
+
+const fs = require('fs');
+
+/**
+ * Read a postcode table from the CSV file `file`.  Returns a map from
+ * postcode to ``{ lat, lng }``.
+ */
+function readTable(file, normalisePostcode) {
+  const table = new Map();
+  const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/).slice(1);
+  lines
+    .filter((line) => line.trim())
+    .forEach((line) => {
+      const [postcode, lat, lng] = line.split(',');
+      if (postcode && Number.isFinite(Number(lat)) && Number.isFinite(Number(lng))) {
+        table.set(normalisePostcode(postcode), { lat: Number(lat), lng: Number(lng) });
+      }
+    });
+  return table;
+}
+
+/**
+ * Create a geocoder looking postcodes up in the CSV file
+ * `options.table`.
+ */
+function createPostcodeGeocoder(options, normalisePostcode) {
+  const table = readTable(options.table, normalisePostcode);
+  return {
+    name: 'postcodes',
+
+    async geocode(address) {
+      let postcode = normalisePostcode(address.postcode);
+      while (postcode) {
+        const centre = table.get(postcode);
+        if (centre) {
+          return { ...centre, precision: 'postcode' };
+        }
+        const cut = Math.max(postcode.lastIndexOf(' '), postcode.lastIndexOf('-'));
+        postcode = cut > 0 ? postcode.slice(0, cut) : null;
+      }
+      return null;
+    },
+  };
+}
+
+module.exports = { createPostcodeGeocoder };
@@ -0,0 +1,164 @@
+/*
+ * Notifications
+ *
+ * Users are told about things that happen to their bookings (a cleaner
+ * accepting or completing one, a cancellation, a reminder the day
+ * before, a new message or rating) by email and text message.  Route
+ * handlers queue a notification inside their transaction with
+ * `queueNotification`; the server then delivers queued notifications
+ * in the background and retries failed ones, so a slow or unreachable
+ * mail server never holds up a request.
+ *
+ * Each channel sends through an adapter, chosen here, that exposes
+ *
+ *   send(message)  deliver ``{ id, channel, event, to, subject, text }``
+ *                  and resolve to ``{ ref }``, or reject on failure
+ *
+ * Email can go out through ``smtp`` (smtp.js), text messages through an
+ * ``sms`` gateway (sms.js), and either through a ``webhook`` to another
+ * service (webhook.js).  The default ``outbox`` adapter (outbox.js)
+ * only writes files, for development and tests.
+ *
+ * Users choose which events reach them on which channel.  Their
+ * choices and contact details are kept on the user record as
+ * ``notifications``: ``{ email, phone, channels: { email: [...],
+ * sms: [...] } }``.  Nothing is sent on a channel without an address.
+ */
+
+const { nextId } = require('../storage');
+const { EVENTS, renderTemplate } = require('./templates');
+const { createOutbox } = require('./outbox');
+const { createSmtpSender } = require('./smtp');
+const { createSmsSender } = require('./sms');
+const { createWebhookSender } = require('./webhook');
+
+const CHANNELS = ['email', 'sms'];
+
+// Who hears about what until they choose for themselves: everything by
+// email, and only the things that cannot wait by text message.
+const DEFAULT_CHANNELS = {
+  email: EVENTS.slice(),
+  sms: ['booking_cancelled', 'booking_reassigned', 'booking_reminder'],
+};
+
+/**
+ * Create the adapter `channel` sends through, as picked by
+ * ``options[channel]``.  The remaining options configure it.
+ */
+function createSender(channel, options) {
+  const adapter = options[channel] || 'outbox';
+  if (adapter === 'outbox') {
+    return createOutbox({ dir: options.outboxDir });
+  }
+  if (adapter === 'webhook') {
+    return createWebhookSender({ ...options.webhook, timeoutMs: options.timeoutMs });
+  }
+  if (adapter === 'smtp' && channel === 'email') {
+    return createSmtpSender({ ...options.smtp, timeoutMs: options.timeoutMs });
+  }
+  if (adapter === 'sms' && channel === 'sms') {
+    return createSmsSender({ ...options.smsGateway, timeoutMs: options.timeoutMs });
+  }
+  throw new Error(`Unknown ${channel} notification adapter "${adapter}"`);
+}
+
+/**
+ * Create the senders for every channel from the notification settings
+ * in config.js.  Returns an object keyed by channel.
+ */
+function createNotificationSenders(options) {
+  const senders = {};
+  CHANNELS.forEach((channel) => {
+    senders[channel] = createSender(channel, options);
+  });
+  return senders;
+}
+
+/**
+ * The notification settings of `user`, with the defaults filled in.
+ */
+function notificationSettings(user) {
+  const settings = user.notifications || {};
+  return {
+    email: settings.email || null,
+    phone: settings.phone || null,
+    channels: { ...DEFAULT_CHANNELS, ...settings.channels },
+  };
+}
+
+/**
+ * Queue the notification `event` for the user named `username` on each
+ * channel they want it on.  `values` fill in the template placeholders
+ * and may carry the ``bookingId`` it is about; `templates` overrides
+ * the default templates.  Must be called inside a transaction.
+ * Returns the notifications queued, which may be none.
+ */
+function queueNotification(db, username, event, values, templates) {
+  const user = db.users.find((u) => u.username === username);
+  if (!user || user.suspended) {
+    return [];
+  }
+  const settings = notificationSettings(user);
+  const addresses = { email: settings.email, sms: settings.phone };
+  const now = new Date().toISOString();
+  return CHANNELS.filter((channel) => addresses[channel] && settings.channels[channel].includes(event)).map(
+    (channel) => {
+      const content = renderTemplate(event, channel, { name: username, ...values }, templates);
+      const notification = {
+        id: nextId(db, 'notifications'),
+        username,
+        event,
+        channel,
+        to: addresses[channel],
+        subject: content.subject,
+        text: content.text,
+        bookingId: values.bookingId || null,
+        status: 'queued',
+        attempts: 0,
+        nextAttemptAt: now,
+        lastError: null,
+        ref: null,
+        createdAt: now,
+        sentAt: null,
+      };
+      db.notifications.push(notification);
+      return notification;
+    }
+  );
+}
+
+/**
+ * Record the outcome of one delivery attempt of `notification`.  A
+ * failure is retried after the next delay in `retryMinutes` until
+ * there are none left, when the notification is marked ``failed``.
+ * Must be called inside a transaction.
+ */
+function recordDelivery(notification, outcome, retryMinutes) {
+  const now = new Date();
+  notification.attempts += 1;
+  if (!outcome.error) {
+    notification.status = 'sent';
+    notification.ref = outcome.ref || null;
+    notification.sentAt = now.toISOString();
+    notification.lastError = null;
+    return notification;
+  }
+  notification.lastError = outcome.error;
+  const delay = retryMinutes[notification.attempts - 1];
+  if (delay === undefined) {
+    notification.status = 'failed';
+    notification.nextAttemptAt = null;
+  } else {
+    notification.nextAttemptAt = new Date(now.getTime() + delay * 60 * 1000).toISOString();
+  }
+  return notification;
+}
+
+module.exports = {
+  CHANNELS,
+  EVENTS,
+  createNotificationSenders,
+  notificationSettings,
+  queueNotification,
+  recordDelivery,
+};
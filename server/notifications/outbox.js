@@ -0,0 +1,30 @@
+/*
+ * Outbox notification adapter
+ *
+ * Used in development and tests in place of a real email or SMS
+ * service.  Nothing leaves the machine: each notification is written
+ * as a JSON file to `options.dir`, named after the time it was sent
+ * and the notification id, so the newest files show what the last
+ * requests would have sent.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Create an outbox that writes notifications to `options.dir`.
+ */
+function createOutbox(options) {
+  return {
+    name: 'outbox',
+
+    async send(message) {
+      await fs.promises.mkdir(options.dir, { recursive: true });
+      const file = `${Date.now()}-${message.id}-${message.channel}.json`;
+      await fs.promises.writeFile(path.join(options.dir, file), JSON.stringify(message, null, 2) + '\n');
+      return { ref: file };
+    },
+  };
+}
+
+module.exports = { createOutbox };
@@ -0,0 +1,48 @@
+/*
+ * SMS notification adapter
+ *
+ * Sends text messages through an HTTP SMS gateway using the form post
+ * most providers accept (Twilio's Messages API among them): ``To``,
+ * ``From`` and ``Body`` fields sent to `options.url` with HTTP basic
+ * authentication as `options.accountId` and `options.authToken`.  The
+ * gateway's message id, when its JSON response has one, is kept as the
+ * notification's reference.
+ */
+
+const { post } = require('./webhook');
+
+/**
+ * Create an SMS adapter sending through the gateway at `options.url`
+ * from the number `options.from`.
+ */
+function createSmsSender(options) {
+  if (!options.url || !options.from) {
+    throw new Error('The sms notification adapter needs a url and a from number');
+  }
+  const credentials = Buffer.from(`${options.accountId || ''}:${options.authToken || ''}`).toString('base64');
+  return {
+    name: 'sms',
+
+    async send(message) {
+      const body = new URLSearchParams({ To: message.to, From: options.from, Body: message.text }).toString();
+      const response = await post(
+        options.url,
+        body,
+        { 'Content-Type': 'application/x-www-form-urlencoded', Authorization: `Basic ${credentials}` },
+        options.timeoutMs
+      );
+      if (response.status < 200 || response.status >= 300) {
+        throw new Error(`SMS gateway answered ${response.status}: ${response.body.slice(0, 200)}`);
+      }
+      let reply = {};
+      try {
+        reply = JSON.parse(response.body) || {};
+      } catch (err) {
+        // Not every gateway answers with JSON
+      }
+      return { ref: reply.sid || reply.id || `sms:${message.id}` };
+    },
+  };
+}
+
+module.exports = { createSmsSender };
@@ -0,0 +1,179 @@
+/*
+ * SMTP notification adapter
+ *
+ * Sends email straight to an SMTP relay (a local MTA or a provider
+ * such as SES or Postmark) without any outside packages.  It speaks
+ * just enough of the protocol for that: EHLO, optional STARTTLS or an
+ * implicitly secure connection (`options.secure`, usually port 465),
+ * AUTH PLAIN when `options.username` is set, and one message per
+ * connection.  Messages are plain UTF‑8 text, base64 encoded so no
+ * line of the body needs escaping.
+ */
+
+const net = require('net');
+const tls = require('tls');
+const crypto = require('crypto');
+const os = require('os');
+
+/**
+ * Read SMTP replies from `socket`.  Returns ``{ next, detach }``:
+ * `next` resolves to the next reply as ``{ code, text }`` (multi‑line
+ * replies joined) and `detach` stops reading, before the socket is
+ * handed to TLS.
+ */
+function replyReader(socket) {
+  const replies = [];
+  const waiting = [];
+  let buffer = '';
+  let lines = [];
+  let failure = null;
+  const onData = (chunk) => {
+    buffer += chunk.toString('utf8');
+    let end;
+    while ((end = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      lines.push(line.slice(4));
+      if (line[3] !== '-') {
+        const reply = { code: Number(line.slice(0, 3)), text: lines.join('\n') };
+        lines = [];
+        if (waiting.length > 0) {
+          waiting.shift().resolve(reply);
+        } else {
+          replies.push(reply);
+        }
+      }
+    }
+  };
+  const onFailure = (err) => {
+    failure = err || new Error('SMTP connection closed');
+    waiting.splice(0).forEach((w) => w.reject(failure));
+  };
+  socket.on('data', onData);
+  socket.on('error', onFailure);
+  socket.on('close', () => onFailure(null));
+  return {
+    next() {
+      if (replies.length > 0) {
+        return Promise.resolve(replies.shift());
+      }
+      if (failure) {
+        return Promise.reject(failure);
+      }
+      return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+    },
+    detach() {
+      socket.removeListener('data', onData);
+    },
+  };
+}
+
+/**
+ * Encode a header value as an RFC 2047 encoded word when it is not
+ * plain ASCII.  Line breaks are dropped so a value cannot add headers.
+ */
+function encodeHeader(value) {
+  const text = String(value).replace(/[\r\n]+/g, ' ');
+  return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text).toString('base64')}?=`;
+}
+
+/**
+ * The bare address in `from`, which may be written with a display name
+ * as in ``Brightidy <no-reply@example.com>``.
+ */
+function envelopeAddress(from) {
+  const match = /<([^>]+)>/.exec(from);
+  return match ? match[1] : from.trim();
+}
+
+/**
+ * Build the full text of an email from `from` carrying `message`.
+ */
+function buildEmail(from, message) {
+  const domain = envelopeAddress(from).split('@')[1] || 'localhost';
+  const body = Buffer.from(message.text).toString('base64').replace(/.{76}/g, '$&\r\n');
+  return [
+    `From: ${from}`,
+    `To: ${message.to}`,
+    `Subject: ${encodeHeader(message.subject || '')}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomBytes(12).toString('hex')}@${domain}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    body,
+  ].join('\r\n');
+}
+
+/**
+ * Create an SMTP adapter.  `options` holds the relay's ``host`` and
+ * ``port``, ``secure`` for an implicitly secure connection,
+ * ``startTls`` to upgrade a plain one, ``username`` and ``password``
+ * for authentication, the ``from`` address (which may include a
+ * display name) and ``timeoutMs``.
+ */
+function createSmtpSender(options) {
+  if (!options.host || !options.from) {
+    throw new Error('The smtp notification adapter needs a host and a from address');
+  }
+
+  function connect() {
+    const port = options.port || (options.secure ? 465 : 587);
+    const socket = options.secure
+      ? tls.connect({ host: options.host, port, servername: options.host })
+      : net.connect({ host: options.host, port });
+    socket.setTimeout(options.timeoutMs || 15000, () => socket.destroy(new Error('SMTP server timed out')));
+    return socket;
+  }
+
+  return {
+    name: 'smtp',
+
+    async send(message) {
+      let socket = connect();
+      let reader = replyReader(socket);
+      const expect = async (codes, command) => {
+        const reply = await reader.next();
+        if (!codes.includes(reply.code)) {
+          throw new Error(`SMTP ${command || 'greeting'} failed: ${reply.code} ${reply.text}`);
+        }
+        return reply;
+      };
+      const command = (line, codes) => {
+        socket.write(`${line}\r\n`);
+        return expect(codes, line.split(' ')[0]);
+      };
+      try {
+        await expect([220]);
+        const hello = await command(`EHLO ${os.hostname() || 'localhost'}`, [250]);
+        if (options.startTls && !options.secure) {
+          if (!/^STARTTLS$/im.test(hello.text)) {
+            throw new Error('SMTP server does not offer STARTTLS');
+          }
+          await command('STARTTLS', [220]);
+          reader.detach();
+          socket = tls.connect({ socket, servername: options.host });
+          reader = replyReader(socket);
+          await command(`EHLO ${os.hostname() || 'localhost'}`, [250]);
+        }
+        if (options.username) {
+          const credentials = Buffer.from(`\0${options.username}\0${options.password || ''}`).toString('base64');
+          await command(`AUTH PLAIN ${credentials}`, [235]);
+        }
+        await command(`MAIL FROM:<${envelopeAddress(options.from)}>`, [250]);
+        await command(`RCPT TO:<${message.to}>`, [250, 251]);
+        await command('DATA', [354]);
+        socket.write(`${buildEmail(options.from, message)}\r\n.\r\n`);
+        const accepted = await expect([250], 'message');
+        socket.end('QUIT\r\n');
+        return { ref: accepted.text };
+      } catch (err) {
+        socket.destroy();
+        throw err;
+      }
+    },
+  };
+}
+
+module.exports = { createSmtpSender };
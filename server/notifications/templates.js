@@ -0,0 +1,131 @@
+/*
+ * Notification templates
+ *
+ * Each kind of notification has a template per channel: an email has a
+ * ``subject`` and a ``text`` body, a text message only ``text``.
+ * Templates are plain text with ``{{name}}`` placeholders that are
+ * filled in from the values the notification was queued with; a
+ * placeholder with no value is left empty.  Operators can replace any
+ * template through config.js.
+ */
+
+const EVENTS = [
+  'booking_accepted',
+  'booking_completed',
+  'booking_cancelled',
+  'booking_reassigned',
+  'booking_reminder',
+  'reschedule_response',
+  'new_message',
+  'new_rating',
+  'dispute_update',
+];
+
+const DEFAULT_TEMPLATES = {
+  booking_accepted: {
+    email: {
+      subject: 'Your cleaning on {{date}} is confirmed',
+      text:
+        'Hi {{name}},\n\n{{actor}} has accepted booking {{bookingId}} at {{address}} on {{date}} at {{time}}.\n\n' +
+        'Brightidy',
+    },
+    sms: { text: 'Brightidy: {{actor}} accepted your cleaning on {{date}} at {{time}}.' },
+  },
+  booking_completed: {
+    email: {
+      subject: 'Your cleaning on {{date}} is done',
+      text:
+        'Hi {{name}},\n\n{{actor}} has marked booking {{bookingId}} at {{address}} as completed.  ' +
+        'You can now rate the cleaning and leave a tip.\n\nBrightidy',
+    },
+    sms: { text: 'Brightidy: {{actor}} has finished your cleaning at {{address}}.' },
+  },
+  booking_cancelled: {
+    email: {
+      subject: 'Booking {{bookingId}} on {{date}} was cancelled',
+      text:
+        'Hi {{name}},\n\n{{actor}} cancelled booking {{bookingId}} at {{address}} on {{date}} at {{time}}.\n\n' +
+        '{{reason}}\n\nBrightidy',
+    },
+    sms: { text: 'Brightidy: booking {{bookingId}} on {{date}} at {{time}} was cancelled by {{actor}}.' },
+  },
+  booking_reassigned: {
+    email: {
+      subject: 'Booking {{bookingId}} on {{date}} was given to another cleaner',
+      text:
+        'Hi {{name}},\n\nBooking {{bookingId}} at {{address}} on {{date}} at {{time}} has been reassigned to ' +
+        'another cleaner and is no longer yours.\n\nBrightidy',
+    },
+    sms: { text: 'Brightidy: booking {{bookingId}} on {{date}} at {{time}} is no longer yours.' },
+  },
+  booking_reminder: {
+    email: {
+      subject: 'Reminder: cleaning on {{date}} at {{time}}',
+      text:
+        'Hi {{name}},\n\nA reminder that booking {{bookingId}} at {{address}} is on {{date}} at {{time}}.\n\n' +
+        'Brightidy',
+    },
+    sms: { text: 'Brightidy reminder: cleaning at {{address}} on {{date}} at {{time}}.' },
+  },
+  reschedule_response: {
+    email: {
+      subject: 'Moving booking {{bookingId}} to {{proposed}}: {{outcome}}',
+      text:
+        'Hi {{name}},\n\n{{actor}} {{outcome}} moving booking {{bookingId}} at {{address}} to {{proposed}}.  ' +
+        'It is on {{date}} at {{time}}.\n\nBrightidy',
+    },
+    sms: { text: 'Brightidy: {{actor}} {{outcome}} moving booking {{bookingId}}; it is on {{date}} at {{time}}.' },
+  },
+  new_message: {
+    email: {
+      subject: 'New message from {{actor}}',
+      text: 'Hi {{name}},\n\n{{actor}} wrote about booking {{bookingId}}:\n\n{{content}}\n\nBrightidy',
+    },
+    sms: { text: 'Brightidy: new message from {{actor}} about booking {{bookingId}}.' },
+  },
+  new_rating: {
+    email: {
+      subject: 'You were rated {{rating}}/5',
+      text: 'Hi {{name}},\n\n{{actor}} rated booking {{bookingId}} {{rating}}/5.\n\n{{comment}}\n\nBrightidy',
+    },
+    sms: { text: 'Brightidy: {{actor}} rated booking {{bookingId}} {{rating}}/5.' },
+  },
+  dispute_update: {
+    email: {
+      subject: 'Dispute about booking {{bookingId}}: {{update}}',
+      text:
+        'Hi {{name}},\n\nThe dispute about booking {{bookingId}} at {{address}}: {{update}}.\n\n{{details}}\n\n' +
+        'Brightidy',
+    },
+    sms: { text: 'Brightidy: dispute about booking {{bookingId}}: {{update}}.' },
+  },
+};
+
+/**
+ * Fill in the ``{{name}}`` placeholders of `template` from `values`.
+ */
+function fill(template, values) {
+  return template.replace(/\{\{(\w+)\}\}/g, (match, name) =>
+    values[name] === undefined || values[name] === null ? '' : String(values[name])
+  );
+}
+
+/**
+ * Render the notification `event` for `channel`, using `overrides` (an
+ * object shaped like the default templates) in place of the defaults
+ * where given.  Returns ``{ subject, text }``; ``subject`` is null for
+ * channels without one.
+ */
+function renderTemplate(event, channel, values, overrides) {
+  const custom = overrides && overrides[event] && overrides[event][channel];
+  const template = { ...DEFAULT_TEMPLATES[event][channel], ...custom };
+  return {
+    subject: template.subject ? fill(template.subject, values) : null,
+    text: fill(template.text, values),
+  };
+}
+
+module.exports = {
+  EVENTS,
+  renderTemplate,
+};
@@ -0,0 +1,68 @@
+/*
+ * Webhook notification adapter
+ *
+ * Hands notifications to another service over HTTP, for operators who
+ * already have something that sends email or text messages.  Each
+ * notification is POSTed to `options.url` as JSON, signed with
+ * HMAC‑SHA256 using `options.secret` and hex encoded in the
+ * ``x-brightidy-signature`` header.  Any 2xx response counts as sent.
+ */
+
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+
+/**
+ * POST `body` to `target` with `headers`.  Resolves to
+ * ``{ status, body }`` whatever the status code; rejects on network
+ * errors and when no response arrives within `timeoutMs`.
+ */
+function post(target, body, headers, timeoutMs) {
+  const transport = new URL(target).protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = transport.request(
+      target,
+      { method: 'POST', headers: { ...headers, 'Content-Length': Buffer.byteLength(body) }, timeout: timeoutMs },
+      (res) => {
+        const chunks = [];
+        res.on('data', (chunk) => chunks.push(chunk));
+        res.on('end', () => resolve({ status: res.statusCode, body: Buffer.concat(chunks).toString('utf8') }));
+      }
+    );
+    req.on('timeout', () => req.destroy(new Error(`No response from ${target}`)));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+/**
+ * Create a webhook adapter posting to `options.url`.
+ */
+function createWebhookSender(options) {
+  if (!options.url) {
+    throw new Error('The webhook notification adapter needs a url');
+  }
+  return {
+    name: 'webhook',
+
+    async send(message) {
+      const body = JSON.stringify(message);
+      const signature = crypto
+        .createHmac('sha256', options.secret || '')
+        .update(body)
+        .digest('hex');
+      const response = await post(
+        options.url,
+        body,
+        { 'Content-Type': 'application/json', 'x-brightidy-signature': signature },
+        options.timeoutMs
+      );
+      if (response.status < 200 || response.status >= 300) {
+        throw new Error(`Webhook answered ${response.status}`);
+      }
+      return { ref: `webhook:${message.id}` };
+    },
+  };
+}
+
+module.exports = { createWebhookSender, post };
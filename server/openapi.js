@@ -0,0 +1,168 @@
+/*
+ * OpenAPI document
+ *
+ * Describes the API in OpenAPI 3.0 form, served at /v1/openapi.json so
+ * clients and tools can discover it.  The document is built from the
+ * route table (see router.js) and the request schemas each route names
+ * (see schemas.js), so it cannot drift from what the server accepts.
+ * Responses are only described by status and content type; every
+ * error has the ``{ error, fields }`` shape of an `HttpError`.
+ */
+
+/**
+ * Translate one validation rule into an OpenAPI schema object.
+ */
+function ruleSchema(rule) {
+  const schema = {};
+  if (rule.type) {
+    schema.type = rule.type;
+  }
+  if (rule.enum) {
+    schema.enum = rule.enum;
+  }
+  if (rule.format === 'date') {
+    schema.format = 'date';
+  } else if (rule.format === 'time' || rule.format === 'time24') {
+    schema.pattern = '^\\d{2}:\\d{2}$';
+    schema.description = 'A time in HH:MM format';
+  }
+  if (rule.pattern) {
+    schema.pattern = rule.pattern.source;
+  }
+  if (rule.patternMessage) {
+    schema.description = `Value ${rule.patternMessage}`;
+  }
+  if (rule.min !== undefined) {
+    schema.minimum = rule.min;
+  }
+  if (rule.max !== undefined) {
+    schema.maximum = rule.max;
+  }
+  const array = rule.type === 'array';
+  if (rule.minLength !== undefined) {
+    schema[array ? 'minItems' : 'minLength'] = rule.minLength;
+  }
+  if (rule.maxLength !== undefined) {
+    schema[array ? 'maxItems' : 'maxLength'] = rule.maxLength;
+  }
+  if (rule.nullable) {
+    schema.nullable = true;
+  }
+  if (rule.default !== undefined) {
+    schema.default = rule.default;
+  }
+  if (rule.items) {
+    schema.items = ruleSchema(rule.items);
+  }
+  if (rule.properties) {
+    Object.assign(schema, objectSchema(rule.properties, []));
+  }
+  return schema;
+}
+
+/**
+ * Translate a request schema into an OpenAPI object schema, leaving out
+ * the fields named in `omit`.
+ */
+function objectSchema(fields, omit) {
+  const names = Object.keys(fields).filter((name) => !omit.includes(name));
+  const schema = { type: 'object', properties: {} };
+  names.forEach((name) => {
+    schema.properties[name] = ruleSchema(fields[name]);
+  });
+  const required = names.filter((name) => fields[name].required);
+  if (required.length > 0) {
+    schema.required = required;
+  }
+  return schema;
+}
+
+/**
+ * The OpenAPI operation for `route`.
+ */
+function operation(route) {
+  const inputs = { ...route.query, ...route.body };
+  const parameters = route.names.map((name) => ({
+    name,
+    in: 'path',
+    required: true,
+    schema: inputs[name] ? ruleSchema(inputs[name]) : { type: name.endsWith('Id') ? 'integer' : 'string' },
+  }));
+  Object.keys(route.query || {})
+    .filter((name) => !route.names.includes(name))
+    .forEach((name) => {
+      const rule = route.query[name];
+      parameters.push({ name, in: 'query', required: Boolean(rule.required), schema: ruleSchema(rule) });
+    });
+  const op = { tags: [route.tag], summary: route.summary };
+  if (parameters.length > 0) {
+    op.parameters = parameters;
+  }
+  const body = route.body && objectSchema(route.body, route.names);
+  if (body && Object.keys(body.properties).length > 0) {
+    op.requestBody = {
+      required: Boolean(body.required),
+      content: { 'application/json': { schema: body } },
+    };
+  } else if (route.upload) {
+    op.requestBody = {
+      required: true,
+      content: { 'image/*': { schema: { type: 'string', format: 'binary' } } },
+    };
+  }
+  const produces = route.produces || 'application/json';
+  op.responses = {
+    [route.status || 200]: {
+      description: 'Success',
+      content: { [produces]: { schema: produces === 'application/json' ? { type: 'object' } : { type: 'string' } } },
+    },
+    default: {
+      description: 'Error',
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } },
+    },
+  };
+  if (route.public) {
+    op.security = [];
+  }
+  if (route.deprecated) {
+    op.deprecated = true;
+    op.description = `Use ${route.deprecated} instead.`;
+  }
+  return op;
+}
+
+/**
+ * Build the OpenAPI document describing `routes`, titled with `info`
+ * (``{ title, version }``).
+ */
+function buildOpenApiDocument(routes, info) {
+  const paths = {};
+  routes
+    .filter((route) => route.summary)
+    .forEach((route) => {
+      const path = route.pattern.replace(/:(\w+)/g, '{$1}');
+      paths[path] = { ...paths[path], [route.method.toLowerCase()]: operation(route) };
+    });
+  return {
+    openapi: '3.0.3',
+    info,
+    servers: [{ url: '/' }],
+    paths,
+    components: {
+      securitySchemes: { bearerAuth: { type: 'http', scheme: 'bearer' } },
+      schemas: {
+        Error: {
+          type: 'object',
+          required: ['error'],
+          properties: {
+            error: { type: 'string' },
+            fields: { type: 'object', additionalProperties: { type: 'string' } },
+          },
+        },
+      },
+    },
+    security: [{ bearerAuth: [] }],
+  };
+}
+
+module.exports = { buildOpenApiDocument };
@@ -0,0 +1,108 @@
+/*
+ * Cursor pagination
+ *
+ * List endpoints return their items a page at a time.  Each list
+ * offers a few named orders, picked with the ``sort`` query parameter;
+ * a ``-`` in front of the name reverses it.  ``limit`` items are
+ * returned after the position given by ``cursor``, together with the
+ * ``nextCursor`` that fetches the following page, or null on the last
+ * one.
+ *
+ * An order is a function giving the sort key of an item as an array of
+ * strings and numbers, compared element by element with nulls after
+ * everything else; the item's id is added as a final tie‑breaker.  A
+ * cursor records the key of the last item on its page rather than a
+ * position, so items added or removed while a client pages through a
+ * list do not make it skip or repeat others.  Cursors are opaque to
+ * clients and only valid with the ``sort`` they were issued for.
+ */
+
+const { HttpError } = require('./validation');
+
+// Page size when a request does not give a ``limit``
+const DEFAULT_LIMIT = 50;
+
+/**
+ * The values of the `names` orders both ways round, for the ``sort``
+ * rule of a list's query schema.
+ */
+function sortValues(...names) {
+  return names.flatMap((name) => [name, `-${name}`]);
+}
+
+function compareValues(a, b) {
+  if (a === b) {
+    return 0;
+  }
+  if (a === null || a === undefined) {
+    return 1;
+  }
+  if (b === null || b === undefined) {
+    return -1;
+  }
+  return typeof a === 'string' ? a.localeCompare(b) : a - b;
+}
+
+function compareKeys(a, b) {
+  for (let i = 0; i < a.length; i += 1) {
+    const order = compareValues(a[i], b[i]);
+    if (order !== 0) {
+      return order;
+    }
+  }
+  return 0;
+}
+
+function encodeCursor(sort, key) {
+  return Buffer.from(JSON.stringify([sort, key])).toString('base64url');
+}
+
+/**
+ * The sort key recorded in `cursor`.  Throws a 400 `HttpError` if the
+ * cursor is malformed or was issued for another order.
+ */
+function decodeCursor(cursor, sort, length) {
+  let decoded = null;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (err) {
+    decoded = null;
+  }
+  if (!Array.isArray(decoded) || decoded[0] !== sort || !Array.isArray(decoded[1]) || decoded[1].length !== length) {
+    throw new HttpError(400, 'Invalid request', { cursor: 'is not a cursor for this list and sort' });
+  }
+  return decoded[1];
+}
+
+/**
+ * Put `items` in the order named by ``options.sort``, one of the keys
+ * of `orders` optionally preceded by ``-``, and return the page of
+ * ``options.limit`` items following ``options.cursor`` (or from the
+ * start) as ``{ items, nextCursor }``.
+ */
+function paginate(items, orders, options) {
+  const descending = options.sort.startsWith('-');
+  const order = orders[descending ? options.sort.slice(1) : options.sort];
+  const direction = descending ? -1 : 1;
+  const keyed = items
+    .map((item) => ({ item, key: [...order(item), item.id] }))
+    .sort((a, b) => direction * compareKeys(a.key, b.key));
+  let start = 0;
+  if (options.cursor && keyed.length > 0) {
+    const after = decodeCursor(options.cursor, options.sort, keyed[0].key.length);
+    start = keyed.findIndex((entry) => direction * compareKeys(entry.key, after) > 0);
+    start = start === -1 ? keyed.length : start;
+  }
+  const page = keyed.slice(start, start + options.limit);
+  const more = start + page.length < keyed.length;
+  return {
+    items: page.map((entry) => entry.item),
+    nextCursor: more ? encodeCursor(options.sort, page[page.length - 1].key) : null,
+  };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  sortValues,
+  paginate,
+};
@@ -0,0 +1,111 @@
+/*
+ * Password hashing
+ *
+ * Passwords are hashed with scrypt from Node’s built‑in crypto module.
+ * scrypt is deliberately slow and memory hungry, and every hash gets its
+ * own random salt, so precomputed (rainbow) tables are useless against a
+ * leaked database.  A stored hash is a single string that carries its
+ * algorithm, cost parameters and salt:
+ *
+ *     scrypt$<N>$<r>$<p>$<salt hex>$<hash hex>
+ *
+ * Because the parameters travel with the hash they can be raised later
+ * without invalidating existing records.  Older accounts may still hold
+ * a bare SHA‑256 hex digest from the original implementation; those are
+ * accepted at login and flagged for rehashing.
+ */
+
+const crypto = require('crypto');
+
+// Cost parameters for new hashes.  N = 2^14 takes roughly 50ms and
+// 16MB of memory on typical hardware.
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 128;
+
+/**
+ * Run scrypt without blocking the event loop.
+ */
+function scrypt(password, salt, params) {
+  return new Promise((resolve, reject) => {
+    const options = { N: params.N, r: params.r, p: params.p, maxmem: 256 * params.N * params.r };
+    crypto.scrypt(password, salt, KEY_LENGTH, options, (err, key) => (err ? reject(err) : resolve(key)));
+  });
+}
+
+/**
+ * Hash a plaintext password with a fresh random salt.  Resolves to the
+ * encoded hash string described at the top of this file.
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const key = await scrypt(password, salt, SCRYPT_PARAMS);
+  const { N, r, p } = SCRYPT_PARAMS;
+  return ['scrypt', N, r, p, salt.toString('hex'), key.toString('hex')].join('$');
+}
+
+/**
+ * Compare two buffers in constant time.  Buffers of different lengths
+ * never match.
+ */
+function safeEqual(a, b) {
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Check a plaintext password against a stored hash.  Resolves to an
+ * object with ``valid`` and ``needsRehash``; the latter is true when the
+ * password matched a legacy SHA‑256 hash or scrypt hash made with
+ * weaker parameters than the current ones, so the caller should store
+ * a fresh hash.  A missing `stored` value is checked against a dummy
+ * hash so that unknown usernames take as long as known ones.
+ */
+async function verifyPassword(password, stored) {
+  if (!stored) {
+    await scrypt(password, 'dummy-salt', SCRYPT_PARAMS);
+    return { valid: false, needsRehash: false };
+  }
+  if (/^[0-9a-f]{64}$/.test(stored)) {
+    const legacy = crypto.createHash('sha256').update(password).digest();
+    return { valid: safeEqual(legacy, Buffer.from(stored, 'hex')), needsRehash: true };
+  }
+  const parts = stored.split('$');
+  if (parts.length !== 6 || parts[0] !== 'scrypt') {
+    return { valid: false, needsRehash: false };
+  }
+  const params = { N: Number(parts[1]), r: Number(parts[2]), p: Number(parts[3]) };
+  const expected = Buffer.from(parts[5], 'hex');
+  const key = await scrypt(password, Buffer.from(parts[4], 'hex'), params);
+  const weaker = params.N < SCRYPT_PARAMS.N || params.r < SCRYPT_PARAMS.r || params.p < SCRYPT_PARAMS.p;
+  return { valid: safeEqual(key, expected), needsRehash: weaker };
+}
+
+/**
+ * Check a new password against the minimum rules: 8 to 128 characters,
+ * at least one letter and one digit, and not the same as the username.
+ * Returns an error message or null if the password is acceptable.
+ */
+function passwordProblem(password, username) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  if (password.length > MAX_PASSWORD_LENGTH) {
+    return `Password must be at most ${MAX_PASSWORD_LENGTH} characters`;
+  }
+  if (!/[A-Za-z]/.test(password) || !/\d/.test(password)) {
+    return 'Password must contain at least one letter and one digit';
+  }
+  if (username && password.toLowerCase() === String(username).toLowerCase()) {
+    return 'Password must not be the same as the username';
+  }
+  return null;
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  passwordProblem,
+};
@@ -0,0 +1,45 @@
+/*
+ * Payments
+ *
+ * Brightidy never talks to a card processor directly.  Route handlers
+ * go through a payment provider adapter, chosen here, that exposes:
+ *
+ *   authorise({ amount, currency, reference, customer })
+ *                         hold funds on the client's card
+ *   capture(ref, amount)  take up to the authorised amount; whatever is
+ *                         not captured is released
+ *   release(ref)          drop an authorisation without taking anything
+ *   charge({ amount, currency, reference, customer })
+ *                         take a one‑off payment such as a tip
+ *   refund(ref, amount)   give back part or all of a capture or charge
+ *   parseWebhook(rawBody, headers)
+ *                         verify a webhook delivery and return the event
+ *                         as ``{ id, type, ref, failureReason }``, or
+ *                         null if it is not genuine
+ *
+ * Every call except `parseWebhook` resolves to ``{ ref, status,
+ * failureReason }`` where ``status`` is ``succeeded``, ``failed`` or
+ * ``pending``.  A pending operation is settled later by a
+ * ``payment.*`` or ``refund.*`` webhook event.  Only the ``mock``
+ * gateway (see mock.js) ships with Brightidy; a real processor is added
+ * by writing an adapter with the same methods and selecting it here.
+ */
+
+const { createMockGateway } = require('./mock');
+const ledger = require('./ledger');
+
+/**
+ * Create the payment provider described by `options`: ``provider``
+ * picks the adapter and the remaining options are passed to it.
+ */
+function createPaymentProvider(options) {
+  if (!options.provider || options.provider === 'mock') {
+    return createMockGateway({ webhookSecret: options.webhookSecret, limit: options.mockLimit });
+  }
+  throw new Error(`Unknown payment provider "${options.provider}"`);
+}
+
+module.exports = {
+  createPaymentProvider,
+  ...ledger,
+};
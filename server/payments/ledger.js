@@ -0,0 +1,155 @@
+/*
+ * Payment ledger
+ *
+ * Every call made to the payment provider is recorded in the ``ledger``
+ * collection.  The ledger is append‑only: entries are never changed or
+ * removed, so when an operation's outcome changes later (a pending
+ * capture confirmed by webhook, say) a new entry for the same provider
+ * reference records the new status.  The latest entry for an
+ * operation is the one that counts.
+ *
+ * Entry types are ``authorisation`` (funds held when a booking is
+ * made), ``capture`` (the held funds taken), ``release`` (held funds
+ * let go), ``tip`` (a separate charge paid to the cleaner) and
+ * ``refund``.  Each booking keeps a summary of its entries in
+ * ``booking.payment`` so it can be shown without reading the ledger.
+ */
+
+const { nextId } = require('../storage');
+
+const LEDGER_TYPES = ['authorisation', 'capture', 'release', 'tip', 'refund'];
+
+/**
+ * Return the latest entry of each operation recorded for a booking,
+ * oldest first.  An operation is identified by its type and provider
+ * reference.
+ */
+function latestOperations(db, bookingId) {
+  const latest = new Map();
+  db.ledger
+    .filter((e) => e.bookingId === bookingId)
+    .forEach((e) => latest.set(`${e.type}:${e.providerRef}`, e));
+  return Array.from(latest.values()).sort((a, b) => a.id - b.id);
+}
+
+/**
+ * Summarise the money movements of a booking: the amounts authorised,
+ * captured, released, refunded and tipped, whether any operation is
+ * still pending, and an overall ``status``.  Returns null when nothing
+ * has been recorded.
+ */
+function paymentSummary(db, bookingId) {
+  const operations = latestOperations(db, bookingId);
+  if (operations.length === 0) {
+    return null;
+  }
+  const total = (type) =>
+    Math.round(
+      operations.filter((e) => e.type === type && e.status === 'succeeded').reduce((sum, e) => sum + e.amount, 0) * 100
+    ) / 100;
+  const summary = {
+    status: null,
+    currency: operations[0].currency,
+    authorised: total('authorisation'),
+    captured: total('capture'),
+    released: total('release'),
+    refunded: total('refund'),
+    tips: total('tip'),
+    pending: operations.some((e) => e.status === 'pending'),
+  };
+  const lastCapture = operations.filter((e) => e.type === 'capture').pop();
+  if (summary.refunded > 0) {
+    summary.status = summary.refunded >= summary.captured + summary.tips ? 'refunded' : 'partially_refunded';
+  } else if (lastCapture && lastCapture.status === 'failed') {
+    summary.status = 'capture_failed';
+  } else if (summary.captured > 0) {
+    summary.status = 'captured';
+  } else if (summary.authorised === 0) {
+    const pending = operations.some((e) => e.type === 'authorisation' && e.status === 'pending');
+    summary.status = pending ? 'pending' : 'failed';
+  } else if (summary.released >= summary.authorised) {
+    summary.status = 'released';
+  } else {
+    summary.status = 'authorised';
+  }
+  return summary;
+}
+
+/**
+ * Append an entry to the ledger and refresh the payment summary of the
+ * booking it belongs to.  `fields` holds ``bookingId``, ``type``,
+ * ``amount``, ``currency``, ``provider``, ``providerRef``, ``status``
+ * and optionally ``failureReason``, ``payer``, ``payee``, ``parentRef``
+ * (for a refund, the reference of the payment it gives back),
+ * ``eventId`` and ``note``.  Must be called inside a transaction.
+ */
+function appendLedgerEntry(db, fields) {
+  if (!LEDGER_TYPES.includes(fields.type)) {
+    throw new Error(`Unknown ledger entry type "${fields.type}"`);
+  }
+  const entry = {
+    id: nextId(db, 'ledger'),
+    bookingId: fields.bookingId,
+    type: fields.type,
+    amount: fields.amount,
+    currency: fields.currency,
+    provider: fields.provider,
+    providerRef: fields.providerRef,
+    status: fields.status,
+    failureReason: fields.failureReason || null,
+    payer: fields.payer || null,
+    payee: fields.payee || null,
+    parentRef: fields.parentRef || null,
+    eventId: fields.eventId || null,
+    note: fields.note || null,
+    createdAt: new Date().toISOString(),
+  };
+  db.ledger.push(entry);
+  const booking = db.bookings.find((b) => b.id === entry.bookingId);
+  if (booking) {
+    booking.payment = paymentSummary(db, booking.id);
+  }
+  return entry;
+}
+
+/**
+ * Record the outcome reported by a provider webhook `event` (see
+ * payments/index.js).  Deliveries are idempotent: an event already in
+ * the ledger, or one that does not change an operation's status, is
+ * not recorded again.  Returns ``{ entry }`` for a new entry, or
+ * ``{ ignored }`` with the reason nothing was recorded.  Must be called
+ * inside a transaction.
+ */
+function applyWebhookEvent(db, event) {
+  if (db.ledger.some((e) => e.eventId === event.id)) {
+    return { ignored: 'duplicate event' };
+  }
+  // Releases share their authorisation's reference but always
+  // complete at once, so events are matched against the other types
+  const isRefund = event.type.startsWith('refund.');
+  const previous = db.ledger
+    .filter((e) => e.providerRef === event.ref && e.type !== 'release' && (e.type === 'refund') === isRefund)
+    .pop();
+  if (!previous) {
+    return { ignored: 'unknown reference' };
+  }
+  const status = event.type.endsWith('.succeeded') ? 'succeeded' : 'failed';
+  if (previous.status === status) {
+    return { ignored: 'status unchanged' };
+  }
+  const entry = appendLedgerEntry(db, {
+    ...previous,
+    status,
+    failureReason: status === 'failed' ? event.failureReason || 'Reported as failed by the provider' : null,
+    eventId: event.id,
+    note: `Webhook ${event.type}`,
+  });
+  return { entry };
+}
+
+module.exports = {
+  LEDGER_TYPES,
+  paymentSummary,
+  appendLedgerEntry,
+  applyWebhookEvent,
+};
@@ -0,0 +1,100 @@
+/*
+ * Mock payment gateway
+ *
+ * A stand‑in for a real card processor, used in development and tests.
+ * It never moves money: every call succeeds at once and returns a made
+ * up reference, except that any single amount above `options.limit` is
+ * declined, which makes it easy to try out the failure paths.
+ *
+ * Webhooks are JSON bodies signed with HMAC‑SHA256 using
+ * `options.webhookSecret`, hex encoded in the ``x-mock-signature``
+ * header.  `signEvent` builds such a body and header so webhook
+ * deliveries can be simulated by hand, e.g. with curl.
+ */
+
+const crypto = require('crypto');
+
+const EVENT_TYPES = ['payment.succeeded', 'payment.failed', 'refund.succeeded', 'refund.failed'];
+
+/**
+ * Create a mock gateway.  `options.webhookSecret` signs webhooks and
+ * `options.limit` is the largest amount a single call may move.
+ */
+function createMockGateway(options) {
+  const limit = options.limit;
+  const secret = options.webhookSecret;
+
+  function reference(prefix) {
+    return `${prefix}_mock_${crypto.randomBytes(8).toString('hex')}`;
+  }
+
+  function result(prefix, amount) {
+    if (limit && amount > limit) {
+      return { ref: reference(prefix), status: 'failed', failureReason: `Amount exceeds the mock limit of ${limit}` };
+    }
+    return { ref: reference(prefix), status: 'succeeded', failureReason: null };
+  }
+
+  function signature(body) {
+    return crypto.createHmac('sha256', secret).update(body).digest('hex');
+  }
+
+  return {
+    name: 'mock',
+
+    async authorise(payment) {
+      return result('auth', payment.amount);
+    },
+
+    async capture(ref, amount) {
+      return { ...result('cap', amount), ref };
+    },
+
+    async release(ref) {
+      return { ref, status: 'succeeded', failureReason: null };
+    },
+
+    async charge(payment) {
+      return result('ch', payment.amount);
+    },
+
+    async refund(ref, amount) {
+      return result('re', amount);
+    },
+
+    parseWebhook(rawBody, headers) {
+      const given = Buffer.from(String(headers['x-mock-signature'] || ''), 'hex');
+      const expected = Buffer.from(signature(rawBody), 'hex');
+      if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        return null;
+      }
+      let event;
+      try {
+        event = JSON.parse(rawBody);
+      } catch (err) {
+        return null;
+      }
+      if (!event || !event.id || !event.ref || !EVENT_TYPES.includes(event.type)) {
+        return null;
+      }
+      return {
+        id: String(event.id),
+        type: event.type,
+        ref: String(event.ref),
+        failureReason: event.failureReason || null,
+      };
+    },
+
+    /**
+     * Build a signed webhook delivery for `event` (``{ type, ref }``
+     * plus an optional ``id`` and ``failureReason``).  Returns the raw
+     * body and the headers to send with it.
+     */
+    signEvent(event) {
+      const body = JSON.stringify({ id: reference('evt'), ...event });
+      return { body, headers: { 'x-mock-signature': signature(body) } };
+    },
+  };
+}
+
+module.exports = { createMockGateway };
@@ -0,0 +1,165 @@
+/*
+ * Pricing engine
+ *
+ * Works out what a cleaning costs before it is booked.  A quote is made
+ * of itemised lines:
+ *
+ *   - labour: the booking's duration at the hourly rate for its property
+ *     type, or at the cleaner's own rate when a cleaner has set one
+ *   - a weekend or public holiday surcharge, as a percentage of labour
+ *   - one line per add‑on extra, each at a flat price
+ *   - a promo code discount, taken off the subtotal
+ *
+ * Rates, extras, surcharges and promo codes all come from config.js.
+ * Amounts are in the configured currency and rounded to cents.
+ */
+
+const config = require('./config');
+const { HttpError } = require('./validation');
+
+/**
+ * Round an amount to whole cents.
+ */
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Format `amount` in the configured currency for people to read, as in
+ * ``$12.50``.
+ */
+function formatMoney(amount) {
+  return new Intl.NumberFormat('en', { style: 'currency', currency: config.pricing.currency }).format(amount);
+}
+
+/**
+ * Return the surcharge that applies on `date` (``YYYY-MM-DD``) as
+ * ``{ code, description, percent }``, or null on an ordinary weekday.
+ * A public holiday that falls on a weekend is charged as a holiday
+ * only; the two surcharges never stack.
+ */
+function surchargeFor(date) {
+  const { holidays, holidaySurchargePercent, weekendSurchargePercent } = config.pricing;
+  if (holidays.includes(date) && holidaySurchargePercent > 0) {
+    return { code: 'holiday', description: 'Public holiday surcharge', percent: holidaySurchargePercent };
+  }
+  const day = new Date(`${date}T00:00:00Z`).getUTCDay();
+  if ((day === 0 || day === 6) && weekendSurchargePercent > 0) {
+    return { code: 'weekend', description: 'Weekend surcharge', percent: weekendSurchargePercent };
+  }
+  return null;
+}
+
+/**
+ * Look up `code` in the configured promo codes.  Codes are matched
+ * case‑insensitively.  Throws a 400 `HttpError` naming the
+ * ``promoCode`` field when the code is unknown, has expired or the
+ * subtotal is below the code's minimum.
+ */
+function findPromo(code, date, subtotal) {
+  const key = Object.keys(config.pricing.promoCodes).find((k) => k.toUpperCase() === code.toUpperCase());
+  const promo = key ? config.pricing.promoCodes[key] : null;
+  const reject = (message) => {
+    throw new HttpError(400, 'Invalid request', { promoCode: message });
+  };
+  if (!promo) {
+    reject('is not a valid promo code');
+  }
+  if (promo.expires && date > promo.expires) {
+    reject('has expired');
+  }
+  if (promo.minSubtotal && subtotal < promo.minSubtotal) {
+    reject(`needs a subtotal of at least ${promo.minSubtotal}`);
+  }
+  return { code: key, ...promo };
+}
+
+/**
+ * Build an itemised quote for a cleaning.  `input` holds the booking's
+ * ``propertyType``, ``date``, ``duration`` and optionally a list of
+ * ``extras`` and a ``promoCode``.  `hourlyRate`, when given, is the
+ * chosen cleaner's own rate and replaces the base rate for the property
+ * type.  Returns ``{ currency, lines, subtotal, discount, total,
+ * promoCode }``.
+ */
+function buildQuote(input, hourlyRate) {
+  const pricing = config.pricing;
+  const rate = hourlyRate || pricing.baseRates[input.propertyType];
+  if (!rate) {
+    throw new HttpError(400, 'Invalid request', { propertyType: 'has no rate configured' });
+  }
+  const lines = [];
+  const labour = roundMoney(rate * input.duration);
+  lines.push({
+    code: 'labour',
+    description: `${input.duration} h cleaning (${input.propertyType}) at ${rate}/h`,
+    amount: labour,
+  });
+
+  const surcharge = surchargeFor(input.date);
+  if (surcharge) {
+    lines.push({
+      code: surcharge.code,
+      description: `${surcharge.description} (${surcharge.percent}%)`,
+      amount: roundMoney((labour * surcharge.percent) / 100),
+    });
+  }
+
+  Array.from(new Set(input.extras || [])).forEach((code) => {
+    const extra = pricing.extras[code];
+    if (!extra) {
+      throw new HttpError(400, 'Invalid request', { extras: `"${code}" is not an available extra` });
+    }
+    lines.push({ code: `extra:${code}`, description: extra.label, amount: roundMoney(extra.price) });
+  });
+
+  const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.amount, 0));
+  let discount = 0;
+  let promoCode = null;
+  if (input.promoCode) {
+    const promo = findPromo(input.promoCode, input.date, subtotal);
+    discount = roundMoney(promo.percentOff ? (subtotal * promo.percentOff) / 100 : promo.amountOff || 0);
+    discount = Math.min(discount, subtotal);
+    promoCode = promo.code;
+    lines.push({ code: 'promo', description: `Promo code ${promo.code}`, amount: -discount });
+  }
+
+  return {
+    currency: pricing.currency,
+    lines,
+    subtotal,
+    discount,
+    total: roundMoney(subtotal - discount),
+    promoCode,
+  };
+}
+
+/**
+ * Make `quote` free: a line described as `description` takes off the
+ * whole subtotal, so the itemised price still shows what the cleaning
+ * would have cost.
+ */
+function waiveQuote(quote, description) {
+  return {
+    ...quote,
+    lines: [...quote.lines, { code: 'waived', description, amount: -quote.total }],
+    discount: quote.subtotal,
+    total: 0,
+  };
+}
+
+/**
+ * The extras clients can add to a booking, as a list of
+ * ``{ code, label, price }`` for showing in a booking form.
+ */
+function availableExtras() {
+  return Object.keys(config.pricing.extras).map((code) => ({ code, ...config.pricing.extras[code] }));
+}
+
+module.exports = {
+  buildQuote,
+  waiveQuote,
+  availableExtras,
+  roundMoney,
+  formatMoney,
+};
@@ -0,0 +1,67 @@
+/*
+ * Rate limiting
+ *
+ * Keeps any one client from flooding the API.  Each request spends a
+ * token from a bucket under its route's budget; the server keeps one
+ * bucket per IP address and one per signed‑in user, so a busy office
+ * behind one address and a user hopping between addresses are both
+ * held to their share.  A budget ``{ limit, windowSeconds }`` allows a
+ * burst of `limit` requests and refills steadily at `limit` per
+ * `windowSeconds`.  A request finding its bucket empty is refused, and
+ * the caller is told how many seconds to wait before trying again.
+ *
+ * Buckets live in memory: limits apply per server process and start
+ * afresh when it restarts.
+ */
+
+/**
+ * Create a rate limiter enforcing `budgets`, an object mapping each
+ * budget name to ``{ limit, windowSeconds }``.
+ */
+function createRateLimiter(budgets) {
+  const buckets = new Map();
+
+  // Tokens in `bucket` now, after refilling since it was last used
+  function level(bucket, now) {
+    const { limit, windowSeconds } = budgets[bucket.budget];
+    const refill = ((now - bucket.updatedAt) / 1000) * (limit / windowSeconds);
+    return Math.min(limit, bucket.tokens + refill);
+  }
+
+  return {
+    /**
+     * Spend one request of `key` (such as ``ip:203.0.113.9``) under the
+     * budget named `budget`.  Returns 0 when the request may go ahead,
+     * otherwise the number of whole seconds until it could.
+     */
+    take(budget, key) {
+      const { limit, windowSeconds } = budgets[budget];
+      const id = `${budget} ${key}`;
+      const now = Date.now();
+      const bucket = buckets.get(id) || { budget, tokens: limit, updatedAt: now };
+      bucket.tokens = level(bucket, now);
+      bucket.updatedAt = now;
+      buckets.set(id, bucket);
+      if (bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        return 0;
+      }
+      return Math.ceil(((1 - bucket.tokens) * windowSeconds) / limit);
+    },
+
+    /**
+     * Forget the buckets that have filled up again, which behave the
+     * same as new ones, so that memory use follows recent traffic.
+     */
+    sweep() {
+      const now = Date.now();
+      buckets.forEach((bucket, id) => {
+        if (level(bucket, now) >= budgets[bucket.budget].limit) {
+          buckets.delete(id);
+        }
+      });
+    },
+  };
+}
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,148 @@
+/*
+ * Recurrence rules for booking series
+ *
+ * A series repeats a cleaning on a schedule described by a rule:
+ *
+ *   frequency  ``weekly`` (every `interval` weeks on the start date's
+ *              weekday) or ``monthly`` (every `interval` months on the
+ *              same weekday of the month as the start date, e.g. the
+ *              second Tuesday; a start date in the last week of its
+ *              month repeats on the last such weekday)
+ *   interval   how many weeks or months apart occurrences are
+ *   startDate  the first occurrence (``YYYY-MM-DD``)
+ *   endDate    optional last possible date of an occurrence
+ *   count      optional number of occurrences in all
+ *
+ * Occurrences are numbered from 0.  Dates are calendar dates and all
+ * arithmetic is done in UTC so that daylight saving never moves them.
+ */
+
+const { WEEKDAYS } = require('./schemas');
+
+/**
+ * Return the date `days` days after `date`, both ``YYYY-MM-DD``.
+ */
+function addDays(date, days) {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() + days);
+  return day.toISOString().slice(0, 10);
+}
+
+/**
+ * Build a rule from the series settings a client chose.  For monthly
+ * series the weekday and its week of the month (1–4, or -1 for the
+ * last) are taken from `startDate`.
+ */
+function buildRule(frequency, interval, startDate, endDate, count) {
+  const start = new Date(`${startDate}T00:00:00Z`);
+  const rule = {
+    frequency,
+    interval,
+    startDate,
+    endDate: endDate || null,
+    count: count || null,
+    weekday: WEEKDAYS[start.getUTCDay()],
+    week: null,
+  };
+  if (frequency === 'monthly') {
+    const week = Math.ceil(start.getUTCDate() / 7);
+    rule.week = week > 4 ? -1 : week;
+  }
+  return rule;
+}
+
+/**
+ * The date of the `week`th `weekday` (-1 for the last) in the month
+ * `monthIndex` months after January of year 0.
+ */
+function weekdayOfMonth(monthIndex, weekday, week) {
+  const year = Math.floor(monthIndex / 12);
+  const month = monthIndex % 12;
+  const target = WEEKDAYS.indexOf(weekday);
+  if (week === -1) {
+    const last = new Date(Date.UTC(year, month + 1, 0));
+    last.setUTCDate(last.getUTCDate() - ((last.getUTCDay() - target + 7) % 7));
+    return last.toISOString().slice(0, 10);
+  }
+  const first = new Date(Date.UTC(year, month, 1));
+  first.setUTCDate(1 + ((target - first.getUTCDay() + 7) % 7) + (week - 1) * 7);
+  return first.toISOString().slice(0, 10);
+}
+
+/**
+ * The date of occurrence number `index` of `rule`, ignoring its end.
+ */
+function occurrenceDate(rule, index) {
+  if (rule.frequency === 'weekly') {
+    return addDays(rule.startDate, index * rule.interval * 7);
+  }
+  const start = new Date(`${rule.startDate}T00:00:00Z`);
+  const startMonth = start.getUTCFullYear() * 12 + start.getUTCMonth();
+  return weekdayOfMonth(startMonth + index * rule.interval, rule.weekday, rule.week);
+}
+
+/**
+ * List the occurrences of `rule` dated from `from` to `to` inclusive,
+ * as ``{ index, date }``, oldest first.  The rule's end date and count
+ * are respected.
+ */
+function occurrencesBetween(rule, from, to) {
+  const occurrences = [];
+  for (let index = 0; !rule.count || index < rule.count; index += 1) {
+    const date = occurrenceDate(rule, index);
+    if (date > to || (rule.endDate && date > rule.endDate)) {
+      break;
+    }
+    if (date >= from) {
+      occurrences.push({ index, date });
+    }
+  }
+  return occurrences;
+}
+
+/**
+ * Return the first occurrence of `rule` dated after `date`, or null
+ * when the series has no more occurrences.
+ */
+function nextOccurrenceAfter(rule, date) {
+  for (let index = 0; !rule.count || index < rule.count; index += 1) {
+    const next = occurrenceDate(rule, index);
+    if (rule.endDate && next > rule.endDate) {
+      return null;
+    }
+    if (next > date) {
+      return { index, date: next };
+    }
+  }
+  return null;
+}
+
+/**
+ * Describe `rule` in words, e.g. "Every 2 weeks on Tuesday".
+ */
+function describeRule(rule) {
+  const day = {
+    sun: 'Sunday',
+    mon: 'Monday',
+    tue: 'Tuesday',
+    wed: 'Wednesday',
+    thu: 'Thursday',
+    fri: 'Friday',
+    sat: 'Saturday',
+  }[rule.weekday];
+  const unit = rule.frequency === 'weekly' ? 'week' : 'month';
+  const every = rule.interval === 1 ? `Every ${unit}` : `Every ${rule.interval} ${unit}s`;
+  if (rule.frequency === 'weekly') {
+    return `${every} on ${day}`;
+  }
+  const week = rule.week === -1 ? 'last' : ['first', 'second', 'third', 'fourth'][rule.week - 1];
+  return `${every} on the ${week} ${day}`;
+}
+
+module.exports = {
+  addDays,
+  buildRule,
+  occurrencesBetween,
+  nextOccurrenceAfter,
+  describeRule,
+};
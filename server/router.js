@@ -0,0 +1,88 @@
+/*
+ * Routing
+ *
+ * Maps the method and path of a request to the route handling it.
+ * Paths are patterns such as ``/v1/bookings/:bookingId/messages``, in
+ * which each ``:name`` segment matches one segment of the path and is
+ * passed to the handler as ``req.params.name``.  A parameter whose name
+ * ends in ``Id`` only matches digits and is passed on as a number.
+ *
+ * Each route also records what describes it in the API document (see
+ * openapi.js): a ``summary``, the ``tag`` grouping it, the ``body``
+ * and ``query`` schemas it accepts, whether it is ``public`` and, for
+ * the old unversioned routes, the route that ``deprecated`` them.
+ */
+
+const { HttpError } = require('./validation');
+
+/**
+ * Compile `pattern` into a regular expression and the names of its
+ * parameters.
+ */
+function compile(pattern) {
+  const names = [];
+  const source = pattern
+    .split('/')
+    .map((segment) => {
+      if (!segment.startsWith(':')) {
+        return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      }
+      names.push(segment.slice(1));
+      return segment.endsWith('Id') ? '(\\d+)' : '([^/]+)';
+    })
+    .join('/');
+  return { regex: new RegExp(`^${source}$`), names };
+}
+
+/**
+ * Create an empty router.  Routes are tried in the order they were
+ * added.
+ */
+function createRouter() {
+  const routes = [];
+  return {
+    routes,
+
+    /**
+     * Add a route sending `method` requests for paths matching
+     * `pattern` to `handler`, with the documentation and flags in
+     * `options`.
+     */
+    add(method, pattern, handler, options) {
+      routes.push({ ...options, method, pattern, handler, ...compile(pattern) });
+    },
+
+    /**
+     * Find the route for `method` and `pathname`.  Returns
+     * ``{ route, params }``; if the path is known but not for this
+     * method ``route`` is null and ``allowed`` lists the methods it
+     * takes.  Returns null for unknown paths, and throws a 400
+     * `HttpError` for parameters that are not valid percent‑encoding.
+     */
+    match(method, pathname) {
+      const allowed = [];
+      for (const route of routes) {
+        const found = route.regex.exec(pathname);
+        if (found) {
+          if (route.method === method) {
+            const params = {};
+            route.names.forEach((name, i) => {
+              let value = null;
+              try {
+                value = decodeURIComponent(found[i + 1]);
+              } catch (err) {
+                throw new HttpError(400, 'Invalid request', { [name]: 'is not correctly encoded' });
+              }
+              params[name] = name.endsWith('Id') ? Number(value) : value;
+            });
+            return { route, params };
+          }
+          allowed.push(route.method);
+        }
+      }
+      return allowed.length > 0 ? { route: null, allowed } : null;
+    },
+  };
+}
+
+module.exports = { createRouter };
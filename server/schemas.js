@@ -0,0 +1,453 @@
+/*
+ * Request schemas
+ *
+ * One schema per route that accepts input, in the rule format described
+ * in validation.js.  Body schemas are keyed by route handler; query
+ * schemas (validated with coercion, since query values are strings)
+ * live under `query`.
+ */
+
+const { EVENTS: NOTIFICATION_EVENTS } = require('./notifications/templates');
+const { sortValues } = require('./pagination');
+
+const PROPERTY_TYPES = ['home', 'office', 'airbnb'];
+
+const BOOKING_STATUSES = ['pending', 'accepted', 'in_progress', 'completed', 'cancelled', 'declined', 'no_show'];
+
+// Day names used as keys for a cleaner's weekly working hours, indexed
+// the same way as `Date.prototype.getUTCDay`.
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Services a cleaner can list on their profile.
+const SERVICES = [
+  'regular',
+  'deep_clean',
+  'end_of_tenancy',
+  'office',
+  'airbnb_turnover',
+  'inside_oven',
+  'inside_fridge',
+  'windows',
+  'laundry',
+];
+
+// Why a client can dispute a completed booking.
+const DISPUTE_REASONS = ['not_cleaned', 'missed_tasks', 'damage', 'late', 'other'];
+
+const DISPUTE_OUTCOMES = ['reclean', 'refund', 'dismissed'];
+
+const CLEANER_SORTS = ['name', 'rating', 'price_low', 'price_high', 'experience', 'distance'];
+
+const bookingId = { type: 'integer', required: true, min: 1 };
+const disputeId = { type: 'integer', required: true, min: 1 };
+const username = { type: 'string', required: true, maxLength: 32 };
+const password = { type: 'string', required: true, maxLength: 128, trim: false };
+const reason = { type: 'string', maxLength: 500, nullable: true };
+const email = {
+  type: 'string',
+  maxLength: 254,
+  nullable: true,
+  pattern: /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/,
+  patternMessage: 'must be an email address',
+};
+const phone = {
+  type: 'string',
+  maxLength: 16,
+  nullable: true,
+  pattern: /^\+[1-9]\d{6,14}$/,
+  patternMessage: 'must be a phone number in international format, e.g. +15551234567',
+};
+const postcode = {
+  type: 'string',
+  maxLength: 10,
+  pattern: /^[A-Za-z0-9][A-Za-z0-9 -]{1,9}$/,
+  patternMessage: 'must be a postcode',
+};
+// A property's address.  Its location is worked out by the server.
+const address = {
+  type: 'object',
+  properties: {
+    line1: { type: 'string', required: true, minLength: 3, maxLength: 100 },
+    line2: { type: 'string', maxLength: 100, nullable: true },
+    city: { type: 'string', required: true, maxLength: 60 },
+    postcode: { ...postcode, required: true },
+  },
+};
+const propertyId = { type: 'integer', min: 1 };
+// What a saved property records besides its address and type.
+const propertyDetails = {
+  size: {
+    type: 'object',
+    properties: {
+      bedrooms: { type: 'integer', min: 0, max: 20, nullable: true },
+      bathrooms: { type: 'number', min: 0, max: 20, nullable: true },
+      squareFeet: { type: 'integer', min: 50, max: 100000, nullable: true },
+    },
+  },
+  accessNotes: { type: 'string', maxLength: 2000, nullable: true },
+  checklist: {
+    type: 'array',
+    maxLength: 100,
+    items: {
+      type: 'object',
+      properties: {
+        room: { type: 'string', maxLength: 60, nullable: true },
+        task: { type: 'string', required: true, minLength: 1, maxLength: 200 },
+      },
+    },
+  },
+};
+const notificationEvents = {
+  type: 'array',
+  maxLength: NOTIFICATION_EVENTS.length,
+  items: { type: 'string', enum: NOTIFICATION_EVENTS },
+};
+
+// The parts of a booking that decide its price.
+const quote = {
+  propertyType: { type: 'string', required: true, enum: PROPERTY_TYPES },
+  date: { type: 'string', required: true, format: 'date' },
+  duration: { type: 'number', required: true, min: 0.5, max: 12 },
+  extras: { type: 'array', maxLength: 10, items: { type: 'string', maxLength: 32 } },
+  promoCode: { type: 'string', maxLength: 32, nullable: true },
+};
+
+const body = {
+  register: {
+    username: {
+      ...username,
+      pattern: /^[A-Za-z0-9_.-]{3,32}$/,
+      patternMessage: 'must be 3–32 letters, digits, dots, dashes or underscores',
+    },
+    password,
+    role: { type: 'string', required: true, enum: ['client', 'cleaner'] },
+    email,
+    phone,
+  },
+  login: {
+    username,
+    password,
+  },
+  refreshToken: {
+    refreshToken: { type: 'string', required: true, maxLength: 128 },
+  },
+  logout: {
+    allDevices: { type: 'boolean', default: false },
+  },
+  createQuote: {
+    ...quote,
+    cleaner: { type: 'string', maxLength: 32, nullable: true },
+  },
+  createBooking: {
+    propertyId,
+    address,
+    ...quote,
+    propertyType: { ...quote.propertyType, required: false },
+    time: { type: 'string', required: true, format: 'time' },
+    cleaner: { type: 'string', maxLength: 32, nullable: true },
+    quotedTotal: { type: 'number', min: 0, nullable: true },
+  },
+  setHourlyRate: {
+    hourlyRate: { type: 'number', required: true, min: 1, max: 500, nullable: true },
+  },
+  cleanerProfile: {
+    bio: { type: 'string', maxLength: 1000, nullable: true },
+    services: { type: 'array', maxLength: SERVICES.length, items: { type: 'string', enum: SERVICES } },
+    serviceArea: { type: 'string', maxLength: 100, nullable: true },
+    servicePostcodes: { type: 'array', maxLength: 50, items: postcode },
+    basePostcode: { ...postcode, nullable: true },
+    serviceRadiusKm: { type: 'number', min: 1, max: 200, nullable: true },
+    hourlyRate: { type: 'number', min: 1, max: 500, nullable: true },
+    yearsExperience: { type: 'integer', min: 0, max: 60, nullable: true },
+    photoUrl: {
+      type: 'string',
+      maxLength: 500,
+      nullable: true,
+      // Pages only load images over https (see the CSP in server.js)
+      pattern: /^https:\/\/\S+$/,
+      patternMessage: 'must be an https URL',
+    },
+  },
+  updateBooking: {
+    bookingId,
+    status: { type: 'string', enum: BOOKING_STATUSES, nullable: true },
+    note: reason,
+  },
+  claimJob: {
+    bookingId,
+  },
+  declineJob: {
+    bookingId,
+    reason,
+  },
+  addFavourite: {
+    cleaner: username,
+  },
+  createProperty: {
+    name: { type: 'string', required: true, minLength: 1, maxLength: 60 },
+    address: { ...address, required: true },
+    propertyType: quote.propertyType,
+    ...propertyDetails,
+  },
+  updateProperty: {
+    propertyId: { ...propertyId, required: true },
+    name: { type: 'string', minLength: 1, maxLength: 60 },
+    address,
+    propertyType: { ...quote.propertyType, required: false },
+    ...propertyDetails,
+  },
+  tickChecklistItem: {
+    bookingId,
+    itemId: { type: 'integer', required: true, min: 1 },
+    done: { type: 'boolean', default: true },
+  },
+  cancelBooking: {
+    bookingId,
+    reason,
+  },
+  createSeries: {
+    propertyId,
+    address,
+    propertyType: { ...quote.propertyType, required: false },
+    time: { type: 'string', required: true, format: 'time' },
+    duration: quote.duration,
+    extras: quote.extras,
+    cleaner: { type: 'string', maxLength: 32, nullable: true },
+    frequency: { type: 'string', required: true, enum: ['weekly', 'monthly'] },
+    interval: { type: 'integer', min: 1, max: 12, default: 1 },
+    startDate: { type: 'string', required: true, format: 'date' },
+    endDate: { type: 'string', format: 'date', nullable: true },
+    count: { type: 'integer', min: 1, max: 104, nullable: true },
+  },
+  updateSeries: {
+    seriesId: { type: 'integer', required: true, min: 1 },
+    propertyId,
+    address,
+    time: { type: 'string', format: 'time' },
+    duration: { type: 'number', min: 0.5, max: 12 },
+    extras: quote.extras,
+    cleaner: { type: 'string', maxLength: 32, nullable: true },
+  },
+  skipOccurrence: {
+    seriesId: { type: 'integer', required: true, min: 1 },
+    date: { type: 'string', required: true, format: 'date' },
+  },
+  cancelSeries: {
+    seriesId: { type: 'integer', required: true, min: 1 },
+    reason,
+  },
+  proposeReschedule: {
+    bookingId,
+    date: { type: 'string', required: true, format: 'date' },
+    time: { type: 'string', required: true, format: 'time' },
+  },
+  respondReschedule: {
+    bookingId,
+    accept: { type: 'boolean', required: true },
+  },
+  workingHours: {
+    weeklyHours: {
+      type: 'array',
+      required: true,
+      maxLength: 50,
+      items: {
+        type: 'object',
+        properties: {
+          day: { type: 'string', required: true, enum: WEEKDAYS },
+          start: { type: 'string', required: true, format: 'time' },
+          end: { type: 'string', required: true, format: 'time24' },
+        },
+      },
+    },
+  },
+  blackoutDate: {
+    date: { type: 'string', required: true, format: 'date' },
+  },
+  notificationSettings: {
+    email,
+    phone,
+    channels: {
+      type: 'object',
+      properties: {
+        email: notificationEvents,
+        sms: notificationEvents,
+      },
+    },
+  },
+  createMessage: {
+    bookingId,
+    content: { type: 'string', required: true, maxLength: 2000 },
+  },
+  markMessagesRead: {
+    bookingId,
+    upTo: { type: 'integer', min: 1 },
+  },
+  rateBooking: {
+    bookingId,
+    rating: { type: 'integer', required: true, min: 1, max: 5 },
+    tip: { type: 'number', min: 0, max: 1000, nullable: true },
+    comment: { type: 'string', maxLength: 1000, nullable: true },
+  },
+  adminCreateUser: {
+    username: {
+      ...username,
+      pattern: /^[A-Za-z0-9_.-]{3,32}$/,
+      patternMessage: 'must be 3–32 letters, digits, dots, dashes or underscores',
+    },
+    password,
+    role: { type: 'string', required: true, enum: ['client', 'cleaner', 'admin'] },
+  },
+  adminSuspend: {
+    username,
+    reason,
+  },
+  adminReactivate: {
+    username,
+  },
+  adminReassign: {
+    bookingId,
+    cleaner: username,
+  },
+  adminCancel: {
+    bookingId,
+    reason,
+  },
+  createPayoutBatch: {
+    weekStart: { type: 'string', format: 'date', nullable: true },
+  },
+  approvePayout: {
+    payoutId: { type: 'integer', required: true, min: 1 },
+  },
+  adminRefund: {
+    bookingId,
+    amount: { type: 'number', min: 0.01, nullable: true },
+    reason,
+  },
+  openDispute: {
+    bookingId,
+    reason: { type: 'string', required: true, enum: DISPUTE_REASONS },
+    description: { type: 'string', required: true, minLength: 10, maxLength: 2000 },
+  },
+  respondToDispute: {
+    disputeId,
+    response: { type: 'string', required: true, minLength: 1, maxLength: 2000 },
+  },
+  resolveDispute: {
+    disputeId,
+    outcome: { type: 'string', required: true, enum: DISPUTE_OUTCOMES },
+    note: reason,
+    // A refund of null gives back everything still refundable
+    amount: { type: 'number', min: 0.01, nullable: true },
+    // When and by whom a free re-clean is done
+    date: { type: 'string', format: 'date' },
+    time: { type: 'string', format: 'time' },
+    cleaner: { ...username, required: false, nullable: true },
+  },
+};
+
+// Paging through a list (see pagination.js) that offers the orders
+// `sorts`, of which `sort` is the default.
+function listQuery(sorts, sort) {
+  return {
+    sort: { type: 'string', enum: sortValues(...sorts), default: sort },
+    cursor: { type: 'string', maxLength: 500 },
+    limit: { type: 'integer', min: 1, max: 100 },
+  };
+}
+
+const query = {
+  listCleaners: {
+    date: { type: 'string', format: 'date' },
+    time: { type: 'string', format: 'time' },
+    duration: { type: 'number', min: 0.5, max: 12 },
+    q: { type: 'string', maxLength: 100 },
+    service: { type: 'string', enum: SERVICES },
+    area: { type: 'string', maxLength: 100 },
+    postcode,
+    minRating: { type: 'number', min: 1, max: 5 },
+    sort: { type: 'string', enum: CLEANER_SORTS, default: 'name' },
+    cursor: { type: 'string', maxLength: 500 },
+    limit: { type: 'integer', min: 1, max: 100 },
+  },
+  cleanerReviews: listQuery(['rated'], '-rated'),
+  listJobs: {
+    from: { type: 'string', format: 'date' },
+    to: { type: 'string', format: 'date' },
+    propertyType: { type: 'string', enum: PROPERTY_TYPES },
+    minDuration: { type: 'number', min: 0 },
+    maxDuration: { type: 'number', min: 0 },
+    sort: { type: 'string', enum: ['distance', 'date'], default: 'distance' },
+    cursor: { type: 'string', maxLength: 500 },
+    limit: { type: 'integer', min: 1, max: 100 },
+  },
+  listBookings: listQuery(['created', 'date'], 'created'),
+  listSeries: listQuery(['created', 'next'], 'created'),
+  listProperties: listQuery(['created', 'name'], 'created'),
+  listFavourites: listQuery(['added', 'name'], 'added'),
+  availability: {
+    cleaner: { type: 'string', maxLength: 32 },
+  },
+  blackoutDate: {
+    date: { type: 'string', required: true, format: 'date' },
+  },
+  listMessages: {
+    bookingId,
+    ...listQuery(['created'], 'created'),
+  },
+  listNotifications: {
+    status: { type: 'string', enum: ['queued', 'sent', 'failed'] },
+    ...listQuery(['created'], '-created'),
+    limit: { type: 'integer', min: 1, max: 100, default: 50 },
+  },
+  listDisputes: {
+    status: { type: 'string', enum: ['open', 'responded', 'resolved'] },
+    ...listQuery(['created'], '-created'),
+  },
+  uploadEvidence: {
+    disputeId,
+    filename: { type: 'string', maxLength: 100 },
+  },
+  uploadAttachment: {
+    bookingId,
+    filename: { type: 'string', maxLength: 100 },
+    content: { type: 'string', maxLength: 2000 },
+  },
+  events: {
+    accessToken: { type: 'string', maxLength: 2000 },
+    lastEventId: { type: 'string', maxLength: 100 },
+  },
+  earnings: {
+    from: { type: 'string', format: 'date' },
+    to: { type: 'string', format: 'date' },
+    cleaner: { type: 'string', maxLength: 32 },
+  },
+  listPayouts: {
+    status: { type: 'string', enum: ['pending', 'approved'] },
+    ...listQuery(['created', 'week'], '-created'),
+  },
+  removeFavourite: {
+    cleaner: username,
+  },
+  removeProperty: {
+    propertyId: { ...propertyId, required: true },
+  },
+  listPayments: {
+    bookingId: { type: 'integer', min: 1 },
+    ...listQuery(['created'], 'created'),
+  },
+  adminListUsers: {
+    role: { type: 'string', enum: ['client', 'cleaner', 'admin'] },
+    q: { type: 'string', maxLength: 32 },
+    ...listQuery(['created', 'username'], 'created'),
+  },
+  adminAuditLog: listQuery(['created'], '-created'),
+};
+
+module.exports = {
+  PROPERTY_TYPES,
+  SERVICES,
+  BOOKING_STATUSES,
+  WEEKDAYS,
+  body,
+  query,
+};
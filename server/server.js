@@ -3,139 +3,307 @@
  *
  * A very simple cleaning‑services marketplace backend implemented without
  * external dependencies.  It uses Node’s built‑in modules to serve a set
- * of JSON endpoints and stores data in a JSON file on disk.  While this
+ * of JSON endpoints and stores data in a JSON file on disk, or in an
+ * embedded SQLite database on newer Node versions (see storage/).  While this
  * implementation is intentionally minimalistic for demonstration purposes,
  * the API surface models many of the key features offered by services such
  * as Cleanster: account creation, login, listing available cleaners,
- * booking appointments, messaging and rating/ tipping.
+ * booking appointments, messaging and rating/ tipping.  Routes live
+ * under /v1 and are described by the OpenAPI document served at
+ * /v1/openapi.json; the unversioned routes of earlier releases still
+ * work but are deprecated.  The browser client in ``client/`` is served
+ * from the root of the same server.
  *
  * To run the server locally you can execute `node server.js` inside
  * the ``brightidy/server`` directory.  The server will listen on port
- * 3000 by default.  If you restart the process the JSON database will
- * persist across runs.  When used in production you should replace the
- * simple authentication and storage mechanisms with more secure
- * implementations and add protections such as CORS policies and
- * validation.
+ * 3000 by default, with the client at http://localhost:3000/.  If you
+ * restart the process the JSON database will persist across runs.
+ * When used in production you should replace the simple authentication
+ * and storage mechanisms with more secure implementations.  Browsers
+ * may only call the API from the origins allowed in config.js, and
+ * every client is held to the request budgets set there (see
+ * ratelimit.js).
  */
 
 const http = require('http');
 const url = require('url');
-const fs = require('fs');
-const path = require('path');
-const crypto = require('crypto');
+const config = require('./config');
+const { createStorage, nextId } = require('./storage');
+const { HttpError, validate } = require('./validation');
+const schemas = require('./schemas');
+const { buildQuote, waiveQuote, availableExtras, roundMoney, formatMoney } = require('./pricing');
+const { createPaymentProvider, appendLedgerEntry, applyWebhookEvent } = require('./payments');
+const earnings = require('./earnings');
+const recurrence = require('./recurrence');
+const { createEventHub } = require('./events');
+const attachments = require('./attachments');
+const notifications = require('./notifications');
+const geocoding = require('./geocoding');
+const { hashPassword, verifyPassword, passwordProblem } = require('./passwords');
+const { signAccessToken, verifyAccessToken, generateToken, hashToken } = require('./tokens');
+const { createRateLimiter } = require('./ratelimit');
+const { createRouter } = require('./router');
+const pagination = require('./pagination');
+const { buildOpenApiDocument } = require('./openapi');
+const { createStaticFiles } = require('./static');
 
-// Location of our simple JSON database on disk.  If the file does
-// not yet exist it will be created lazily when the server starts.
-const DB_PATH = path.join(__dirname, 'db.json');
+// Storage backend holding every collection.  Which adapter is used
+// and where it keeps its data is configured in config.js.
+const storage = createStorage(config.storage);
 
-// In‑memory token table mapping auth tokens to usernames.  Tokens are
-// generated at login and are removed when the server restarts.
-const sessions = {};
+// Payment provider adapter used to authorise, capture and refund
+// booking payments (see payments/).
+const payments = createPaymentProvider(config.payments);
+
+// Pushes changes to the users they concern over GET /events.
+const events = createEventHub(config.events);
+
+// Adapters that send email and text message notifications (see
+// notifications/).
+const notifiers = notifications.createNotificationSenders(config.notifications);
+
+// Places property addresses and cleaners' bases on the map (see
+// geocoding/).
+const geocoder = geocoding.createGeocoder(config.geocoding);
+
+// Holds each IP address and user to the request budgets in config.js.
+const rateLimiter = createRateLimiter(config.rateLimits.budgets);
+
+// The browser client's files, served at the root of the server.
+const clientFiles = createStaticFiles(config.client.dir);
 
 /**
- * Load the JSON database from disk.  If the file does not exist
- * return a fresh set of default collections.  This function will
- * synchronously read from the filesystem; since it is only called
- * during request handling performance is adequate for small projects.
+ * Return the current contents of the database.  The returned object is
+ * shared and must only be read; all changes go through
+ * `updateDatabase`.
  */
 function loadDatabase() {
-  if (!fs.existsSync(DB_PATH)) {
-    return {
-      users: [],
-      bookings: [],
-      messages: [],
-    };
-  }
-  try {
-    const data = fs.readFileSync(DB_PATH, 'utf8');
-    return JSON.parse(data);
-  } catch (err) {
-    console.error('Failed to read database:', err);
-    return { users: [], bookings: [], messages: [] };
-  }
+  return storage.snapshot();
 }
 
 /**
- * Save the JSON database to disk.  Writes are atomic: the file
- * contents are first written to a temporary location and then
- * renamed into place.  This reduces the chance of corruption if
- * the process exits mid‑write.
+ * Apply a change to a fresh working copy of the database.  Handlers
+ * receive a snapshot that was read before their request body arrived,
+ * so two requests racing on the same record could otherwise both act
+ * on stale data.  Here the read, the mutation and the write all happen
+ * in one storage transaction, which means no other request can
+ * interleave.  The `mutate` callback must be synchronous and returns a
+ * result object; if it carries an ``error`` property nothing is
+ * written.  Once the change is saved, the users it concerns are told
+ * about it over GET /events and any notifications it queued are sent.
  */
-function saveDatabase(db) {
-  const tmpPath = DB_PATH + '.tmp';
-  fs.writeFileSync(tmpPath, JSON.stringify(db, null, 2));
-  fs.renameSync(tmpPath, DB_PATH);
+function updateDatabase(mutate) {
+  const before = loadDatabase();
+  let after = null;
+  const result = storage.transaction((working) => {
+    after = working;
+    return mutate(working);
+  });
+  if (!result || !result.error) {
+    publishChanges(before, after);
+    if (after.notifications.length > before.notifications.length) {
+      setImmediate(deliverNotificationsLater);
+    }
+  }
+  return result;
 }
 
 /**
- * Generate a secure random token for session authentication.  The
- * returned string is URL‑safe and does not reveal any secrets on its
- * own.  Tokens are 32 bytes long (64 characters when hex encoded).
+ * Publish live events for what a transaction changed between the
+ * `before` and `after` copies of the database.  A new or changed
+ * booking is sent to its client, its cleaner (and the cleaner it was
+ * taken from, if reassigned), the cleaner it was requested from and
+ * admins; while it is open on the job board every cleaner gets it.  A
+ * new message is sent to the parties of its booking, and a new or
+ * changed dispute to its client, its cleaner and admins.
  */
-function generateToken() {
-  return crypto.randomBytes(32).toString('hex');
+function publishChanges(before, after) {
+  const previous = new Map(before.bookings.map((b) => [b.id, b]));
+  const onJobBoard = (b) => Boolean(b) && b.status === 'pending' && !b.cleaner && !reservedFor(b);
+  after.bookings.forEach((booking) => {
+    const old = previous.get(booking.id);
+    if (old && JSON.stringify(old) === JSON.stringify(booking)) {
+      return;
+    }
+    const users = [booking.client, booking.cleaner, old && old.cleaner, reservedFor(booking)].filter(Boolean);
+    const roles = onJobBoard(booking) || onJobBoard(old) ? ['admin', 'cleaner'] : ['admin'];
+    const data = { booking, previousStatus: old ? old.status : null, previousCleaner: old ? old.cleaner : null };
+    events.publish('booking', data, { users, roles });
+  });
+  const lastMessageId = before.messages.reduce((max, m) => Math.max(max, m.id), 0);
+  after.messages
+    .filter((m) => m.id > lastMessageId)
+    .forEach((message) => {
+      const booking = after.bookings.find((b) => b.id === message.bookingId);
+      const users = booking ? [booking.client, booking.cleaner] : [message.sender, message.recipient];
+      events.publish('message', { message }, { users: users.filter(Boolean) });
+    });
+  const disputes = new Map(before.disputes.map((d) => [d.id, d]));
+  after.disputes
+    .filter((d) => JSON.stringify(disputes.get(d.id)) !== JSON.stringify(d))
+    .forEach((dispute) => {
+      events.publish('dispute', { dispute }, { users: [dispute.client, dispute.cleaner], roles: ['admin'] });
+    });
 }
 
 /**
- * Hash a plaintext password using SHA‑256.  Note: this simple
- * implementation does not salt the hash.  In a real application you
- * should use a proper password hashing algorithm (e.g. bcrypt or
- * Argon2) with unique salts for each user.
+ * Read the raw request body as a string.  Rejects with a 413
+ * `HttpError` if it is larger than ``config.maxBodyBytes``.
  */
-function hashPassword(password) {
-  return crypto.createHash('sha256').update(password).digest('hex');
+async function readRawBody(req) {
+  return (await readBodyBuffer(req, config.maxBodyBytes)).toString('utf8');
 }
 
 /**
- * Extract JSON from the request body.  Returns a promise that
- * resolves to an object.  If the body cannot be parsed it will
- * resolve to null.
+ * Read the request body into a Buffer.  Rejects with a 413
+ * `HttpError` if it is larger than `limit` bytes.
  */
-function parseRequestBody(req) {
-  return new Promise((resolve) => {
-    let body = '';
+function readBodyBuffer(req, limit) {
+  return new Promise((resolve, reject) => {
+    if (Number(req.headers['content-length']) > limit) {
+      reject(new HttpError(413, `Request body must not exceed ${limit} bytes`));
+      return;
+    }
+    const chunks = [];
+    let size = 0;
+    let tooLarge = false;
     req.on('data', (chunk) => {
-      body += chunk;
+      size += chunk.length;
+      if (size > limit) {
+        tooLarge = true;
+        chunks.length = 0;
+        return;
+      }
+      chunks.push(chunk);
     });
     req.on('end', () => {
-      try {
-        const obj = body ? JSON.parse(body) : {};
-        resolve(obj);
-      } catch (err) {
-        resolve(null);
+      if (tooLarge) {
+        reject(new HttpError(413, `Request body must not exceed ${limit} bytes`));
+        return;
       }
+      resolve(Buffer.concat(chunks));
     });
+    req.on('error', reject);
   });
 }
 
+/**
+ * Extract JSON from the request body.  Returns a promise that
+ * resolves to the parsed value, or to an empty object when there is
+ * no body.  Rejects with an `HttpError`: 413 if the body is larger
+ * than ``config.maxBodyBytes`` and 400 if it is not valid JSON.
+ */
+async function parseRequestBody(req) {
+  const body = await readRawBody(req);
+  try {
+    return body ? JSON.parse(body) : {};
+  } catch (err) {
+    throw new HttpError(400, 'Request body is not valid JSON');
+  }
+}
+
+/**
+ * Parse the request body and validate it against `schema` (see
+ * schemas.js), together with the route's path parameters.  Resolves to
+ * the cleaned input; rejects with an `HttpError` describing what is
+ * wrong.
+ */
+async function readBody(req, schema) {
+  return validate(schema, await parseRequestBody(req), { params: req.params });
+}
+
+/**
+ * Validate the query string of a request against `schema`, together
+ * with the route's path parameters, converting numeric and boolean
+ * parameters.  Returns the cleaned parameters or throws an `HttpError`.
+ */
+function readQuery(req, schema) {
+  return validate(schema, { ...url.parse(req.url, true).query }, { coerce: true, params: req.params });
+}
+
 /**
  * Send a JSON response.  If `data` is an object it will be stringified.
- * The response will include appropriate headers for content type and
- * CORS.  For security the CORS policy is deliberately permissive to
- * facilitate development; you may restrict `Access-Control-Allow-Origin`
- * in production.
+ * Any extra `headers`, such as ``Retry-After``, are sent alongside the
+ * content type; CORS and security headers are set for every response
+ * by `handleCors`.
  */
-function sendJson(res, statusCode, data) {
+function sendJson(res, statusCode, data, headers) {
   const body = JSON.stringify(data);
   res.writeHead(statusCode, {
     'Content-Type': 'application/json',
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    ...headers,
   });
   res.end(body);
 }
 
 /**
- * Middleware to handle CORS preflight requests.  If the request
- * method is OPTIONS we simply respond with an empty 204 response.
+ * Sort `items` by one of `orders` and cut out the page asked for by the
+ * ``sort``, ``cursor`` and ``limit`` in `query` (see pagination.js).
+ * Returns ``{ items, nextCursor }``.  The deprecated unversioned routes
+ * list everything unless given a limit, as they did before lists were
+ * paginated.
+ */
+function pageOf(req, items, orders, query) {
+  const everything = req.route && req.route.deprecated && query.limit === undefined;
+  const limit = everything ? Infinity : query.limit || pagination.DEFAULT_LIMIT;
+  return pagination.paginate(items, orders, { sort: query.sort, cursor: query.cursor, limit });
+}
+
+/**
+ * Send `csv` as a downloadable file named `filename`.
+ */
+function sendCsv(res, filename, csv) {
+  res.writeHead(200, {
+    'Content-Type': 'text/csv; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${filename}"`,
+  });
+  res.end(csv);
+}
+
+// Sent with every response.  The API only returns data, so its
+// responses may not load scripts or styles, or be framed by other sites.
+const SECURITY_HEADERS = {
+  'Content-Security-Policy': "default-src 'none'; frame-ancestors 'none'",
+  'X-Content-Type-Options': 'nosniff',
+  'X-Frame-Options': 'DENY',
+  'Referrer-Policy': 'no-referrer',
+  ...(config.hstsSeconds > 0 && { 'Strict-Transport-Security': `max-age=${config.hstsSeconds}; includeSubDomains` }),
+};
+
+// Security headers replacing those of the API on the client's pages,
+// which load their own scripts and styles and talk to the API.  Images
+// also come from attachments (as blobs) and the photos cleaners link to.
+const PAGE_HEADERS = {
+  'Content-Security-Policy': [
+    "default-src 'self'",
+    `connect-src 'self'${config.client.apiUrl ? ` ${new URL(config.client.apiUrl).origin}` : ''}`,
+    "img-src 'self' blob: https:",
+    "object-src 'none'",
+    "base-uri 'none'",
+    "form-action 'self'",
+    "frame-ancestors 'none'",
+  ].join('; '),
+};
+
+/**
+ * Middleware setting the security and CORS headers of every response.
+ * Browsers are only let read responses from the origins in
+ * ``config.corsOrigins``.  If the request method is OPTIONS it is a
+ * CORS preflight and we simply respond with an empty 204 response.
  */
 function handleCors(req, res) {
+  Object.entries(SECURITY_HEADERS).forEach(([name, value]) => res.setHeader(name, value));
+  res.setHeader('Vary', 'Origin');
+  const origin = req.headers.origin;
+  if (origin && (config.corsOrigins.includes('*') || config.corsOrigins.includes(origin))) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition, Retry-After, Deprecation, Link');
+  }
   if (req.method === 'OPTIONS') {
     res.writeHead(204, {
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+      'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
       'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+      'Access-Control-Max-Age': '600',
     });
     res.end();
     return true;
@@ -144,329 +312,4187 @@ function handleCors(req, res) {
 }
 
 /**
- * Authenticate a request using a Bearer token.  Returns the
- * corresponding user object if the token is valid or null otherwise.
+ * The address a request came from: the socket's peer, or the address
+ * the outermost of the `config.rateLimits.trustProxy` load balancers
+ * in front of us saw.  Each proxy appends its caller to
+ * X‑Forwarded‑For, so only that many entries at the end of the header
+ * can be believed; anything before them was sent by the client.
+ */
+function clientAddress(req) {
+  const hops = config.rateLimits.trustProxy;
+  const forwarded = hops > 0 && req.headers['x-forwarded-for'];
+  if (forwarded) {
+    const addresses = forwarded.split(',').map((address) => address.trim());
+    return addresses[Math.max(addresses.length - hops, 0)];
+  }
+  return req.socket.remoteAddress || 'unknown';
+}
+
+/**
+ * Spend one request of the budget of `route` (``default`` unless the
+ * route names another, or when no route matched) on behalf of `key`, a
+ * client address or username.  If the budget is used up the request is
+ * refused with 429 and a ``Retry-After`` header and true is returned.
+ */
+function overRateLimit(req, res, route, key) {
+  const retryAfter = rateLimiter.take((route && route.budget) || 'default', key);
+  if (retryAfter === 0) {
+    return false;
+  }
+  sendJson(res, 429, { error: 'Too many requests, please try again later' }, { 'Retry-After': String(retryAfter) });
+  return true;
+}
+
+/**
+ * Return true if a persisted session can still be used: it has not
+ * been revoked and its refresh token has not expired.
+ */
+function isSessionLive(session) {
+  return !session.revokedAt && new Date(session.expiresAt) > new Date();
+}
+
+/**
+ * Find the session behind the Bearer access token on a request.  The
+ * token's signature and expiry are checked first, then the session it
+ * names must still be live.  Returns the session record or null.
  * The Authorization header must be in the form "Bearer <token>".
  */
-function authenticate(req, db) {
+function currentSession(req, db) {
+  return sessionForToken(db, bearerToken(req));
+}
+
+/**
+ * Return the token from a request's "Bearer <token>" Authorization
+ * header, or null if there is none.
+ */
+function bearerToken(req) {
   const authHeader = req.headers['authorization'] || '';
   const parts = authHeader.split(' ');
-  if (parts.length === 2 && parts[0].toLowerCase() === 'bearer') {
-    const token = parts[1];
-    const username = sessions[token];
-    if (username) {
-      return db.users.find((u) => u.username === username) || null;
-    }
+  if (parts.length !== 2 || parts[0].toLowerCase() !== 'bearer') {
+    return null;
   }
-  return null;
+  return parts[1];
 }
 
 /**
- * Route handler: register a new user.  Expects a JSON body
- * containing ``username``, ``password`` and ``role`` (either
- * ``client`` or ``cleaner``).  Returns 201 on success or 400 if the
- * username is taken or the input is invalid.
+ * Find the live session an access token belongs to, or null if the
+ * token is invalid or its session has ended.
  */
-async function handleRegister(req, res, db) {
-  const data = await parseRequestBody(req);
-  if (!data || !data.username || !data.password || !data.role) {
-    return sendJson(res, 400, { error: 'Missing username, password or role' });
-  }
-  if (!['client', 'cleaner', 'admin'].includes(data.role)) {
-    return sendJson(res, 400, { error: 'Invalid role' });
+function sessionForToken(db, token) {
+  const payload = verifyAccessToken(token);
+  if (!payload) {
+    return null;
   }
-  if (db.users.some((u) => u.username === data.username)) {
-    return sendJson(res, 400, { error: 'Username already exists' });
+  const session = db.sessions.find((s) => s.id === payload.sid && s.username === payload.sub);
+  return session && isSessionLive(session) ? session : null;
+}
+
+/**
+ * Authenticate a request using a Bearer token.  Returns the
+ * corresponding user object if the token is valid and the account is
+ * not suspended, or null otherwise.
+ */
+function authenticate(req, db) {
+  return userForSession(db, currentSession(req, db));
+}
+
+/**
+ * The user a session belongs to, or null if there is no session or
+ * the account is suspended.
+ */
+function userForSession(db, session) {
+  if (!session) {
+    return null;
   }
-  const user = {
-    id: db.users.length + 1,
-    username: data.username,
-    passwordHash: hashPassword(data.password),
-    role: data.role,
+  const user = db.users.find((u) => u.username === session.username);
+  return user && !user.suspended ? user : null;
+}
+
+/**
+ * Start a new session for `username`.  Returns the response body for
+ * a successful login or refresh: a short‑lived access ``token``, the
+ * ``refreshToken`` used to obtain the next one, and ``expiresIn`` in
+ * seconds.  Expired and revoked sessions for the user are pruned.
+ */
+function createSession(db, username) {
+  const now = new Date();
+  const refreshToken = generateToken();
+  const session = {
+    id: generateToken(),
+    username,
+    refreshTokenHash: hashToken(refreshToken),
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + config.refreshTokenTtlDays * 24 * 60 * 60 * 1000).toISOString(),
+    revokedAt: null,
   };
-  db.users.push(user);
-  saveDatabase(db);
-  return sendJson(res, 201, { message: 'User created' });
+  db.sessions = db.sessions.filter((s) => s.username !== username || isSessionLive(s));
+  db.sessions.push(session);
+  return issueTokens(session, refreshToken);
 }
 
 /**
- * Route handler: login a user.  Expects a JSON body with
- * ``username`` and ``password``.  On success returns a token and
- * basic user information (excluding the password hash).  On failure
- * returns 401.
+ * Build the token bundle returned to the client for `session`.
  */
-async function handleLogin(req, res, db) {
-  const data = await parseRequestBody(req);
-  if (!data || !data.username || !data.password) {
-    return sendJson(res, 400, { error: 'Missing username or password' });
+function issueTokens(session, refreshToken) {
+  return {
+    token: signAccessToken(session.username, session.id, config.accessTokenTtlSeconds),
+    refreshToken,
+    expiresIn: config.accessTokenTtlSeconds,
+  };
+}
+
+const { WEEKDAYS } = schemas;
+
+// Booking statuses that occupy a cleaner's (or client's) time slot.
+const ACTIVE_STATUSES = ['pending', 'accepted', 'in_progress'];
+
+// Booking lifecycle.  Maps each status to the statuses it may move to
+// and, for each move, the roles allowed to make it.  A role here means
+// the caller's relationship to the booking: ``client`` is the client
+// who made it, ``cleaner`` the cleaner assigned to it (or claiming it).
+// Statuses with no outgoing moves are final.
+const BOOKING_TRANSITIONS = {
+  pending: { accepted: ['cleaner', 'admin'], cancelled: ['client', 'admin'], declined: ['admin'] },
+  accepted: { in_progress: ['cleaner'], cancelled: ['client', 'cleaner', 'admin'], no_show: ['cleaner', 'admin'] },
+  in_progress: { completed: ['cleaner', 'admin'], cancelled: ['admin'] },
+  completed: {},
+  cancelled: {},
+  declined: {},
+  no_show: {},
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Convert a booking-style ``date``, ``time`` and ``duration`` (hours)
+ * into a time slot with ``start`` and ``end`` in milliseconds.  Dates
+ * and times are wall-clock values, so they are interpreted as UTC to
+ * keep daylight saving changes from shifting them.  Returns null if
+ * any part is malformed.
+ */
+function toSlot(date, time, duration) {
+  const hours = Number(duration);
+  if (!DATE_PATTERN.test(date || '') || !TIME_PATTERN.test(time || '') || !(hours > 0)) {
+    return null;
   }
-  const user = db.users.find((u) => u.username === data.username);
-  if (!user || user.passwordHash !== hashPassword(data.password)) {
-    return sendJson(res, 401, { error: 'Invalid credentials' });
+  const start = Date.parse(`${date}T${time}:00Z`);
+  if (Number.isNaN(start)) {
+    return null;
   }
-  // Generate token and store mapping
-  const token = generateToken();
-  sessions[token] = user.username;
-  return sendJson(res, 200, {
-    token,
-    user: { id: user.id, username: user.username, role: user.role },
-  });
+  return { date, start, end: start + hours * 60 * 60 * 1000 };
 }
 
 /**
- * Route handler: list all cleaners.  Public endpoint – no
- * authentication required.  Returns an array of user objects with
- * role ``cleaner``.  Password hashes are excluded from the output.
+ * Number of hours from now until the start of `slot`.  The current
+ * time is converted to the server's wall clock in the same UTC-based
+ * form used by `toSlot`, so the two can be compared directly.
  */
-function handleListCleaners(req, res, db) {
-  const cleaners = db.users
-    .filter((u) => u.role === 'cleaner')
-    .map((u) => ({ id: u.id, username: u.username, role: u.role }));
-  return sendJson(res, 200, { cleaners });
+function hoursUntil(slot) {
+  const now = Date.now() - new Date().getTimezoneOffset() * 60 * 1000;
+  return (slot.start - now) / (60 * 60 * 1000);
 }
 
 /**
- * Route handler: create a booking.  Only clients may create bookings.
- * Expects ``propertyAddress``, ``propertyType``, ``date``, ``time`` and
- * ``duration`` in the body.  The booking is created with status
- * ``pending`` and no cleaner assigned.  Returns the booking record.
+ * Return true once the time `booking` is booked for has come.
  */
-async function handleCreateBooking(req, res, db, user) {
-  if (user.role !== 'client') {
-    return sendJson(res, 403, { error: 'Only clients can create bookings' });
-  }
-  const data = await parseRequestBody(req);
-  const requiredFields = ['propertyAddress', 'propertyType', 'date', 'time', 'duration'];
-  if (!data || requiredFields.some((f) => !data[f])) {
-    return sendJson(res, 400, { error: 'Missing booking fields' });
-  }
-  const booking = {
-    id: db.bookings.length + 1,
-    client: user.username,
-    cleaner: null,
-    propertyAddress: data.propertyAddress,
-    propertyType: data.propertyType,
-    date: data.date,
-    time: data.time,
-    duration: data.duration,
-    status: 'pending',
-    rating: null,
-    tip: null,
-  };
-  db.bookings.push(booking);
-  saveDatabase(db);
-  return sendJson(res, 201, { booking });
+function hasStarted(booking) {
+  const slot = toSlot(booking.date, booking.time, booking.duration);
+  return !slot || hoursUntil(slot) <= 0;
 }
 
 /**
- * Route handler: list bookings relevant to the authenticated user.
- * Clients see bookings they created; cleaners see bookings assigned
- * to them; admins see all bookings.  Returns an array of bookings.
+ * Today's date on the server's wall clock, as ``YYYY-MM-DD``.
  */
-function handleListBookings(req, res, db, user) {
-  let bookings;
-  if (user.role === 'client') {
-    bookings = db.bookings.filter((b) => b.client === user.username);
-  } else if (user.role === 'cleaner') {
-    bookings = db.bookings.filter((b) => b.cleaner === user.username);
-  } else {
-    bookings = db.bookings;
-  }
-  return sendJson(res, 200, { bookings });
+function todayDate() {
+  return new Date(Date.now() - new Date().getTimezoneOffset() * 60 * 1000).toISOString().slice(0, 10);
 }
 
 /**
- * Route handler: assign or update booking status.  Only cleaners can
- * accept bookings (when status is ``pending``) or mark them as
- * ``completed``.  Expects ``bookingId`` and optionally ``status`` in
- * the request body.  If no status is provided ``accepted`` is used
- * when accepting a pending booking.  The booking’s cleaner will be
- * set to the authenticated cleaner.  Returns the updated booking.
+ * Return true when two slots overlap.  Slots that merely touch (one
+ * ends exactly when the other starts) do not overlap.
  */
-async function handleUpdateBooking(req, res, db, user) {
-  if (user.role !== 'cleaner') {
-    return sendJson(res, 403, { error: 'Only cleaners can update bookings' });
-  }
-  const data = await parseRequestBody(req);
-  if (!data || !data.bookingId) {
-    return sendJson(res, 400, { error: 'Missing bookingId' });
-  }
-  const booking = db.bookings.find((b) => b.id === Number(data.bookingId));
-  if (!booking) {
-    return sendJson(res, 404, { error: 'Booking not found' });
-  }
-  // A cleaner can accept a pending booking
-  if (!booking.cleaner) {
-    booking.cleaner = user.username;
-    booking.status = 'accepted';
+function slotsOverlap(a, b) {
+  return a.start < b.end && b.start < a.end;
+}
+
+/**
+ * Find an active booking that overlaps `slot` and involves `username`
+ * in the given `field` (``client`` or ``cleaner``).  The booking with
+ * id `ignoreId` is skipped so a booking never conflicts with itself.
+ */
+function findOverlappingBooking(db, field, username, slot, ignoreId) {
+  return (
+    db.bookings.find((b) => {
+      if (b.id === ignoreId || b[field] !== username || !ACTIVE_STATUSES.includes(b.status)) {
+        return false;
+      }
+      const other = toSlot(b.date, b.time, b.duration);
+      return other !== null && slotsOverlap(slot, other);
+    }) || null
+  );
+}
+
+/**
+ * Check whether a cleaner can take on work in `slot`.  The slot must
+ * not fall on a blackout date, must fit inside one of the cleaner's
+ * published working-hour windows for that weekday, and must not
+ * overlap any of their other active bookings.  Cleaners who have not
+ * published availability are treated as working any hours.  Returns
+ * null when the cleaner is free or a reason string when not.
+ */
+function cleanerConflict(db, username, slot, ignoreId) {
+  const availability = db.availability.find((a) => a.cleaner === username);
+  if (availability) {
+    if (availability.blackoutDates.includes(slot.date)) {
+      return 'Cleaner is unavailable on ' + slot.date;
+    }
+    const day = WEEKDAYS[new Date(slot.start).getUTCDay()];
+    const dayStart = Date.parse(`${slot.date}T00:00:00Z`);
+    const fits = availability.weeklyHours.some((w) => {
+      if (w.day !== day) {
+        return false;
+      }
+      const windowStart = Date.parse(`${slot.date}T${w.start}:00Z`);
+      const windowEnd = w.end === '24:00' ? dayStart + 24 * 60 * 60 * 1000 : Date.parse(`${slot.date}T${w.end}:00Z`);
+      return slot.start >= windowStart && slot.end <= windowEnd;
+    });
+    if (!fits) {
+      return 'Slot is outside the cleaner’s working hours';
+    }
   }
-  // Cleaners can update status to completed
-  if (data.status && ['accepted', 'in_progress', 'completed'].includes(data.status)) {
-    booking.status = data.status;
+  const overlap = findOverlappingBooking(db, 'cleaner', username, slot, ignoreId);
+  if (overlap) {
+    return `Slot overlaps booking ${overlap.id}`;
   }
-  saveDatabase(db);
-  return sendJson(res, 200, { booking });
+  return null;
 }
 
 /**
- * Route handler: create a message within a booking.  Any party
- * involved in the booking (client or cleaner) may send a message.
- * Expects ``bookingId``, ``content``.  The message recipient is
- * inferred from the sender’s role.  Returns the created message.
+ * Append an entry to a booking's status history.  `from` is null for
+ * the entry recorded when the booking is created.
  */
-async function handleCreateMessage(req, res, db, user) {
-  const data = await parseRequestBody(req);
-  if (!data || !data.bookingId || !data.content) {
-    return sendJson(res, 400, { error: 'Missing bookingId or content' });
-  }
-  const booking = db.bookings.find((b) => b.id === Number(data.bookingId));
-  if (!booking) {
-    return sendJson(res, 404, { error: 'Booking not found' });
+function recordHistory(db, booking, from, to, user, note) {
+  const entry = {
+    id: nextId(db, 'history'),
+    bookingId: booking.id,
+    from,
+    to,
+    by: user.username,
+    role: user.role,
+    note: note || null,
+    timestamp: new Date().toISOString(),
+  };
+  db.history.push(entry);
+  return entry;
+}
+
+/**
+ * Move a booking to a new status if the lifecycle allows it for the
+ * caller's role, recording the change in the booking's history.  The
+ * caller is responsible for checking that `user` is actually a party
+ * to the booking.  Returns ``{ booking }`` or ``{ status, error }``.
+ */
+function transitionBooking(db, booking, to, user, note) {
+  const moves = BOOKING_TRANSITIONS[booking.status] || {};
+  if (!moves[to]) {
+    return { status: 409, error: `Cannot move booking from ${booking.status} to ${to}` };
   }
-  // Determine recipient: if sender is client the recipient is the cleaner and vice versa
-  let recipient;
-  if (user.username === booking.client) {
-    recipient = booking.cleaner;
-  } else if (user.username === booking.cleaner) {
-    recipient = booking.client;
-  } else {
-    return sendJson(res, 403, { error: 'Not part of the booking' });
+  if (!moves[to].includes(user.role)) {
+    return { status: 403, error: `A ${user.role} cannot move a booking to ${to}` };
   }
+  recordHistory(db, booking, booking.status, to, user, note);
+  booking.status = to;
+  return { booking };
+}
+
+/**
+ * Post an automatic notice into a booking's message thread so that
+ * both parties see what happened to the booking alongside their chat.
+ * System messages have no sender or recipient.
+ */
+function postSystemMessage(db, booking, content) {
   const message = {
-    id: db.messages.length + 1,
+    id: nextId(db, 'messages'),
     bookingId: booking.id,
-    sender: user.username,
-    recipient,
-    content: data.content,
+    sender: null,
+    recipient: null,
+    system: true,
+    content,
+    attachment: null,
+    readBy: {},
     timestamp: new Date().toISOString(),
   };
   db.messages.push(message);
-  saveDatabase(db);
-  return sendJson(res, 201, { message });
+  return message;
 }
 
 /**
- * Route handler: list messages for a booking.  The authenticated
- * user must be part of the booking.  Returns an array of messages
- * sorted by timestamp.
+ * Address the client's messages that were sent while a booking had no
+ * cleaner to the cleaner now assigned to it.  Called whenever a
+ * booking gets a cleaner, so nothing sent early goes unread.
  */
-function handleListMessages(req, res, db, user) {
-  const parsedUrl = url.parse(req.url, true);
-  const bookingId = Number(parsedUrl.query.bookingId);
-  if (!bookingId) {
-    return sendJson(res, 400, { error: 'Missing bookingId query parameter' });
-  }
-  const booking = db.bookings.find((b) => b.id === bookingId);
-  if (!booking) {
-    return sendJson(res, 404, { error: 'Booking not found' });
-  }
-  if (user.username !== booking.client && user.username !== booking.cleaner && user.role !== 'admin') {
-    return sendJson(res, 403, { error: 'Not authorised to view messages' });
-  }
-  const messages = db.messages
-    .filter((m) => m.bookingId === bookingId)
-    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-  return sendJson(res, 200, { messages });
+function deliverPendingMessages(db, booking) {
+  db.messages
+    .filter((m) => m.bookingId === booking.id && !m.system && m.sender === booking.client && !m.recipient)
+    .forEach((m) => {
+      m.recipient = booking.cleaner;
+    });
 }
 
 /**
- * Route handler: submit a rating and optional tip for a booking.
- * Only the client may rate a booking once it has been completed by
- * the cleaner.  Expects ``bookingId``, ``rating`` (1‑5) and
- * optional ``tip`` amount.  Returns the updated booking.
+ * Count the messages in the thread of `booking` that `username` has
+ * not read yet.  Messages they sent themselves never count.
  */
-async function handleRateBooking(req, res, db, user) {
-  if (user.role !== 'client') {
-    return sendJson(res, 403, { error: 'Only clients can rate bookings' });
-  }
-  const data = await parseRequestBody(req);
-  if (!data || !data.bookingId || !data.rating) {
-    return sendJson(res, 400, { error: 'Missing bookingId or rating' });
+function unreadCount(db, booking, username) {
+  return db.messages.filter(
+    (m) => m.bookingId === booking.id && m.sender !== username && !(m.readBy && m.readBy[username])
+  ).length;
+}
+
+/**
+ * Queue the notification `event` about `booking` for the user named
+ * `username`.  The booking's details fill in the template along with
+ * `actor`, the user whose action it reports, and any further `values`.
+ */
+function queueBookingNotification(db, username, event, booking, actor, values) {
+  return notifications.queueNotification(
+    db,
+    username,
+    event,
+    {
+      bookingId: booking.id,
+      date: booking.date,
+      time: booking.time,
+      address: booking.propertyAddress,
+      actor: actor ? actor.username : null,
+      ...values,
+    },
+    config.notifications.templates
+  );
+}
+
+/**
+ * Queue the notification `event` about `booking` for its client and
+ * cleaner, leaving out `actor` who caused it.
+ */
+function notifyBookingParties(db, booking, event, actor, values) {
+  [booking.client, booking.cleaner]
+    .filter((username) => username && username !== actor.username)
+    .forEach((username) => queueBookingNotification(db, username, event, booking, actor, values));
+}
+
+/**
+ * Work out the fee for cancelling `booking` now under the configured
+ * cancellation policy.  Only bookings a cleaner has already accepted
+ * attract a fee.
+ */
+function cancellationFee(booking) {
+  const slot = toSlot(booking.date, booking.time, booking.duration);
+  if (!booking.cleaner || !slot) {
+    return 0;
   }
-  const booking = db.bookings.find((b) => b.id === Number(data.bookingId));
-  if (!booking) {
-    return sendJson(res, 404, { error: 'Booking not found' });
+  const hours = hoursUntil(slot);
+  return config.cancellationPolicy
+    .filter((w) => hours < w.withinHours)
+    .reduce((fee, w) => Math.max(fee, w.fee), 0);
+}
+
+/**
+ * Record the `outcome` of a payment provider call in the ledger.
+ * `fields` supplies the entry's ``bookingId``, ``type`` and ``amount``
+ * and any optional fields; the provider, reference and status come
+ * from the outcome.
+ */
+function recordPayment(db, fields, outcome) {
+  return appendLedgerEntry(db, {
+    currency: config.pricing.currency,
+    ...fields,
+    provider: payments.name,
+    providerRef: outcome.ref,
+    status: outcome.status,
+    failureReason: outcome.failureReason,
+  });
+}
+
+/**
+ * The amount a client owes for a booking that has reached a final
+ * status: the locked‑in price of a completed cleaning, the fee recorded
+ * for a cancellation, or for a no‑show the largest late‑cancellation
+ * fee.  Declined bookings cost nothing.
+ */
+function amountOwed(booking) {
+  if (booking.status === 'completed') {
+    return booking.price ? booking.price.total : 0;
   }
-  if (booking.client !== user.username) {
-    return sendJson(res, 403, { error: 'Not your booking' });
+  if (booking.status === 'cancelled') {
+    return booking.cancellation ? booking.cancellation.fee : 0;
   }
-  if (booking.status !== 'completed') {
-    return sendJson(res, 400, { error: 'Booking not completed yet' });
+  if (booking.status === 'no_show') {
+    return config.cancellationPolicy.reduce((fee, w) => Math.max(fee, w.fee), 0);
   }
-  if (booking.rating !== null) {
-    return sendJson(res, 400, { error: 'Booking already rated' });
+  return 0;
+}
+
+/**
+ * Settle the payment of a booking that has reached a final status.
+ * The amount owed is captured from the authorisation made when the
+ * booking was created and anything authorised beyond that is released
+ * back to the client.  Bookings without an open authorisation are left
+ * alone, so this is safe to call more than once.  Provider failures
+ * are recorded in the ledger rather than thrown, because the status
+ * change that led here has already been saved.  Resolves to the latest
+ * copy of the booking.
+ */
+async function settleBooking(booking) {
+  const db = loadDatabase();
+  const current = db.bookings.find((b) => b.id === booking.id);
+  if (!current.payment || current.payment.status !== 'authorised' || ACTIVE_STATUSES.includes(current.status)) {
+    return current;
   }
-  const rating = Number(data.rating);
-  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
-    return sendJson(res, 400, { error: 'Rating must be an integer between 1 and 5' });
+  const authorisation = db.ledger
+    .filter((e) => e.bookingId === current.id && e.type === 'authorisation' && e.status === 'succeeded')
+    .pop();
+  const held = roundMoney(current.payment.authorised - current.payment.released);
+  const owed = Math.min(amountOwed(current), held);
+  const ref = authorisation.providerRef;
+  const outcome = owed > 0 ? await payments.capture(ref, owed) : await payments.release(ref);
+  return updateDatabase((fresh) => {
+    const record = fresh.bookings.find((b) => b.id === current.id);
+    const base = { bookingId: record.id, payer: record.client };
+    if (owed > 0) {
+      recordPayment(fresh, { ...base, type: 'capture', amount: owed, payee: record.cleaner }, outcome);
+    }
+    if (outcome.status !== 'failed' && held > owed) {
+      const released = { ...base, type: 'release', amount: roundMoney(held - owed) };
+      recordPayment(fresh, released, { ...outcome, status: 'succeeded' });
+    }
+    if (outcome.status === 'failed') {
+      console.error(`Could not settle booking ${record.id}: ${outcome.failureReason}`);
+    }
+    return record;
+  });
+}
+
+/**
+ * Create a user account from input already validated against a
+ * registration schema, which decides the roles a caller may create.
+ * The password must also satisfy the rules in `passwordProblem`.
+ * Resolves to ``{ user }`` or ``{ status, error, fields }``.
+ */
+async function createUser(data) {
+  const problem = passwordProblem(data.password, data.username);
+  if (problem) {
+    return { status: 400, error: 'Invalid request', fields: { password: problem } };
   }
-  booking.rating = rating;
-  if (data.tip) {
-    booking.tip = Number(data.tip);
+  const passwordHash = await hashPassword(data.password);
+  return updateDatabase((fresh) => {
+    if (fresh.users.some((u) => u.username === data.username)) {
+      return { status: 400, error: 'Username already exists', fields: { username: 'is already taken' } };
+    }
+    const user = {
+      id: nextId(fresh, 'users'),
+      username: data.username,
+      passwordHash,
+      role: data.role,
+    };
+    if (data.email || data.phone) {
+      user.notifications = { email: data.email || null, phone: data.phone || null };
+    }
+    fresh.users.push(user);
+    return { user };
+  });
+}
+
+/**
+ * Route handler: register a new user.  Expects a JSON body
+ * containing ``username``, ``password`` and ``role`` (either
+ * ``client`` or ``cleaner``).  Admin accounts cannot be
+ * self‑registered; see `handleAdminCreateUser` and `seedAdmin`.
+ * Returns 201 on success or 400 if the username is taken or the
+ * input is invalid.
+ */
+async function handleRegister(req, res, db) {
+  const data = await readBody(req, schemas.body.register);
+  const result = await createUser(data);
+  if (result.error) {
+    throw new HttpError(result.status, result.error, result.fields);
   }
-  saveDatabase(db);
-  return sendJson(res, 200, { booking });
+  return sendJson(res, 201, { message: 'User created' });
 }
 
 /**
- * Primary request handler.  Dispatches to specific route handlers
- * based on method and path.  Unrecognised routes return 404.
+ * Seconds until the login lock on `user` lifts, or 0 if the account is
+ * not locked.
  */
-async function handleRequest(req, res) {
-  // Handle CORS preflight
-  if (handleCors(req, res)) {
+function lockRemaining(user) {
+  const remaining = user.lockedUntil ? new Date(user.lockedUntil) - Date.now() : 0;
+  return remaining > 0 ? Math.ceil(remaining / 1000) : 0;
+}
+
+/**
+ * Count a wrong password for the account `username`, locking it once
+ * ``config.loginLockout.maxFailures`` have been made within the
+ * window.  Runs inside a transaction.
+ */
+function recordLoginFailure(db, username) {
+  const user = db.users.find((u) => u.username === username);
+  if (!user) {
     return;
   }
-  const parsedUrl = url.parse(req.url, true);
-  const db = loadDatabase();
-  // Public routes
-  if (req.method === 'POST' && parsedUrl.pathname === '/register') {
-    return handleRegister(req, res, db);
+  const { maxFailures, windowMinutes, lockMinutes } = config.loginLockout;
+  const now = Date.now();
+  const failures = user.loginFailures;
+  if (!failures || now - new Date(failures.firstAt) > windowMinutes * 60 * 1000) {
+    user.loginFailures = { count: 1, firstAt: new Date(now).toISOString() };
+  } else {
+    failures.count += 1;
   }
-  if (req.method === 'POST' && parsedUrl.pathname === '/login') {
-    return handleLogin(req, res, db);
+  if (user.loginFailures.count >= maxFailures) {
+    user.lockedUntil = new Date(now + lockMinutes * 60 * 1000).toISOString();
+    user.loginFailures = null;
   }
-  if (req.method === 'GET' && parsedUrl.pathname === '/cleaners') {
-    return handleListCleaners(req, res, db);
+}
+
+/**
+ * Route handler: login a user.  Expects a JSON body with ``username``
+ * and ``password``.  On success returns an access token, a refresh
+ * token and basic user information (excluding the password hash).  On
+ * failure returns 401.  Accounts still holding a legacy or weaker hash
+ * are rehashed with the current scheme after a successful login.  Too
+ * many wrong passwords in a row lock the account for a while (see
+ * ``config.loginLockout``); logins to a locked account get 429 with a
+ * ``Retry-After`` header, whatever the password.
+ */
+async function handleLogin(req, res, db) {
+  const data = await readBody(req, schemas.body.login);
+  const user = db.users.find((u) => u.username === data.username);
+  const lockedFor = user ? lockRemaining(user) : 0;
+  if (lockedFor > 0) {
+    return sendJson(
+      res,
+      429,
+      { error: 'Too many failed logins, account temporarily locked' },
+      { 'Retry-After': String(lockedFor) }
+    );
+  }
+  const check = await verifyPassword(String(data.password), user && user.passwordHash);
+  if (!user || !check.valid) {
+    if (user) {
+      updateDatabase((fresh) => recordLoginFailure(fresh, user.username));
+    }
+    return sendJson(res, 401, { error: 'Invalid credentials' });
+  }
+  if (user.loginFailures) {
+    updateDatabase((fresh) => {
+      const record = fresh.users.find((u) => u.username === user.username);
+      if (record) {
+        record.loginFailures = null;
+        record.lockedUntil = null;
+      }
+    });
+  }
+  if (user.suspended) {
+    return sendJson(res, 403, { error: 'Account suspended' });
+  }
+  if (check.needsRehash) {
+    const passwordHash = await hashPassword(String(data.password));
+    updateDatabase((fresh) => {
+      const record = fresh.users.find((u) => u.username === user.username);
+      if (!record || record.passwordHash !== user.passwordHash) {
+        return { error: 'Password changed concurrently' };
+      }
+      record.passwordHash = passwordHash;
+      return { user: record };
+    });
+  }
+  const tokens = updateDatabase((fresh) => createSession(fresh, user.username));
+  return sendJson(res, 200, {
+    ...tokens,
+    user: { id: user.id, username: user.username, role: user.role },
+  });
+}
+
+/**
+ * Route handler: exchange a refresh token for a new access token.
+ * Public endpoint – the refresh token is the credential.  Expects
+ * ``refreshToken`` in the body.  Refresh tokens are single use: each
+ * call rotates it and the old one stops working.  Returns the same
+ * token bundle as login, or 401 if the token is unknown, expired or
+ * revoked.
+ */
+async function handleRefreshToken(req, res) {
+  const data = await readBody(req, schemas.body.refreshToken);
+  const tokenHash = hashToken(data.refreshToken);
+  const result = updateDatabase((fresh) => {
+    const session = fresh.sessions.find((s) => s.refreshTokenHash === tokenHash);
+    if (!session || !isSessionLive(session)) {
+      return { error: 'Invalid or expired refresh token' };
+    }
+    const refreshToken = generateToken();
+    session.refreshTokenHash = hashToken(refreshToken);
+    return issueTokens(session, refreshToken);
+  });
+  if (result.error) {
+    return sendJson(res, 401, { error: result.error });
+  }
+  return sendJson(res, 200, result);
+}
+
+/**
+ * Route handler: log out.  Revokes the session behind the caller's
+ * access token so neither it nor its refresh token can be used again.
+ * With ``allDevices: true`` in the body every session belonging to the
+ * user is revoked instead.
+ */
+async function handleLogout(req, res, db, user) {
+  const data = await readBody(req, schemas.body.logout);
+  const session = currentSession(req, db);
+  const revokedAt = new Date().toISOString();
+  const revoked = updateDatabase((fresh) => {
+    const targets = fresh.sessions.filter(
+      (s) => !s.revokedAt && (data.allDevices ? s.username === user.username : s.id === session.id)
+    );
+    targets.forEach((s) => {
+      s.revokedAt = revokedAt;
+    });
+    return { count: targets.length };
+  });
+  return sendJson(res, 200, { message: 'Logged out', sessionsRevoked: revoked.count });
+}
+
+/**
+ * Work out every cleaner's rating from the stars clients gave their
+ * completed bookings.  Returns a map from username to ``{ average,
+ * count }``, the average rounded to one decimal place.
+ */
+function ratingsByCleaner(db) {
+  const totals = new Map();
+  db.bookings
+    .filter((b) => b.cleaner && b.rating !== null && b.rating !== undefined)
+    .forEach((b) => {
+      const total = totals.get(b.cleaner) || { sum: 0, count: 0 };
+      total.sum += b.rating;
+      total.count += 1;
+      totals.set(b.cleaner, total);
+    });
+  const ratings = new Map();
+  totals.forEach((total, username) => {
+    ratings.set(username, { average: Math.round((total.sum / total.count) * 10) / 10, count: total.count });
+  });
+  return ratings;
+}
+
+/**
+ * Complete a structured `address` from a request: tidy its postcode
+ * and add the ``location`` the geocoder places it at.  When the lookup
+ * fails the location is left unknown rather than failing the request.
+ */
+async function locateAddress(address) {
+  const located = {
+    line1: address.line1 || null,
+    line2: address.line2 || null,
+    city: address.city || null,
+    postcode: geocoding.normalisePostcode(address.postcode),
+  };
+  let location = null;
+  try {
+    location = await geocoder.geocode(located);
+  } catch (err) {
+    console.error(`Could not geocode ${geocoding.formatAddress(located)}:`, err.message);
+  }
+  return { ...located, location };
+}
+
+/**
+ * The distance in kilometres from the base of the cleaner `user` to
+ * `address`, or null when either is not on the map.
+ */
+function distanceFromBase(user, address) {
+  const area = user.profile && user.profile.area;
+  return geocoding.distanceKm(area && area.base && area.base.location, address && address.location);
+}
+
+/**
+ * The public profile of a cleaner: what clients see when choosing one.
+ * `ratings` comes from `ratingsByCleaner`.
+ */
+function cleanerProfile(user, ratings) {
+  const profile = user.profile || {};
+  return {
+    id: user.id,
+    username: user.username,
+    role: user.role,
+    bio: profile.bio || null,
+    services: profile.services || [],
+    serviceArea: profile.serviceArea || null,
+    servicePostcodes: (profile.area && profile.area.postcodes) || [],
+    basePostcode: (profile.area && profile.area.base && profile.area.base.postcode) || null,
+    serviceRadiusKm: (profile.area && profile.area.radiusKm) || null,
+    hourlyRate: user.hourlyRate || null,
+    yearsExperience: profile.yearsExperience === undefined ? null : profile.yearsExperience,
+    photoUrl: profile.photoUrl || null,
+    rating: ratings.get(user.username) || { average: null, count: 0 },
+  };
+}
+
+// Orders of GET /cleaners.  Cleaners on the standard rates sort as
+// charging the lowest base rate, and unrated cleaners and those with
+// no known distance come last.  Ties go by username.
+const CLEANER_ORDERS = {
+  name: (c) => [c.username],
+  rating: (c) => [c.rating.average === null ? null : -c.rating.average, -c.rating.count, c.username],
+  price_low: (c) => [effectiveRate(c), c.username],
+  price_high: (c) => [-effectiveRate(c), c.username],
+  experience: (c) => [-(c.yearsExperience || 0), c.username],
+  distance: (c) => [c.distanceKm === undefined ? null : c.distanceKm, c.username],
+};
+
+/**
+ * The hourly rate used to sort a cleaner's `profile` by price.
+ */
+function effectiveRate(profile) {
+  return profile.hourlyRate || Math.min(...Object.values(config.pricing.baseRates));
+}
+
+/**
+ * Route handler: search the cleaner directory.  Public endpoint – no
+ * authentication required.  Suspended cleaners are left out.  The
+ * query parameters narrow the list: ``q`` matches the username, bio or
+ * service area, ``service`` and ``area`` filter on the profile,
+ * ``minRating`` on the average rating, and ``date``, ``time`` and
+ * ``duration`` together keep only cleaners free for that slot.  Given
+ * the ``postcode`` of a property, only cleaners whose service area
+ * takes it in are listed, each with its ``distanceKm`` from their
+ * base.  ``sort`` is ``name`` (default), ``rating``, ``price_low``,
+ * ``price_high``, ``experience`` or ``distance``.  Returns a page of
+ * profiles (see pagination.js).
+ */
+async function handleListCleaners(req, res, db) {
+  const query = readQuery(req, schemas.query.listCleaners);
+  const place = query.postcode ? await locateAddress({ postcode: query.postcode }) : null;
+  let slot = null;
+  if (query.date || query.time || query.duration) {
+    slot = toSlot(query.date, query.time, query.duration);
+    if (!slot) {
+      return sendJson(res, 400, { error: 'date, time and duration must all be valid to filter by slot' });
+    }
+  }
+  const ratings = ratingsByCleaner(db);
+  const text = (value) => (value || '').toLowerCase();
+  const search = text(query.q);
+  const area = text(query.area);
+  const matches = db.users
+    .filter((u) => u.role === 'cleaner' && !u.suspended)
+    .filter((u) => !slot || !cleanerConflict(db, u.username, slot))
+    .filter((u) => !place || geocoding.areaCovers(u.profile && u.profile.area, place))
+    .map((u) => ({ ...cleanerProfile(u, ratings), ...(place && { distanceKm: distanceFromBase(u, place) }) }))
+    .filter((c) => !search || [c.username, c.bio, c.serviceArea].some((field) => text(field).includes(search)))
+    .filter((c) => !query.service || c.services.includes(query.service))
+    .filter((c) => !area || text(c.serviceArea).includes(area))
+    .filter((c) => !query.minRating || (c.rating.average || 0) >= query.minRating);
+  const page = pageOf(req, matches, CLEANER_ORDERS, query);
+  return sendJson(res, 200, { cleaners: page.items, nextCursor: page.nextCursor });
+}
+
+/**
+ * Find an active cleaner by username, throwing a 404 `HttpError` if
+ * there is none.
+ */
+function findCleaner(db, username) {
+  const cleaner = db.users.find((u) => u.username === username && u.role === 'cleaner' && !u.suspended);
+  if (!cleaner) {
+    throw new HttpError(404, 'Cleaner not found');
+  }
+  return cleaner;
+}
+
+/**
+ * Route handler: view one cleaner's profile.  Public endpoint.
+ */
+function handleGetCleaner(req, res, db, username) {
+  const cleaner = findCleaner(db, username);
+  return sendJson(res, 200, { cleaner: cleanerProfile(cleaner, ratingsByCleaner(db)) });
+}
+
+const REVIEW_ORDERS = {
+  rated: (r) => [r.ratedAt || r.date],
+};
+
+/**
+ * Route handler: list the reviews clients left for a cleaner, by
+ * default newest first, with their overall ``rating``.  Public
+ * endpoint.  Each review has the ``id`` of the booking it is about,
+ * the star rating and the optional comment.
+ */
+function handleListCleanerReviews(req, res, db, username) {
+  const query = readQuery(req, schemas.query.cleanerReviews);
+  const cleaner = findCleaner(db, username);
+  const reviews = db.bookings
+    .filter((b) => b.cleaner === cleaner.username && b.rating !== null && b.rating !== undefined)
+    .map((b) => ({
+      id: b.id,
+      bookingId: b.id,
+      client: b.client,
+      rating: b.rating,
+      comment: b.review || null,
+      ratedAt: b.ratedAt || null,
+      date: b.date,
+    }));
+  const page = pageOf(req, reviews, REVIEW_ORDERS, query);
+  return sendJson(res, 200, {
+    reviews: page.items,
+    rating: ratingsByCleaner(db).get(cleaner.username) || { average: null, count: 0 },
+    nextCursor: page.nextCursor,
+  });
+}
+
+// Orders of a client's favourites, given the usernames in the order added
+const FAVOURITE_ORDERS = (favourites) => ({
+  added: (c) => [favourites.indexOf(c.username)],
+  name: (c) => [c.username],
+});
+
+/**
+ * Route handler: list the authenticated client's favourite cleaners as
+ * public profiles, by default in the order they were added.  Cleaners
+ * who have since been suspended are left out.
+ */
+function handleListFavourites(req, res, db, user) {
+  if (user.role !== 'client') {
+    return sendJson(res, 403, { error: 'Only clients have favourite cleaners' });
+  }
+  const query = readQuery(req, schemas.query.listFavourites);
+  const ratings = ratingsByCleaner(db);
+  const favourites = user.favourites || [];
+  const cleaners = favourites
+    .map((name) => db.users.find((u) => u.username === name && u.role === 'cleaner' && !u.suspended))
+    .filter(Boolean)
+    .map((cleaner) => cleanerProfile(cleaner, ratings));
+  const page = pageOf(req, cleaners, FAVOURITE_ORDERS(favourites), query);
+  return sendJson(res, 200, { cleaners: page.items, nextCursor: page.nextCursor });
+}
+
+/**
+ * Route handler: add a cleaner to the authenticated client's
+ * favourites.  Expects ``cleaner`` in the body.  Adding a cleaner who
+ * is already a favourite changes nothing.  Returns the usernames of
+ * the client's favourites.
+ */
+async function handleAddFavourite(req, res, db, user) {
+  if (user.role !== 'client') {
+    return sendJson(res, 403, { error: 'Only clients have favourite cleaners' });
+  }
+  const data = await readBody(req, schemas.body.addFavourite);
+  const cleaner = requestedCleaner(db, data.cleaner);
+  const favourites = updateDatabase((fresh) => {
+    const record = fresh.users.find((u) => u.username === user.username);
+    record.favourites = record.favourites || [];
+    if (!record.favourites.includes(cleaner.username)) {
+      record.favourites.push(cleaner.username);
+    }
+    return record.favourites;
+  });
+  return sendJson(res, 200, { favourites });
+}
+
+/**
+ * Route handler: remove a cleaner from the authenticated client's
+ * favourites.  Expects ``cleaner`` in the query string.  Returns the
+ * usernames of the client's remaining favourites.
+ */
+function handleRemoveFavourite(req, res, db, user) {
+  if (user.role !== 'client') {
+    return sendJson(res, 403, { error: 'Only clients have favourite cleaners' });
+  }
+  const query = readQuery(req, schemas.query.removeFavourite);
+  const favourites = updateDatabase((fresh) => {
+    const record = fresh.users.find((u) => u.username === user.username);
+    record.favourites = (record.favourites || []).filter((name) => name !== query.cleaner);
+    return record.favourites;
+  });
+  return sendJson(res, 200, { favourites });
+}
+
+/**
+ * The saved property `propertyId` of the client named `client`,
+ * throwing a 400 `HttpError` on the ``propertyId`` field when they
+ * have no such property or have removed it.
+ */
+function clientProperty(db, client, propertyId) {
+  const property = db.properties.find((p) => p.id === propertyId && p.client === client && !p.archived);
+  if (!property) {
+    throw new HttpError(400, 'Invalid request', { propertyId: 'is not one of your properties' });
+  }
+  return property;
+}
+
+/**
+ * Work out where a new booking or series for `client` takes place.
+ * When `data` names one of the client's saved properties by
+ * ``propertyId`` its address and type are used; otherwise ``address``
+ * and ``propertyType`` must be given and the address is located.
+ * Returns `data` with the located ``address`` and ``propertyType``
+ * filled in.
+ */
+async function bookingLocation(db, client, data) {
+  if (data.propertyId) {
+    if (data.address) {
+      throw new HttpError(400, 'Invalid request', { address: 'cannot be given together with propertyId' });
+    }
+    const property = clientProperty(db, client, data.propertyId);
+    return { ...data, address: property.address, propertyType: data.propertyType || property.propertyType };
+  }
+  const fields = {};
+  if (!data.address) {
+    fields.address = 'or propertyId is required';
+  }
+  if (!data.propertyType) {
+    fields.propertyType = 'is required';
+  }
+  if (Object.keys(fields).length > 0) {
+    throw new HttpError(400, 'Invalid request', fields);
+  }
+  return { ...data, address: await locateAddress(data.address) };
+}
+
+/**
+ * A booking as returned by the API: the stored record plus the
+ * ``property`` it was made for, if saved, and the ``dispute`` about
+ * it, if any.  The property's access notes are only given to the
+ * client and the cleaner assigned to the booking.
+ */
+function presentBooking(db, booking, user) {
+  const property = booking.propertyId && db.properties.find((p) => p.id === booking.propertyId);
+  const dispute = (booking.disputeId && db.disputes.find((d) => d.id === booking.disputeId)) || null;
+  if (!property) {
+    return { ...booking, property: null, dispute };
+  }
+  const { id, name, size, accessNotes } = property;
+  const trusted = [booking.client, booking.cleaner].includes(user.username);
+  return { ...booking, property: { id, name, size, accessNotes: trusted ? accessNotes : null }, dispute };
+}
+
+const PROPERTY_ORDERS = {
+  created: () => [],
+  name: (p) => [p.name.toLowerCase()],
+};
+
+/**
+ * Route handler: list the authenticated client's saved properties, by
+ * default oldest first.  Removed properties are left out.
+ */
+function handleListProperties(req, res, db, user) {
+  if (user.role !== 'client') {
+    return sendJson(res, 403, { error: 'Only clients have saved properties' });
+  }
+  const query = readQuery(req, schemas.query.listProperties);
+  const properties = db.properties.filter((p) => p.client === user.username && !p.archived);
+  const page = pageOf(req, properties, PROPERTY_ORDERS, query);
+  return sendJson(res, 200, { properties: page.items, nextCursor: page.nextCursor });
+}
+
+/**
+ * Route handler: view one of the authenticated client's saved
+ * properties.
+ */
+function handleGetProperty(req, res, db, user, propertyId) {
+  const property = db.properties.find((p) => p.id === propertyId && !p.archived);
+  if (!property) {
+    return sendJson(res, 404, { error: 'Property not found' });
+  }
+  if (property.client !== user.username) {
+    return sendJson(res, 403, { error: 'Not your property' });
+  }
+  return sendJson(res, 200, { property });
+}
+
+/**
+ * The size of a property from the ``size`` given in a request, with
+ * every measurement present.
+ */
+function propertySize(size) {
+  return { bedrooms: null, bathrooms: null, squareFeet: null, ...size };
+}
+
+/**
+ * Route handler: save a property for the authenticated client.
+ * Expects a ``name`` for it, its ``address`` and ``propertyType``, and
+ * optionally its ``size`` (``bedrooms``, ``bathrooms`` and
+ * ``squareFeet``), ``accessNotes`` for the cleaner (how to get in,
+ * where the alarm is) and a ``checklist`` of ``{ room, task }`` items
+ * copied into every booking made for the property.  Returns 201 with
+ * the property.
+ */
+async function handleCreateProperty(req, res, db, user) {
+  if (user.role !== 'client') {
+    return sendJson(res, 403, { error: 'Only clients have saved properties' });
+  }
+  const data = await readBody(req, schemas.body.createProperty);
+  const address = await locateAddress(data.address);
+  const property = updateDatabase((fresh) => {
+    const now = new Date().toISOString();
+    const record = {
+      id: nextId(fresh, 'properties'),
+      client: user.username,
+      name: data.name,
+      address,
+      propertyType: data.propertyType,
+      size: propertySize(data.size),
+      accessNotes: data.accessNotes || null,
+      checklist: (data.checklist || []).map((item) => ({ room: item.room || null, task: item.task })),
+      archived: false,
+      createdAt: now,
+      updatedAt: now,
+    };
+    fresh.properties.push(record);
+    return record;
+  });
+  return sendJson(res, 201, { property });
+}
+
+/**
+ * Route handler: change a saved property.  Expects ``propertyId`` and
+ * any of the fields accepted when saving it.  Measurements left out of
+ * ``size`` keep their value; a new ``checklist`` replaces the old one.
+ * Bookings already made keep the checklist they were made with.
+ * Returns the property.
+ */
+async function handleUpdateProperty(req, res, db, user) {
+  const data = await readBody(req, schemas.body.updateProperty);
+  const { propertyId, ...changes } = data;
+  if (changes.address) {
+    changes.address = await locateAddress(changes.address);
+  }
+  if (changes.checklist) {
+    changes.checklist = changes.checklist.map((item) => ({ room: item.room || null, task: item.task }));
+  }
+  const result = updateDatabase((fresh) => {
+    const property = fresh.properties.find((p) => p.id === propertyId && !p.archived);
+    if (!property) {
+      return { status: 404, error: 'Property not found' };
+    }
+    if (property.client !== user.username) {
+      return { status: 403, error: 'Not your property' };
+    }
+    if (changes.size) {
+      changes.size = { ...property.size, ...changes.size };
+    }
+    Object.assign(property, changes, { updatedAt: new Date().toISOString() });
+    return { property };
+  });
+  if (result.error) {
+    return sendJson(res, result.status, { error: result.error });
+  }
+  return sendJson(res, 200, { property: result.property });
+}
+
+/**
+ * Route handler: remove a saved property.  Expects ``propertyId`` in
+ * the query string.  The property is kept for the bookings already
+ * made for it but can no longer be booked.  Returns the client's
+ * remaining properties.
+ */
+function handleRemoveProperty(req, res, db, user) {
+  const query = readQuery(req, schemas.query.removeProperty);
+  const result = updateDatabase((fresh) => {
+    const property = fresh.properties.find((p) => p.id === query.propertyId && !p.archived);
+    if (!property) {
+      return { status: 404, error: 'Property not found' };
+    }
+    if (property.client !== user.username) {
+      return { status: 403, error: 'Not your property' };
+    }
+    property.archived = true;
+    property.updatedAt = new Date().toISOString();
+    return { property };
+  });
+  if (result.error) {
+    return sendJson(res, result.status, { error: result.error });
+  }
+  const properties = loadDatabase().properties.filter((p) => p.client === user.username && !p.archived);
+  return sendJson(res, 200, { properties });
+}
+
+/**
+ * Route handler: edit the authenticated cleaner's profile.  Accepts
+ * any of ``bio``, ``services``, ``serviceArea``, ``hourlyRate``,
+ * ``yearsExperience`` and ``photoUrl``, and the service area the
+ * cleaner works in: the ``servicePostcodes`` they cover and/or a
+ * ``serviceRadiusKm`` around their ``basePostcode``, which must be
+ * one the geocoder can place.  Fields left out keep their current
+ * value and null clears one.  Returns the updated profile.
+ */
+async function handleUpdateCleanerProfile(req, res, db, user) {
+  if (user.role !== 'cleaner') {
+    return sendJson(res, 403, { error: 'Only cleaners have a profile' });
+  }
+  const data = await readBody(req, schemas.body.cleanerProfile);
+  const { hourlyRate, servicePostcodes, basePostcode, serviceRadiusKm, ...profile } = data;
+  const base = basePostcode ? await locateAddress({ postcode: basePostcode }) : basePostcode;
+  if (base && !base.location) {
+    throw new HttpError(400, 'Invalid request', { basePostcode: 'could not be found' });
+  }
+  const record = updateDatabase((fresh) => {
+    const cleaner = fresh.users.find((u) => u.username === user.username);
+    const area = { postcodes: [], base: null, radiusKm: null, ...(cleaner.profile && cleaner.profile.area) };
+    if (servicePostcodes !== undefined) {
+      area.postcodes = Array.from(new Set(servicePostcodes.map(geocoding.normalisePostcode)));
+    }
+    if (base !== undefined) {
+      area.base = base && { postcode: base.postcode, location: base.location };
+    }
+    if (serviceRadiusKm !== undefined) {
+      area.radiusKm = serviceRadiusKm;
+    }
+    cleaner.profile = { ...cleaner.profile, ...profile, area };
+    if (hourlyRate !== undefined) {
+      cleaner.hourlyRate = hourlyRate;
+    }
+    return cleaner;
+  });
+  return sendJson(res, 200, { cleaner: cleanerProfile(record, ratingsByCleaner(loadDatabase())) });
+}
+
+/**
+ * Route handler: set or clear the authenticated cleaner's own hourly
+ * rate.  Expects ``hourlyRate`` in the body; null goes back to the
+ * base rates.  The rate applies to quotes made for this cleaner from
+ * now on and never changes the price of existing bookings.
+ */
+async function handleSetHourlyRate(req, res, db, user) {
+  if (user.role !== 'cleaner') {
+    return sendJson(res, 403, { error: 'Only cleaners can set an hourly rate' });
+  }
+  const data = await readBody(req, schemas.body.setHourlyRate);
+  const hourlyRate = updateDatabase((fresh) => {
+    const record = fresh.users.find((u) => u.username === user.username);
+    record.hourlyRate = data.hourlyRate;
+    return record.hourlyRate;
+  });
+  return sendJson(res, 200, { hourlyRate });
+}
+
+/**
+ * Route handler: describe the price list.  Public endpoint.  Returns
+ * the currency, the base hourly rates per property type, the
+ * surcharges and the extras clients can add to a booking.
+ */
+function handleGetPricing(req, res) {
+  const { currency, baseRates, weekendSurchargePercent, holidaySurchargePercent } = config.pricing;
+  return sendJson(res, 200, {
+    currency,
+    baseRates,
+    weekendSurchargePercent,
+    holidaySurchargePercent,
+    extras: availableExtras(),
+  });
+}
+
+/**
+ * Route handler: price a cleaning without booking it.  Public
+ * endpoint.  Expects ``propertyType``, ``date`` and ``duration`` and
+ * optionally ``extras``, ``promoCode`` and ``cleaner``; naming a
+ * cleaner prices the labour at their own rate.  Returns an itemised
+ * quote.
+ */
+async function handleCreateQuote(req, res, db) {
+  const data = await readBody(req, schemas.body.createQuote);
+  const cleaner = data.cleaner ? requestedCleaner(db, data.cleaner) : null;
+  return sendJson(res, 200, { quote: buildQuote(data, cleaner && cleaner.hourlyRate) });
+}
+
+/**
+ * Look up the cleaner a client named in a quote or booking, throwing a
+ * 400 `HttpError` on the ``cleaner`` field when there is no such
+ * active cleaner.
+ */
+function requestedCleaner(db, username) {
+  const cleaner = db.users.find((u) => u.username === username && u.role === 'cleaner' && !u.suspended);
+  if (!cleaner) {
+    throw new HttpError(400, 'Invalid request', { cleaner: 'is not a cleaner' });
+  }
+  return cleaner;
+}
+
+/**
+ * Build the request that reserves a new booking in `slot` for the
+ * cleaner `username`.  It expires after `config.cleanerRequestHours`,
+ * or when the booking starts if that is sooner.
+ */
+function cleanerRequestFor(username, slot) {
+  const hours = Math.max(Math.min(config.cleanerRequestHours, hoursUntil(slot)), 0);
+  return {
+    cleaner: username,
+    status: 'pending',
+    expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000).toISOString(),
+    respondedAt: null,
+  };
+}
+
+/**
+ * The cleaner a pending booking is still reserved for, or null when
+ * it is open to every cleaner.
+ */
+function reservedFor(booking) {
+  const request = booking.cleanerRequest;
+  if (!request || request.status !== 'pending' || Date.now() >= Date.parse(request.expiresAt)) {
+    return null;
+  }
+  return request.cleaner;
+}
+
+/**
+ * Route handler: create a booking.  Only clients may create bookings.
+ * Expects either the ``propertyId`` of one of the client's saved
+ * properties or the property's ``address`` (``line1``, optional
+ * ``line2``, ``city`` and ``postcode``) and ``propertyType``, then
+ * ``date``, ``time`` and ``duration`` in the body, and optionally
+ * ``extras`` and a ``promoCode``.  A booking for a saved property
+ * gets a copy of its checklist.  The booking is priced as POST /quotes
+ * would price it and the quote is stored on the booking, so later
+ * changes to the price list do not affect it.  If ``quotedTotal`` is given and the
+ * price is no longer the same, nothing is booked and 409 is returned
+ * with the new quote.  The booking is created with status ``pending``
+ * and no cleaner assigned.  A client may name the ``cleaner`` they
+ * want: the booking is then priced at that cleaner's rate and kept
+ * off the job board for everyone else until they accept or decline it
+ * or the request expires (see `config.cleanerRequestHours`).  Returns
+ * the booking record.
+ */
+async function handleCreateBooking(req, res, db, user) {
+  if (user.role !== 'client') {
+    return sendJson(res, 403, { error: 'Only clients can create bookings' });
+  }
+  const data = await bookingLocation(db, user.username, await readBody(req, schemas.body.createBooking));
+  const cleaner = data.cleaner ? requestedCleaner(db, data.cleaner) : null;
+  const result = await placeBooking(db, user, data, { cleaner, quotedTotal: data.quotedTotal });
+  if (result.error) {
+    return sendJson(res, result.status, { error: result.error, quote: result.quote });
+  }
+  return sendJson(res, 201, { booking: presentBooking(loadDatabase(), result.booking, user) });
+}
+
+/**
+ * Price, authorise payment for and store a new booking for `client`.
+ * `data` holds the booking's located ``address`` (see
+ * `locateAddress`), ``propertyType``, ``date``, ``time``, ``duration``
+ * and optional ``extras``, ``promoCode`` and the ``propertyId`` of the
+ * saved property whose checklist the booking gets.  `options` may name
+ * a ``cleaner`` (a user record) to request, a ``quotedTotal`` the price
+ * must still match, the ``seriesId`` of the recurring series the
+ * booking belongs to, and the ``recleanOf`` booking a free re‑clean is
+ * being made for.  Returns ``{ booking }`` or ``{ status, error }``,
+ * with the new ``quote`` when the price has changed.
+ */
+async function placeBooking(db, client, data, options) {
+  const slot = toSlot(data.date, data.time, data.duration);
+  const overlap = findOverlappingBooking(db, 'client', client.username, slot);
+  if (overlap) {
+    return { status: 409, error: `Booking overlaps your booking ${overlap.id}` };
+  }
+  const cleaner = options.cleaner || null;
+  if (cleaner) {
+    const conflict = cleanerConflict(db, cleaner.username, slot);
+    if (conflict) {
+      return { status: 409, error: conflict };
+    }
+  }
+  let quote = buildQuote(data, cleaner && cleaner.hourlyRate);
+  if (options.recleanOf) {
+    quote = waiveQuote(quote, `Free re-clean of booking ${options.recleanOf}`);
+  }
+  if (options.quotedTotal !== undefined && options.quotedTotal !== null && options.quotedTotal !== quote.total) {
+    return { status: 409, error: 'The price has changed since it was quoted', quote };
+  }
+  let authorisation = null;
+  if (quote.total > 0) {
+    authorisation = await payments.authorise({
+      amount: quote.total,
+      currency: quote.currency,
+      reference: `booking:${client.username}:${data.date}:${data.time}`,
+      customer: client.username,
+    });
+    if (authorisation.status === 'failed') {
+      const fields = { bookingId: null, type: 'authorisation', amount: quote.total, payer: client.username };
+      updateDatabase((fresh) => recordPayment(fresh, fields, authorisation));
+      return { status: 402, error: `Payment was declined: ${authorisation.failureReason}` };
+    }
+  }
+  return updateDatabase((fresh) => {
+    const property = data.propertyId && fresh.properties.find((p) => p.id === data.propertyId);
+    const record = {
+      id: nextId(fresh, 'bookings'),
+      client: client.username,
+      cleaner: null,
+      // Series set up before addresses were structured only have the text
+      propertyAddress: data.address ? geocoding.formatAddress(data.address) : data.propertyAddress,
+      address: data.address || null,
+      propertyId: property ? property.id : null,
+      propertyType: data.propertyType,
+      date: data.date,
+      time: data.time,
+      duration: data.duration,
+      extras: quote.lines.filter((l) => l.code.startsWith('extra:')).map((l) => l.code.slice(6)),
+      price: { ...quote, quotedAt: new Date().toISOString() },
+      payment: null,
+      status: 'pending',
+      rating: null,
+      review: null,
+      tip: null,
+      rescheduleRequest: null,
+      cancellation: null,
+      cleanerRequest: cleaner ? cleanerRequestFor(cleaner.username, slot) : null,
+      seriesId: options.seriesId || null,
+      recleanOf: options.recleanOf || null,
+      disputeId: null,
+      checklist: property
+        ? property.checklist.map((item, i) => ({ id: i + 1, ...item, done: false, doneAt: null, doneBy: null }))
+        : [],
+    };
+    fresh.bookings.push(record);
+    recordHistory(fresh, record, null, 'pending', client);
+    if (cleaner) {
+      postSystemMessage(fresh, record, `Booking requested from ${cleaner.username}`);
+    }
+    if (authorisation) {
+      recordPayment(
+        fresh,
+        { bookingId: record.id, type: 'authorisation', amount: quote.total, payer: client.username },
+        authorisation
+      );
+    }
+    return { booking: record };
+  });
+}
+
+const BOOKING_ORDERS = {
+  created: () => [],
+  date: (b) => [b.date, b.time],
+};
+
+/**
+ * Route handler: list bookings relevant to the authenticated user.
+ * Clients see bookings they created; cleaners see bookings assigned
+ * to them; admins see all bookings.  Returns a page of bookings (see
+ * `presentBooking`), by default in the order they were made, each with
+ * the number of ``unreadMessages`` the caller has in its thread.
+ */
+function handleListBookings(req, res, db, user) {
+  const query = readQuery(req, schemas.query.listBookings);
+  let bookings;
+  if (user.role === 'client') {
+    bookings = db.bookings.filter((b) => b.client === user.username);
+  } else if (user.role === 'cleaner') {
+    bookings = db.bookings.filter((b) => b.cleaner === user.username);
+  } else {
+    bookings = db.bookings;
+  }
+  const page = pageOf(req, bookings, BOOKING_ORDERS, query);
+  bookings = page.items.map((b) => ({
+    ...presentBooking(db, b, user),
+    unreadMessages: unreadCount(db, b, user.username),
+  }));
+  return sendJson(res, 200, { bookings, nextCursor: page.nextCursor });
+}
+
+/**
+ * Route handler: view one booking.  The client, the assigned cleaner
+ * and admins may view it, as may cleaners while it is open on the job
+ * board to them.  Returns the booking as listed by GET /bookings.
+ */
+function handleGetBooking(req, res, db, user, bookingId) {
+  const booking = db.bookings.find((b) => b.id === bookingId);
+  if (!booking) {
+    return sendJson(res, 404, { error: 'Booking not found' });
+  }
+  const onBoard =
+    user.role === 'cleaner' &&
+    booking.status === 'pending' &&
+    !booking.cleaner &&
+    [null, user.username].includes(reservedFor(booking));
+  if (user.username !== booking.client && user.username !== booking.cleaner && user.role !== 'admin' && !onBoard) {
+    return sendJson(res, 403, { error: 'Not authorised to view this booking' });
+  }
+  return sendJson(res, 200, {
+    booking: { ...presentBooking(db, booking, user), unreadMessages: unreadCount(db, booking, user.username) },
+  });
+}
+
+const LEDGER_ORDERS = {
+  created: () => [],
+};
+
+/**
+ * Route handler: list the payment ledger entries of a booking, oldest
+ * first.  The client, the assigned cleaner and admins may view them.
+ * Admins may leave out ``bookingId`` to see the whole ledger.
+ */
+function handleListPayments(req, res, db, user) {
+  const query = readQuery(req, schemas.query.listPayments);
+  if (query.bookingId === undefined) {
+    if (user.role !== 'admin') {
+      throw new HttpError(400, 'Invalid request', { bookingId: 'is required' });
+    }
+    const page = pageOf(req, db.ledger, LEDGER_ORDERS, query);
+    return sendJson(res, 200, { entries: page.items, nextCursor: page.nextCursor });
+  }
+  const booking = db.bookings.find((b) => b.id === query.bookingId);
+  if (!booking) {
+    return sendJson(res, 404, { error: 'Booking not found' });
+  }
+  if (user.username !== booking.client && user.username !== booking.cleaner && user.role !== 'admin') {
+    return sendJson(res, 403, { error: 'Not authorised to view this booking' });
+  }
+  const page = pageOf(req, db.ledger.filter((e) => e.bookingId === booking.id), LEDGER_ORDERS, query);
+  return sendJson(res, 200, { payment: booking.payment || null, entries: page.items, nextCursor: page.nextCursor });
+}
+
+/**
+ * Route handler: receive a webhook from the payment provider.  Public
+ * endpoint; the provider adapter checks the delivery's signature, so
+ * nothing is accepted until ``config.payments.webhookSecret`` is set.
+ * The reported outcome is appended to the ledger and the booking's
+ * payment summary updated.  Repeated deliveries of the same event are
+ * acknowledged without being recorded again.
+ */
+async function handlePaymentWebhook(req, res) {
+  if (!config.payments.webhookSecret) {
+    return sendJson(res, 503, { error: 'Payment webhooks are not configured' });
+  }
+  const event = payments.parseWebhook(await readRawBody(req), req.headers);
+  if (!event) {
+    return sendJson(res, 400, { error: 'Invalid webhook' });
+  }
+  const result = updateDatabase((fresh) => applyWebhookEvent(fresh, event));
+  return sendJson(res, 200, { received: true, ignored: result.ignored || null });
+}
+
+/**
+ * Route handler: list the status history of a booking.  The client,
+ * the assigned cleaner and admins may view it.  Returns the entries
+ * oldest first.
+ */
+function handleBookingHistory(req, res, db, user, bookingId) {
+  const booking = db.bookings.find((b) => b.id === bookingId);
+  if (!booking) {
+    return sendJson(res, 404, { error: 'Booking not found' });
+  }
+  if (user.username !== booking.client && user.username !== booking.cleaner && user.role !== 'admin') {
+    return sendJson(res, 403, { error: 'Not authorised to view this booking' });
+  }
+  const history = db.history
+    .filter((h) => h.bookingId === bookingId)
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp) || a.id - b.id);
+  return sendJson(res, 200, { history });
+}
+
+// Orders of the job board seen by `user`, who always gets the bookings
+// requested from them first
+const JOB_ORDERS = (user) => {
+  const requested = (b) => (reservedFor(b) === user.username ? 0 : 1);
+  return {
+    distance: (b) => [requested(b), b.distanceKm, b.date, b.time],
+    date: (b) => [requested(b), b.date, b.time],
+  };
+};
+
+/**
+ * Route handler: list the job board.  Only cleaners may browse jobs.
+ * Returns a page of the pending bookings that have not started and have
+ * no cleaner assigned yet within the caller's service area, except
+ * those a client has asked another cleaner for.  Bookings requested
+ * from the caller come first wherever they are.  Each job gives its
+ * ``distanceKm`` from the caller's base, and ``sort`` orders them by
+ * ``distance`` (nearest first, the default) or by ``date`` and time.
+ * The list can be narrowed with the query parameters ``from`` and
+ * ``to`` (inclusive ``YYYY-MM-DD`` dates), ``propertyType``,
+ * ``minDuration`` and ``maxDuration`` (hours).
+ */
+function handleListJobs(req, res, db, user) {
+  if (user.role !== 'cleaner') {
+    return sendJson(res, 403, { error: 'Only cleaners can view the job board' });
+  }
+  const query = readQuery(req, schemas.query.listJobs);
+  const minDuration = query.minDuration === undefined ? null : query.minDuration;
+  const maxDuration = query.maxDuration === undefined ? null : query.maxDuration;
+  const area = user.profile && user.profile.area;
+  const jobs = db.bookings
+    .filter((b) => b.status === 'pending' && !b.cleaner && !hasStarted(b))
+    .filter((b) => [null, user.username].includes(reservedFor(b)))
+    .filter((b) => reservedFor(b) === user.username || geocoding.areaCovers(area, b.address))
+    .filter((b) => !query.from || b.date >= query.from)
+    .filter((b) => !query.to || b.date <= query.to)
+    .filter((b) => !query.propertyType || b.propertyType === query.propertyType)
+    .filter((b) => minDuration === null || Number(b.duration) >= minDuration)
+    .filter((b) => maxDuration === null || Number(b.duration) <= maxDuration)
+    .map((b) => ({ ...presentBooking(db, b, user), distanceKm: distanceFromBase(user, b.address) }));
+  const page = pageOf(req, jobs, JOB_ORDERS(user), query);
+  return sendJson(res, 200, { jobs: page.items, nextCursor: page.nextCursor });
+}
+
+/**
+ * Assign a pending booking to a cleaner.  Must be called from within
+ * `updateDatabase` so that the check and the assignment happen on
+ * the latest copy of the data; that is what stops two cleaners from
+ * claiming the same job.  The cleaner must also be free for the
+ * booking's slot, which must still be to come, and a booking a
+ * client requested from another cleaner cannot be claimed until that
+ * request lapses.  Returns ``{ booking }`` on success or ``{ status,
+ * error }`` when the booking cannot be claimed.
+ */
+function claimBooking(db, bookingId, user) {
+  const booking = db.bookings.find((b) => b.id === bookingId);
+  if (!booking) {
+    return { status: 404, error: 'Booking not found' };
+  }
+  if (booking.cleaner || booking.status !== 'pending') {
+    return { status: 409, error: 'Booking has already been claimed' };
+  }
+  const reserved = reservedFor(booking);
+  if (reserved && reserved !== user.username) {
+    return { status: 409, error: 'Booking is reserved for the cleaner the client requested' };
+  }
+  if (hasStarted(booking)) {
+    return { status: 409, error: 'Booking has already started' };
+  }
+  const slot = toSlot(booking.date, booking.time, booking.duration);
+  const conflict = cleanerConflict(db, user.username, slot, booking.id);
+  if (conflict) {
+    return { status: 409, error: conflict };
+  }
+  const result = transitionBooking(db, booking, 'accepted', user);
+  if (!result.error) {
+    booking.cleaner = user.username;
+    deliverPendingMessages(db, booking);
+    notifyBookingParties(db, booking, 'booking_accepted', user);
+    const series = booking.seriesId && db.series.find((s) => s.id === booking.seriesId);
+    if (series && !series.cleaner) {
+      series.cleaner = user.username;
+    }
+    if (reserved) {
+      booking.cleanerRequest.status = 'accepted';
+      booking.cleanerRequest.respondedAt = new Date().toISOString();
+    }
+  }
+  return result;
+}
+
+/**
+ * Route handler: claim a job from the job board.  Only cleaners may
+ * claim jobs.  Expects ``bookingId`` in the body.  Returns the
+ * booking, now accepted and assigned to the caller, or 409 if another
+ * cleaner got there first.
+ */
+async function handleClaimJob(req, res, db, user) {
+  if (user.role !== 'cleaner') {
+    return sendJson(res, 403, { error: 'Only cleaners can claim jobs' });
+  }
+  const data = await readBody(req, schemas.body.claimJob);
+  const result = updateDatabase((fresh) => claimBooking(fresh, data.bookingId, user));
+  if (result.error) {
+    return sendJson(res, result.status, { error: result.error });
+  }
+  return sendJson(res, 200, { booking: presentBooking(loadDatabase(), result.booking, user) });
+}
+
+/**
+ * Route handler: turn down a booking a client requested from the
+ * caller.  Only that cleaner may decline, and only while the request
+ * is open.  Expects ``bookingId`` and optionally a ``reason``.  The
+ * booking goes on the job board for every cleaner and the client is
+ * told in the booking's messages.
+ */
+async function handleDeclineJob(req, res, db, user) {
+  if (user.role !== 'cleaner') {
+    return sendJson(res, 403, { error: 'Only cleaners can decline jobs' });
+  }
+  const data = await readBody(req, schemas.body.declineJob);
+  const result = updateDatabase((fresh) => {
+    const booking = fresh.bookings.find((b) => b.id === data.bookingId);
+    if (!booking) {
+      return { status: 404, error: 'Booking not found' };
+    }
+    if (booking.status !== 'pending' || booking.cleaner || reservedFor(booking) !== user.username) {
+      return { status: 409, error: 'There is no open request for you on this booking' };
+    }
+    booking.cleanerRequest.status = 'declined';
+    booking.cleanerRequest.respondedAt = new Date().toISOString();
+    const reason = data.reason ? `: ${data.reason}` : '';
+    postSystemMessage(fresh, booking, `${user.username} declined the booking${reason}. It is now open to all cleaners`);
+    return { booking };
+  });
+  if (result.error) {
+    return sendJson(res, result.status, { error: result.error });
+  }
+  return sendJson(res, 200, { booking: result.booking });
+}
+
+/**
+ * Open up bookings whose cleaner request has run out without an
+ * answer, marking the request ``expired`` and telling the client in
+ * the booking's messages.  Run periodically once the server starts.
+ */
+function expireCleanerRequests() {
+  const now = Date.now();
+  const due = (b) =>
+    b.cleanerRequest && b.cleanerRequest.status === 'pending' && now >= Date.parse(b.cleanerRequest.expiresAt);
+  if (!loadDatabase().bookings.some(due)) {
+    return;
+  }
+  updateDatabase((fresh) => {
+    fresh.bookings.filter(due).forEach((booking) => {
+      booking.cleanerRequest.status = 'expired';
+      if (booking.status === 'pending' && !booking.cleaner) {
+        const who = booking.cleanerRequest.cleaner;
+        postSystemMessage(fresh, booking, `${who} did not respond in time. The booking is now open to all cleaners`);
+      }
+    });
+  });
+}
+
+/**
+ * Route handler: assign or update booking status.  Only cleaners can
+ * accept bookings (when status is ``pending``) or move their own
+ * bookings along the lifecycle in `BOOKING_TRANSITIONS`.  Expects
+ * ``bookingId`` and optionally ``status`` and ``note`` in the request
+ * body.  If no status is provided ``accepted`` is used when accepting
+ * a pending booking.  The booking’s cleaner will be set to the
+ * authenticated cleaner.  Returns the updated booking, or 409 if the
+ * requested status is not reachable from the current one.
+ */
+async function handleUpdateBooking(req, res, db, user) {
+  if (user.role !== 'cleaner') {
+    return sendJson(res, 403, { error: 'Only cleaners can update bookings' });
+  }
+  const data = await readBody(req, schemas.body.updateBooking);
+  const result = updateDatabase((fresh) => {
+    let booking = fresh.bookings.find((b) => b.id === data.bookingId);
+    if (!booking) {
+      return { status: 404, error: 'Booking not found' };
+    }
+    // A cleaner can accept a pending booking
+    if (!booking.cleaner) {
+      const claim = claimBooking(fresh, booking.id, user);
+      if (claim.error) {
+        return claim;
+      }
+      booking = claim.booking;
+    }
+    if (booking.cleaner !== user.username) {
+      return { status: 403, error: 'Booking is assigned to another cleaner' };
+    }
+    if (data.status === 'cancelled') {
+      return cancelBooking(fresh, booking, user, data.note);
+    }
+    if (data.status && data.status !== booking.status) {
+      const moved = transitionBooking(fresh, booking, data.status, user, data.note);
+      if (!moved.error && data.status === 'completed') {
+        notifyBookingParties(fresh, booking, 'booking_completed', user);
+      }
+      return moved;
+    }
+    return { booking };
+  });
+  if (result.error) {
+    return sendJson(res, result.status, { error: result.error });
+  }
+  const booking = await settleBooking(result.booking);
+  return sendJson(res, 200, { booking: presentBooking(loadDatabase(), booking, user) });
+}
+
+/**
+ * Route handler: tick off, or untick, an item of a booking's
+ * checklist.  Only the assigned cleaner may, and only while the job is
+ * ``in_progress``.  Expects ``bookingId``, the ``itemId`` and ``done``
+ * (default true).  Returns the booking, whose client sees the change
+ * live.
+ */
+async function handleTickChecklistItem(req, res, db, user) {
+  const data = await readBody(req, schemas.body.tickChecklistItem);
+  const result = updateDatabase((fresh) => {
+    const booking = fresh.bookings.find((b) => b.id === data.bookingId);
+    if (!booking) {
+      return { status: 404, error: 'Booking not found' };
+    }
+    if (booking.cleaner !== user.username) {
+      return { status: 403, error: 'Only the assigned cleaner can tick off the checklist' };
+    }
+    if (booking.status !== 'in_progress') {
+      return { status: 409, error: 'The checklist can only be ticked off while the job is in progress' };
+    }
+    const item = (booking.checklist || []).find((i) => i.id === data.itemId);
+    if (!item) {
+      return { status: 404, error: 'Checklist item not found' };
+    }
+    if (item.done !== data.done) {
+      item.done = data.done;
+      item.doneAt = data.done ? new Date().toISOString() : null;
+      item.doneBy = data.done ? user.username : null;
+    }
+    return { booking };
+  });
+  if (result.error) {
+    return sendJson(res, result.status, { error: result.error });
+  }
+  return sendJson(res, 200, { booking: presentBooking(loadDatabase(), result.booking, user) });
+}
+
+/**
+ * Cancel a booking on behalf of `user`, recording who cancelled, why,
+ * and any late‑cancellation fee owed by the client, posting the
+ * outcome to the booking's message thread and notifying the other
+ * parties.  Returns ``{ booking }`` or ``{ status, error }`` if the
+ * booking can no longer be cancelled.
+ */
+function cancelBooking(db, booking, user, reason) {
+  const fee = user.username === booking.client ? cancellationFee(booking) : 0;
+  const moved = transitionBooking(db, booking, 'cancelled', user, reason);
+  if (moved.error) {
+    return moved;
+  }
+  booking.rescheduleRequest = null;
+  booking.cancellation = {
+    by: user.username,
+    reason: reason || null,
+    fee,
+    timestamp: new Date().toISOString(),
+  };
+  postSystemMessage(
+    db,
+    booking,
+    `Booking cancelled by ${user.username}${reason ? ': ' + reason : ''}.` +
+      (fee ? ` A late cancellation fee of ${formatMoney(fee)} applies.` : '')
+  );
+  notifyBookingParties(db, booking, 'booking_cancelled', user, { reason });
+  return { booking };
+}
+
+/**
+ * Route handler: cancel a booking.  The client who made the booking or
+ * the cleaner assigned to it may cancel while the lifecycle allows it.
+ * Expects ``bookingId`` and an optional ``reason``.  When a client
+ * cancels an accepted booking inside one of the configured windows the
+ * late‑cancellation fee is recorded on the booking.  The fee is
+ * then captured from the booking's payment authorisation and the rest
+ * is released.  Returns the cancelled booking.
+ */
+async function handleCancelBooking(req, res, db, user) {
+  const data = await readBody(req, schemas.body.cancelBooking);
+  const result = updateDatabase((fresh) => {
+    const booking = fresh.bookings.find((b) => b.id === data.bookingId);
+    if (!booking) {
+      return { status: 404, error: 'Booking not found' };
+    }
+    if (user.username !== booking.client && user.username !== booking.cleaner) {
+      return { status: 403, error: 'Not part of the booking' };
+    }
+    return cancelBooking(fresh, booking, user, data.reason ? String(data.reason) : null);
+  });
+  if (result.error) {
+    return sendJson(res, result.status, { error: result.error });
+  }
+  return sendJson(res, 200, { booking: await settleBooking(result.booking) });
+}
+
+/**
+ * Price `booking` again as if it were on `date`, at the hourly rate it
+ * was first priced at, with the same extras and promo code.  Returns
+ * null for bookings with no stored price or that are free re‑cleans,
+ * whose price does not depend on the date.
+ */
+function requoteBooking(booking, date) {
+  if (!booking.price || booking.recleanOf) {
+    return null;
+  }
+  const labour = booking.price.lines.find((l) => l.code === 'labour');
+  const input = {
+    propertyType: booking.propertyType,
+    date,
+    duration: booking.duration,
+    extras: booking.extras,
+    promoCode: booking.price.promoCode,
+  };
+  return buildQuote(input, labour && labour.amount / booking.duration);
+}
+
+/**
+ * Route handler: propose a new date and time for a booking.  Only the
+ * client who made the booking may reschedule it, and only before work
+ * has started.  Expects ``bookingId``, ``date`` and ``time``; the new
+ * time must still be to come.  Payment was authorised for the booking's
+ * price, so a move to a time that is priced differently (a weekend,
+ * say) is refused with 409 and the new ``quote``.  A booking with no
+ * cleaner yet is moved straight away, after checking that a cleaner it
+ * was requested from is free then and giving them a fresh request;
+ * otherwise the proposal is stored as ``rescheduleRequest`` until the
+ * assigned cleaner responds.  Returns the booking.
+ */
+async function handleProposeReschedule(req, res, db, user) {
+  if (user.role !== 'client') {
+    return sendJson(res, 403, { error: 'Only clients can reschedule bookings' });
+  }
+  const data = await readBody(req, schemas.body.proposeReschedule);
+  if (hoursUntil(toSlot(data.date, data.time, 1)) <= 0) {
+    throw new HttpError(400, 'Invalid request', { date: 'must not be in the past' });
+  }
+  const result = updateDatabase((fresh) => {
+    const booking = fresh.bookings.find((b) => b.id === data.bookingId);
+    if (!booking) {
+      return { status: 404, error: 'Booking not found' };
+    }
+    if (booking.client !== user.username) {
+      return { status: 403, error: 'Not your booking' };
+    }
+    if (!['pending', 'accepted'].includes(booking.status)) {
+      return { status: 409, error: `Cannot reschedule a booking that is ${booking.status}` };
+    }
+    const slot = toSlot(data.date, data.time, booking.duration);
+    if (!slot) {
+      return { status: 400, error: 'Invalid date or time' };
+    }
+    const overlap = findOverlappingBooking(fresh, 'client', user.username, slot, booking.id);
+    if (overlap) {
+      return { status: 409, error: `New time overlaps your booking ${overlap.id}` };
+    }
+    const quote = requoteBooking(booking, data.date);
+    if (quote && quote.total !== booking.price.total) {
+      return {
+        status: 409,
+        error: 'The price at the new time is different; cancel and book again to move to it',
+        quote,
+      };
+    }
+    const when = `${data.date} ${data.time}`;
+    if (!booking.cleaner) {
+      const requested = reservedFor(booking);
+      if (requested) {
+        const conflict = cleanerConflict(fresh, requested, slot, booking.id);
+        if (conflict) {
+          return { status: 409, error: conflict };
+        }
+        booking.cleanerRequest = cleanerRequestFor(requested, slot);
+      }
+      booking.date = data.date;
+      booking.time = data.time;
+      if (quote) {
+        booking.price = { ...quote, quotedAt: new Date().toISOString() };
+      }
+      postSystemMessage(fresh, booking, `Booking moved to ${when} by ${user.username}.`);
+      return { booking };
+    }
+    booking.rescheduleRequest = {
+      date: data.date,
+      time: data.time,
+      proposedBy: user.username,
+      timestamp: new Date().toISOString(),
+    };
+    postSystemMessage(fresh, booking, `${user.username} proposed moving the booking to ${when}.`);
+    return { booking };
+  });
+  if (result.error) {
+    return sendJson(res, result.status, { error: result.error, quote: result.quote });
+  }
+  return sendJson(res, 200, { booking: result.booking });
+}
+
+/**
+ * Route handler: accept or reject a reschedule proposal.  Only the
+ * cleaner assigned to the booking may respond.  Expects ``bookingId``
+ * and a boolean ``accept``.  A proposal can only be accepted while the
+ * booking has not started, the new time is still to come, and both the
+ * client and the cleaner are free then.  The client is notified either
+ * way.  Returns the booking.
+ */
+async function handleRespondReschedule(req, res, db, user) {
+  if (user.role !== 'cleaner') {
+    return sendJson(res, 403, { error: 'Only cleaners can respond to reschedule requests' });
+  }
+  const data = await readBody(req, schemas.body.respondReschedule);
+  const result = updateDatabase((fresh) => {
+    const booking = fresh.bookings.find((b) => b.id === data.bookingId);
+    if (!booking) {
+      return { status: 404, error: 'Booking not found' };
+    }
+    if (booking.cleaner !== user.username) {
+      return { status: 403, error: 'Not your booking' };
+    }
+    const request = booking.rescheduleRequest;
+    if (!request) {
+      return { status: 409, error: 'No reschedule request is pending' };
+    }
+    const when = `${request.date} ${request.time}`;
+    if (data.accept) {
+      if (!['pending', 'accepted'].includes(booking.status)) {
+        return { status: 409, error: `Cannot reschedule a booking that is ${booking.status}` };
+      }
+      const slot = toSlot(request.date, request.time, booking.duration);
+      if (hoursUntil(slot) <= 0) {
+        return { status: 409, error: `The proposed time ${when} has passed` };
+      }
+      const overlap = findOverlappingBooking(fresh, 'client', booking.client, slot, booking.id);
+      if (overlap) {
+        return { status: 409, error: `The client has booking ${overlap.id} at the proposed time` };
+      }
+      const conflict = cleanerConflict(fresh, user.username, slot, booking.id);
+      if (conflict) {
+        return { status: 409, error: conflict };
+      }
+      booking.date = request.date;
+      booking.time = request.time;
+      postSystemMessage(fresh, booking, `${user.username} accepted the move to ${when}.`);
+    } else {
+      postSystemMessage(fresh, booking, `${user.username} declined the move to ${when}; the original time stands.`);
+    }
+    booking.rescheduleRequest = null;
+    notifyBookingParties(fresh, booking, 'reschedule_response', user, {
+      proposed: when,
+      outcome: data.accept ? 'accepted' : 'declined',
+    });
+    return { booking };
+  });
+  if (result.error) {
+    return sendJson(res, result.status, { error: result.error });
+  }
+  return sendJson(res, 200, { booking: presentBooking(loadDatabase(), result.booking, user) });
+}
+
+// Series whose upcoming bookings are being made right now, so that two
+// runs never book the same occurrences.
+const extendingSeries = new Set();
+
+/**
+ * Book the occurrences of a recurring series that fall between the
+ * last one booked and `config.seriesHorizonDays` from today.  Each is
+ * priced and paid for like a booking made through POST /bookings and
+ * requested from the series' preferred cleaner when they are free.
+ * Occurrences that cannot be booked (the client already has a booking
+ * then, say, or payment is declined) are recorded as skipped with the
+ * reason.  A series with no occurrences left is marked ``ended``.
+ * Returns the bookings made.
+ */
+async function extendSeries(seriesId) {
+  if (extendingSeries.has(seriesId)) {
+    return [];
+  }
+  extendingSeries.add(seriesId);
+  try {
+    const snapshot = loadDatabase();
+    const series = snapshot.series.find((s) => s.id === seriesId);
+    const client = series && snapshot.users.find((u) => u.username === series.client && !u.suspended);
+    if (!series || series.status !== 'active' || !client) {
+      return [];
+    }
+    const today = todayDate();
+    const until = recurrence.addDays(today, config.seriesHorizonDays);
+    const after = series.generatedThrough ? recurrence.addDays(series.generatedThrough, 1) : series.rule.startDate;
+    const skipped = new Set(series.skipped.map((s) => s.date));
+    const booked = [];
+    const missed = [];
+    for (const occurrence of recurrence.occurrencesBetween(series.rule, after > today ? after : today, until)) {
+      if (skipped.has(occurrence.date)) {
+        continue;
+      }
+      const db = loadDatabase();
+      // Bookings for a saved property go wherever it now says it is
+      const property = series.propertyId && db.properties.find((p) => p.id === series.propertyId && !p.archived);
+      const data = { ...series, date: occurrence.date };
+      if (property) {
+        Object.assign(data, { address: property.address, propertyType: property.propertyType });
+      }
+      const slot = toSlot(data.date, data.time, data.duration);
+      let cleaner = series.cleaner && db.users.find((u) => u.username === series.cleaner && !u.suspended);
+      if (cleaner && cleanerConflict(db, cleaner.username, slot)) {
+        cleaner = null;
+      }
+      let result;
+      try {
+        result = await placeBooking(db, client, data, { cleaner, seriesId });
+      } catch (err) {
+        if (!(err instanceof HttpError)) {
+          throw err;
+        }
+        result = { error: Object.values(err.fields || {})[0] || err.message };
+      }
+      if (result.error) {
+        missed.push({ date: occurrence.date, reason: result.error });
+      } else {
+        booked.push(result.booking);
+      }
+    }
+    updateDatabase((fresh) => {
+      const record = fresh.series.find((s) => s.id === seriesId);
+      record.generatedThrough = until;
+      record.skipped.push(...missed);
+      if (record.status === 'active' && !recurrence.nextOccurrenceAfter(record.rule, until)) {
+        record.status = 'ended';
+      }
+    });
+    return booked;
+  } finally {
+    extendingSeries.delete(seriesId);
+  }
+}
+
+/**
+ * Book the upcoming occurrences of every active series.  Run
+ * periodically once the server starts.
+ */
+async function extendAllSeries() {
+  const active = loadDatabase().series.filter((s) => s.status === 'active');
+  for (const series of active) {
+    await extendSeries(series.id);
+  }
+}
+
+/**
+ * A series as returned by the API: the stored record plus its
+ * ``schedule`` in words, the date of the ``nextOccurrence`` still to
+ * come and its ``bookings``, oldest first.
+ */
+function presentSeries(db, series) {
+  const next = series.status === 'active' ? recurrence.nextOccurrenceAfter(series.rule, todayDate()) : null;
+  return {
+    ...series,
+    schedule: recurrence.describeRule(series.rule),
+    nextOccurrence: next && next.date,
+    bookings: db.bookings
+      .filter((b) => b.seriesId === series.id)
+      .sort((a, b) => `${a.date} ${a.time}`.localeCompare(`${b.date} ${b.time}`)),
+  };
+}
+
+/**
+ * Find a series the caller may manage: the client who set it up or an
+ * admin.  Returns ``{ series }`` or ``{ status, error }``.
+ */
+function seriesForUpdate(db, seriesId, user) {
+  const series = db.series.find((s) => s.id === seriesId);
+  if (!series) {
+    return { status: 404, error: 'Series not found' };
+  }
+  if (series.client !== user.username && user.role !== 'admin') {
+    return { status: 403, error: 'Not your series' };
+  }
+  return { series };
+}
+
+/**
+ * Route handler: set up a recurring booking series.  Only clients may
+ * create series.  Expects the booking details: a saved ``propertyId``
+ * or an ``address`` and ``propertyType``, then ``time``, ``duration``
+ * and optional ``extras``,
+ * a preferred ``cleaner``, and the schedule: ``frequency`` (``weekly``
+ * or ``monthly``), ``interval`` (default 1), ``startDate`` and either
+ * ``endDate`` or ``count``.  The occurrences due within
+ * `config.seriesHorizonDays` are booked at once and later ones as
+ * time goes on.  Returns 201 with the series and its bookings.
+ */
+async function handleCreateSeries(req, res, db, user) {
+  if (user.role !== 'client') {
+    return sendJson(res, 403, { error: 'Only clients can set up recurring bookings' });
+  }
+  const data = await bookingLocation(db, user.username, await readBody(req, schemas.body.createSeries));
+  const fields = {};
+  if (data.startDate < todayDate()) {
+    fields.startDate = 'must not be in the past';
+  }
+  if (!data.endDate && !data.count) {
+    fields.endDate = 'or count is required';
+  } else if (data.endDate && data.count) {
+    fields.count = 'cannot be given together with endDate';
+  } else if (data.endDate && data.endDate < data.startDate) {
+    fields.endDate = 'must not be before the start date';
+  }
+  if (Object.keys(fields).length > 0) {
+    throw new HttpError(400, 'Invalid request', fields);
+  }
+  const cleaner = data.cleaner ? requestedCleaner(db, data.cleaner) : null;
+  // Check the extras now rather than when the first occurrence is booked
+  buildQuote({ ...data, date: data.startDate }, cleaner && cleaner.hourlyRate);
+  const series = updateDatabase((fresh) => {
+    const record = {
+      id: nextId(fresh, 'series'),
+      client: user.username,
+      propertyAddress: geocoding.formatAddress(data.address),
+      address: data.address,
+      propertyId: data.propertyId || null,
+      propertyType: data.propertyType,
+      time: data.time,
+      duration: data.duration,
+      extras: data.extras || [],
+      cleaner: cleaner ? cleaner.username : null,
+      rule: recurrence.buildRule(data.frequency, data.interval, data.startDate, data.endDate, data.count),
+      status: 'active',
+      skipped: [],
+      generatedThrough: null,
+      createdAt: new Date().toISOString(),
+      cancellation: null,
+    };
+    fresh.series.push(record);
+    return record;
+  });
+  await extendSeries(series.id);
+  const fresh = loadDatabase();
+  return sendJson(res, 201, { series: presentSeries(fresh, fresh.series.find((s) => s.id === series.id)) });
+}
+
+const SERIES_ORDERS = {
+  created: () => [],
+  next: (s) => [s.nextOccurrence],
+};
+
+/**
+ * Route handler: list recurring series.  Clients see their own,
+ * cleaners the series they are the preferred cleaner of, and admins
+ * every series.
+ */
+function handleListSeries(req, res, db, user) {
+  const field = user.role === 'client' ? 'client' : 'cleaner';
+  const query = readQuery(req, schemas.query.listSeries);
+  const series = db.series
+    .filter((s) => user.role === 'admin' || s[field] === user.username)
+    .map((s) => presentSeries(db, s));
+  const page = pageOf(req, series, SERIES_ORDERS, query);
+  return sendJson(res, 200, { series: page.items, nextCursor: page.nextCursor });
+}
+
+/**
+ * Route handler: view one recurring series and its bookings.  The
+ * client, the preferred cleaner and admins may view it.
+ */
+function handleGetSeries(req, res, db, user, seriesId) {
+  const series = db.series.find((s) => s.id === seriesId);
+  if (!series) {
+    return sendJson(res, 404, { error: 'Series not found' });
+  }
+  if (user.username !== series.client && user.username !== series.cleaner && user.role !== 'admin') {
+    return sendJson(res, 403, { error: 'Not authorised to view this series' });
+  }
+  return sendJson(res, 200, { series: presentSeries(db, series) });
+}
+
+/**
+ * Route handler: change the details of a recurring series.  The client
+ * who set it up may change any of ``address`` or ``propertyId``,
+ * ``time``, ``duration``, ``extras`` and the preferred ``cleaner``
+ * (null for none).  Changes apply to occurrences booked from now on; bookings
+ * already made keep their details and can be moved or cancelled one
+ * at a time.  Returns the series.
+ */
+async function handleUpdateSeries(req, res, db, user) {
+  const data = await readBody(req, schemas.body.updateSeries);
+  const { seriesId, ...changes } = data;
+  if (changes.cleaner) {
+    changes.cleaner = requestedCleaner(db, changes.cleaner).username;
+  }
+  if (changes.propertyId && changes.address) {
+    throw new HttpError(400, 'Invalid request', { address: 'cannot be given together with propertyId' });
+  }
+  if (changes.propertyId) {
+    const series = db.series.find((s) => s.id === seriesId);
+    const property = clientProperty(db, series ? series.client : user.username, changes.propertyId);
+    changes.address = property.address;
+    changes.propertyType = property.propertyType;
+  } else if (changes.address) {
+    changes.address = await locateAddress(changes.address);
+    changes.propertyId = null;
+  }
+  if (changes.address) {
+    changes.propertyAddress = geocoding.formatAddress(changes.address);
+  }
+  const result = updateDatabase((fresh) => {
+    const found = seriesForUpdate(fresh, seriesId, user);
+    if (found.error) {
+      return found;
+    }
+    if (found.series.status !== 'active') {
+      const state = found.series.status === 'ended' ? 'ended' : 'been cancelled';
+      return { status: 409, error: `Cannot change a series that has ${state}` };
+    }
+    Object.assign(found.series, changes);
+    return found;
+  });
+  if (result.error) {
+    return sendJson(res, result.status, { error: result.error });
+  }
+  return sendJson(res, 200, { series: presentSeries(loadDatabase(), result.series) });
+}
+
+/**
+ * Route handler: skip one occurrence of a recurring series.  Expects
+ * ``seriesId`` and the ``date`` of the occurrence.  If it is already
+ * booked the booking is cancelled, under the usual cancellation
+ * policy; otherwise it is simply never booked.  Returns the series.
+ */
+async function handleSkipOccurrence(req, res, db, user) {
+  const data = await readBody(req, schemas.body.skipOccurrence);
+  const result = updateDatabase((fresh) => {
+    const found = seriesForUpdate(fresh, data.seriesId, user);
+    if (found.error) {
+      return found;
+    }
+    const series = found.series;
+    if (data.date < todayDate()) {
+      return { status: 409, error: 'Cannot skip an occurrence in the past' };
+    }
+    if (series.skipped.some((s) => s.date === data.date)) {
+      return { status: 409, error: `The occurrence on ${data.date} is already skipped` };
+    }
+    const booking = fresh.bookings.find(
+      (b) => b.seriesId === series.id && b.date === data.date && ACTIVE_STATUSES.includes(b.status)
+    );
+    if (booking) {
+      const cancelled = cancelBooking(fresh, booking, user, 'Skipped this occurrence of the series');
+      if (cancelled.error) {
+        return cancelled;
+      }
+    } else if (
+      series.status !== 'active' ||
+      (series.generatedThrough && data.date <= series.generatedThrough) ||
+      recurrence.occurrencesBetween(series.rule, data.date, data.date).length === 0
+    ) {
+      return { status: 404, error: `The series has no upcoming occurrence on ${data.date}` };
+    }
+    series.skipped.push({ date: data.date, reason: `Skipped by ${user.username}` });
+    return { series, booking: booking || null };
+  });
+  if (result.error) {
+    return sendJson(res, result.status, { error: result.error });
+  }
+  if (result.booking) {
+    await settleBooking(result.booking);
+  }
+  return sendJson(res, 200, { series: presentSeries(loadDatabase(), result.series) });
+}
+
+/**
+ * Route handler: cancel a whole recurring series.  The client who set
+ * it up or an admin may cancel it.  Expects ``seriesId`` and an
+ * optional ``reason``.  No more occurrences are booked and every
+ * upcoming booking of the series that has not started is cancelled
+ * under the usual cancellation policy.  Returns the series.
+ */
+async function handleCancelSeries(req, res, db, user) {
+  const data = await readBody(req, schemas.body.cancelSeries);
+  const result = updateDatabase((fresh) => {
+    const found = seriesForUpdate(fresh, data.seriesId, user);
+    if (found.error) {
+      return found;
+    }
+    const series = found.series;
+    if (series.status === 'cancelled') {
+      return { status: 409, error: 'Series is already cancelled' };
+    }
+    series.status = 'cancelled';
+    series.cancellation = { by: user.username, reason: data.reason || null, timestamp: new Date().toISOString() };
+    const cancelled = fresh.bookings
+      .filter((b) => b.seriesId === series.id && ['pending', 'accepted'].includes(b.status))
+      .filter((b) => !cancelBooking(fresh, b, user, data.reason || 'Series cancelled').error);
+    return { series, cancelled };
+  });
+  if (result.error) {
+    return sendJson(res, result.status, { error: result.error });
+  }
+  for (const booking of result.cancelled) {
+    await settleBooking(booking);
+  }
+  return sendJson(res, 200, { series: presentSeries(loadDatabase(), result.series) });
+}
+
+/**
+ * Append an entry to the admin audit log.  `target` identifies what
+ * the action was applied to, e.g. ``user:bob`` or ``booking:3``.
+ */
+function recordAdminAction(db, admin, action, target, details) {
+  const entry = {
+    id: nextId(db, 'adminAudit'),
+    admin: admin.username,
+    action,
+    target,
+    details: details || null,
+    timestamp: new Date().toISOString(),
+  };
+  db.adminAudit.push(entry);
+  return entry;
+}
+
+/**
+ * Strip secrets from a user record before returning it to an admin.
+ */
+function publicUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    role: user.role,
+    suspended: Boolean(user.suspended),
+    suspendedAt: user.suspendedAt || null,
+    suspensionReason: user.suspensionReason || null,
+    lockedUntil: lockRemaining(user) > 0 ? user.lockedUntil : null,
+  };
+}
+
+const USER_ORDERS = {
+  created: () => [],
+  username: (u) => [u.username.toLowerCase()],
+};
+
+/**
+ * Route handler: list users.  Admin only.  Optional ``role`` and ``q``
+ * (username substring) query parameters narrow the list.
+ */
+function handleAdminListUsers(req, res, db, user) {
+  if (user.role !== 'admin') {
+    return sendJson(res, 403, { error: 'Admins only' });
+  }
+  const query = readQuery(req, schemas.query.adminListUsers);
+  const q = (query.q || '').toLowerCase();
+  const users = db.users
+    .filter((u) => !query.role || u.role === query.role)
+    .filter((u) => !q || u.username.toLowerCase().includes(q))
+    .map(publicUser);
+  const page = pageOf(req, users, USER_ORDERS, query);
+  return sendJson(res, 200, { users: page.items, nextCursor: page.nextCursor });
+}
+
+/**
+ * Route handler: create a user of any role, including admin.  Admin
+ * only.  Expects the same body as registration.  Returns the new user.
+ */
+async function handleAdminCreateUser(req, res, db, user) {
+  if (user.role !== 'admin') {
+    return sendJson(res, 403, { error: 'Admins only' });
+  }
+  const data = await readBody(req, schemas.body.adminCreateUser);
+  const result = await createUser(data);
+  if (result.error) {
+    throw new HttpError(result.status, result.error, result.fields);
+  }
+  updateDatabase((fresh) =>
+    recordAdminAction(fresh, user, 'create_user', `user:${result.user.username}`, { role: result.user.role })
+  );
+  return sendJson(res, 201, { user: publicUser(result.user) });
+}
+
+/**
+ * Route handler: suspend or reactivate a user.  Admin only.  Expects
+ * ``username`` and, when suspending, an optional ``reason``.
+ * Suspending revokes every session the user holds so they are logged
+ * out immediately, and reactivating also lifts any login lock.  Admins
+ * cannot suspend themselves.
+ */
+async function handleAdminSetSuspended(req, res, db, user, suspended) {
+  if (user.role !== 'admin') {
+    return sendJson(res, 403, { error: 'Admins only' });
+  }
+  const data = await readBody(req, suspended ? schemas.body.adminSuspend : schemas.body.adminReactivate);
+  if (data.username === user.username) {
+    return sendJson(res, 400, { error: 'You cannot change your own suspension' });
+  }
+  const result = updateDatabase((fresh) => {
+    const target = fresh.users.find((u) => u.username === data.username);
+    if (!target) {
+      return { status: 404, error: 'User not found' };
+    }
+    const now = new Date().toISOString();
+    if (suspended) {
+      target.suspended = true;
+      target.suspendedAt = now;
+      target.suspensionReason = data.reason ? String(data.reason) : null;
+      fresh.sessions
+        .filter((s) => s.username === target.username && !s.revokedAt)
+        .forEach((s) => {
+          s.revokedAt = now;
+        });
+    } else {
+      target.suspended = false;
+      target.suspendedAt = null;
+      target.suspensionReason = null;
+      target.loginFailures = null;
+      target.lockedUntil = null;
+    }
+    const action = suspended ? 'suspend_user' : 'reactivate_user';
+    recordAdminAction(fresh, user, action, `user:${target.username}`, suspended ? { reason: target.suspensionReason } : null);
+    return { user: publicUser(target) };
+  });
+  if (result.error) {
+    return sendJson(res, result.status, { error: result.error });
+  }
+  return sendJson(res, 200, result);
+}
+
+/**
+ * Route handler: reassign a booking to a different cleaner.  Admin
+ * only.  Expects ``bookingId`` and ``cleaner``.  The booking must not
+ * have started and the new cleaner must be active and free for the
+ * slot.  A pending booking becomes accepted.  The client and the
+ * cleaner who loses the booking are notified, and a move the client
+ * proposed to that cleaner is dropped.  Returns the booking.
+ */
+async function handleAdminReassignBooking(req, res, db, user) {
+  if (user.role !== 'admin') {
+    return sendJson(res, 403, { error: 'Admins only' });
+  }
+  const data = await readBody(req, schemas.body.adminReassign);
+  const result = updateDatabase((fresh) => {
+    const booking = fresh.bookings.find((b) => b.id === data.bookingId);
+    if (!booking) {
+      return { status: 404, error: 'Booking not found' };
+    }
+    if (!['pending', 'accepted'].includes(booking.status)) {
+      return { status: 409, error: `Cannot reassign a booking that is ${booking.status}` };
+    }
+    const cleaner = fresh.users.find((u) => u.username === data.cleaner && u.role === 'cleaner');
+    if (!cleaner || cleaner.suspended) {
+      return { status: 400, error: 'Cleaner not found or suspended' };
+    }
+    if (booking.cleaner === cleaner.username) {
+      return { status: 409, error: 'Booking is already assigned to that cleaner' };
+    }
+    const slot = toSlot(booking.date, booking.time, booking.duration);
+    const conflict = slot && cleanerConflict(fresh, cleaner.username, slot, booking.id);
+    if (conflict) {
+      return { status: 409, error: conflict };
+    }
+    const previous = booking.cleaner;
+    const note = `Reassigned from ${previous || 'nobody'} to ${cleaner.username}`;
+    if (booking.status === 'pending') {
+      const moved = transitionBooking(fresh, booking, 'accepted', user, note);
+      if (moved.error) {
+        return moved;
+      }
+    } else {
+      recordHistory(fresh, booking, booking.status, booking.status, user, note);
+    }
+    booking.cleaner = cleaner.username;
+    deliverPendingMessages(fresh, booking);
+    queueBookingNotification(fresh, booking.client, 'booking_accepted', booking, cleaner);
+    if (previous) {
+      queueBookingNotification(fresh, previous, 'booking_reassigned', booking, user);
+    }
+    postSystemMessage(fresh, booking, `${cleaner.username} is now the cleaner for this booking.`);
+    if (booking.rescheduleRequest) {
+      const { date, time } = booking.rescheduleRequest;
+      booking.rescheduleRequest = null;
+      postSystemMessage(fresh, booking, `The move proposed to ${date} ${time} was dropped with the change of cleaner.`);
+    }
+    recordAdminAction(fresh, user, 'reassign_booking', `booking:${booking.id}`, {
+      from: previous,
+      to: cleaner.username,
+    });
+    return { booking };
+  });
+  if (result.error) {
+    return sendJson(res, result.status, { error: result.error });
+  }
+  return sendJson(res, 200, { booking: result.booking });
+}
+
+/**
+ * Route handler: force‑cancel a booking.  Admin only.  Expects
+ * ``bookingId`` and an optional ``reason``.  Unlike client
+ * cancellations no fee is charged, so the whole payment authorisation
+ * is released, and bookings already in progress can be cancelled.
+ * Returns the booking.
+ */
+async function handleAdminCancelBooking(req, res, db, user) {
+  if (user.role !== 'admin') {
+    return sendJson(res, 403, { error: 'Admins only' });
+  }
+  const data = await readBody(req, schemas.body.adminCancel);
+  const result = updateDatabase((fresh) => {
+    const booking = fresh.bookings.find((b) => b.id === data.bookingId);
+    if (!booking) {
+      return { status: 404, error: 'Booking not found' };
+    }
+    const reason = data.reason ? String(data.reason) : null;
+    const cancelled = cancelBooking(fresh, booking, user, reason);
+    if (!cancelled.error) {
+      recordAdminAction(fresh, user, 'cancel_booking', `booking:${booking.id}`, { reason });
+    }
+    return cancelled;
+  });
+  if (result.error) {
+    return sendJson(res, result.status, { error: result.error });
+  }
+  return sendJson(res, 200, { booking: await settleBooking(result.booking) });
+}
+
+/**
+ * Refund the client of `booking` on behalf of the admin `user`:
+ * `amount` of the captured booking price, or everything captured and
+ * not yet refunded when it is null.  Only the captured booking price
+ * can be refunded this way; tips are left alone.  The refund is
+ * recorded in the ledger, which updates the booking's payment summary,
+ * and in the admin audit log.  Throws a 400 `HttpError` on the
+ * ``amount`` field when it is more than is left.  Returns ``{ booking,
+ * entry }`` or ``{ status, error }``, with the ledger ``entry`` when
+ * the provider declined the refund.
+ */
+async function refundBooking(db, booking, amount, reason, user) {
+  const capture = db.ledger
+    .filter((e) => e.bookingId === booking.id && e.type === 'capture' && e.status === 'succeeded')
+    .pop();
+  if (!capture) {
+    return { status: 409, error: 'Nothing has been captured for this booking' };
+  }
+  // The latest entry for each refund decides whether it still counts
+  const refunds = new Map();
+  db.ledger
+    .filter((e) => e.type === 'refund' && e.parentRef === capture.providerRef)
+    .forEach((e) => refunds.set(e.providerRef, e));
+  const alreadyRefunded = Array.from(refunds.values())
+    .filter((e) => e.status !== 'failed')
+    .reduce((sum, e) => sum + e.amount, 0);
+  const refundable = roundMoney(capture.amount - alreadyRefunded);
+  const refund = amount === undefined || amount === null ? refundable : roundMoney(amount);
+  if (refund <= 0 || refund > refundable) {
+    throw new HttpError(400, 'Invalid request', { amount: `must be between 0.01 and ${refundable}` });
+  }
+  const outcome = await payments.refund(capture.providerRef, refund);
+  const result = updateDatabase((fresh) => {
+    const record = fresh.bookings.find((b) => b.id === booking.id);
+    const fields = { bookingId: record.id, type: 'refund', amount: refund, payee: record.client, note: reason };
+    const entry = recordPayment(fresh, { ...fields, parentRef: capture.providerRef }, outcome);
+    const details = { amount: refund, reason: reason || null };
+    recordAdminAction(fresh, user, 'refund_booking', `booking:${record.id}`, details);
+    return { booking: record, entry };
+  });
+  if (outcome.status === 'failed') {
+    return { status: 402, error: `Refund failed: ${outcome.failureReason}`, entry: result.entry };
+  }
+  return result;
+}
+
+/**
+ * Route handler: refund a client for a booking.  Admin only.  Expects
+ * ``bookingId``, an optional ``amount`` (default: everything captured
+ * and not yet refunded) and an optional ``reason``; see
+ * `refundBooking`.  Returns the booking and the refund's ledger entry.
+ */
+async function handleAdminRefundBooking(req, res, db, user) {
+  if (user.role !== 'admin') {
+    return sendJson(res, 403, { error: 'Admins only' });
+  }
+  const data = await readBody(req, schemas.body.adminRefund);
+  const booking = db.bookings.find((b) => b.id === data.bookingId);
+  if (!booking) {
+    return sendJson(res, 404, { error: 'Booking not found' });
+  }
+  const result = await refundBooking(db, booking, data.amount, data.reason, user);
+  if (result.error) {
+    return sendJson(res, result.status, { error: result.error, entry: result.entry });
+  }
+  return sendJson(res, 200, result);
+}
+
+const AUDIT_ORDERS = {
+  created: () => [],
+};
+
+/**
+ * Route handler: list the admin audit log, by default newest first.
+ * Admin only.
+ */
+function handleAdminAuditLog(req, res, db, user) {
+  if (user.role !== 'admin') {
+    return sendJson(res, 403, { error: 'Admins only' });
+  }
+  const page = pageOf(req, db.adminAudit, AUDIT_ORDERS, readQuery(req, schemas.query.adminAuditLog));
+  return sendJson(res, 200, { audit: page.items, nextCursor: page.nextCursor });
+}
+
+/**
+ * Work out whose earnings a request is for: cleaners always get their
+ * own, admins name a cleaner with the ``cleaner`` query parameter.
+ * Throws an `HttpError` for anyone else.
+ */
+function earningsCleaner(db, user, query) {
+  if (user.role === 'cleaner') {
+    return user.username;
+  }
+  if (user.role !== 'admin') {
+    throw new HttpError(403, 'Only cleaners and admins can view earnings');
+  }
+  if (!query.cleaner) {
+    throw new HttpError(400, 'Invalid request', { cleaner: 'is required' });
+  }
+  if (!db.users.some((u) => u.username === query.cleaner && u.role === 'cleaner')) {
+    throw new HttpError(404, 'Cleaner not found');
+  }
+  return query.cleaner;
+}
+
+/**
+ * Route handler: a cleaner's earnings.  Optional ``from`` and ``to``
+ * dates limit the jobs included.  Returns the totals for the period,
+ * totals per week and the per‑job breakdown, along with the commission
+ * rates applied.
+ */
+function handleGetEarnings(req, res, db, user) {
+  const query = readQuery(req, schemas.query.earnings);
+  const cleaner = earningsCleaner(db, user, query);
+  const lines = earnings.earningsLines(db, cleaner, query.from, query.to);
+  return sendJson(res, 200, {
+    cleaner,
+    currency: config.pricing.currency,
+    commissionPercent: config.earnings.commissionPercent,
+    tipCommissionPercent: config.earnings.tipCommissionPercent,
+    totals: earnings.totalLines(lines),
+    weeks: earnings.weeklyTotals(lines),
+    jobs: lines,
+  });
+}
+
+/**
+ * Route handler: download a cleaner's earnings statement as CSV.
+ * Takes the same query parameters as GET /earnings.
+ */
+function handleEarningsStatement(req, res, db, user) {
+  const query = readQuery(req, schemas.query.earnings);
+  const cleaner = earningsCleaner(db, user, query);
+  const lines = earnings.earningsLines(db, cleaner, query.from, query.to);
+  const period = query.from || query.to ? `-${query.from || 'start'}-to-${query.to || 'now'}` : '';
+  return sendCsv(res, `earnings-${cleaner}${period}.csv`, earnings.statementCsv(lines));
+}
+
+const PAYOUT_ORDERS = {
+  created: () => [],
+  week: (p) => [p.weekStart],
+};
+
+/**
+ * Route handler: list payout batches, by default newest first,
+ * optionally only those with the given ``status``.  Admins see every
+ * batch in full; cleaners see the batches that pay them, with only
+ * their own item.
+ */
+function handleListPayouts(req, res, db, user) {
+  const query = readQuery(req, schemas.query.listPayouts);
+  let payouts = db.payouts.filter((p) => !query.status || p.status === query.status);
+  if (user.role === 'cleaner') {
+    payouts = payouts
+      .map((p) => ({ ...p, items: p.items.filter((item) => item.cleaner === user.username) }))
+      .filter((p) => p.items.length > 0)
+      .map((p) => ({ ...p, total: p.items[0].amount }));
+  } else if (user.role !== 'admin') {
+    return sendJson(res, 403, { error: 'Only cleaners and admins can view payouts' });
+  }
+  const page = pageOf(req, payouts, PAYOUT_ORDERS, query);
+  return sendJson(res, 200, { payouts: page.items, nextCursor: page.nextCursor });
+}
+
+/**
+ * Route handler: create the payout batch for a week.  Admin only.
+ * ``weekStart`` may be any date in the week; it defaults to last week.
+ * Only one batch is made per week.  Returns 201 with the new batch, or
+ * 409 when the week already has one or nobody is owed anything.
+ */
+async function handleCreatePayoutBatch(req, res, db, user) {
+  if (user.role !== 'admin') {
+    return sendJson(res, 403, { error: 'Admins only' });
+  }
+  const data = await readBody(req, schemas.body.createPayoutBatch);
+  const lastWeek = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const weekStart = earnings.weekStartOf(data.weekStart || lastWeek);
+  const result = updateDatabase((fresh) => {
+    if (fresh.payouts.some((p) => p.weekStart === weekStart)) {
+      return { status: 409, error: `A payout batch for the week of ${weekStart} already exists` };
+    }
+    const batch = earnings.buildPayoutBatch(fresh, weekStart);
+    if (!batch) {
+      return { status: 409, error: `No cleaner is owed anything for the week of ${weekStart}` };
+    }
+    const payout = { id: nextId(fresh, 'payouts'), ...batch };
+    fresh.payouts.push(payout);
+    recordAdminAction(fresh, user, 'create_payout_batch', `payout:${payout.id}`, {
+      weekStart,
+      total: payout.total,
+    });
+    return { payout };
+  });
+  if (result.error) {
+    return sendJson(res, result.status, { error: result.error });
+  }
+  return sendJson(res, 201, { payout: result.payout });
+}
+
+/**
+ * Route handler: approve a pending payout batch for payment.  Admin
+ * only.  Expects ``payoutId``.  Returns the approved batch.
+ */
+async function handleApprovePayout(req, res, db, user) {
+  if (user.role !== 'admin') {
+    return sendJson(res, 403, { error: 'Admins only' });
+  }
+  const data = await readBody(req, schemas.body.approvePayout);
+  const result = updateDatabase((fresh) => {
+    const payout = fresh.payouts.find((p) => p.id === data.payoutId);
+    if (!payout) {
+      return { status: 404, error: 'Payout batch not found' };
+    }
+    if (payout.status !== 'pending') {
+      return { status: 409, error: `Payout batch is already ${payout.status}` };
+    }
+    payout.status = 'approved';
+    payout.approvedBy = user.username;
+    payout.approvedAt = new Date().toISOString();
+    recordAdminAction(fresh, user, 'approve_payout_batch', `payout:${payout.id}`, { total: payout.total });
+    return { payout };
+  });
+  if (result.error) {
+    return sendJson(res, result.status, { error: result.error });
+  }
+  return sendJson(res, 200, { payout: result.payout });
+}
+
+/**
+ * Route handler: view a cleaner's availability.  Cleaners see their
+ * own; anyone else passes ``cleaner`` in the query string.  Returns
+ * the weekly working hours and blackout dates, both empty when the
+ * cleaner has not published any.
+ */
+function handleGetAvailability(req, res, db, user) {
+  const query = readQuery(req, schemas.query.availability);
+  const username = query.cleaner || (user.role === 'cleaner' ? user.username : null);
+  if (!username) {
+    return sendJson(res, 400, { error: 'Missing cleaner query parameter' });
+  }
+  if (!db.users.some((u) => u.username === username && u.role === 'cleaner')) {
+    return sendJson(res, 404, { error: 'Cleaner not found' });
+  }
+  const availability = db.availability.find((a) => a.cleaner === username) || {
+    cleaner: username,
+    weeklyHours: [],
+    blackoutDates: [],
+  };
+  return sendJson(res, 200, { availability });
+}
+
+/**
+ * Look up the availability record for a cleaner, creating an empty
+ * one if they have never published any.
+ */
+function getOrCreateAvailability(db, username) {
+  let availability = db.availability.find((a) => a.cleaner === username);
+  if (!availability) {
+    availability = { cleaner: username, weeklyHours: [], blackoutDates: [] };
+    db.availability.push(availability);
+  }
+  return availability;
+}
+
+/**
+ * Route handler: publish weekly working hours.  Only cleaners may
+ * set their hours.  Expects ``weeklyHours``, an array of windows of
+ * the form ``{ day: 'mon', start: '09:00', end: '17:00' }``.  The
+ * array replaces any hours previously published.  Returns the updated
+ * availability.
+ */
+async function handleSetWorkingHours(req, res, db, user) {
+  if (user.role !== 'cleaner') {
+    return sendJson(res, 403, { error: 'Only cleaners can set working hours' });
+  }
+  const data = await readBody(req, schemas.body.workingHours);
+  const fields = {};
+  data.weeklyHours.forEach((w, i) => {
+    if (w.start >= w.end) {
+      fields[`weeklyHours.${i}.end`] = 'must be later than start';
+    }
+  });
+  if (Object.keys(fields).length > 0) {
+    throw new HttpError(400, 'Invalid request', fields);
+  }
+  const weeklyHours = data.weeklyHours;
+  const availability = updateDatabase((fresh) => {
+    const record = getOrCreateAvailability(fresh, user.username);
+    record.weeklyHours = weeklyHours;
+    return record;
+  });
+  return sendJson(res, 200, { availability });
+}
+
+/**
+ * Route handler: add a blackout date.  Only cleaners may add blackout
+ * dates to their calendar.  Expects ``date`` (``YYYY-MM-DD``).  A
+ * date that overlaps a booking already assigned to the cleaner is
+ * rejected.  Returns the updated availability.
+ */
+async function handleAddBlackoutDate(req, res, db, user) {
+  if (user.role !== 'cleaner') {
+    return sendJson(res, 403, { error: 'Only cleaners can set blackout dates' });
+  }
+  const data = await readBody(req, schemas.body.blackoutDate);
+  const result = updateDatabase((fresh) => {
+    const booked = fresh.bookings.find(
+      (b) => b.cleaner === user.username && b.date === data.date && ACTIVE_STATUSES.includes(b.status)
+    );
+    if (booked) {
+      return { status: 409, error: `You have booking ${booked.id} on ${data.date}` };
+    }
+    const record = getOrCreateAvailability(fresh, user.username);
+    if (!record.blackoutDates.includes(data.date)) {
+      record.blackoutDates.push(data.date);
+      record.blackoutDates.sort();
+    }
+    return { availability: record };
+  });
+  if (result.error) {
+    return sendJson(res, result.status, { error: result.error });
+  }
+  return sendJson(res, 200, { availability: result.availability });
+}
+
+/**
+ * Route handler: remove a blackout date.  Expects ``date`` in the
+ * query string.  Returns the updated availability.
+ */
+function handleRemoveBlackoutDate(req, res, db, user) {
+  if (user.role !== 'cleaner') {
+    return sendJson(res, 403, { error: 'Only cleaners can set blackout dates' });
+  }
+  const { date } = readQuery(req, schemas.query.blackoutDate);
+  const availability = updateDatabase((fresh) => {
+    const record = getOrCreateAvailability(fresh, user.username);
+    record.blackoutDates = record.blackoutDates.filter((d) => d !== date);
+    return record;
+  });
+  return sendJson(res, 200, { availability });
+}
+
+/**
+ * Route handler: open a Server-Sent Events stream of live updates for
+ * the authenticated user (see events.js and `publishChanges`).
+ * Browsers' EventSource cannot send an Authorization header, so the
+ * access token may instead be given as the ``accessToken`` query
+ * parameter.  A client resuming a stream sends the id of the last
+ * event it saw in the ``Last-Event-ID`` header or the ``lastEventId``
+ * parameter.  The stream is closed when the access token expires; the
+ * client then reconnects with a fresh token.
+ */
+function handleEvents(req, res, db) {
+  const query = readQuery(req, schemas.query.events);
+  const token = query.accessToken || bearerToken(req);
+  const user = userForSession(db, sessionForToken(db, token));
+  if (!user) {
+    return sendJson(res, 401, { error: 'Unauthorised' });
+  }
+  const lastEventId = req.headers['last-event-id'] || query.lastEventId || null;
+  const stream = events.subscribe(req, res, user, lastEventId);
+  const expiresIn = Math.min(verifyAccessToken(token).exp * 1000 - Date.now(), 24 * 60 * 60 * 1000);
+  const expiry = setTimeout(() => stream.close(), expiresIn);
+  req.on('close', () => clearTimeout(expiry));
+}
+
+/**
+ * Work out who a message from `user` in the thread of `booking` is
+ * for: the cleaner when the client writes, and the client when the
+ * cleaner does.  A client's message sent before any cleaner is
+ * assigned has no recipient until one is (see
+ * `deliverPendingMessages`).  Returns undefined if `user` is not a
+ * party to the booking.
+ */
+function messageRecipient(booking, user) {
+  if (user.username === booking.client) {
+    return booking.cleaner;
+  }
+  if (user.username === booking.cleaner) {
+    return booking.client;
+  }
+  return undefined;
+}
+
+/**
+ * Add a message from `user` to the thread of the booking with id
+ * `bookingId`, with an optional `attachment`, and notify its
+ * recipient.  Must be called inside a transaction.  Returns
+ * ``{ message }`` or ``{ status, error }``.
+ */
+function appendMessage(db, bookingId, user, content, attachment) {
+  const booking = db.bookings.find((b) => b.id === bookingId);
+  if (!booking) {
+    return { status: 404, error: 'Booking not found' };
+  }
+  const recipient = messageRecipient(booking, user);
+  if (recipient === undefined) {
+    return { status: 403, error: 'Not part of the booking' };
+  }
+  const message = {
+    id: nextId(db, 'messages'),
+    bookingId: booking.id,
+    sender: user.username,
+    recipient,
+    content,
+    attachment: attachment || null,
+    readBy: {},
+    timestamp: new Date().toISOString(),
+  };
+  db.messages.push(message);
+  if (recipient) {
+    const text = content || (attachment ? `[Photo: ${attachment.filename}]` : '');
+    queueBookingNotification(db, recipient, 'new_message', booking, user, { content: text });
+  }
+  return { message };
+}
+
+/**
+ * Route handler: create a message within a booking.  Any party
+ * involved in the booking (client or cleaner) may send a message.
+ * Expects ``bookingId``, ``content``.  The message recipient is
+ * inferred from the sender’s role.  Returns the created message.
+ */
+async function handleCreateMessage(req, res, db, user) {
+  const data = await readBody(req, schemas.body.createMessage);
+  const result = updateDatabase((fresh) => appendMessage(fresh, data.bookingId, user, data.content));
+  if (result.error) {
+    return sendJson(res, result.status, { error: result.error });
+  }
+  return sendJson(res, 201, { message: result.message });
+}
+
+/**
+ * Read an image sent as the request body, with its type in the
+ * Content-Type header, and store it with the other attachments.
+ * Throws an `HttpError` with status 413 when it is larger than
+ * `config.attachments.maxBytes` and 415 when it is not one of the
+ * accepted image types.  Returns ``{ filename, contentType, size,
+ * file }``, named `filename` if given.
+ */
+async function saveImageBody(req, filename) {
+  const { dir, maxBytes, types } = config.attachments;
+  const contentType = String(req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  if (!types.includes(contentType)) {
+    throw new HttpError(415, `Attachments must be one of: ${types.join(', ')}`);
+  }
+  const data = await readBodyBuffer(req, maxBytes);
+  if (!attachments.isImageOfType(data, contentType)) {
+    throw new HttpError(415, `File is not a valid ${contentType} image`);
+  }
+  const file = attachments.saveAttachment(dir, data, contentType);
+  return { filename: filename || file, contentType, size: data.length, file };
+}
+
+/**
+ * Route handler: send an image to a booking's thread.  The body is
+ * the image itself, with its type in the Content-Type header;
+ * ``bookingId``, the original ``filename`` and an optional caption
+ * (``content``) go in the query string.  Images larger than
+ * `config.attachments.maxBytes` are refused with 413 and anything that
+ * is not one of the accepted image types with 415.  Returns the
+ * created message.
+ */
+async function handleUploadAttachment(req, res, db, user) {
+  const query = readQuery(req, schemas.query.uploadAttachment);
+  const booking = db.bookings.find((b) => b.id === query.bookingId);
+  if (!booking) {
+    return sendJson(res, 404, { error: 'Booking not found' });
+  }
+  if (messageRecipient(booking, user) === undefined) {
+    return sendJson(res, 403, { error: 'Not part of the booking' });
+  }
+  const attachment = await saveImageBody(req, query.filename);
+  const result = updateDatabase((fresh) => appendMessage(fresh, booking.id, user, query.content || '', attachment));
+  if (result.error) {
+    attachments.removeAttachment(config.attachments.dir, attachment.file);
+    return sendJson(res, result.status, { error: result.error });
+  }
+  return sendJson(res, 201, { message: result.message });
+}
+
+/**
+ * Route handler: download the image attached to a message.  The
+ * parties to the booking and admins may download it.
+ */
+function handleGetAttachment(req, res, db, user, messageId) {
+  const message = db.messages.find((m) => m.id === messageId);
+  const booking = message && db.bookings.find((b) => b.id === message.bookingId);
+  if (!message || !message.attachment || !booking) {
+    return sendJson(res, 404, { error: 'Attachment not found' });
+  }
+  if (user.username !== booking.client && user.username !== booking.cleaner && user.role !== 'admin') {
+    return sendJson(res, 403, { error: 'Not authorised to view this attachment' });
+  }
+  return sendAttachment(res, message.attachment);
+}
+
+/**
+ * Send a stored image, described by ``{ filename, contentType, size,
+ * file }`` as kept on a message or dispute, as the response.
+ */
+function sendAttachment(res, attachment) {
+  // Header values must be plain ASCII, so anything else in the name is replaced
+  const filename = attachment.filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  const stream = attachments.readAttachment(config.attachments.dir, attachment.file);
+  stream.on('open', () => {
+    res.writeHead(200, {
+      'Content-Type': attachment.contentType,
+      'Content-Length': attachment.size,
+      'Content-Disposition': `inline; filename="${filename}"`,
+    });
+    stream.pipe(res);
+  });
+  stream.on('error', () => sendJson(res, 404, { error: 'Attachment not found' }));
+}
+
+/**
+ * Route handler: mark the messages in a booking's thread as read by
+ * the caller, who must be the client or the cleaner.  Expects
+ * ``bookingId`` and optionally ``upTo``, the id of the last message
+ * read; without it the whole thread is marked.  Each message records
+ * when each party read it in ``readBy``, which gives the sender a read
+ * receipt.  Returns how many messages were marked.
+ */
+async function handleMarkMessagesRead(req, res, db, user) {
+  const data = await readBody(req, schemas.body.markMessagesRead);
+  const readAt = new Date().toISOString();
+  const result = updateDatabase((fresh) => {
+    const booking = fresh.bookings.find((b) => b.id === data.bookingId);
+    if (!booking) {
+      return { status: 404, error: 'Booking not found' };
+    }
+    if (messageRecipient(booking, user) === undefined) {
+      return { status: 403, error: 'Not part of the booking' };
+    }
+    const unread = fresh.messages.filter(
+      (m) =>
+        m.bookingId === booking.id &&
+        m.sender !== user.username &&
+        (!data.upTo || m.id <= data.upTo) &&
+        !(m.readBy && m.readBy[user.username])
+    );
+    unread.forEach((m) => {
+      m.readBy = { ...m.readBy, [user.username]: readAt };
+    });
+    return { booking, marked: unread.map((m) => m.id) };
+  });
+  if (result.error) {
+    return sendJson(res, result.status, { error: result.error });
+  }
+  if (result.marked.length > 0) {
+    const users = [result.booking.client, result.booking.cleaner].filter(Boolean);
+    const receipt = { bookingId: result.booking.id, reader: user.username, messageIds: result.marked, readAt };
+    events.publish('read', receipt, { users });
+  }
+  return sendJson(res, 200, { marked: result.marked.length });
+}
+
+const MESSAGE_ORDERS = {
+  created: (m) => [new Date(m.timestamp).getTime()],
+};
+
+/**
+ * Route handler: list messages for a booking.  The authenticated
+ * user must be part of the booking.  Returns a page of messages, by
+ * default oldest first.
+ */
+function handleListMessages(req, res, db, user) {
+  const query = readQuery(req, schemas.query.listMessages);
+  const { bookingId } = query;
+  const booking = db.bookings.find((b) => b.id === bookingId);
+  if (!booking) {
+    return sendJson(res, 404, { error: 'Booking not found' });
+  }
+  if (user.username !== booking.client && user.username !== booking.cleaner && user.role !== 'admin') {
+    return sendJson(res, 403, { error: 'Not authorised to view messages' });
+  }
+  const page = pageOf(req, db.messages.filter((m) => m.bookingId === bookingId), MESSAGE_ORDERS, query);
+  return sendJson(res, 200, { messages: page.items, nextCursor: page.nextCursor });
+}
+
+/**
+ * Route handler: submit a rating and optional tip for a booking.
+ * Only the client may rate a booking once it has been completed by
+ * the cleaner.  Expects ``bookingId``, ``rating`` (1‑5), an
+ * optional review ``comment`` and an optional ``tip`` amount.  The
+ * rating counts towards the cleaner's average on their profile.  A
+ * tip is charged to the client as its own payment, separate from the
+ * booking price, and 402 is returned if it is declined.  Returns the
+ * updated booking.
+ */
+async function handleRateBooking(req, res, db, user) {
+  if (user.role !== 'client') {
+    return sendJson(res, 403, { error: 'Only clients can rate bookings' });
+  }
+  const data = await readBody(req, schemas.body.rateBooking);
+  const booking = db.bookings.find((b) => b.id === data.bookingId);
+  if (!booking) {
+    return sendJson(res, 404, { error: 'Booking not found' });
+  }
+  if (booking.client !== user.username) {
+    return sendJson(res, 403, { error: 'Not your booking' });
+  }
+  if (booking.status !== 'completed') {
+    return sendJson(res, 400, { error: 'Booking not completed yet' });
+  }
+  if (booking.rating !== null) {
+    return sendJson(res, 400, { error: 'Booking already rated' });
+  }
+  const tip = { bookingId: booking.id, type: 'tip', amount: data.tip, payer: user.username, payee: booking.cleaner };
+  let charge = null;
+  if (data.tip) {
+    charge = await payments.charge({
+      amount: data.tip,
+      currency: config.pricing.currency,
+      reference: `tip:${booking.id}`,
+      customer: user.username,
+    });
+    if (charge.status === 'failed') {
+      updateDatabase((fresh) => recordPayment(fresh, tip, charge));
+      return sendJson(res, 402, { error: `Tip payment was declined: ${charge.failureReason}` });
+    }
+  }
+  const result = updateDatabase((fresh) => {
+    const record = fresh.bookings.find((b) => b.id === booking.id);
+    if (record.rating !== null) {
+      return { error: 'Booking already rated' };
+    }
+    record.rating = data.rating;
+    record.review = data.comment || null;
+    record.ratedAt = new Date().toISOString();
+    if (charge) {
+      record.tip = data.tip;
+      recordPayment(fresh, tip, charge);
+    }
+    queueBookingNotification(fresh, record.cleaner, 'new_rating', record, user, {
+      rating: data.rating,
+      comment: data.comment || '',
+    });
+    return { booking: record };
+  });
+  if (result.error && charge) {
+    // Another request rated the booking first; give the tip back
+    const refund = await payments.refund(charge.ref, data.tip);
+    updateDatabase((fresh) => {
+      recordPayment(fresh, tip, charge);
+      recordPayment(fresh, { ...tip, type: 'refund', parentRef: charge.ref, note: 'Duplicate rating' }, refund);
+      return {};
+    });
+  }
+  if (result.error) {
+    return sendJson(res, 400, { error: result.error });
+  }
+  return sendJson(res, 200, { booking: result.booking });
+}
+
+/**
+ * When `booking` was completed, going by its status history.  Bookings
+ * completed before the history was kept count from their date.
+ */
+function completedAt(db, booking) {
+  const entry = db.history.filter((h) => h.bookingId === booking.id && h.to === 'completed').pop();
+  return entry ? entry.timestamp : `${booking.date}T00:00:00Z`;
+}
+
+/**
+ * Queue a ``dispute_update`` notification about `dispute` for each of
+ * `usernames`, saying what happened in `update` with any further
+ * `details`.
+ */
+function notifyDispute(db, dispute, usernames, actor, update, details) {
+  const booking = db.bookings.find((b) => b.id === dispute.bookingId);
+  usernames
+    .filter(Boolean)
+    .forEach((username) =>
+      queueBookingNotification(db, username, 'dispute_update', booking, actor, { update, details: details || '' })
+    );
+}
+
+/**
+ * Find a dispute the caller may see: the client who opened it, the
+ * cleaner it is about, or an admin.  Returns ``{ dispute }`` or
+ * ``{ status, error }``.
+ */
+function disputeFor(db, disputeId, user) {
+  const dispute = db.disputes.find((d) => d.id === disputeId);
+  if (!dispute) {
+    return { status: 404, error: 'Dispute not found' };
+  }
+  if (user.username !== dispute.client && user.username !== dispute.cleaner && user.role !== 'admin') {
+    return { status: 403, error: 'Not authorised to view this dispute' };
+  }
+  return { dispute };
+}
+
+/**
+ * Route handler: open a dispute about a completed booking under the
+ * quality guarantee.  Only the booking's client may, once per booking
+ * and within `config.disputes.windowDays` days of it being completed.
+ * Expects ``bookingId``, a ``reason`` (``not_cleaned``,
+ * ``missed_tasks``, ``damage``, ``late`` or ``other``) and a
+ * ``description``; photos are added with POST /disputes/evidence.  The
+ * dispute starts ``open`` and the cleaner is asked to respond.  Returns
+ * 201 with the dispute.
+ */
+async function handleOpenDispute(req, res, db, user) {
+  if (user.role !== 'client') {
+    return sendJson(res, 403, { error: 'Only clients can open disputes' });
+  }
+  const data = await readBody(req, schemas.body.openDispute);
+  const { windowDays } = config.disputes;
+  const result = updateDatabase((fresh) => {
+    const booking = fresh.bookings.find((b) => b.id === data.bookingId);
+    if (!booking) {
+      return { status: 404, error: 'Booking not found' };
+    }
+    if (booking.client !== user.username) {
+      return { status: 403, error: 'Not your booking' };
+    }
+    if (booking.status !== 'completed') {
+      return { status: 409, error: 'Only completed bookings can be disputed' };
+    }
+    if (booking.disputeId) {
+      return { status: 409, error: 'This booking has already been disputed' };
+    }
+    if (Date.now() > Date.parse(completedAt(fresh, booking)) + windowDays * 24 * 60 * 60 * 1000) {
+      return { status: 409, error: `Disputes must be opened within ${windowDays} days of the booking being completed` };
+    }
+    const now = new Date().toISOString();
+    const dispute = {
+      id: nextId(fresh, 'disputes'),
+      bookingId: booking.id,
+      client: booking.client,
+      cleaner: booking.cleaner,
+      reason: data.reason,
+      description: data.description,
+      evidence: [],
+      status: 'open',
+      response: null,
+      resolution: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+    fresh.disputes.push(dispute);
+    booking.disputeId = dispute.id;
+    notifyDispute(fresh, dispute, [booking.cleaner], user, 'the client has raised a problem', data.description);
+    return { dispute };
+  });
+  if (result.error) {
+    return sendJson(res, result.status, { error: result.error });
+  }
+  return sendJson(res, 201, { dispute: result.dispute });
+}
+
+const DISPUTE_ORDERS = {
+  created: () => [],
+};
+
+/**
+ * Route handler: list disputes, by default newest first.  Clients see
+ * the ones they opened, cleaners the ones about their work and admins
+ * every dispute.  Can be narrowed to one ``status``.
+ */
+function handleListDisputes(req, res, db, user) {
+  const query = readQuery(req, schemas.query.listDisputes);
+  const field = user.role === 'client' ? 'client' : 'cleaner';
+  const disputes = db.disputes
+    .filter((d) => user.role === 'admin' || d[field] === user.username)
+    .filter((d) => !query.status || d.status === query.status);
+  const page = pageOf(req, disputes, DISPUTE_ORDERS, query);
+  return sendJson(res, 200, { disputes: page.items, nextCursor: page.nextCursor });
+}
+
+/**
+ * Route handler: view one dispute.  Its client, its cleaner and admins
+ * may view it.
+ */
+function handleGetDispute(req, res, db, user, disputeId) {
+  const found = disputeFor(db, disputeId, user);
+  if (found.error) {
+    return sendJson(res, found.status, { error: found.error });
+  }
+  return sendJson(res, 200, { dispute: found.dispute });
+}
+
+/**
+ * Route handler: the cleaner's side of a dispute.  Only the cleaner
+ * the dispute is about may respond, until it is resolved; responding
+ * again replaces the earlier response.  Expects ``disputeId`` and the
+ * ``response``.  Returns the dispute, now ``responded``.
+ */
+async function handleRespondToDispute(req, res, db, user) {
+  const data = await readBody(req, schemas.body.respondToDispute);
+  const result = updateDatabase((fresh) => {
+    const found = disputeFor(fresh, data.disputeId, user);
+    if (found.error) {
+      return found;
+    }
+    const { dispute } = found;
+    if (dispute.cleaner !== user.username) {
+      return { status: 403, error: 'Only the cleaner can respond to a dispute' };
+    }
+    if (dispute.status === 'resolved') {
+      return { status: 409, error: 'The dispute has already been resolved' };
+    }
+    const now = new Date().toISOString();
+    dispute.response = { text: data.response, respondedAt: now };
+    dispute.status = 'responded';
+    dispute.updatedAt = now;
+    notifyDispute(fresh, dispute, [dispute.client], user, 'the cleaner has responded', data.response);
+    return found;
+  });
+  if (result.error) {
+    return sendJson(res, result.status, { error: result.error });
+  }
+  return sendJson(res, 200, { dispute: result.dispute });
+}
+
+/**
+ * Route handler: add a photo to a dispute as evidence.  The client and
+ * the cleaner may each add up to `config.disputes.maxEvidence` until
+ * the dispute is resolved.  The body is the image itself, as for
+ * message attachments, with ``disputeId`` and the original
+ * ``filename`` in the query string.  Returns 201 with the dispute.
+ */
+async function handleUploadEvidence(req, res, db, user) {
+  const query = readQuery(req, schemas.query.uploadEvidence);
+  const found = disputeFor(db, query.disputeId, user);
+  if (found.error) {
+    return sendJson(res, found.status, { error: found.error });
+  }
+  if (user.username !== found.dispute.client && user.username !== found.dispute.cleaner) {
+    return sendJson(res, 403, { error: 'Only the client and the cleaner can add evidence' });
+  }
+  const image = await saveImageBody(req, query.filename);
+  const result = updateDatabase((fresh) => {
+    const dispute = fresh.disputes.find((d) => d.id === query.disputeId);
+    if (dispute.status === 'resolved') {
+      return { status: 409, error: 'The dispute has already been resolved' };
+    }
+    const { maxEvidence } = config.disputes;
+    if (dispute.evidence.filter((e) => e.by === user.username).length >= maxEvidence) {
+      return { status: 409, error: `No more than ${maxEvidence} photos can be added` };
+    }
+    const id = dispute.evidence.reduce((max, e) => Math.max(max, e.id), 0) + 1;
+    const now = new Date().toISOString();
+    dispute.evidence.push({ id, by: user.username, ...image, uploadedAt: now });
+    dispute.updatedAt = now;
+    return { dispute };
+  });
+  if (result.error) {
+    attachments.removeAttachment(config.attachments.dir, image.file);
+    return sendJson(res, result.status, { error: result.error });
+  }
+  return sendJson(res, 201, { dispute: result.dispute });
+}
+
+/**
+ * Route handler: download a photo added to a dispute.  The client, the
+ * cleaner and admins may download it.
+ */
+function handleGetEvidence(req, res, db, user, disputeId, evidenceId) {
+  const found = disputeFor(db, disputeId, user);
+  if (found.error) {
+    return sendJson(res, found.status, { error: found.error });
+  }
+  const evidence = found.dispute.evidence.find((e) => e.id === evidenceId);
+  if (!evidence) {
+    return sendJson(res, 404, { error: 'Attachment not found' });
+  }
+  return sendAttachment(res, evidence);
+}
+
+// Disputes an admin is resolving right now, so that two requests never
+// refund or re-clean the same one.
+const resolvingDisputes = new Set();
+
+/**
+ * Route handler: resolve a dispute.  Admin only.  Expects
+ * ``disputeId``, the ``outcome`` and an optional ``note`` for both
+ * parties:
+ *
+ *   reclean    book a free re-clean of the property on ``date`` at
+ *              ``time``, requested from ``cleaner`` if named and
+ *              otherwise open on the job board
+ *   refund     refund ``amount`` of the booking price, or all of it
+ *              when left out (see `refundBooking`)
+ *   dismissed  take no further action
+ *
+ * The client and cleaner are told the outcome.  Returns the dispute.
+ */
+async function handleResolveDispute(req, res, db, user) {
+  if (user.role !== 'admin') {
+    return sendJson(res, 403, { error: 'Admins only' });
+  }
+  const data = await readBody(req, schemas.body.resolveDispute);
+  const dispute = db.disputes.find((d) => d.id === data.disputeId);
+  if (!dispute) {
+    return sendJson(res, 404, { error: 'Dispute not found' });
+  }
+  if (dispute.status === 'resolved' || resolvingDisputes.has(dispute.id)) {
+    return sendJson(res, 409, { error: 'The dispute has already been resolved' });
+  }
+  const booking = db.bookings.find((b) => b.id === dispute.bookingId);
+  let details = {};
+  if (data.outcome === 'reclean') {
+    const fields = {};
+    if (!data.date) {
+      fields.date = 'is required for a re-clean';
+    } else if (data.date < todayDate()) {
+      fields.date = 'must not be in the past';
+    }
+    if (!data.time) {
+      fields.time = 'is required for a re-clean';
+    }
+    if (Object.keys(fields).length > 0) {
+      throw new HttpError(400, 'Invalid request', fields);
+    }
+  }
+  const cleaner = data.outcome === 'reclean' && data.cleaner ? requestedCleaner(db, data.cleaner) : null;
+  resolvingDisputes.add(dispute.id);
+  try {
+    if (data.outcome === 'refund') {
+      const refunded = await refundBooking(db, booking, data.amount, data.note || `Dispute ${dispute.id}`, user);
+      if (refunded.error) {
+        return sendJson(res, refunded.status, { error: refunded.error, entry: refunded.entry });
+      }
+      details = { amount: refunded.entry.amount, ledgerEntryId: refunded.entry.id };
+    } else if (data.outcome === 'reclean') {
+      const client = db.users.find((u) => u.username === booking.client);
+      const { address, propertyAddress, propertyId, propertyType, duration, extras } = booking;
+      const reclean = await placeBooking(
+        db,
+        client,
+        { address, propertyAddress, propertyId, propertyType, duration, extras, date: data.date, time: data.time },
+        { cleaner, recleanOf: booking.id }
+      );
+      if (reclean.error) {
+        return sendJson(res, reclean.status, { error: reclean.error });
+      }
+      details = { recleanBookingId: reclean.booking.id };
+    }
+    const resolved = updateDatabase((fresh) => {
+      const record = fresh.disputes.find((d) => d.id === dispute.id);
+      const now = new Date().toISOString();
+      record.status = 'resolved';
+      record.resolution = { outcome: data.outcome, note: data.note || null, ...details, by: user.username, at: now };
+      record.updatedAt = now;
+      recordAdminAction(fresh, user, 'resolve_dispute', `dispute:${record.id}`, { outcome: data.outcome, ...details });
+      const update = {
+        reclean: `a free re-clean is booked for ${data.date} at ${data.time}`,
+        refund: `${formatMoney(details.amount)} is being refunded`,
+        dismissed: 'it has been closed without further action',
+      }[data.outcome];
+      notifyDispute(fresh, record, [record.client, record.cleaner], user, update, data.note);
+      return record;
+    });
+    return sendJson(res, 200, { dispute: resolved });
+  } finally {
+    resolvingDisputes.delete(dispute.id);
+  }
+}
+
+// Set while queued notifications are being sent, so that only one run
+// sends at a time; `notificationsWaiting` asks that run to look again
+// for notifications queued in the meantime.
+let sendingNotifications = false;
+let notificationsWaiting = false;
+
+/**
+ * Send every queued notification that is due, one at a time, and
+ * record how each attempt went.  Failures are retried later on the
+ * schedule in `config.notifications.retryMinutes`.  Run whenever a
+ * transaction queues notifications and periodically once the server
+ * starts.
+ */
+async function deliverNotifications() {
+  if (sendingNotifications) {
+    notificationsWaiting = true;
+    return;
+  }
+  sendingNotifications = true;
+  try {
+    do {
+      notificationsWaiting = false;
+      const now = new Date().toISOString();
+      const due = loadDatabase().notifications.filter((n) => n.status === 'queued' && n.nextAttemptAt <= now);
+      for (const notification of due) {
+        const { id, channel, event, to, subject, text } = notification;
+        let outcome;
+        try {
+          outcome = await notifiers[channel].send({ id, channel, event, to, subject, text });
+        } catch (err) {
+          console.error(`Could not send ${channel} notification ${id}:`, err.message);
+          outcome = { error: err.message };
+        }
+        updateDatabase((fresh) => {
+          const record = fresh.notifications.find((n) => n.id === id);
+          notifications.recordDelivery(record, outcome, config.notifications.retryMinutes);
+          return {};
+        });
+      }
+    } while (notificationsWaiting);
+  } finally {
+    sendingNotifications = false;
+  }
+}
+
+function deliverNotificationsLater() {
+  deliverNotifications().catch((err) => console.error('Failed to send notifications:', err));
+}
+
+/**
+ * Remind the client and cleaner of each open booking that starts
+ * within `config.notifications.reminderHours`.  A booking records the
+ * slot it was last reminded of in ``reminder``, so each is reminded
+ * once, and again if it is rescheduled.  Run periodically once the
+ * server starts.
+ */
+function sendBookingReminders() {
+  const due = (b) => {
+    const slot = ACTIVE_STATUSES.includes(b.status) && toSlot(b.date, b.time, b.duration);
+    if (!slot || (b.reminder && b.reminder.slot === `${b.date} ${b.time}`)) {
+      return false;
+    }
+    const hours = hoursUntil(slot);
+    return hours > 0 && hours <= config.notifications.reminderHours;
+  };
+  if (!loadDatabase().bookings.some(due)) {
+    return;
+  }
+  updateDatabase((fresh) => {
+    fresh.bookings.filter(due).forEach((booking) => {
+      [booking.client, booking.cleaner]
+        .filter(Boolean)
+        .forEach((username) => queueBookingNotification(fresh, username, 'booking_reminder', booking, null));
+      booking.reminder = { slot: `${booking.date} ${booking.time}`, sentAt: new Date().toISOString() };
+    });
+  });
+}
+
+/**
+ * Route handler: show the caller's notification settings: their
+ * ``email`` address and ``phone`` number and, for each channel, the
+ * events they are notified of.  ``events`` lists every event that can
+ * be chosen.
+ */
+function handleGetNotificationSettings(req, res, db, user) {
+  return sendJson(res, 200, {
+    settings: notifications.notificationSettings(user),
+    events: notifications.EVENTS,
+    channels: notifications.CHANNELS,
+  });
+}
+
+/**
+ * Route handler: change the caller's notification settings.  Accepts
+ * any of ``email``, ``phone`` (null to stop using one) and
+ * ``channels``, mapping ``email`` and ``sms`` to the events wanted on
+ * that channel; channels left out keep their events.  Returns the
+ * settings.
+ */
+async function handleUpdateNotificationSettings(req, res, db, user) {
+  const data = await readBody(req, schemas.body.notificationSettings);
+  const result = updateDatabase((fresh) => {
+    const record = fresh.users.find((u) => u.username === user.username);
+    const current = record.notifications || {};
+    record.notifications = {
+      email: data.email !== undefined ? data.email : current.email || null,
+      phone: data.phone !== undefined ? data.phone : current.phone || null,
+      channels: { ...current.channels, ...data.channels },
+    };
+    return { settings: notifications.notificationSettings(record) };
+  });
+  return sendJson(res, 200, { settings: result.settings });
+}
+
+const NOTIFICATION_ORDERS = {
+  created: () => [],
+};
+
+/**
+ * Route handler: list the notifications sent to the caller, by default
+ * newest first and 50 at a time.  An optional ``status`` query
+ * parameter narrows the list.
+ */
+function handleListNotifications(req, res, db, user) {
+  const query = readQuery(req, schemas.query.listNotifications);
+  const list = db.notifications.filter(
+    (n) => n.username === user.username && (!query.status || n.status === query.status)
+  );
+  const page = pageOf(req, list, NOTIFICATION_ORDERS, query);
+  return sendJson(res, 200, { notifications: page.items, nextCursor: page.nextCursor });
+}
+
+/**
+ * Route handler: the settings the browser client reads when it starts,
+ * ``{ apiUrl }``, where ``apiUrl`` is where to find the API or null
+ * when it is on this server.  Public endpoint.
+ */
+function handleClientConfig(req, res) {
+  return sendJson(res, 200, { apiUrl: config.client.apiUrl });
+}
+
+/**
+ * Route handler: the OpenAPI document describing this API (see
+ * openapi.js).  Public endpoint.
+ */
+function handleGetOpenApi(req, res) {
+  const info = { title: 'Brightidy API', version: '1.0.0' };
+  return sendJson(res, 200, buildOpenApiDocument(router.routes, info));
+}
+
+// Every route of the API.  Handlers are called with the request, the
+// response, the database and the authenticated user (null on public
+// routes); path parameters are in `req.params`.
+const router = createRouter();
+
+/**
+ * A function adding /v1 routes grouped under `tag` in the API document.
+ */
+function v1(tag) {
+  return (method, path, handler, options) => router.add(method, `/v1${path}`, handler, { tag, ...options });
+}
+
+/**
+ * Keep serving the old unversioned `method` `path` as a deprecated
+ * alias of the /v1 route `successor` (``'<method> <pattern>'``).  The
+ * alias takes the same input, with any path parameters of the
+ * successor in the body or query string instead.
+ */
+function alias(method, path, successor) {
+  const target = router.routes.find((route) => `${route.method} ${route.pattern}` === successor);
+  router.add(method, path, target.handler, { ...target, deprecated: successor });
+}
+
+const accountRoutes = v1('Accounts');
+accountRoutes('POST', '/register', handleRegister, {
+  summary: 'Create a client or cleaner account',
+  body: schemas.body.register,
+  status: 201,
+  public: true,
+  budget: 'register',
+});
+accountRoutes('POST', '/login', handleLogin, {
+  summary: 'Log in, receiving an access and a refresh token',
+  body: schemas.body.login,
+  public: true,
+  budget: 'login',
+});
+accountRoutes('POST', '/token/refresh', handleRefreshToken, {
+  summary: 'Exchange a refresh token for new tokens',
+  body: schemas.body.refreshToken,
+  public: true,
+  budget: 'login',
+});
+accountRoutes('POST', '/logout', handleLogout, { summary: 'Log out', body: schemas.body.logout });
+
+const cleanerRoutes = v1('Cleaners');
+cleanerRoutes('GET', '/cleaners', handleListCleaners, {
+  summary: 'Search cleaners',
+  query: schemas.query.listCleaners,
+  public: true,
+});
+cleanerRoutes('GET', '/cleaners/:username', (req, res, db) => handleGetCleaner(req, res, db, req.params.username), {
+  summary: "View a cleaner's profile",
+  public: true,
+});
+cleanerRoutes(
+  'GET',
+  '/cleaners/:username/reviews',
+  (req, res, db) => handleListCleanerReviews(req, res, db, req.params.username),
+  { summary: "List a cleaner's reviews", query: schemas.query.cleanerReviews, public: true }
+);
+cleanerRoutes('PUT', '/cleaners/rate', handleSetHourlyRate, {
+  summary: "Set the caller's hourly rate",
+  body: schemas.body.setHourlyRate,
+});
+cleanerRoutes('PUT', '/cleaners/profile', handleUpdateCleanerProfile, {
+  summary: "Update the caller's cleaner profile",
+  body: schemas.body.cleanerProfile,
+});
+
+const pricingRoutes = v1('Pricing');
+pricingRoutes('GET', '/pricing', handleGetPricing, { summary: 'View rates and extras', public: true });
+pricingRoutes('POST', '/quotes', handleCreateQuote, {
+  summary: 'Price a cleaning',
+  body: schemas.body.createQuote,
+  public: true,
+});
+
+const paymentRoutes = v1('Payments');
+paymentRoutes('GET', '/payments', handleListPayments, {
+  summary: 'List payment ledger entries',
+  query: schemas.query.listPayments,
+});
+paymentRoutes('POST', '/payments/webhook', handlePaymentWebhook, {
+  summary: 'Receive an event from the payment provider',
+  public: true,
+});
+
+const liveRoutes = v1('Live updates');
+liveRoutes('GET', '/events', handleEvents, {
+  summary: 'Stream changes as server-sent events',
+  query: schemas.query.events,
+  produces: 'text/event-stream',
+  public: true,
+});
+
+const favouriteRoutes = v1('Favourites');
+favouriteRoutes('GET', '/favourites', handleListFavourites, {
+  summary: 'List favourite cleaners',
+  query: schemas.query.listFavourites,
+});
+favouriteRoutes('POST', '/favourites', handleAddFavourite, {
+  summary: 'Add a favourite cleaner',
+  body: schemas.body.addFavourite,
+});
+favouriteRoutes('DELETE', '/favourites/:cleaner', handleRemoveFavourite, {
+  summary: 'Remove a favourite cleaner',
+  query: schemas.query.removeFavourite,
+});
+
+const propertyRoutes = v1('Saved properties');
+propertyRoutes('GET', '/properties', handleListProperties, {
+  summary: 'List saved properties',
+  query: schemas.query.listProperties,
+});
+propertyRoutes('POST', '/properties', handleCreateProperty, {
+  summary: 'Save a property',
+  body: schemas.body.createProperty,
+  status: 201,
+});
+propertyRoutes(
+  'GET',
+  '/properties/:propertyId',
+  (req, res, db, user) => handleGetProperty(req, res, db, user, req.params.propertyId),
+  { summary: 'View a saved property' }
+);
+propertyRoutes('PATCH', '/properties/:propertyId', handleUpdateProperty, {
+  summary: 'Change a saved property',
+  body: schemas.body.updateProperty,
+});
+propertyRoutes('DELETE', '/properties/:propertyId', handleRemoveProperty, {
+  summary: 'Remove a saved property',
+  query: schemas.query.removeProperty,
+});
+
+const bookingRoutes = v1('Bookings');
+bookingRoutes('GET', '/bookings', handleListBookings, { summary: 'List bookings', query: schemas.query.listBookings });
+bookingRoutes('POST', '/bookings', handleCreateBooking, {
+  summary: 'Book a cleaning',
+  body: schemas.body.createBooking,
+  status: 201,
+});
+bookingRoutes(
+  'GET',
+  '/bookings/:bookingId',
+  (req, res, db, user) => handleGetBooking(req, res, db, user, req.params.bookingId),
+  { summary: 'View a booking' }
+);
+bookingRoutes('PATCH', '/bookings/:bookingId', handleUpdateBooking, {
+  summary: 'Change the status of a booking',
+  body: schemas.body.updateBooking,
+});
+bookingRoutes(
+  'GET',
+  '/bookings/:bookingId/history',
+  (req, res, db, user) => handleBookingHistory(req, res, db, user, req.params.bookingId),
+  { summary: 'List the status history of a booking' }
+);
+bookingRoutes('GET', '/bookings/:bookingId/payments', handleListPayments, {
+  summary: 'List the payments of a booking',
+  query: schemas.query.listPayments,
+});
+bookingRoutes('POST', '/bookings/:bookingId/cancel', handleCancelBooking, {
+  summary: 'Cancel a booking',
+  body: schemas.body.cancelBooking,
+});
+bookingRoutes('POST', '/bookings/:bookingId/reschedule', handleProposeReschedule, {
+  summary: 'Propose a new date and time',
+  body: schemas.body.proposeReschedule,
+});
+bookingRoutes('POST', '/bookings/:bookingId/reschedule/response', handleRespondReschedule, {
+  summary: 'Accept or reject a proposed new date and time',
+  body: schemas.body.respondReschedule,
+});
+bookingRoutes('PATCH', '/bookings/:bookingId/checklist/:itemId', handleTickChecklistItem, {
+  summary: 'Tick off a checklist item',
+  body: schemas.body.tickChecklistItem,
+});
+bookingRoutes('POST', '/bookings/:bookingId/rating', handleRateBooking, {
+  summary: 'Rate and tip a completed booking',
+  body: schemas.body.rateBooking,
+});
+
+const messageRoutes = v1('Messages');
+messageRoutes('GET', '/bookings/:bookingId/messages', handleListMessages, {
+  summary: 'List the messages about a booking',
+  query: schemas.query.listMessages,
+});
+messageRoutes('POST', '/bookings/:bookingId/messages', handleCreateMessage, {
+  summary: 'Send a message about a booking',
+  body: schemas.body.createMessage,
+  status: 201,
+  budget: 'messages',
+});
+messageRoutes('POST', '/bookings/:bookingId/messages/read', handleMarkMessagesRead, {
+  summary: 'Mark messages as read',
+  body: schemas.body.markMessagesRead,
+});
+messageRoutes('POST', '/bookings/:bookingId/attachments', handleUploadAttachment, {
+  summary: 'Send an image about a booking',
+  query: schemas.query.uploadAttachment,
+  upload: true,
+  status: 201,
+  budget: 'messages',
+});
+messageRoutes(
+  'GET',
+  '/messages/:messageId/attachment',
+  (req, res, db, user) => handleGetAttachment(req, res, db, user, req.params.messageId),
+  { summary: 'Download the image sent with a message', produces: 'image/*' }
+);
+
+const seriesRoutes = v1('Recurring series');
+seriesRoutes('GET', '/series', handleListSeries, { summary: 'List recurring series', query: schemas.query.listSeries });
+seriesRoutes('POST', '/series', handleCreateSeries, {
+  summary: 'Set up a recurring series',
+  body: schemas.body.createSeries,
+  status: 201,
+});
+seriesRoutes(
+  'GET',
+  '/series/:seriesId',
+  (req, res, db, user) => handleGetSeries(req, res, db, user, req.params.seriesId),
+  { summary: 'View a recurring series' }
+);
+seriesRoutes('PATCH', '/series/:seriesId', handleUpdateSeries, {
+  summary: 'Change a recurring series',
+  body: schemas.body.updateSeries,
+});
+seriesRoutes('POST', '/series/:seriesId/skip', handleSkipOccurrence, {
+  summary: 'Skip one occurrence of a series',
+  body: schemas.body.skipOccurrence,
+});
+seriesRoutes('POST', '/series/:seriesId/cancel', handleCancelSeries, {
+  summary: 'Cancel a recurring series',
+  body: schemas.body.cancelSeries,
+});
+
+const disputeRoutes = v1('Disputes');
+disputeRoutes('GET', '/disputes', handleListDisputes, { summary: 'List disputes', query: schemas.query.listDisputes });
+disputeRoutes('POST', '/disputes', handleOpenDispute, {
+  summary: 'Dispute a completed booking',
+  body: schemas.body.openDispute,
+  status: 201,
+});
+disputeRoutes(
+  'GET',
+  '/disputes/:disputeId',
+  (req, res, db, user) => handleGetDispute(req, res, db, user, req.params.disputeId),
+  { summary: 'View a dispute' }
+);
+disputeRoutes('POST', '/disputes/:disputeId/response', handleRespondToDispute, {
+  summary: "Give the cleaner's response to a dispute",
+  body: schemas.body.respondToDispute,
+});
+disputeRoutes('POST', '/disputes/:disputeId/evidence', handleUploadEvidence, {
+  summary: 'Add a photo to a dispute',
+  query: schemas.query.uploadEvidence,
+  upload: true,
+  status: 201,
+});
+disputeRoutes(
+  'GET',
+  '/disputes/:disputeId/evidence/:evidenceId',
+  (req, res, db, user) => handleGetEvidence(req, res, db, user, req.params.disputeId, req.params.evidenceId),
+  { summary: 'Download a photo added to a dispute', produces: 'image/*' }
+);
+
+const earningsRoutes = v1('Earnings');
+earningsRoutes('GET', '/earnings', handleGetEarnings, {
+  summary: "Summarise a cleaner's earnings",
+  query: schemas.query.earnings,
+});
+earningsRoutes('GET', '/earnings/statement.csv', handleEarningsStatement, {
+  summary: "Download a cleaner's earnings statement",
+  query: schemas.query.earnings,
+  produces: 'text/csv',
+});
+earningsRoutes('GET', '/payouts', handleListPayouts, {
+  summary: 'List payout batches',
+  query: schemas.query.listPayouts,
+});
+
+const jobRoutes = v1('Job board');
+jobRoutes('GET', '/jobs', handleListJobs, { summary: 'List open jobs', query: schemas.query.listJobs });
+jobRoutes('POST', '/jobs/:bookingId/claim', handleClaimJob, { summary: 'Claim a job', body: schemas.body.claimJob });
+jobRoutes('POST', '/jobs/:bookingId/decline', handleDeclineJob, {
+  summary: 'Decline a job requested from the caller',
+  body: schemas.body.declineJob,
+});
+
+const availabilityRoutes = v1('Availability');
+availabilityRoutes('GET', '/availability', handleGetAvailability, {
+  summary: "View a cleaner's working hours and blackout dates",
+  query: schemas.query.availability,
+});
+availabilityRoutes('PUT', '/availability/hours', handleSetWorkingHours, {
+  summary: "Set the caller's weekly working hours",
+  body: schemas.body.workingHours,
+});
+availabilityRoutes('POST', '/availability/blackouts', handleAddBlackoutDate, {
+  summary: 'Block out a date',
+  body: schemas.body.blackoutDate,
+});
+availabilityRoutes('DELETE', '/availability/blackouts/:date', handleRemoveBlackoutDate, {
+  summary: 'Remove a blackout date',
+  query: schemas.query.blackoutDate,
+});
+
+const notificationRoutes = v1('Notifications');
+notificationRoutes('GET', '/notifications', handleListNotifications, {
+  summary: 'List notifications sent to the caller',
+  query: schemas.query.listNotifications,
+});
+notificationRoutes('GET', '/notifications/settings', handleGetNotificationSettings, {
+  summary: "View the caller's notification settings",
+});
+notificationRoutes('PUT', '/notifications/settings', handleUpdateNotificationSettings, {
+  summary: "Change the caller's notification settings",
+  body: schemas.body.notificationSettings,
+});
+
+const adminRoutes = v1('Administration');
+adminRoutes('GET', '/admin/users', handleAdminListUsers, {
+  summary: 'List users',
+  query: schemas.query.adminListUsers,
+});
+adminRoutes('POST', '/admin/users', handleAdminCreateUser, {
+  summary: 'Create a user of any role',
+  body: schemas.body.adminCreateUser,
+  status: 201,
+});
+adminRoutes(
+  'POST',
+  '/admin/users/:username/suspend',
+  (req, res, db, user) => handleAdminSetSuspended(req, res, db, user, true),
+  { summary: 'Suspend a user', body: schemas.body.adminSuspend }
+);
+adminRoutes(
+  'POST',
+  '/admin/users/:username/reactivate',
+  (req, res, db, user) => handleAdminSetSuspended(req, res, db, user, false),
+  { summary: 'Reactivate a user', body: schemas.body.adminReactivate }
+);
+adminRoutes('POST', '/admin/bookings/:bookingId/reassign', handleAdminReassignBooking, {
+  summary: 'Give a booking to another cleaner',
+  body: schemas.body.adminReassign,
+});
+adminRoutes('POST', '/admin/bookings/:bookingId/cancel', handleAdminCancelBooking, {
+  summary: 'Cancel a booking on behalf of its parties',
+  body: schemas.body.adminCancel,
+});
+adminRoutes('POST', '/admin/bookings/:bookingId/refund', handleAdminRefundBooking, {
+  summary: 'Refund a booking',
+  body: schemas.body.adminRefund,
+});
+adminRoutes('POST', '/admin/disputes/:disputeId/resolution', handleResolveDispute, {
+  summary: 'Resolve a dispute',
+  body: schemas.body.resolveDispute,
+});
+adminRoutes('POST', '/admin/payouts', handleCreatePayoutBatch, {
+  summary: "Create a week's payout batch",
+  body: schemas.body.createPayoutBatch,
+  status: 201,
+});
+adminRoutes('POST', '/admin/payouts/:payoutId/approve', handleApprovePayout, {
+  summary: 'Approve a payout batch',
+  body: schemas.body.approvePayout,
+});
+adminRoutes('GET', '/admin/audit', handleAdminAuditLog, {
+  summary: 'List the admin audit log',
+  query: schemas.query.adminAuditLog,
+});
+
+v1('Documentation')('GET', '/openapi.json', handleGetOpenApi, { summary: 'This API document', public: true });
+
+// Read by the client's pages rather than being part of the API, so not
+// documented
+router.add('GET', '/config.json', handleClientConfig, { public: true });
+
+// The unversioned routes served before /v1
+alias('POST', '/register', 'POST /v1/register');
+alias('POST', '/login', 'POST /v1/login');
+alias('POST', '/token/refresh', 'POST /v1/token/refresh');
+alias('POST', '/logout', 'POST /v1/logout');
+alias('GET', '/cleaners', 'GET /v1/cleaners');
+alias('GET', '/cleaners/:username', 'GET /v1/cleaners/:username');
+alias('GET', '/cleaners/:username/reviews', 'GET /v1/cleaners/:username/reviews');
+alias('PUT', '/cleaners/rate', 'PUT /v1/cleaners/rate');
+alias('PUT', '/cleaners/profile', 'PUT /v1/cleaners/profile');
+alias('GET', '/pricing', 'GET /v1/pricing');
+alias('POST', '/quotes', 'POST /v1/quotes');
+alias('GET', '/payments', 'GET /v1/payments');
+alias('POST', '/payments/webhook', 'POST /v1/payments/webhook');
+alias('GET', '/events', 'GET /v1/events');
+alias('GET', '/favourites', 'GET /v1/favourites');
+alias('POST', '/favourites', 'POST /v1/favourites');
+alias('DELETE', '/favourites', 'DELETE /v1/favourites/:cleaner');
+alias('GET', '/properties', 'GET /v1/properties');
+alias('POST', '/properties', 'POST /v1/properties');
+alias('GET', '/properties/:propertyId', 'GET /v1/properties/:propertyId');
+alias('PUT', '/properties', 'PATCH /v1/properties/:propertyId');
+alias('DELETE', '/properties', 'DELETE /v1/properties/:propertyId');
+alias('GET', '/bookings', 'GET /v1/bookings');
+alias('POST', '/bookings', 'POST /v1/bookings');
+alias('PUT', '/bookings', 'PATCH /v1/bookings/:bookingId');
+alias('GET', '/bookings/:bookingId/history', 'GET /v1/bookings/:bookingId/history');
+alias('POST', '/bookings/cancel', 'POST /v1/bookings/:bookingId/cancel');
+alias('POST', '/bookings/reschedule', 'POST /v1/bookings/:bookingId/reschedule');
+alias('POST', '/bookings/reschedule/respond', 'POST /v1/bookings/:bookingId/reschedule/response');
+alias('POST', '/bookings/checklist', 'PATCH /v1/bookings/:bookingId/checklist/:itemId');
+alias('POST', '/rate', 'POST /v1/bookings/:bookingId/rating');
+alias('GET', '/messages', 'GET /v1/bookings/:bookingId/messages');
+alias('POST', '/messages', 'POST /v1/bookings/:bookingId/messages');
+alias('POST', '/messages/read', 'POST /v1/bookings/:bookingId/messages/read');
+alias('POST', '/messages/attachments', 'POST /v1/bookings/:bookingId/attachments');
+alias('GET', '/messages/:messageId/attachment', 'GET /v1/messages/:messageId/attachment');
+alias('GET', '/series', 'GET /v1/series');
+alias('POST', '/series', 'POST /v1/series');
+alias('GET', '/series/:seriesId', 'GET /v1/series/:seriesId');
+alias('PUT', '/series', 'PATCH /v1/series/:seriesId');
+alias('POST', '/series/skip', 'POST /v1/series/:seriesId/skip');
+alias('POST', '/series/cancel', 'POST /v1/series/:seriesId/cancel');
+alias('GET', '/disputes', 'GET /v1/disputes');
+alias('POST', '/disputes', 'POST /v1/disputes');
+alias('POST', '/disputes/respond', 'POST /v1/disputes/:disputeId/response');
+alias('POST', '/disputes/evidence', 'POST /v1/disputes/:disputeId/evidence');
+alias('GET', '/disputes/:disputeId/evidence/:evidenceId', 'GET /v1/disputes/:disputeId/evidence/:evidenceId');
+alias('GET', '/earnings', 'GET /v1/earnings');
+alias('GET', '/earnings/statement.csv', 'GET /v1/earnings/statement.csv');
+alias('GET', '/payouts', 'GET /v1/payouts');
+alias('GET', '/jobs', 'GET /v1/jobs');
+alias('POST', '/jobs/claim', 'POST /v1/jobs/:bookingId/claim');
+alias('POST', '/jobs/decline', 'POST /v1/jobs/:bookingId/decline');
+alias('GET', '/availability', 'GET /v1/availability');
+alias('PUT', '/availability/hours', 'PUT /v1/availability/hours');
+alias('POST', '/availability/blackouts', 'POST /v1/availability/blackouts');
+alias('DELETE', '/availability/blackouts', 'DELETE /v1/availability/blackouts/:date');
+alias('GET', '/notifications', 'GET /v1/notifications');
+alias('GET', '/notifications/settings', 'GET /v1/notifications/settings');
+alias('PUT', '/notifications/settings', 'PUT /v1/notifications/settings');
+alias('GET', '/admin/users', 'GET /v1/admin/users');
+alias('POST', '/admin/users', 'POST /v1/admin/users');
+alias('POST', '/admin/users/suspend', 'POST /v1/admin/users/:username/suspend');
+alias('POST', '/admin/users/reactivate', 'POST /v1/admin/users/:username/reactivate');
+alias('POST', '/admin/bookings/reassign', 'POST /v1/admin/bookings/:bookingId/reassign');
+alias('POST', '/admin/bookings/cancel', 'POST /v1/admin/bookings/:bookingId/cancel');
+alias('POST', '/admin/bookings/refund', 'POST /v1/admin/bookings/:bookingId/refund');
+alias('POST', '/admin/disputes/resolve', 'POST /v1/admin/disputes/:disputeId/resolution');
+alias('POST', '/admin/payouts', 'POST /v1/admin/payouts');
+alias('POST', '/admin/payouts/approve', 'POST /v1/admin/payouts/:payoutId/approve');
+alias('GET', '/admin/audit', 'GET /v1/admin/audit');
+
+/**
+ * Primary request handler.  Finds the route for the request's method
+ * and path, checks the caller's request budget and, except on public
+ * routes, that they are logged in, then calls the route's handler.
+ * Other paths are looked for among the client's files (see static.js)
+ * and return 404 if there is none; known paths asked for with another
+ * method return 405.  Responses from the deprecated unversioned routes carry
+ * a ``Deprecation`` header.
+ */
+async function handleRequest(req, res) {
+  // Handle CORS preflight
+  if (handleCors(req, res)) {
+    return;
+  }
+  const parsedUrl = url.parse(req.url, true);
+  const match = router.match(req.method, parsedUrl.pathname);
+  const route = match && match.route;
+  if (overRateLimit(req, res, route, `ip:${clientAddress(req)}`)) {
+    return;
+  }
+  if (!match) {
+    const read = req.method === 'GET' || req.method === 'HEAD';
+    if (read && clientFiles.serve(req, res, parsedUrl.pathname, PAGE_HEADERS)) {
+      return;
+    }
+    return sendJson(res, 404, { error: 'Not found' });
+  }
+  if (!route) {
+    return sendJson(res, 405, { error: 'Method not allowed' }, { Allow: match.allowed.join(', ') });
+  }
+  req.route = route;
+  req.params = match.params;
+  if (route.deprecated) {
+    res.setHeader('Deprecation', 'true');
+    res.setHeader('Link', '</v1/openapi.json>; rel="deprecation"');
+  }
+  const db = loadDatabase();
+  if (route.public) {
+    return route.handler(req, res, db, null);
   }
-  // Protected routes require authentication
+  // Every other route requires authentication
   const user = authenticate(req, db);
   if (!user) {
     return sendJson(res, 401, { error: 'Unauthorised' });
   }
-  // Bookings
-  if (req.method === 'POST' && parsedUrl.pathname === '/bookings') {
-    return handleCreateBooking(req, res, db, user);
-  }
-  if (req.method === 'GET' && parsedUrl.pathname === '/bookings') {
-    return handleListBookings(req, res, db, user);
-  }
-  if (req.method === 'PUT' && parsedUrl.pathname === '/bookings') {
-    return handleUpdateBooking(req, res, db, user);
+  if (overRateLimit(req, res, route, `user:${user.username}`)) {
+    return;
   }
-  // Messages
-  if (req.method === 'POST' && parsedUrl.pathname === '/messages') {
-    return handleCreateMessage(req, res, db, user);
+  return route.handler(req, res, db, user);
+}
+
+/**
+ * Create the bootstrap admin account named by the
+ * ``BRIGHTIDY_ADMIN_USERNAME`` and ``BRIGHTIDY_ADMIN_PASSWORD``
+ * environment variables, if set and no user by that name exists yet.
+ * This is the only way to create the first admin; further admins are
+ * created by existing ones through POST /admin/users.
+ */
+async function seedAdmin() {
+  const username = process.env.BRIGHTIDY_ADMIN_USERNAME;
+  const password = process.env.BRIGHTIDY_ADMIN_PASSWORD;
+  if (!username || !password) {
+    return;
   }
-  if (req.method === 'GET' && parsedUrl.pathname === '/messages') {
-    return handleListMessages(req, res, db, user);
+  if (loadDatabase().users.some((u) => u.username === username)) {
+    return;
   }
-  // Rating
-  if (req.method === 'POST' && parsedUrl.pathname === '/rate') {
-    return handleRateBooking(req, res, db, user);
+  const result = await createUser({ username, password, role: 'admin' });
+  if (result.error) {
+    console.error('Could not create bootstrap admin:', result.error, result.fields);
+  } else {
+    console.log(`Created bootstrap admin ${username}`);
   }
-  // Default: not found
-  return sendJson(res, 404, { error: 'Not found' });
 }
 
 // Create and start the server
 const PORT = process.env.PORT || 3000;
 const server = http.createServer((req, res) => {
   handleRequest(req, res).catch((err) => {
+    if (err instanceof HttpError) {
+      return sendJson(res, err.status, err.toJSON());
+    }
     console.error('Unexpected error:', err);
     sendJson(res, 500, { error: 'Internal server error' });
   });
 });
-server.listen(PORT, () => {
-  console.log(`Brightidy server listening on port ${PORT}`);
+seedAdmin().then(() => {
+  server.listen(PORT, () => {
+    console.log(`Brightidy server listening on port ${PORT}`);
+    if (!config.payments.webhookSecret) {
+      console.warn('BRIGHTIDY_PAYMENT_WEBHOOK_SECRET is not set; payment webhooks will be refused');
+    }
+  });
+  setInterval(() => {
+    try {
+      expireCleanerRequests();
+    } catch (err) {
+      console.error('Failed to expire cleaner requests:', err);
+    }
+    try {
+      sendBookingReminders();
+    } catch (err) {
+      console.error('Failed to queue booking reminders:', err);
+    }
+    deliverNotificationsLater();
+    rateLimiter.sweep();
+  }, 60 * 1000).unref();
+  const extendSeriesLater = () =>
+    extendAllSeries().catch((err) => console.error('Failed to book upcoming series occurrences:', err));
+  extendSeriesLater();
+  setInterval(extendSeriesLater, 60 * 60 * 1000).unref();
 });
@@ -0,0 +1,133 @@
+/*
+ * Static files
+ *
+ * Serves the browser client in client/ from the API server, so a single
+ * deployment runs both and local development needs nothing else.  Files
+ * are read when first asked for and kept in memory with their ETag and,
+ * for text, a gzipped copy; a file that changes on disk is read again.
+ * The file names carry no version, so browsers are told to check back
+ * every time, which the ETag makes cheap: an unchanged file is answered
+ * with 304 and no body.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon',
+};
+
+// Smaller files gain too little from compression to be worth it
+const MIN_GZIP_BYTES = 1024;
+
+/**
+ * Return true if the request's Accept‑Encoding allows gzip.
+ */
+function acceptsGzip(req) {
+  return /\bgzip\b(?!\s*;\s*q=0(\.0*)?\b)/.test(req.headers['accept-encoding'] || '');
+}
+
+/**
+ * Create a server of the files in `dir`.
+ */
+function createStaticFiles(dir) {
+  const root = path.resolve(dir);
+  const cache = new Map();
+
+  // The cached copy of `file`, reading it afresh if it is new or has
+  // changed, or null if there is no such file
+  function load(file) {
+    let stat = null;
+    try {
+      stat = fs.statSync(file);
+    } catch (err) {
+      return null;
+    }
+    if (!stat.isFile()) {
+      return null;
+    }
+    const cached = cache.get(file);
+    if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) {
+      return cached;
+    }
+    const body = fs.readFileSync(file);
+    const type = CONTENT_TYPES[path.extname(file)];
+    const compressible = /^text\/|json|svg/.test(type) && body.length >= MIN_GZIP_BYTES;
+    const hash = crypto.createHash('sha1').update(body).digest('base64url');
+    const entry = {
+      mtimeMs: stat.mtimeMs,
+      size: stat.size,
+      type,
+      body,
+      etag: `"${hash}"`,
+      gzipped: compressible ? zlib.gzipSync(body) : null,
+      // The gzipped bytes differ, so they need a tag of their own
+      gzipEtag: compressible ? `"${hash}-gz"` : null,
+    };
+    cache.set(file, entry);
+    return entry;
+  }
+
+  // The path on disk for the URL path `pathname`, or null if it names
+  // nothing that may be served
+  function resolve(pathname) {
+    let name = null;
+    try {
+      name = decodeURIComponent(pathname === '/' ? '/index.html' : pathname);
+    } catch (err) {
+      return null;
+    }
+    const file = path.join(root, name);
+    if (!file.startsWith(root + path.sep) || path.basename(file).startsWith('.')) {
+      return null;
+    }
+    return CONTENT_TYPES[path.extname(file)] ? file : null;
+  }
+
+  return {
+    /**
+     * Answer a GET or HEAD request for `pathname` with the file it
+     * names, ``/`` being index.html, adding `headers` to the response.
+     * Returns false, sending nothing, when there is no such file.
+     */
+    serve(req, res, pathname, headers) {
+      const file = resolve(pathname);
+      const entry = file && load(file);
+      if (!entry) {
+        return false;
+      }
+      const gzip = entry.gzipped && acceptsGzip(req);
+      const etag = gzip ? entry.gzipEtag : entry.etag;
+      const vary = [res.getHeader('Vary'), 'Accept-Encoding'].filter(Boolean).join(', ');
+      const common = { ...headers, ETag: etag, 'Cache-Control': 'no-cache', Vary: vary };
+      // Either tag will do: a cache may hold the copy in the other
+      // encoding, and both are the same file
+      const tags = (req.headers['if-none-match'] || '').split(',').map((tag) => tag.trim());
+      if ([entry.etag, entry.gzipEtag, '*'].some((tag) => tag && tags.includes(tag))) {
+        res.writeHead(304, common);
+        res.end();
+        return true;
+      }
+      const body = gzip ? entry.gzipped : entry.body;
+      res.writeHead(200, {
+        ...common,
+        'Content-Type': entry.type,
+        'Content-Length': body.length,
+        ...(gzip && { 'Content-Encoding': 'gzip' }),
+      });
+      res.end(req.method === 'HEAD' ? undefined : body);
+      return true;
+    },
+  };
+}
+
+module.exports = { createStaticFiles };
@@ -0,0 +1,71 @@
+/*
+ * Shared helpers for storage adapters
+ *
+ * Every adapter hands route handlers the same shape of data: a plain
+ * object with one array per collection plus a ``sequences`` object that
+ * remembers the last id issued for each collection.  Handlers read from
+ * a snapshot and make changes inside `transaction`, so the adapters only
+ * differ in how that object is persisted.
+ */
+
+// Collections stored in the database.  Collections added after a
+// database was first written are created empty when it is loaded.
+const COLLECTIONS = [
+  'users',
+  'bookings',
+  'messages',
+  'availability',
+  'history',
+  'sessions',
+  'adminAudit',
+  'ledger',
+  'payouts',
+  'series',
+  'notifications',
+  'properties',
+  'disputes',
+];
+
+/**
+ * Fill in any collections (and the sequence table) missing from `db`.
+ * Returns the same object for convenience.
+ */
+function normaliseDatabase(db) {
+  COLLECTIONS.forEach((name) => {
+    if (!Array.isArray(db[name])) {
+      db[name] = [];
+    }
+  });
+  if (!db.sequences || typeof db.sequences !== 'object') {
+    db.sequences = {};
+  }
+  return db;
+}
+
+/**
+ * Deep copy a database object.  Transactions work on a copy so that a
+ * failed or rejected change leaves the current snapshot untouched.
+ */
+function cloneDatabase(db) {
+  return JSON.parse(JSON.stringify(db));
+}
+
+/**
+ * Issue the next numeric id for a collection.  Ids come from a
+ * persisted per‑collection counter rather than the collection length,
+ * so they are never reused after records are deleted.  The counter is
+ * seeded from the highest existing id the first time it is used.  Must
+ * be called on the working copy inside a transaction.
+ */
+function nextId(db, name) {
+  const highest = db[name].reduce((max, record) => Math.max(max, Number(record.id) || 0), 0);
+  db.sequences[name] = Math.max(db.sequences[name] || 0, highest) + 1;
+  return db.sequences[name];
+}
+
+module.exports = {
+  COLLECTIONS,
+  normaliseDatabase,
+  cloneDatabase,
+  nextId,
+};
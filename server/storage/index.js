@@ -0,0 +1,38 @@
+/*
+ * Storage layer
+ *
+ * Route handlers never touch the filesystem directly.  They read from
+ * `storage.snapshot()` and make changes through `storage.transaction()`,
+ * and the adapter chosen here decides where the data lives:
+ *
+ *   - ``json``   (default) a single JSON file, see json.js
+ *   - ``sqlite`` an embedded SQLite database, see sqlite.js
+ *
+ * Both adapters expose the same three methods: `snapshot`,
+ * `transaction` and `close`.
+ */
+
+const { createJsonStorage } = require('./json');
+const { createSqliteStorage } = require('./sqlite');
+const { COLLECTIONS, nextId } = require('./collections');
+
+/**
+ * Create the storage adapter described by `options`: ``driver`` picks
+ * the adapter, ``jsonPath`` and ``sqlitePath`` locate the files.  The
+ * SQLite adapter imports the JSON file when it creates a new database.
+ */
+function createStorage(options) {
+  if (options.driver === 'sqlite') {
+    return createSqliteStorage({ path: options.sqlitePath, importFrom: options.jsonPath });
+  }
+  if (options.driver && options.driver !== 'json') {
+    throw new Error(`Unknown storage driver "${options.driver}"`);
+  }
+  return createJsonStorage({ path: options.jsonPath });
+}
+
+module.exports = {
+  createStorage,
+  COLLECTIONS,
+  nextId,
+};
@@ -0,0 +1,91 @@
+/*
+ * JSON file storage adapter
+ *
+ * Keeps the whole database in a single JSON file, as Brightidy always
+ * has.  The parsed file is cached in memory and only read again when
+ * its modification time changes, so requests no longer pay for parsing
+ * the file each time.  Writes go to a temporary file that is then
+ * renamed into place, which keeps the file intact if the process exits
+ * mid‑write.
+ */
+
+const fs = require('fs');
+const { normaliseDatabase, cloneDatabase } = require('./collections');
+
+/**
+ * Create a storage adapter backed by the JSON file at `options.path`.
+ * The file is created on the first write if it does not exist.
+ */
+function createJsonStorage(options) {
+  const dbPath = options.path;
+  let cache = null;
+  let cachedMtime = null;
+
+  function modifiedTime() {
+    try {
+      return fs.statSync(dbPath).mtimeMs;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  function read() {
+    const mtime = modifiedTime();
+    if (cache && mtime === cachedMtime) {
+      return cache;
+    }
+    let db = {};
+    if (mtime !== null) {
+      try {
+        db = JSON.parse(fs.readFileSync(dbPath, 'utf8'));
+      } catch (err) {
+        console.error('Failed to read database:', err);
+        db = {};
+      }
+    }
+    cache = normaliseDatabase(db);
+    cachedMtime = mtime;
+    return cache;
+  }
+
+  function write(db) {
+    const tmpPath = dbPath + '.tmp';
+    fs.writeFileSync(tmpPath, JSON.stringify(db, null, 2));
+    fs.renameSync(tmpPath, dbPath);
+    cache = db;
+    cachedMtime = modifiedTime();
+  }
+
+  return {
+    driver: 'json',
+
+    /**
+     * Return the current database.  The object is shared between
+     * requests and must be treated as read‑only; use `transaction` to
+     * change anything.
+     */
+    snapshot() {
+      return read();
+    },
+
+    /**
+     * Run `mutate` against a private copy of the latest data and save
+     * the copy if the callback's result has no ``error`` property.
+     * The callback must be synchronous so that no other request can
+     * interleave between the read and the write.  Returns whatever
+     * `mutate` returned.
+     */
+    transaction(mutate) {
+      const working = cloneDatabase(read());
+      const result = mutate(working);
+      if (!result || !result.error) {
+        write(working);
+      }
+      return result;
+    },
+
+    close() {},
+  };
+}
+
+module.exports = { createJsonStorage };
@@ -0,0 +1,197 @@
+/*
+ * SQLite schema migrations
+ *
+ * Each migration has a version number, a short name and the SQL that
+ * moves the schema forward.  Applied versions are recorded in the
+ * ``schema_migrations`` table and every pending migration runs in its
+ * own transaction, in version order, when the SQLite adapter opens a
+ * database.  Never edit a migration that has shipped; add a new one.
+ *
+ * Each collection gets a table keyed by its natural identifier with a
+ * ``data`` column holding the full JSON record.  Fields the application
+ * looks records up by are copied into their own indexed columns.
+ */
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'create_core_tables',
+    sql: `
+      CREATE TABLE users (
+        id INTEGER PRIMARY KEY,
+        username TEXT NOT NULL UNIQUE,
+        role TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE TABLE bookings (
+        id INTEGER PRIMARY KEY,
+        client TEXT NOT NULL,
+        cleaner TEXT,
+        status TEXT NOT NULL,
+        date TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX bookings_client ON bookings (client);
+      CREATE INDEX bookings_cleaner ON bookings (cleaner);
+      CREATE INDEX bookings_status_date ON bookings (status, date);
+      CREATE TABLE messages (
+        id INTEGER PRIMARY KEY,
+        booking_id INTEGER NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX messages_booking_id ON messages (booking_id);
+      CREATE TABLE availability (
+        cleaner TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+      );
+      CREATE TABLE booking_history (
+        id INTEGER PRIMARY KEY,
+        booking_id INTEGER NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX booking_history_booking_id ON booking_history (booking_id);
+      CREATE TABLE sessions (
+        id TEXT PRIMARY KEY,
+        username TEXT NOT NULL,
+        refresh_token_hash TEXT NOT NULL UNIQUE,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX sessions_username ON sessions (username);
+      CREATE TABLE admin_audit (
+        id INTEGER PRIMARY KEY,
+        admin TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE TABLE sequences (
+        name TEXT PRIMARY KEY,
+        value INTEGER NOT NULL
+      );
+    `,
+  },
+  {
+    version: 2,
+    name: 'create_payment_ledger',
+    // The ledger is append-only, which the triggers enforce
+    sql: `
+      CREATE TABLE payment_ledger (
+        id INTEGER PRIMARY KEY,
+        booking_id INTEGER,
+        provider_ref TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX payment_ledger_booking_id ON payment_ledger (booking_id);
+      CREATE INDEX payment_ledger_provider_ref ON payment_ledger (provider_ref);
+      CREATE TRIGGER payment_ledger_no_update BEFORE UPDATE ON payment_ledger
+      BEGIN
+        SELECT RAISE(ABORT, 'payment_ledger is append-only');
+      END;
+      CREATE TRIGGER payment_ledger_no_delete BEFORE DELETE ON payment_ledger
+      BEGIN
+        SELECT RAISE(ABORT, 'payment_ledger is append-only');
+      END;
+    `,
+  },
+  {
+    version: 3,
+    name: 'create_payout_batches',
+    sql: `
+      CREATE TABLE payout_batches (
+        id INTEGER PRIMARY KEY,
+        week_start TEXT NOT NULL,
+        status TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX payout_batches_week_start ON payout_batches (week_start);
+    `,
+  },
+  {
+    version: 4,
+    name: 'create_booking_series',
+    sql: `
+      CREATE TABLE booking_series (
+        id INTEGER PRIMARY KEY,
+        client TEXT NOT NULL,
+        status TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX booking_series_client ON booking_series (client);
+    `,
+  },
+  {
+    version: 5,
+    name: 'create_notifications',
+    sql: `
+      CREATE TABLE notifications (
+        id INTEGER PRIMARY KEY,
+        username TEXT NOT NULL,
+        status TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX notifications_username ON notifications (username);
+      CREATE INDEX notifications_status ON notifications (status);
+    `,
+  },
+  {
+    version: 6,
+    name: 'create_properties',
+    sql: `
+      CREATE TABLE properties (
+        id INTEGER PRIMARY KEY,
+        client TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX properties_client ON properties (client);
+    `,
+  },
+  {
+    version: 7,
+    name: 'create_disputes',
+    sql: `
+      CREATE TABLE disputes (
+        id INTEGER PRIMARY KEY,
+        booking_id INTEGER NOT NULL,
+        status TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX disputes_booking ON disputes (booking_id);
+      CREATE INDEX disputes_status ON disputes (status);
+    `,
+  },
+];
+
+/**
+ * Apply every migration newer than the database's current version.
+ * Returns the list of versions applied; an empty list means the schema
+ * was already up to date, and a list starting at version 1 means the
+ * database was created from scratch.
+ */
+function runMigrations(conn) {
+  conn.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    );
+  `);
+  const row = conn.prepare('SELECT MAX(version) AS version FROM schema_migrations').get();
+  const current = row.version || 0;
+  const record = conn.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)');
+  const applied = [];
+  MIGRATIONS.filter((m) => m.version > current)
+    .sort((a, b) => a.version - b.version)
+    .forEach((migration) => {
+      conn.exec('BEGIN');
+      try {
+        conn.exec(migration.sql);
+        record.run(migration.version, migration.name, new Date().toISOString());
+        conn.exec('COMMIT');
+      } catch (err) {
+        conn.exec('ROLLBACK');
+        throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${err.message}`);
+      }
+      applied.push(migration.version);
+    });
+  return applied;
+}
+
+module.exports = { MIGRATIONS, runMigrations };
@@ -0,0 +1,237 @@
+/*
+ * SQLite storage adapter
+ *
+ * Stores each collection in its own table of an embedded SQLite
+ * database using the ``node:sqlite`` module that ships with Node 22.5
+ * and later, so no extra packages are needed.  The schema is managed by
+ * the versioned migrations in migrations.js.  When a database is created
+ * from scratch the existing JSON database, if any, is imported into it.
+ *
+ * Like the JSON adapter, the current data is cached in memory for
+ * reads.  A transaction holds SQLite's write lock from the moment it
+ * reads the latest data until its changes are committed, and only the
+ * records that actually changed are written.  ``PRAGMA data_version``
+ * tells the adapter when another process has committed, at which point
+ * the cache is reloaded.
+ */
+
+const fs = require('fs');
+const { COLLECTIONS, normaliseDatabase, cloneDatabase } = require('./collections');
+const { runMigrations } = require('./migrations');
+
+// How each collection maps onto its table: the table name, the field
+// used as primary key and the fields copied into indexed columns.
+const TABLES = {
+  users: { table: 'users', key: 'id', columns: { username: 'username', role: 'role' } },
+  bookings: {
+    table: 'bookings',
+    key: 'id',
+    columns: { client: 'client', cleaner: 'cleaner', status: 'status', date: 'date' },
+  },
+  messages: { table: 'messages', key: 'id', columns: { booking_id: 'bookingId' } },
+  availability: { table: 'availability', key: 'cleaner', columns: {} },
+  history: { table: 'booking_history', key: 'id', columns: { booking_id: 'bookingId' } },
+  sessions: {
+    table: 'sessions',
+    key: 'id',
+    columns: { username: 'username', refresh_token_hash: 'refreshTokenHash' },
+  },
+  adminAudit: { table: 'admin_audit', key: 'id', columns: { admin: 'admin' } },
+  ledger: {
+    table: 'payment_ledger',
+    key: 'id',
+    columns: { booking_id: 'bookingId', provider_ref: 'providerRef' },
+  },
+  payouts: { table: 'payout_batches', key: 'id', columns: { week_start: 'weekStart', status: 'status' } },
+  series: { table: 'booking_series', key: 'id', columns: { client: 'client', status: 'status' } },
+  notifications: { table: 'notifications', key: 'id', columns: { username: 'username', status: 'status' } },
+  properties: { table: 'properties', key: 'id', columns: { client: 'client' } },
+  disputes: { table: 'disputes', key: 'id', columns: { booking_id: 'bookingId', status: 'status' } },
+};
+
+/**
+ * Load ``node:sqlite``, explaining which Node version is needed when it
+ * is not available.
+ */
+function loadSqlite() {
+  try {
+    return require('node:sqlite');
+  } catch (err) {
+    throw new Error(`The SQLite storage driver needs Node 22.5 or later (running ${process.version})`);
+  }
+}
+
+/**
+ * Prepare the statements used to write and delete records of one
+ * collection.
+ */
+function prepareStatements(conn, spec) {
+  const keyColumn = spec.key;
+  const columns = [keyColumn, ...Object.keys(spec.columns), 'data'];
+  const updates = columns.filter((c) => c !== keyColumn).map((c) => `${c} = excluded.${c}`);
+  return {
+    upsert: conn.prepare(
+      `INSERT INTO ${spec.table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')}) ` +
+        `ON CONFLICT (${keyColumn}) DO UPDATE SET ${updates.join(', ')}`
+    ),
+    remove: conn.prepare(`DELETE FROM ${spec.table} WHERE ${keyColumn} = ?`),
+    selectAll: conn.prepare(`SELECT data FROM ${spec.table} ORDER BY rowid`),
+  };
+}
+
+/**
+ * Build the positional values for an upsert of `record`.
+ */
+function rowValues(spec, record, json) {
+  const fieldValue = (value) => (value === undefined ? null : value);
+  return [fieldValue(record[spec.key]), ...Object.values(spec.columns).map((f) => fieldValue(record[f])), json];
+}
+
+/**
+ * Create a storage adapter backed by the SQLite database at
+ * `options.path`.  If the database is new and `options.importFrom`
+ * names an existing JSON database file, its contents are imported.
+ */
+function createSqliteStorage(options) {
+  const { DatabaseSync } = loadSqlite();
+  const conn = new DatabaseSync(options.path);
+  conn.exec('PRAGMA journal_mode = WAL; PRAGMA busy_timeout = 5000;');
+
+  const applied = runMigrations(conn);
+  const statements = {};
+  COLLECTIONS.forEach((name) => {
+    if (!TABLES[name]) {
+      throw new Error(`No SQLite table is defined for the ${name} collection`);
+    }
+    statements[name] = prepareStatements(conn, TABLES[name]);
+  });
+  const upsertSequence = conn.prepare(
+    'INSERT INTO sequences (name, value) VALUES (?, ?) ON CONFLICT (name) DO UPDATE SET value = excluded.value'
+  );
+  const selectSequences = conn.prepare('SELECT name, value FROM sequences');
+  const dataVersion = conn.prepare('PRAGMA data_version');
+
+  let cache = null;
+  let cachedVersion = null;
+
+  function read() {
+    const version = dataVersion.get().data_version;
+    if (cache && version === cachedVersion) {
+      return cache;
+    }
+    const db = {};
+    COLLECTIONS.forEach((name) => {
+      db[name] = statements[name].selectAll.all().map((row) => JSON.parse(row.data));
+    });
+    db.sequences = {};
+    selectSequences.all().forEach((row) => {
+      db.sequences[row.name] = row.value;
+    });
+    cache = normaliseDatabase(db);
+    cachedVersion = version;
+    return cache;
+  }
+
+  // Write the differences between `before` and `after` to the database.
+  function persist(before, after) {
+    COLLECTIONS.forEach((name) => {
+      const spec = TABLES[name];
+      const previous = new Map(before[name].map((r) => [r[spec.key], JSON.stringify(r)]));
+      const seen = new Set();
+      after[name].forEach((record) => {
+        const key = record[spec.key];
+        const json = JSON.stringify(record);
+        seen.add(key);
+        if (previous.get(key) !== json) {
+          statements[name].upsert.run(...rowValues(spec, record, json));
+        }
+      });
+      previous.forEach((json, key) => {
+        if (!seen.has(key)) {
+          statements[name].remove.run(key);
+        }
+      });
+    });
+    Object.keys(after.sequences).forEach((name) => {
+      if (before.sequences[name] !== after.sequences[name]) {
+        upsertSequence.run(name, after.sequences[name]);
+      }
+    });
+  }
+
+  function rollback() {
+    try {
+      conn.exec('ROLLBACK');
+    } catch (err) {
+      // The transaction was already closed by the failed statement
+    }
+  }
+
+  const storage = {
+    driver: 'sqlite',
+
+    /**
+     * Return the current database.  The object is shared between
+     * requests and must be treated as read‑only; use `transaction` to
+     * change anything.
+     */
+    snapshot() {
+      return read();
+    },
+
+    /**
+     * Run `mutate` against a private copy of the latest data inside a
+     * write transaction and commit the changed records if the
+     * callback's result has no ``error`` property.  The callback must
+     * be synchronous.  Returns whatever `mutate` returned.
+     */
+    transaction(mutate) {
+      conn.exec('BEGIN IMMEDIATE');
+      try {
+        const current = read();
+        const working = cloneDatabase(current);
+        const result = mutate(working);
+        if (result && result.error) {
+          conn.exec('ROLLBACK');
+          return result;
+        }
+        persist(current, working);
+        conn.exec('COMMIT');
+        cache = working;
+        return result;
+      } catch (err) {
+        rollback();
+        throw err;
+      }
+    },
+
+    close() {
+      conn.close();
+    },
+  };
+
+  if (applied[0] === 1 && options.importFrom && fs.existsSync(options.importFrom)) {
+    const imported = normaliseDatabase(JSON.parse(fs.readFileSync(options.importFrom, 'utf8')));
+    storage.transaction((db) => {
+      COLLECTIONS.forEach((name) => {
+        const keys = new Set();
+        db[name] = imported[name].filter((record) => {
+          const key = record[TABLES[name].key];
+          if (keys.has(key)) {
+            console.error(`Skipping ${name} record with duplicate key ${key} during import`);
+            return false;
+          }
+          keys.add(key);
+          return true;
+        });
+      });
+      db.sequences = imported.sequences;
+      return {};
+    });
+    console.log(`Imported ${options.importFrom} into ${options.path}`);
+  }
+
+  return storage;
+}
+
+module.exports = { createSqliteStorage, TABLES };
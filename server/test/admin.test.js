@@ -0,0 +1,53 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+let server;
+let client;
+let first;
+let second;
+
+before(async () => {
+  server = await startServer();
+  client = await server.register('claire', 'client');
+  first = await server.register('cole', 'cleaner', { email: 'cole@example.com' });
+  second = await server.register('cora', 'cleaner');
+});
+
+after(() => server.stop());
+
+function reassign(booking, cleaner) {
+  return server.request('POST', `/v1/admin/bookings/${booking.id}/reassign`, { cleaner }, server.admin);
+}
+
+test('reassigning a booking tells the cleaner who lost it and drops their pending move', async () => {
+  const booking = await server.bookClean(client);
+  assert.equal((await server.request('POST', `/v1/jobs/${booking.id}/claim`, {}, first)).status, 200);
+  const move = { date: booking.date, time: '15:00' };
+  assert.equal((await server.request('POST', `/v1/bookings/${booking.id}/reschedule`, move, client)).status, 200);
+
+  const res = await reassign(booking, 'cora');
+  assert.equal(res.status, 200);
+  assert.equal(res.body.booking.cleaner, 'cora');
+  assert.equal(res.body.booking.rescheduleRequest, null);
+
+  const { body } = await server.request('GET', '/v1/notifications', undefined, first);
+  const told = body.notifications.filter((n) => n.event === 'booking_reassigned' && n.bookingId === booking.id);
+  assert.equal(told.length, 1);
+  const response = { accept: true };
+  const late = await server.request('POST', `/v1/bookings/${booking.id}/reschedule/response`, response, second);
+  assert.equal(late.status, 409);
+});
+
+test('a pending booking given to a cleaner becomes accepted', async () => {
+  const booking = await server.bookClean(client, undefined, '18:00');
+  const res = await reassign(booking, 'cole');
+  assert.equal(res.status, 200);
+  assert.equal(res.body.booking.status, 'accepted');
+  const history = await server.request('GET', `/v1/bookings/${booking.id}/history`, undefined, client);
+  assert.deepEqual(history.body.history.map((h) => [h.from, h.to, h.note]).pop(), [
+    'pending',
+    'accepted',
+    'Reassigned from nobody to cole',
+  ]);
+});
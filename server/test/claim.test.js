@@ -0,0 +1,60 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+let server;
+let client;
+let cleaners;
+
+before(async () => {
+  server = await startServer();
+  client = await server.register('claire', 'client');
+  cleaners = [];
+  for (const name of ['cole', 'cora', 'cyril', 'cass', 'cato']) {
+    cleaners.push({ name, token: await server.register(name, 'cleaner') });
+  }
+});
+
+after(() => server.stop());
+
+test('only one of several cleaners claiming a job at once gets it', async () => {
+  const booking = await server.bookClean(client);
+  const claims = await Promise.all(
+    cleaners.map((c) => server.request('POST', `/v1/jobs/${booking.id}/claim`, {}, c.token))
+  );
+  const won = claims.filter((r) => r.status === 200);
+  assert.equal(won.length, 1);
+  claims
+    .filter((r) => r.status !== 200)
+    .forEach((r) => {
+      assert.equal(r.status, 409);
+      assert.equal(r.body.error, 'Booking has already been claimed');
+    });
+
+  const winner = won[0].body.booking.cleaner;
+  const { body } = await server.request('GET', `/v1/bookings/${booking.id}`, undefined, client);
+  assert.equal(body.booking.status, 'accepted');
+  assert.equal(body.booking.cleaner, winner);
+  const history = await server.request('GET', `/v1/bookings/${booking.id}/history`, undefined, client);
+  assert.deepEqual(
+    history.body.history.map((h) => [h.from, h.to, h.by]),
+    [
+      [null, 'pending', 'claire'],
+      ['pending', 'accepted', winner],
+    ]
+  );
+});
+
+test('a claimed job leaves the job board of every other cleaner', async () => {
+  const booking = await server.bookClean(client, undefined, '15:00');
+  const [first, second] = cleaners;
+  const onBoard = async () => {
+    const board = await server.request('GET', '/v1/jobs', undefined, second.token);
+    return board.body.jobs.some((j) => j.id === booking.id);
+  };
+  assert.equal(await onBoard(), true);
+  assert.equal((await server.request('POST', `/v1/jobs/${booking.id}/claim`, {}, first.token)).status, 200);
+  assert.equal(await onBoard(), false);
+  const late = await server.request('POST', `/v1/jobs/${booking.id}/claim`, {}, second.token);
+  assert.equal(late.status, 409);
+});
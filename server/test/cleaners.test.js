@@ -0,0 +1,66 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+const CLEANERS = ['cara', 'cole', 'cora', 'cyan', 'cyd'];
+
+let server;
+
+before(async () => {
+  server = await startServer();
+  for (const name of CLEANERS) {
+    await server.register(name, 'cleaner');
+  }
+});
+
+after(() => server.stop());
+
+// Follow the cursors of the list at `path` from the start, two items at
+// a time, and return every page
+async function pages(path, key) {
+  const found = [];
+  let cursor = null;
+  do {
+    const params = new URLSearchParams({ limit: 2 });
+    if (cursor) {
+      params.set('cursor', cursor);
+    }
+    const res = await server.request('GET', `${path}${path.includes('?') ? '&' : '?'}${params}`);
+    assert.equal(res.status, 200);
+    found.push(res.body[key]);
+    cursor = res.body.nextCursor;
+  } while (cursor);
+  return found;
+}
+
+test('the cleaner directory is paged with cursors', async () => {
+  const byName = await pages('/v1/cleaners', 'cleaners');
+  assert.deepEqual(byName.map((page) => page.map((c) => c.username)), [['cara', 'cole'], ['cora', 'cyan'], ['cyd']]);
+  const byPrice = (await pages('/v1/cleaners?sort=price_high', 'cleaners')).flat();
+  assert.deepEqual(byPrice.map((c) => c.username).sort(), CLEANERS.slice().sort());
+
+  const first = await server.request('GET', '/v1/cleaners?limit=2');
+  const mixed = await server.request('GET', `/v1/cleaners?sort=rating&cursor=${first.body.nextCursor}`);
+  assert.equal(mixed.status, 400);
+  assert.deepEqual(mixed.body.fields, { cursor: 'is not a cursor for this list and sort' });
+});
+
+test("a cleaner's reviews are paged newest first", async () => {
+  const client = await server.register('claire', 'client');
+  const cleaner = await server.login('cole');
+  const rated = [];
+  for (const time of ['08:00', '10:30', '13:00']) {
+    const booking = await server.bookClean(client, undefined, time);
+    for (const status of ['accepted', 'in_progress', 'completed']) {
+      assert.equal((await server.request('PATCH', `/v1/bookings/${booking.id}`, { status }, cleaner)).status, 200);
+    }
+    const rating = { rating: 4, comment: `Clean at ${time}` };
+    assert.equal((await server.request('POST', `/v1/bookings/${booking.id}/rating`, rating, client)).status, 200);
+    rated.push(booking.id);
+  }
+
+  const reviews = await pages('/v1/cleaners/cole/reviews', 'reviews');
+  assert.deepEqual(reviews.map((page) => page.map((r) => r.bookingId)), [rated.slice(1).reverse(), rated.slice(0, 1)]);
+  const { body } = await server.request('GET', '/v1/cleaners/cole/reviews');
+  assert.deepEqual(body.rating, { average: 4, count: 3 });
+});
@@ -0,0 +1,113 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, daysFromNow } = require('./helpers');
+
+let server;
+let client;
+let cleaner;
+let stranger;
+
+before(async () => {
+  server = await startServer();
+  client = await server.register('claire', 'client', { email: 'claire@example.com' });
+  cleaner = await server.register('cole', 'cleaner', { email: 'cole@example.com' });
+  stranger = await server.register('carl', 'client');
+});
+
+after(() => server.stop());
+
+// Book a clean on `date` and have the cleaner work it
+async function completedJob(date) {
+  const booking = await server.bookClean(client, date);
+  for (const status of ['accepted', 'in_progress', 'completed']) {
+    const res = await server.request('PATCH', `/v1/bookings/${booking.id}`, { status }, cleaner);
+    assert.equal(res.status, 200, `${booking.id} -> ${status}`);
+  }
+  return booking;
+}
+
+function openDispute(booking) {
+  const body = { bookingId: booking.id, reason: 'missed_tasks', description: 'The kitchen was not cleaned at all.' };
+  return server.request('POST', '/v1/disputes', body, client);
+}
+
+function resolve(dispute, resolution) {
+  return server.request('POST', `/v1/admin/disputes/${dispute.id}/resolution`, resolution, server.admin);
+}
+
+async function told(token, event, bookingId) {
+  const { body } = await server.request('GET', '/v1/notifications', undefined, token);
+  return body.notifications.filter((n) => n.event === event && n.bookingId === bookingId);
+}
+
+test('a client can dispute a completed booking once, and the cleaner is asked to respond', async () => {
+  const pending = await server.bookClean(client, daysFromNow(3), '08:00');
+  const early = await openDispute(pending);
+  assert.equal(early.status, 409);
+  assert.equal(early.body.error, 'Only completed bookings can be disputed');
+
+  const booking = await completedJob(daysFromNow(3));
+  const res = await openDispute(booking);
+  assert.equal(res.status, 201);
+  assert.equal(res.body.dispute.status, 'open');
+  assert.equal((await told(cleaner, 'dispute_update', booking.id)).length, 1);
+  const again = await openDispute(booking);
+  assert.equal(again.status, 409);
+  assert.equal(again.body.error, 'This booking has already been disputed');
+
+  const { dispute } = res.body;
+  const peek = await server.request('GET', `/v1/disputes/${dispute.id}`, undefined, stranger);
+  assert.equal(peek.status, 403);
+  const response = { response: 'The oven was done as asked.' };
+  const byClient = await server.request('POST', `/v1/disputes/${dispute.id}/response`, response, client);
+  assert.equal(byClient.status, 403);
+  const byCleaner = await server.request('POST', `/v1/disputes/${dispute.id}/response`, response, cleaner);
+  assert.equal(byCleaner.status, 200);
+  assert.equal(byCleaner.body.dispute.status, 'responded');
+  assert.equal((await told(client, 'dispute_update', booking.id)).length, 1);
+});
+
+test('a dispute resolved with a refund gives the client their money back, once', async () => {
+  const booking = await completedJob(daysFromNow(4));
+  const { dispute } = (await openDispute(booking)).body;
+
+  const res = await resolve(dispute, { outcome: 'refund', amount: 10, note: 'Sorry about the kitchen' });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.dispute.status, 'resolved');
+  assert.equal(res.body.dispute.resolution.amount, 10);
+  const { body } = await server.request('GET', `/v1/bookings/${booking.id}/payments`, undefined, client);
+  const refunds = body.entries.filter((e) => e.type === 'refund' && e.status === 'succeeded');
+  assert.deepEqual(refunds.map((e) => e.amount), [10]);
+  const [update] = (await told(client, 'dispute_update', booking.id)).slice(-1);
+  assert.match(update.text, /\$10\.00 is being refunded/);
+
+  const again = await resolve(dispute, { outcome: 'dismissed' });
+  assert.equal(again.status, 409);
+  assert.equal(again.body.error, 'The dispute has already been resolved');
+});
+
+test('a free re-clean is booked for the same cleaner and can be moved to any day', async () => {
+  const booking = await completedJob(daysFromNow(5));
+  const { dispute } = (await openDispute(booking)).body;
+  const missing = await resolve(dispute, { outcome: 'reclean' });
+  assert.equal(missing.status, 400);
+  assert.deepEqual(Object.keys(missing.body.fields).sort(), ['date', 'time']);
+
+  const date = daysFromNow(6);
+  const res = await resolve(dispute, { outcome: 'reclean', date, time: '12:00', cleaner: 'cole' });
+  assert.equal(res.status, 200);
+  const id = res.body.dispute.resolution.recleanBookingId;
+  const { body } = await server.request('GET', `/v1/bookings/${id}`, undefined, client);
+  assert.equal(body.booking.recleanOf, booking.id);
+  assert.equal(body.booking.price.total, 0);
+  assert.equal(body.booking.cleanerRequest.cleaner, 'cole');
+
+  // Every day of a week, so at least one move is to a weekend, which
+  // would change the price of a paid booking
+  for (let day = 7; day <= 13; day += 1) {
+    const move = { date: daysFromNow(day), time: '12:00' };
+    const moved = await server.request('POST', `/v1/bookings/${id}/reschedule`, move, client);
+    assert.equal(moved.status, 200, move.date);
+    assert.equal(moved.body.booking.price.total, 0);
+  }
+});
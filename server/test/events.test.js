@@ -0,0 +1,107 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, daysFromNow } = require('./helpers');
+
+let server;
+let client;
+let other;
+
+before(async () => {
+  server = await startServer();
+  client = await server.register('claire', 'client');
+  other = await server.register('carl', 'client');
+});
+
+after(() => server.stop());
+
+/**
+ * Open the event stream as the user with `token`, resuming after
+ * `lastEventId` if given.  Resolves to an object whose `next()`
+ * resolves to the next event, ``{ id, type, data }``, and whose
+ * `close()` hangs up.
+ */
+async function openStream(token, lastEventId) {
+  const controller = new AbortController();
+  const headers = { Authorization: `Bearer ${token}` };
+  if (lastEventId) {
+    headers['Last-Event-ID'] = lastEventId;
+  }
+  const res = await fetch(`${server.url}/v1/events`, { headers, signal: controller.signal });
+  assert.equal(res.status, 200);
+  const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffered = '';
+
+  async function next() {
+    for (;;) {
+      const end = buffered.indexOf('\n\n');
+      if (end !== -1) {
+        const block = buffered.slice(0, end);
+        buffered = buffered.slice(end + 2);
+        if (block.startsWith(':')) {
+          continue;
+        }
+        const fields = Object.fromEntries(block.split('\n').map((line) => line.split(/: (.*)/s).slice(0, 2)));
+        return { id: fields.id, type: fields.event, data: JSON.parse(fields.data) };
+      }
+      const { value, done } = await reader.read();
+      if (done) {
+        throw new Error('The event stream closed');
+      }
+      buffered += value;
+    }
+  }
+
+  return { next, close: () => controller.abort() };
+}
+
+// Read events from `stream` until one for the booking with `id`,
+// returning those before it
+async function eventsUntilBooking(stream, id) {
+  const seen = [];
+  for (;;) {
+    const event = await stream.next();
+    if (event.type === 'booking' && event.data.booking.id === id) {
+      return seen;
+    }
+    seen.push(event);
+  }
+}
+
+test('a client that reconnects is sent the events it missed, and only its own', async () => {
+  const first = await openStream(client);
+  const ready = await first.next();
+  assert.equal(ready.type, 'ready');
+  first.close();
+
+  const missed = await server.bookClean(client, daysFromNow(3), '09:00');
+  const notMine = await server.bookClean(other, daysFromNow(3), '09:00');
+
+  const resumed = await openStream(client, ready.id);
+  const marker = await server.bookClean(client, daysFromNow(4), '09:00');
+  const caughtUp = await eventsUntilBooking(resumed, marker.id);
+  resumed.close();
+  assert.ok(caughtUp.length > 0);
+  assert.ok(caughtUp.every((e) => e.type === 'booking' && e.data.booking.client === 'claire'));
+  assert.ok(caughtUp.some((e) => e.data.booking.id === missed.id));
+  assert.ok(!caughtUp.some((e) => e.data.booking.id === notMine.id));
+  const seq = (event) => Number(event.id.split('-')[1]);
+  assert.ok(caughtUp.every((e, i) => seq(e) > (i === 0 ? seq(ready) : seq(caughtUp[i - 1]))));
+});
+
+test('a client resuming from an id the server no longer knows is told to resync', async () => {
+  const fresh = await openStream(client);
+  const ready = await fresh.next();
+  fresh.close();
+  const [streamId, seen] = ready.id.split('-');
+  for (const lastEventId of ['0000-1', `${streamId}-${Number(seen) + 100}`]) {
+    const stream = await openStream(client, lastEventId);
+    const event = await stream.next();
+    stream.close();
+    assert.equal(event.type, 'resync', lastEventId);
+  }
+});
+
+test('the event stream needs a signed in user', async () => {
+  const res = await server.request('GET', '/v1/events');
+  assert.equal(res.status, 401);
+});
@@ -0,0 +1,149 @@
+/*
+ * Test helpers
+ *
+ * Each test file starts its own server as a child process, with a fresh
+ * JSON database and data directories in a temporary directory, and
+ * talks to it over HTTP the way the browser client does.  Nothing a
+ * test does touches server/db.json.
+ */
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const PASSWORD = 'Passw0rd!23';
+const WEBHOOK_SECRET = 'test-webhook-secret';
+
+// Find a port nothing is listening on
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * The date `days` from today as ``YYYY-MM-DD``, on the same wall clock
+ * the server uses.
+ */
+function daysFromNow(days) {
+  const now = Date.now() - new Date().getTimezoneOffset() * 60 * 1000;
+  return new Date(now + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+/**
+ * Start a server with an empty database.  Resolves to an object whose
+ * `request(method, path, body, token, headers)` resolves to
+ * ``{ status, headers, body }`` and whose `stop()` shuts the server
+ * down and removes its files.
+ * `register` and `login` make and sign in users with a shared password
+ * (`register` takes other registration ``details`` such as ``email``),
+ * `bookClean` books a two-hour clean for a client, and `admin` is the
+ * bootstrap admin's token.  `env` adds to or replaces the environment
+ * variables the server is started with.
+ */
+async function startServer(env) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'brightidy-test-'));
+  const port = await freePort();
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      BRIGHTIDY_DB_PATH: path.join(dir, 'db.json'),
+      BRIGHTIDY_ATTACHMENTS_DIR: path.join(dir, 'attachments'),
+      BRIGHTIDY_OUTBOX_DIR: path.join(dir, 'outbox'),
+      BRIGHTIDY_ADMIN_USERNAME: 'admin',
+      BRIGHTIDY_ADMIN_PASSWORD: PASSWORD,
+      BRIGHTIDY_PAYMENT_WEBHOOK_SECRET: WEBHOOK_SECRET,
+      BRIGHTIDY_RATE_LIMITS: JSON.stringify({ register: { limit: 100, windowSeconds: 60 } }),
+      ...env,
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  let output = '';
+  await new Promise((resolve, reject) => {
+    child.stdout.on('data', (chunk) => {
+      output += chunk;
+      if (output.includes('listening on port')) {
+        resolve();
+      }
+    });
+    child.stderr.on('data', (chunk) => {
+      output += chunk;
+    });
+    child.once('exit', (code) => reject(new Error(`Server exited with ${code} before listening:\n${output}`)));
+  });
+  const url = `http://127.0.0.1:${port}`;
+
+  async function request(method, pathname, body, token, extraHeaders) {
+    const headers = { ...extraHeaders };
+    if (body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+    }
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+    const res = await fetch(url + pathname, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await res.text();
+    return { status: res.status, headers: res.headers, body: text ? JSON.parse(text) : null };
+  }
+
+  async function login(username) {
+    const res = await request('POST', '/v1/login', { username, password: PASSWORD });
+    if (res.status !== 200) {
+      throw new Error(`Could not log in as ${username}: ${JSON.stringify(res.body)}`);
+    }
+    return res.body.token;
+  }
+
+  async function register(username, role, details) {
+    const res = await request('POST', '/v1/register', { username, password: PASSWORD, role, ...details });
+    if (res.status !== 201) {
+      throw new Error(`Could not register ${username}: ${JSON.stringify(res.body)}`);
+    }
+    return login(username);
+  }
+
+  async function bookClean(token, date = daysFromNow(3), time = '10:00') {
+    const res = await request(
+      'POST',
+      '/v1/bookings',
+      {
+        address: { line1: '1 High Street', city: 'Springfield', postcode: 'AB1 2CD' },
+        propertyType: 'home',
+        date,
+        time,
+        duration: 2,
+      },
+      token
+    );
+    if (res.status !== 201) {
+      throw new Error(`Could not book a clean: ${JSON.stringify(res.body)}`);
+    }
+    return res.body.booking;
+  }
+
+  function stop() {
+    return new Promise((resolve) => {
+      child.once('exit', () => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        resolve();
+      });
+      child.kill();
+    });
+  }
+
+  return { url, request, login, register, bookClean, stop, admin: await login('admin') };
+}
+
+module.exports = { startServer, daysFromNow, WEBHOOK_SECRET };
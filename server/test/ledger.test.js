@@ -0,0 +1,132 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer, WEBHOOK_SECRET } = require('./helpers');
+const { createMockGateway } = require('../payments/mock');
+const { appendLedgerEntry } = require('../payments');
+
+let server;
+let client;
+let cleaner;
+
+before(async () => {
+  server = await startServer();
+  client = await server.register('claire', 'client');
+  cleaner = await server.register('cole', 'cleaner');
+});
+
+after(() => server.stop());
+
+function ledgerOf(booking) {
+  return server.request('GET', `/v1/bookings/${booking.id}/payments`, undefined, client);
+}
+
+test('completing a booking adds a capture and changes no earlier entry', async () => {
+  const booking = await server.bookClean(client);
+  const placed = await ledgerOf(booking);
+  assert.deepEqual(
+    placed.body.entries.map((e) => [e.type, e.status, e.amount]),
+    [['authorisation', 'succeeded', booking.price.total]]
+  );
+
+  for (const status of ['accepted', 'in_progress', 'completed']) {
+    const res = await server.request('PATCH', `/v1/bookings/${booking.id}`, { status }, cleaner);
+    assert.equal(res.status, 200);
+  }
+  const settled = await ledgerOf(booking);
+  assert.deepEqual(settled.body.entries[0], placed.body.entries[0]);
+  assert.deepEqual(
+    settled.body.entries.slice(1).map((e) => [e.type, e.status, e.amount, e.payee]),
+    [['capture', 'succeeded', booking.price.total, 'cole']]
+  );
+  assert.equal(settled.body.payment.status, 'captured');
+});
+
+test('a webhook appends a new entry once however often it is delivered', async () => {
+  const booking = await server.bookClean(client, undefined, '15:00');
+  const [authorisation] = (await ledgerOf(booking)).body.entries;
+  const gateway = createMockGateway({ webhookSecret: WEBHOOK_SECRET });
+  const delivery = gateway.signEvent({ type: 'payment.failed', ref: authorisation.providerRef });
+  const deliver = async () => {
+    const res = await fetch(server.url + '/v1/payments/webhook', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...delivery.headers },
+      body: delivery.body,
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  assert.deepEqual(await deliver(), { status: 200, body: { received: true, ignored: null } });
+  assert.deepEqual(await deliver(), { status: 200, body: { received: true, ignored: 'duplicate event' } });
+  const { body } = await ledgerOf(booking);
+  assert.equal(body.entries.length, 2);
+  assert.deepEqual(body.entries[0], authorisation);
+  assert.equal(body.entries[1].providerRef, authorisation.providerRef);
+  assert.equal(body.entries[1].status, 'failed');
+  assert.equal(body.payment.status, 'failed');
+});
+
+test('a webhook with a bad signature is refused', async () => {
+  const forged = createMockGateway({ webhookSecret: 'not-the-secret' }).signEvent({
+    type: 'payment.succeeded',
+    ref: 'auth_mock_forged',
+  });
+  const res = await fetch(server.url + '/v1/payments/webhook', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...forged.headers },
+    body: forged.body,
+  });
+  assert.equal(res.status, 400);
+});
+
+// The SQLite driver needs node:sqlite, which older versions of Node lack
+let sqlite = null;
+try {
+  sqlite = require('../storage/sqlite');
+  require('node:sqlite');
+} catch (err) {
+  sqlite = null;
+}
+
+test('the SQLite ledger table refuses updates and deletes', { skip: !sqlite && 'needs node:sqlite' }, () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'brightidy-ledger-'));
+  const storage = sqlite.createSqliteStorage({ path: path.join(dir, 'test.sqlite') });
+  try {
+    storage.transaction((db) => {
+      appendLedgerEntry(db, {
+        bookingId: 1,
+        type: 'authorisation',
+        amount: 50,
+        currency: 'USD',
+        provider: 'mock',
+        providerRef: 'auth_mock_1',
+        status: 'succeeded',
+      });
+      return {};
+    });
+    const [entry] = storage.snapshot().ledger;
+
+    assert.throws(
+      () =>
+        storage.transaction((db) => {
+          db.ledger[0].amount = 0;
+          return {};
+        }),
+      /payment_ledger is append-only/
+    );
+    assert.throws(
+      () =>
+        storage.transaction((db) => {
+          db.ledger = [];
+          return {};
+        }),
+      /payment_ledger is append-only/
+    );
+    assert.deepEqual(storage.snapshot().ledger, [entry]);
+  } finally {
+    storage.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,108 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, daysFromNow } = require('./helpers');
+
+// The commission config.js keeps by default
+const COMMISSION_PERCENT = 20;
+
+let server;
+let client;
+let cleaner;
+let other;
+
+before(async () => {
+  server = await startServer();
+  client = await server.register('claire', 'client');
+  cleaner = await server.register('cole', 'cleaner');
+  other = await server.register('cora', 'cleaner');
+});
+
+after(() => server.stop());
+
+// Book a clean on `date` and have the cleaner with `token` work it
+async function completedJob(date, token) {
+  const booking = await server.bookClean(client, date);
+  for (const status of ['accepted', 'in_progress', 'completed']) {
+    const res = await server.request('PATCH', `/v1/bookings/${booking.id}`, { status }, token);
+    assert.equal(res.status, 200, `${booking.id} -> ${status}`);
+  }
+  return booking;
+}
+
+function createBatch(weekStart) {
+  return server.request('POST', '/v1/admin/payouts', { weekStart }, server.admin);
+}
+
+function approve(payout) {
+  return server.request('POST', `/v1/admin/payouts/${payout.id}/approve`, {}, server.admin);
+}
+
+function earnings(token) {
+  return server.request('GET', '/v1/earnings', undefined, token);
+}
+
+test('a payout batch pays each cleaner their earnings less commission, once', async () => {
+  const date = daysFromNow(3);
+  const mine = await completedJob(date, cleaner);
+  const theirs = await completedJob(date, other);
+
+  const created = await createBatch(date);
+  assert.equal(created.status, 201);
+  const { payout } = created.body;
+  assert.equal(payout.status, 'pending');
+  const net = (booking) => Math.round(booking.price.total * (100 - COMMISSION_PERCENT)) / 100;
+  assert.deepEqual(
+    payout.items.map((item) => [item.cleaner, item.jobs.map((job) => job.bookingId), item.amount]),
+    [
+      ['cole', [mine.id], net(mine)],
+      ['cora', [theirs.id], net(theirs)],
+    ]
+  );
+
+  const again = await createBatch(date);
+  assert.equal(again.status, 409);
+  assert.equal(again.body.error, `A payout batch for the week of ${payout.weekStart} already exists`);
+
+  const pending = await earnings(cleaner);
+  assert.equal(pending.body.totals.pendingPayout, net(mine));
+  assert.equal(pending.body.totals.unpaid, 0);
+
+  const approved = await approve(payout);
+  assert.equal(approved.status, 200);
+  assert.equal(approved.body.payout.approvedBy, 'admin');
+  assert.equal((await approve(payout)).status, 409);
+
+  const paid = await earnings(cleaner);
+  assert.equal(paid.body.totals.paidOut, net(mine));
+  assert.equal(paid.body.totals.pendingPayout, 0);
+});
+
+test('a cleaner sees only their own part of a payout batch', async () => {
+  const res = await server.request('GET', '/v1/payouts', undefined, other);
+  assert.equal(res.status, 200);
+  const [payout] = res.body.payouts;
+  assert.deepEqual(payout.items.map((item) => item.cleaner), ['cora']);
+  assert.equal(payout.total, payout.items[0].amount);
+  assert.equal((await server.request('GET', '/v1/payouts', undefined, client)).status, 403);
+});
+
+test('a tip left after a job was paid out goes in the next batch', async () => {
+  const booking = await completedJob(daysFromNow(10), cleaner);
+  const first = await createBatch(booking.date);
+  assert.equal(first.status, 201);
+  assert.equal((await approve(first.body.payout)).status, 200);
+
+  const rating = { rating: 5, tip: 10 };
+  assert.equal((await server.request('POST', `/v1/bookings/${booking.id}/rating`, rating, client)).status, 200);
+  const next = await createBatch(daysFromNow(17));
+  assert.equal(next.status, 201);
+  assert.deepEqual(next.body.payout.items[0].jobs, [{ bookingId: booking.id, date: booking.date, net: 10 }]);
+});
+
+test('only admins can make or approve payout batches', async () => {
+  const res = await server.request('POST', '/v1/admin/payouts', {}, cleaner);
+  assert.equal(res.status, 403);
+  const missing = await approve({ id: 999 });
+  assert.equal(missing.status, 404);
+  assert.equal(missing.body.error, 'Payout batch not found');
+});
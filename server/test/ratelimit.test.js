@@ -0,0 +1,70 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+const servers = [];
+
+after(() => Promise.all(servers.map((server) => server.stop())));
+
+// Start a server whose login budget allows `logins` attempts a minute
+async function serverWithLoginLimit(logins, env) {
+  const budgets = { login: { limit: logins, windowSeconds: 60 }, register: { limit: 100, windowSeconds: 60 } };
+  const server = await startServer({ BRIGHTIDY_RATE_LIMITS: JSON.stringify(budgets), ...env });
+  servers.push(server);
+  return server;
+}
+
+function login(server, username, password, headers) {
+  return server.request('POST', '/v1/login', { username, password }, undefined, headers);
+}
+
+test('logins beyond the budget from one address are refused with Retry-After', async () => {
+  // Starting the server signs the admin in once
+  const server = await serverWithLoginLimit(3);
+  assert.equal((await login(server, 'admin', 'wrong')).status, 401);
+  assert.equal((await login(server, 'nobody', 'wrong')).status, 401);
+
+  const res = await login(server, 'admin', 'Passw0rd!23');
+  assert.equal(res.status, 429);
+  assert.equal(res.body.error, 'Too many requests, please try again later');
+  assert.ok(Number(res.headers.get('retry-after')) > 0);
+  const other = await server.request('GET', '/v1/pricing');
+  assert.equal(other.status, 200, 'other routes have a budget of their own');
+});
+
+test('behind a proxy, addresses the client puts in X-Forwarded-For are not believed', async () => {
+  const server = await serverWithLoginLimit(3, { BRIGHTIDY_TRUST_PROXY: '1' });
+  const from = (client, forged) => ({ 'X-Forwarded-For': forged ? `${forged}, ${client}` : client });
+  assert.equal((await login(server, 'admin', 'wrong', from('203.0.113.7', '10.0.0.1'))).status, 401);
+  assert.equal((await login(server, 'admin', 'wrong', from('203.0.113.7', '10.0.0.2'))).status, 401);
+  assert.equal((await login(server, 'admin', 'wrong', from('203.0.113.7', '10.0.0.3'))).status, 401);
+  assert.equal((await login(server, 'admin', 'wrong', from('203.0.113.7', '10.0.0.4'))).status, 429);
+
+  const elsewhere = await login(server, 'admin', 'wrong', from('198.51.100.9', '203.0.113.7'));
+  assert.equal(elsewhere.status, 401);
+});
+
+test('an account is locked after too many wrong passwords, whatever the address', async () => {
+  const server = await serverWithLoginLimit(100, { BRIGHTIDY_LOGIN_MAX_FAILURES: '3', BRIGHTIDY_TRUST_PROXY: '1' });
+  await server.register('claire', 'client');
+  await server.register('carl', 'client');
+  for (let i = 1; i <= 3; i += 1) {
+    const res = await login(server, 'claire', 'wrong', { 'X-Forwarded-For': `192.0.2.${i}` });
+    assert.equal(res.status, 401, `attempt ${i}`);
+  }
+
+  const locked = await login(server, 'claire', 'Passw0rd!23');
+  assert.equal(locked.status, 429);
+  assert.equal(locked.body.error, 'Too many failed logins, account temporarily locked');
+  assert.ok(Number(locked.headers.get('retry-after')) > 14 * 60);
+  assert.equal((await login(server, 'carl', 'Passw0rd!23')).status, 200);
+});
+
+test('a successful login clears the count of wrong passwords', async () => {
+  const server = await serverWithLoginLimit(100, { BRIGHTIDY_LOGIN_MAX_FAILURES: '3' });
+  await server.register('cole', 'cleaner');
+  for (const password of ['wrong', 'wrong', 'Passw0rd!23', 'wrong', 'wrong']) {
+    await login(server, 'cole', password);
+  }
+  assert.equal((await login(server, 'cole', 'Passw0rd!23')).status, 200);
+});
@@ -0,0 +1,136 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, daysFromNow } = require('./helpers');
+
+// The holidays config.js surcharges by default
+const HOLIDAYS = ['2026-12-25', '2026-12-26', '2027-01-01'];
+
+let server;
+let client;
+let cleaner;
+
+// The first date at least `days` from today that is not a holiday and
+// is a weekend day or not, as `weekend` says.  Tests a week apart get
+// different dates, so their bookings never get in each other's way.
+function firstDay(days, weekend) {
+  for (let d = days; ; d += 1) {
+    const date = daysFromNow(d);
+    const day = new Date(`${date}T00:00:00Z`).getUTCDay();
+    if (!HOLIDAYS.includes(date) && (day === 0 || day === 6) === weekend) {
+      return date;
+    }
+  }
+}
+
+before(async () => {
+  server = await startServer();
+  client = await server.register('claire', 'client', { email: 'claire@example.com' });
+  cleaner = await server.register('cole', 'cleaner');
+});
+
+after(() => server.stop());
+
+function propose(booking, date, time) {
+  return server.request('POST', `/v1/bookings/${booking.id}/reschedule`, { date, time }, client);
+}
+
+function claim(booking) {
+  return server.request('POST', `/v1/jobs/${booking.id}/claim`, {}, cleaner);
+}
+
+function respond(booking, accept) {
+  return server.request('POST', `/v1/bookings/${booking.id}/reschedule/response`, { accept }, cleaner);
+}
+
+test('a booking cannot be moved into the past', async () => {
+  const booking = await server.bookClean(client, firstDay(3, false));
+  const res = await propose(booking, daysFromNow(-1), '10:00');
+  assert.equal(res.status, 400);
+  assert.deepEqual(res.body.fields, { date: 'must not be in the past' });
+});
+
+test('a booking cannot be moved to a time with a different price', async () => {
+  const weekday = firstDay(10, false);
+  const booking = await server.bookClean(client, weekday, '07:00');
+  const weekend = await propose(booking, firstDay(3, true), '07:00');
+  assert.equal(weekend.status, 409);
+  assert.ok(weekend.body.quote.total > booking.price.total);
+
+  const moved = await propose(booking, weekday, '12:00');
+  assert.equal(moved.status, 200);
+  assert.equal(moved.body.booking.time, '12:00');
+});
+
+test('a cleaner accepting a move is refused once work has started', async () => {
+  const date = firstDay(17, false);
+  const booking = await server.bookClean(client, date, '14:30');
+  assert.equal((await claim(booking)).status, 200);
+  assert.equal((await propose(booking, date, '17:00')).status, 200);
+  const started = { status: 'in_progress' };
+  assert.equal((await server.request('PATCH', `/v1/bookings/${booking.id}`, started, cleaner)).status, 200);
+
+  const res = await respond(booking, true);
+  assert.equal(res.status, 409);
+  assert.equal(res.body.error, 'Cannot reschedule a booking that is in_progress');
+  const { body } = await server.request('GET', `/v1/bookings/${booking.id}`, undefined, client);
+  assert.equal(body.booking.time, '14:30');
+});
+
+test('a cleaner accepting a move is refused if the client is busy then', async () => {
+  const date = firstDay(24, false);
+  const booking = await server.bookClean(client, date, '08:00');
+  assert.equal((await claim(booking)).status, 200);
+  assert.equal((await propose(booking, date, '13:00')).status, 200);
+  const other = await server.bookClean(client, date, '14:00');
+
+  const res = await respond(booking, true);
+  assert.equal(res.status, 409);
+  assert.equal(res.body.error, `The client has booking ${other.id} at the proposed time`);
+});
+
+test('the client is told when a move is accepted', async () => {
+  const date = firstDay(31, false);
+  const booking = await server.bookClean(client, date, '09:00');
+  assert.equal((await claim(booking)).status, 200);
+  assert.equal((await propose(booking, date, '16:00')).status, 200);
+
+  const res = await respond(booking, true);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.booking.time, '16:00');
+  assert.equal(res.body.booking.rescheduleRequest, null);
+  const { body } = await server.request('GET', '/v1/notifications', undefined, client);
+  const told = body.notifications.filter((n) => n.event === 'reschedule_response' && n.bookingId === booking.id);
+  assert.equal(told.length, 1);
+  assert.match(told[0].text, /cole accepted moving booking \d+ .* to \S+ 16:00/);
+});
+
+test('a booking asked of a cleaner only moves to a time they are free', async () => {
+  const date = firstDay(38, false);
+  const asked = await server.request(
+    'POST',
+    '/v1/bookings',
+    {
+      address: { line1: '1 High Street', city: 'Springfield', postcode: 'AB1 2CD' },
+      propertyType: 'home',
+      date,
+      time: '08:00',
+      duration: 2,
+      cleaner: 'cole',
+    },
+    client
+  );
+  assert.equal(asked.status, 201);
+  const booking = asked.body.booking;
+  assert.equal(booking.cleanerRequest.cleaner, 'cole');
+  const busy = await server.bookClean(await server.register('carl', 'client'), date, '15:00');
+  assert.equal((await claim(busy)).status, 200);
+
+  const res = await propose(booking, date, '14:00');
+  assert.equal(res.status, 409);
+  assert.equal(res.body.error, `Slot overlaps booking ${busy.id}`);
+
+  const moved = await propose(booking, date, '11:00');
+  assert.equal(moved.status, 200);
+  assert.equal(moved.body.booking.time, '11:00');
+  assert.equal(moved.body.booking.cleanerRequest.status, 'pending');
+});
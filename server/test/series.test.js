@@ -0,0 +1,102 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, daysFromNow } = require('./helpers');
+
+// How far ahead config.js books a series by default
+const HORIZON_DAYS = 28;
+
+let server;
+let client;
+
+before(async () => {
+  server = await startServer();
+  client = await server.register('claire', 'client');
+});
+
+after(() => server.stop());
+
+// Set up a weekly series of two-hour cleans at `time` for `token`
+function createSeries(token, time, schedule) {
+  return server.request(
+    'POST',
+    '/v1/series',
+    {
+      address: { line1: '1 High Street', city: 'Springfield', postcode: 'AB1 2CD' },
+      propertyType: 'home',
+      time,
+      duration: 2,
+      frequency: 'weekly',
+      startDate: daysFromNow(2),
+      ...schedule,
+    },
+    token
+  );
+}
+
+test('a series books its occurrences up to the horizon and the rest later', async () => {
+  const res = await createSeries(client, '08:00', { count: 10 });
+  assert.equal(res.status, 201);
+  const { series } = res.body;
+  const expected = [];
+  for (let day = 2; day <= HORIZON_DAYS; day += 7) {
+    expected.push(daysFromNow(day));
+  }
+  assert.deepEqual(series.bookings.map((b) => b.date), expected);
+  assert.ok(series.bookings.every((b) => b.seriesId === series.id && b.time === '08:00' && b.status === 'pending'));
+  assert.equal(series.status, 'active');
+  assert.equal(series.generatedThrough, daysFromNow(HORIZON_DAYS));
+});
+
+test('a series whose occurrences are all booked has ended', async () => {
+  const res = await createSeries(client, '11:00', { count: 2 });
+  assert.equal(res.status, 201);
+  assert.equal(res.body.series.bookings.length, 2);
+  assert.equal(res.body.series.status, 'ended');
+  assert.equal(res.body.series.nextOccurrence, null);
+});
+
+test('an occurrence the client is already booked for is skipped with the reason', async () => {
+  const busy = await server.register('carl', 'client');
+  const booking = await server.bookClean(busy, daysFromNow(9), '14:00');
+  const res = await createSeries(busy, '14:00', { count: 3 });
+  assert.equal(res.status, 201);
+  const { series } = res.body;
+  assert.deepEqual(series.bookings.map((b) => b.date), [daysFromNow(2), daysFromNow(16)]);
+  assert.deepEqual(series.skipped.map((s) => s.date), [booking.date]);
+  assert.match(series.skipped[0].reason, new RegExp(`booking ${booking.id}`));
+});
+
+test('skipping an occurrence cancels its booking, once', async () => {
+  const { body } = await createSeries(client, '16:00', { count: 4 });
+  const [first] = body.series.bookings;
+  const skip = (date) => server.request('POST', `/v1/series/${body.series.id}/skip`, { date }, client);
+
+  const res = await skip(first.date);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.series.bookings[0].status, 'cancelled');
+  const again = await skip(first.date);
+  assert.equal(again.status, 409);
+  assert.equal(again.body.error, `The occurrence on ${first.date} is already skipped`);
+  assert.equal((await skip(daysFromNow(3))).status, 404);
+});
+
+test('cancelling a series cancels its upcoming bookings', async () => {
+  const { body } = await createSeries(client, '18:30', { endDate: daysFromNow(20) });
+  assert.equal(body.series.bookings.length, 3);
+  const reason = { reason: 'Moving house' };
+  const res = await server.request('POST', `/v1/series/${body.series.id}/cancel`, reason, client);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.series.status, 'cancelled');
+  assert.deepEqual(res.body.series.bookings.map((b) => b.status), ['cancelled', 'cancelled', 'cancelled']);
+  const { series } = (await createSeries(client, '18:30', { count: 1 })).body;
+  assert.equal(series.bookings.length, 1, 'the cancelled bookings no longer hold the time');
+});
+
+test('a series needs an end date or a count, but not both', async () => {
+  const neither = await createSeries(client, '07:00', {});
+  assert.equal(neither.status, 400);
+  assert.deepEqual(neither.body.fields, { endDate: 'or count is required' });
+  const both = await createSeries(client, '07:00', { count: 2, endDate: daysFromNow(30) });
+  assert.equal(both.status, 400);
+  assert.deepEqual(both.body.fields, { count: 'cannot be given together with endDate' });
+});
@@ -0,0 +1,87 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+let server;
+let client;
+let cleaner;
+
+before(async () => {
+  server = await startServer();
+  client = await server.register('claire', 'client');
+  cleaner = await server.register('cole', 'cleaner');
+});
+
+after(() => server.stop());
+
+// Ask for `booking` to be moved to `status` as the user with `token`
+function move(booking, status, token) {
+  return server.request('PATCH', `/v1/bookings/${booking.id}`, { status }, token);
+}
+
+test('a booking cannot skip or go back through the lifecycle', async () => {
+  const booking = await server.bookClean(client);
+  assert.equal((await move(booking, 'accepted', cleaner)).status, 200);
+
+  const skipped = await move(booking, 'completed', cleaner);
+  assert.equal(skipped.status, 409);
+  assert.equal(skipped.body.error, 'Cannot move booking from accepted to completed');
+
+  assert.equal((await move(booking, 'in_progress', cleaner)).status, 200);
+  const back = await move(booking, 'accepted', cleaner);
+  assert.equal(back.status, 409);
+  assert.equal(back.body.error, 'Cannot move booking from in_progress to accepted');
+
+  assert.equal((await move(booking, 'completed', cleaner)).status, 200);
+  for (const status of ['pending', 'accepted', 'in_progress', 'no_show']) {
+    const res = await move(booking, status, cleaner);
+    assert.equal(res.status, 409, `completed -> ${status}`);
+  }
+
+  const history = await server.request('GET', `/v1/bookings/${booking.id}/history`, undefined, client);
+  assert.deepEqual(
+    history.body.history.map((h) => [h.from, h.to]),
+    [
+      [null, 'pending'],
+      ['pending', 'accepted'],
+      ['accepted', 'in_progress'],
+      ['in_progress', 'completed'],
+    ]
+  );
+});
+
+test('a move the caller’s role may not make is refused', async () => {
+  const booking = await server.bookClean(client, undefined, '15:00');
+  assert.equal((await move(booking, 'accepted', client)).status, 403);
+  assert.equal((await move(booking, 'accepted', cleaner)).status, 200);
+  assert.equal((await move(booking, 'in_progress', cleaner)).status, 200);
+  // Once work has started only an admin may cancel
+  for (const token of [client, cleaner]) {
+    const res = await server.request('POST', `/v1/bookings/${booking.id}/cancel`, {}, token);
+    assert.equal(res.status, 403);
+    assert.match(res.body.error, /cannot move a booking to cancelled/);
+  }
+  const { body } = await server.request('GET', `/v1/bookings/${booking.id}`, undefined, client);
+  assert.equal(body.booking.status, 'in_progress');
+});
+
+test('a refused move leaves the booking as it was', async () => {
+  const booking = await server.bookClean(client, undefined, '18:00');
+  // Moving a pending booking claims it first, which must be undone too
+  const declined = await move(booking, 'declined', cleaner);
+  assert.equal(declined.status, 409);
+  const { body } = await server.request('GET', `/v1/bookings/${booking.id}`, undefined, client);
+  assert.equal(body.booking.status, 'pending');
+  assert.equal(body.booking.cleaner, null);
+  const history = await server.request('GET', `/v1/bookings/${booking.id}/history`, undefined, client);
+  assert.equal(history.body.history.length, 1);
+});
+
+test('a cancelled booking stays cancelled', async () => {
+  const booking = await server.bookClean(client, undefined, '20:00');
+  const cancelled = await server.request('POST', `/v1/bookings/${booking.id}/cancel`, {}, client);
+  assert.equal(cancelled.status, 200);
+  assert.equal(cancelled.body.booking.status, 'cancelled');
+  assert.equal((await server.request('POST', `/v1/jobs/${booking.id}/claim`, {}, cleaner)).status, 409);
+  assert.equal((await move(booking, 'accepted', cleaner)).status, 409);
+});
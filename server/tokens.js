@@ -0,0 +1,104 @@
+/*
+ * Signed access tokens
+ *
+ * Access tokens are short‑lived, HMAC‑SHA256 signed strings of the form
+ * ``<payload>.<signature>`` where the payload is base64url encoded JSON
+ * holding the username (`sub`), the session id (`sid`) and an expiry
+ * time (`exp`, seconds since the epoch).  The signature lets the server
+ * reject forged or tampered tokens without touching the database; the
+ * session id ties the token to a persisted session so it can still be
+ * revoked before it expires.
+ *
+ * The signing secret comes from ``BRIGHTIDY_SESSION_SECRET``.  When that
+ * is unset a random secret is generated once and kept in
+ * ``server/.session-secret`` so tokens stay valid across restarts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const SECRET_PATH = path.join(__dirname, '.session-secret');
+
+let secret = null;
+
+/**
+ * Return the signing secret, loading or creating it on first use.
+ */
+function getSecret() {
+  if (secret) {
+    return secret;
+  }
+  if (process.env.BRIGHTIDY_SESSION_SECRET) {
+    secret = process.env.BRIGHTIDY_SESSION_SECRET;
+  } else if (fs.existsSync(SECRET_PATH)) {
+    secret = fs.readFileSync(SECRET_PATH, 'utf8').trim();
+  } else {
+    secret = crypto.randomBytes(32).toString('hex');
+    fs.writeFileSync(SECRET_PATH, secret, { mode: 0o600 });
+  }
+  return secret;
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', getSecret()).update(data).digest('base64url');
+}
+
+/**
+ * Create a signed access token for `username` in session `sid` that
+ * expires `ttlSeconds` from now.
+ */
+function signAccessToken(username, sid, ttlSeconds) {
+  const payload = { sub: username, sid, exp: Math.floor(Date.now() / 1000) + ttlSeconds };
+  const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${encoded}.${sign(encoded)}`;
+}
+
+/**
+ * Verify an access token's signature and expiry.  Returns the payload
+ * or null if the token is malformed, forged or expired.
+ */
+function verifyAccessToken(token) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 2) {
+    return null;
+  }
+  const expected = Buffer.from(sign(parts[0]));
+  const actual = Buffer.from(parts[1]);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+  } catch (err) {
+    return null;
+  }
+  if (!payload || typeof payload.exp !== 'number' || payload.exp * 1000 <= Date.now()) {
+    return null;
+  }
+  return payload;
+}
+
+/**
+ * Generate an opaque random token, used for refresh tokens and session
+ * ids.  The result is URL‑safe hex.
+ */
+function generateToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Hash an opaque token for storage.  Refresh tokens are only kept as
+ * hashes so a copy of the database cannot be used to log in.
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+module.exports = {
+  signAccessToken,
+  verifyAccessToken,
+  generateToken,
+  hashToken,
+};
@@ -0,0 +1,195 @@
+/*
+ * Request validation
+ *
+ * Routes describe the input they accept with a small declarative
+ * schema: an object mapping each field name to a rule.  A rule may set
+ *
+ *   type       'string', 'number', 'integer', 'boolean', 'array' or 'object'
+ *   required   reject the input when the field is missing
+ *   nullable   accept an explicit null
+ *   enum       list of allowed values
+ *   format     'date' (YYYY-MM-DD), 'time' (HH:MM) or 'time24' (HH:MM
+ *              allowing 24:00 as an end of day)
+ *   pattern    regular expression a string must match, with an optional
+ *              `patternMessage` explaining it
+ *   min, max   numeric range (inclusive)
+ *   minLength, maxLength   string length or array size
+ *   items      rule applied to every element of an array
+ *   properties schema applied to a nested object
+ *
+ * `validate` checks input against a schema and collects one message per
+ * offending field, using dotted paths such as ``weeklyHours.0.start``
+ * for nested values.  Only fields named in the schema are passed on to
+ * the handler.  Failures are reported as an `HttpError`, which the
+ * server turns into a response of the form
+ * ``{ error: 'Invalid request', fields: { <field>: <message> } }``.
+ */
+
+/**
+ * An error that maps directly onto an HTTP response.  `fields`, when
+ * present, holds a message per offending input field.
+ */
+class HttpError extends Error {
+  constructor(status, message, fields) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.fields = fields || null;
+  }
+
+  /**
+   * The JSON body sent to the client for this error.
+   */
+  toJSON() {
+    return this.fields ? { error: this.message, fields: this.fields } : { error: this.message };
+  }
+}
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Return true if `value` is a real calendar date in ``YYYY-MM-DD`` form,
+ * so that e.g. 2026-02-30 is rejected.
+ */
+function isIsoDate(value) {
+  if (!DATE_PATTERN.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+const FORMATS = {
+  date: { test: isIsoDate, message: 'must be a date in YYYY-MM-DD format' },
+  time: { test: (v) => TIME_PATTERN.test(v), message: 'must be a time in HH:MM format' },
+  time24: { test: (v) => TIME_PATTERN.test(v) || v === '24:00', message: 'must be a time in HH:MM format' },
+};
+
+/**
+ * Convert query‑string text to the type a rule expects.  Only used when
+ * validating query parameters, which always arrive as strings.
+ */
+function coerce(rule, value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  if ((rule.type === 'number' || rule.type === 'integer') && value.trim() !== '' && !Number.isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (rule.type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+}
+
+function typeMatches(type, value) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default:
+      return true;
+  }
+}
+
+/**
+ * Check one value against its rule, recording problems in `fields`
+ * under `name`.  Returns the (possibly coerced or trimmed) value.
+ */
+function checkValue(rule, value, name, fields, options) {
+  if (options.coerce) {
+    value = coerce(rule, value);
+  }
+  if (rule.type && !typeMatches(rule.type, value)) {
+    fields[name] = `must be ${rule.type === 'integer' || rule.type === 'array' ? 'an' : 'a'} ${rule.type}`;
+    return value;
+  }
+  if (typeof value === 'string' && rule.trim !== false) {
+    value = value.trim();
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    fields[name] = `must be one of: ${rule.enum.join(', ')}`;
+  } else if (rule.format && !FORMATS[rule.format].test(value)) {
+    fields[name] = FORMATS[rule.format].message;
+  } else if (rule.pattern && !rule.pattern.test(value)) {
+    fields[name] = rule.patternMessage || 'has an invalid format';
+  } else if (rule.min !== undefined && value < rule.min) {
+    fields[name] = `must be at least ${rule.min}`;
+  } else if (rule.max !== undefined && value > rule.max) {
+    fields[name] = `must be at most ${rule.max}`;
+  } else if (rule.minLength !== undefined && value.length < rule.minLength) {
+    fields[name] = rule.type === 'array' ? `must have at least ${rule.minLength} items` : `must be at least ${rule.minLength} characters`;
+  } else if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+    fields[name] = rule.type === 'array' ? `must have at most ${rule.maxLength} items` : `must be at most ${rule.maxLength} characters`;
+  } else if (rule.items && Array.isArray(value)) {
+    value = value.map((item, i) => checkValue(rule.items, item, `${name}.${i}`, fields, options));
+  } else if (rule.properties && typeMatches('object', value)) {
+    value = checkObject(rule.properties, value, `${name}.`, fields, options);
+  }
+  return value;
+}
+
+function checkObject(schema, input, prefix, fields, options) {
+  const output = {};
+  Object.keys(schema).forEach((key) => {
+    const rule = schema[key];
+    const name = prefix + key;
+    const value = input[key];
+    if (value === undefined || value === '') {
+      if (rule.required) {
+        fields[name] = 'is required';
+      } else if (rule.default !== undefined) {
+        output[key] = rule.default;
+      }
+      return;
+    }
+    if (value === null) {
+      if (rule.nullable) {
+        output[key] = null;
+      } else {
+        fields[name] = rule.required ? 'is required' : 'must not be null';
+      }
+      return;
+    }
+    output[key] = checkValue(rule, value, name, fields, options);
+  });
+  return output;
+}
+
+/**
+ * Validate `input` against `schema`.  Returns the cleaned input, which
+ * only holds the fields named in the schema.  Throws an `HttpError`
+ * with status 400 and a message per field if anything is wrong.  Pass
+ * ``{ coerce: true }`` for query parameters so numeric and boolean
+ * strings are converted first.  ``params`` holds the parameters taken
+ * from the request path (see router.js), which replace any input of
+ * the same name.
+ */
+function validate(schema, input, options) {
+  const fields = {};
+  if (!typeMatches('object', input)) {
+    throw new HttpError(400, 'Request body must be a JSON object');
+  }
+  const merged = { ...input, ...(options && options.params) };
+  const value = checkObject(schema, merged, '', fields, options || {});
+  if (Object.keys(fields).length > 0) {
+    throw new HttpError(400, 'Invalid request', fields);
+  }
+  return value;
+}
+
+module.exports = {
+  HttpError,
+  validate,
+  isIsoDate,
+};